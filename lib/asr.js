@@ -0,0 +1,236 @@
+// ASR engines used by POST /api/asr/:lang
+//
+// Every engine exposes the same shape:
+//   engine.name                 -> 'none' | 'local' | 'fake'
+//   engine.model(lang)          -> model identifier recorded in metadata (or null)
+//   await engine.transcribe({ audioPath, normalizedPath, body, lang })
+//     -> { text, confidence, words: [{ word, start, end, confidence }] }
+// normalizedPath (optional) is the clip's 16 kHz mono WAV (lib/transcode.js) when it exists.
+//
+// Selected with ASR_ENGINE (defaults to 'local' when ASR_BIN is set, else 'none'):
+//   none   no recognizer configured; transcript stays null
+//   local  offline command-line recognizer (whisper.cpp, vosk, ...)
+//   fake   deterministic transcript derived from the audio bytes (tests / demos)
+//
+// Local engine env:
+//   ASR_BIN           path to the recognizer binary
+//   ASR_MODEL         model path passed as {model}; ASR_MODEL_EN / ASR_MODEL_HT override per language
+//   ASR_ARGS          argument template, whitespace separated; {input} {model} {lang} {output} are substituted
+//                     default: "-m {model} -f {input} -l {lang} -ojf -of {output} -np" (whisper.cpp)
+//   ASR_TIMEOUT_MS    kill the recognizer after this long (default 60000)
+//   FFMPEG_PATH       ffmpeg used to convert {input} to 16 kHz mono WAV, which whisper.cpp
+//                     expects, unless the normalized clip or a 16 kHz WAV upload is at hand
+// Temporary files (the converted WAV, the recognizer's output) are removed whether the
+// recognizer succeeds or not.
+
+import { execFile } from 'node:child_process';
+import { createHash, randomUUID } from 'node:crypto';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { probeAudio } from './audio-probe.js';
+import { isNormalized, TARGET_SR, TARGET_CHANNELS, TARGET_CODEC } from './transcode.js';
+
+const DEFAULT_ARGS = '-m {model} -f {input} -l {lang} -ojf -of {output} -np';
+
+// ---------- output parsing ----------
+
+// "00:00:01,250" -> 1.25
+function parseClock(s = '') {
+  const m = String(s).match(/(\d+):(\d+):(\d+)[,.](\d+)/);
+  if (!m) return null;
+  return (+m[1]) * 3600 + (+m[2]) * 60 + (+m[3]) + (+m[4]) / 1000;
+}
+
+function round(n, digits = 3) {
+  const f = 10 ** digits;
+  return Math.round(n * f) / f;
+}
+
+function mean(values) {
+  return values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+}
+
+// whisper.cpp -oj / -ojf output
+function fromWhisperJson(json) {
+  const segments = json.transcription || [];
+  const text = segments.map(s => s.text || '').join('').trim();
+  const words = [];
+
+  for (const seg of segments) {
+    for (const tok of seg.tokens || []) {
+      const raw = tok.text || '';
+      if (/^\[_.*_\]$/.test(raw.trim()) || !raw.trim()) continue;   // [_BEG_], [_TT_123] ...
+      const start = tok.offsets ? tok.offsets.from / 1000 : parseClock(tok.timestamps?.from);
+      const end   = tok.offsets ? tok.offsets.to / 1000   : parseClock(tok.timestamps?.to);
+      const p = typeof tok.p === 'number' ? tok.p : null;
+      // tokens without a leading space continue the previous word
+      if (words.length && !/^\s/.test(raw)) {
+        const last = words[words.length - 1];
+        last.word += raw;
+        last.end = end;
+        if (p !== null) last._p.push(p);
+      } else {
+        words.push({ word: raw.trim(), start, end, _p: p !== null ? [p] : [] });
+      }
+    }
+  }
+
+  const out = words.map(({ _p, ...w }) => ({
+    ...w,
+    start: w.start === null ? null : round(w.start),
+    end: w.end === null ? null : round(w.end),
+    confidence: _p.length ? round(mean(_p)) : null
+  }));
+  const conf = mean(out.map(w => w.confidence).filter(c => c !== null));
+  return { text, confidence: conf === null ? null : round(conf), words: out };
+}
+
+// vosk: { text, result: [{ word, start, end, conf }] }
+function fromVoskJson(json) {
+  const words = (json.result || []).map(w => ({
+    word: w.word,
+    start: typeof w.start === 'number' ? round(w.start) : null,
+    end: typeof w.end === 'number' ? round(w.end) : null,
+    confidence: typeof w.conf === 'number' ? round(w.conf) : null
+  }));
+  const conf = mean(words.map(w => w.confidence).filter(c => c !== null));
+  const text = typeof json.text === 'string' ? json.text.trim() : words.map(w => w.word).join(' ');
+  return { text, confidence: conf === null ? null : round(conf), words };
+}
+
+// "[00:00:00.000 --> 00:00:02.000]  Hello world" lines, or plain text
+function fromText(out) {
+  const lines = String(out).split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+  const text = lines.map(l => l.replace(/^\[[^\]]*-->[^\]]*\]\s*/, '')).join(' ').trim();
+  return { text, confidence: null, words: [] };
+}
+
+export function parseRecognizerOutput(out) {
+  const trimmed = String(out || '').trim();
+  if (trimmed.startsWith('{')) {
+    try {
+      const json = JSON.parse(trimmed);
+      if (Array.isArray(json.transcription)) return fromWhisperJson(json);
+      if (Array.isArray(json.result) || typeof json.text === 'string') return fromVoskJson(json);
+    } catch {
+      // fall through to text parsing
+    }
+  }
+  return fromText(trimmed);
+}
+
+// ---------- engines ----------
+
+function noneEngine() {
+  return {
+    name: 'none',
+    model: () => null,
+    async transcribe() {
+      return { text: null, confidence: null, words: [] };
+    }
+  };
+}
+
+function localEngine(env) {
+  const bin = env.ASR_BIN;
+  if (!bin) throw new Error('ASR_ENGINE=local requires ASR_BIN');
+  const ffmpeg = env.FFMPEG_PATH || 'ffmpeg';
+  const template = (env.ASR_ARGS || DEFAULT_ARGS).split(/\s+/).filter(Boolean);
+  const timeout = parseInt(env.ASR_TIMEOUT_MS) || 60000;
+  const model = lang => env[`ASR_MODEL_${lang.toUpperCase()}`] || env.ASR_MODEL || null;
+
+  function run(file, args) {
+    return new Promise((resolve, reject) => {
+      execFile(file, args, { timeout, maxBuffer: 16 * 1024 * 1024 }, (err, out) => {
+        if (err) {
+          err.message = `${path.basename(file)} failed: ${err.message.trim()}`;
+          reject(err);
+        } else {
+          resolve(out);
+        }
+      });
+    });
+  }
+
+  // The normalized clip if there is one, the upload if it is already 16 kHz mono WAV,
+  // otherwise a converted copy at `wavPath`
+  async function wavInput({ audioPath, normalizedPath, body }, wavPath) {
+    if (normalizedPath && fs.existsSync(normalizedPath)) return normalizedPath;
+    const probe = probeAudio(body || fs.readFileSync(audioPath));
+    if (probe && isNormalized(probe)) return audioPath;
+    await run(ffmpeg, [
+      '-hide_banner', '-loglevel', 'error', '-y', '-i', audioPath,
+      '-ac', String(TARGET_CHANNELS), '-ar', String(TARGET_SR), '-c:a', TARGET_CODEC, '-f', 'wav', wavPath
+    ]);
+    return wavPath;
+  }
+
+  return {
+    name: 'local',
+    model,
+    async transcribe({ audioPath, normalizedPath, body, lang }) {
+      const output = path.join(os.tmpdir(), `asr-${randomUUID()}`);
+      const wavPath = `${output}.in.wav`;
+      try {
+        const input = await wavInput({ audioPath, normalizedPath, body }, wavPath);
+        const args = template.map(a => a
+          .replaceAll('{input}', input)
+          .replaceAll('{model}', model(lang) || '')
+          .replaceAll('{lang}', lang)
+          .replaceAll('{output}', output));
+        const stdout = await run(bin, args);
+
+        // whisper.cpp writes <output>.json; other tools print to stdout
+        for (const candidate of [`${output}.json`, output]) {
+          if (fs.existsSync(candidate)) return parseRecognizerOutput(fs.readFileSync(candidate, 'utf8'));
+        }
+        return parseRecognizerOutput(stdout);
+      } finally {
+        for (const file of [`${output}.json`, output, wavPath]) fs.rmSync(file, { force: true });
+      }
+    }
+  };
+}
+
+const FAKE_VOCAB = {
+  en: ['hello', 'doctor', 'my', 'insurance', 'claim', 'question', 'about', 'the', 'premium', 'appointment', 'today', 'please'],
+  ht: ['bonjou', 'doktè', 'mwen', 'asirans', 'reklamasyon', 'kesyon', 'sou', 'la', 'prim', 'randevou', 'jodi', 'tanpri']
+};
+
+function fakeEngine() {
+  return {
+    name: 'fake',
+    model: () => 'fake-v1',
+    async transcribe({ body, lang }) {
+      // Same bytes always produce the same transcript
+      const digest = createHash('sha256').update(body || Buffer.alloc(0)).digest();
+      const vocab = FAKE_VOCAB[lang] || FAKE_VOCAB.en;
+      const count = 2 + (digest[0] % 4);
+      const words = [];
+      for (let i = 0; i < count; i++) {
+        words.push({
+          word: vocab[digest[i + 1] % vocab.length],
+          start: round(i * 0.4),
+          end: round(i * 0.4 + 0.35),
+          confidence: round(0.8 + (digest[i + 8] % 20) / 100)
+        });
+      }
+      return {
+        text: words.map(w => w.word).join(' '),
+        confidence: round(mean(words.map(w => w.confidence))),
+        words
+      };
+    }
+  };
+}
+
+export function createAsrEngine(env = process.env) {
+  const name = (env.ASR_ENGINE || (env.ASR_BIN ? 'local' : 'none')).toLowerCase();
+  switch (name) {
+    case 'local': return localEngine(env);
+    case 'fake':  return fakeEngine();
+    case 'none':  return noneEngine();
+    default: throw new Error(`Unknown ASR_ENGINE: ${name}`);
+  }
+}
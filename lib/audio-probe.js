@@ -0,0 +1,362 @@
+// Container probing for uploaded audio (no external tools)
+//
+// probeAudio(buffer) -> { container, codec, sr, channels, duration_s } or null when the
+// bytes are not a container we understand. Supported containers:
+//   wav   RIFF/WAVE with PCM or IEEE float samples
+//   ogg   Ogg with Opus or Vorbis
+//   webm  WebM/Matroska (what MediaRecorder produces), Opus/Vorbis/PCM tracks
+//   mp3   MPEG audio layer I/II/III, with or without ID3v2 / Xing / VBRI headers
+//
+// Fields that cannot be determined are null rather than guessed.
+
+// ---------- content types ----------
+
+const CONTAINER_TYPES = {
+  webm: ['audio/webm', 'video/webm'],
+  ogg:  ['audio/ogg', 'application/ogg', 'audio/opus'],
+  wav:  ['audio/wav', 'audio/wave', 'audio/x-wav', 'audio/vnd.wave'],
+  mp3:  ['audio/mpeg', 'audio/mp3', 'audio/mpeg3']
+};
+
+// "audio/webm;codecs=opus" -> 'webm'; unknown types -> null
+export function containerFromContentType(ct = '') {
+  const base = String(ct).toLowerCase().split(';')[0].trim();
+  for (const [container, types] of Object.entries(CONTAINER_TYPES)) {
+    if (types.includes(base)) return container;
+  }
+  return null;
+}
+
+// 'webm' -> 'audio/webm'
+export function contentTypeForContainer(container) {
+  return (CONTAINER_TYPES[container] || ['application/octet-stream'])[0];
+}
+
+function round(n, digits = 3) {
+  const f = 10 ** digits;
+  return Math.round(n * f) / f;
+}
+
+// ---------- WAV ----------
+
+const WAV_FORMATS = { 1: 'pcm', 3: 'float', 6: 'alaw', 7: 'mulaw' };
+
+function wavCodec(format, bits) {
+  if (format === 'pcm') return bits === 8 ? 'pcm_u8' : `pcm_s${bits}le`;
+  if (format === 'float') return `pcm_f${bits}le`;
+  if (format === 'alaw') return 'pcm_alaw';
+  if (format === 'mulaw') return 'pcm_mulaw';
+  return 'unknown';
+}
+
+function probeWav(buf) {
+  let pos = 12;
+  let fmt = null;
+  let dataSize = null;
+
+  while (pos + 8 <= buf.length) {
+    const id = buf.toString('latin1', pos, pos + 4);
+    const size = buf.readUInt32LE(pos + 4);
+    const body = pos + 8;
+
+    if (id === 'fmt ' && body + 16 <= buf.length) {
+      let tag = buf.readUInt16LE(body);
+      if (tag === 0xFFFE && size >= 26 && body + 26 <= buf.length) tag = buf.readUInt16LE(body + 24);   // WAVE_FORMAT_EXTENSIBLE
+      fmt = {
+        format: WAV_FORMATS[tag] || null,
+        channels: buf.readUInt16LE(body + 2),
+        sr: buf.readUInt32LE(body + 4),
+        byteRate: buf.readUInt32LE(body + 8),
+        bits: buf.readUInt16LE(body + 14)
+      };
+    } else if (id === 'data') {
+      // Streaming writers leave the size at 0 or 0xFFFFFFFF; trust the bytes we have
+      const available = buf.length - body;
+      dataSize = size === 0 || size > available ? available : size;
+      break;
+    }
+    pos = body + size + (size % 2);
+  }
+
+  if (!fmt) return null;
+  return {
+    container: 'wav',
+    codec: wavCodec(fmt.format, fmt.bits),
+    sr: fmt.sr || null,
+    channels: fmt.channels || null,
+    bitsPerSample: fmt.bits || null,
+    duration_s: dataSize !== null && fmt.byteRate ? round(dataSize / fmt.byteRate) : null,
+    dataOffset: dataSize !== null ? pos + 8 : null,
+    dataSize
+  };
+}
+
+// ---------- Ogg ----------
+
+function oggPage(buf, pos) {
+  if (pos + 27 > buf.length || buf.toString('latin1', pos, pos + 4) !== 'OggS') return null;
+  const segments = buf[pos + 26];
+  if (pos + 27 + segments > buf.length) return null;
+  let bodySize = 0;
+  for (let i = 0; i < segments; i++) bodySize += buf[pos + 27 + i];
+  const body = pos + 27 + segments;
+  return {
+    granule: buf.readBigInt64LE(pos + 6),
+    serial: buf.readUInt32LE(pos + 14),
+    body,
+    end: body + bodySize
+  };
+}
+
+function probeOgg(buf) {
+  const first = oggPage(buf, 0);
+  if (!first) return null;
+  const head = buf.subarray(first.body, Math.min(first.end, buf.length));
+
+  let codec = 'unknown', sr = null, channels = null, preSkip = 0, granuleRate = null;
+  if (head.toString('latin1', 0, 8) === 'OpusHead' && head.length >= 19) {
+    codec = 'opus';
+    channels = head[9];
+    preSkip = head.readUInt16LE(10);
+    sr = head.readUInt32LE(12) || 48000;
+    granuleRate = 48000;                       // Opus granules always count 48 kHz samples
+  } else if (head[0] === 1 && head.toString('latin1', 1, 7) === 'vorbis' && head.length >= 16) {
+    codec = 'vorbis';
+    channels = head[11];
+    sr = head.readUInt32LE(12);
+    granuleRate = sr;
+  } else if (head.toString('latin1', 1, 5) === 'FLAC') {
+    codec = 'flac';
+  }
+
+  // Duration comes from the granule position of the last page of this stream
+  let lastGranule = -1n;
+  for (let pos = buf.lastIndexOf('OggS', buf.length - 4, 'latin1'); pos >= 0; pos = buf.lastIndexOf('OggS', pos - 1, 'latin1')) {
+    const page = oggPage(buf, pos);
+    if (page && page.serial === first.serial && page.granule >= 0n) { lastGranule = page.granule; break; }
+    if (pos === 0) break;
+  }
+
+  const duration_s = granuleRate && lastGranule >= 0n
+    ? round(Math.max(0, Number(lastGranule) - preSkip) / granuleRate)
+    : null;
+  return { container: 'ogg', codec, sr, channels, duration_s };
+}
+
+// ---------- WebM / Matroska ----------
+
+const EBML = {
+  Header: 0x1A45DFA3, DocType: 0x4282,
+  Segment: 0x18538067, Info: 0x1549A966, TimecodeScale: 0x2AD7B1, Duration: 0x4489,
+  Tracks: 0x1654AE6B, TrackEntry: 0xAE, TrackNumber: 0xD7, TrackType: 0x83, CodecID: 0x86,
+  Audio: 0xE1, SamplingFrequency: 0xB5, Channels: 0x9F,
+  Cluster: 0x1F43B675, Timecode: 0xE7, SimpleBlock: 0xA3, BlockGroup: 0xA0, Block: 0xA1
+};
+
+// Master elements we walk into instead of skipping; MediaRecorder writes
+// Segment and Cluster with "unknown" sizes, so nesting is tracked by order only
+const EBML_CONTAINERS = new Set([
+  EBML.Header, EBML.Segment, EBML.Info, EBML.Tracks, EBML.TrackEntry, EBML.Audio, EBML.Cluster, EBML.BlockGroup
+]);
+
+const MATROSKA_CODECS = {
+  A_OPUS: 'opus', A_VORBIS: 'vorbis', A_FLAC: 'flac', A_AAC: 'aac', 'A_MPEG/L3': 'mp3',
+  'A_PCM/INT/LIT': 'pcm_s16le', 'A_PCM/FLOAT/IEEE': 'pcm_f32le'
+};
+
+// Variable-length integer; keepMarker for element IDs
+function readVint(buf, pos, keepMarker) {
+  const first = buf[pos];
+  if (first === undefined || first === 0) return null;
+  let len = 1;
+  while (!(first & (0x80 >> (len - 1)))) len++;
+  if (pos + len > buf.length) return null;
+  let value = keepMarker ? first : first & (0xFF >> len);
+  let allOnes = value === (0xFF >> len);
+  for (let i = 1; i < len; i++) {
+    value = value * 256 + buf[pos + i];
+    if (buf[pos + i] !== 0xFF) allOnes = false;
+  }
+  return { value, len, unknown: !keepMarker && allOnes };
+}
+
+function readUint(buf, pos, size) {
+  let v = 0;
+  for (let i = 0; i < size; i++) v = v * 256 + buf[pos + i];
+  return v;
+}
+
+function readFloat(buf, pos, size) {
+  if (size === 4) return buf.readFloatBE(pos);
+  if (size === 8) return buf.readDoubleBE(pos);
+  return null;
+}
+
+// Duration of an Opus packet from its TOC byte (RFC 6716 §3.1), in ms
+function opusPacketMs(packet) {
+  if (!packet.length) return 0;
+  const toc = packet[0];
+  const config = toc >> 3;
+  let frameMs;
+  if (config < 12) frameMs = [10, 20, 40, 60][config % 4];
+  else if (config < 16) frameMs = [10, 20][config % 2];
+  else frameMs = [2.5, 5, 10, 20][config % 4];
+  const code = toc & 3;
+  const frames = code === 0 ? 1 : code < 3 ? 2 : (packet[1] || 0) & 0x3F;
+  return frameMs * frames;
+}
+
+function probeWebm(buf) {
+  let docType = null;
+  let scale = 1000000;                        // ns per timecode tick
+  let infoDuration = null;
+  const tracks = [];
+  let clusterTs = 0;
+  let lastBlock = null;                       // { ts, ms } for the audio track
+
+  let pos = 0;
+  while (pos < buf.length) {
+    const id = readVint(buf, pos, true);
+    if (!id) break;
+    const size = readVint(buf, pos + id.len, false);
+    if (!size) break;
+    const body = pos + id.len + size.len;
+    const end = size.unknown ? buf.length : body + size.value;
+
+    if (EBML_CONTAINERS.has(id.value)) {
+      if (id.value === EBML.TrackEntry) tracks.push({ number: null, type: null, codecId: null, sr: null, channels: null });
+      pos = body;
+      continue;
+    }
+    if (size.unknown || end > buf.length) break;  // truncated upload: keep what we have
+
+    const track = tracks[tracks.length - 1];
+    switch (id.value) {
+      case EBML.DocType: docType = buf.toString('latin1', body, end).replace(/\0+$/, ''); break;
+      case EBML.TimecodeScale: scale = readUint(buf, body, size.value) || scale; break;
+      case EBML.Duration: infoDuration = readFloat(buf, body, size.value); break;
+      case EBML.TrackNumber: if (track) track.number = readUint(buf, body, size.value); break;
+      case EBML.TrackType: if (track) track.type = readUint(buf, body, size.value); break;
+      case EBML.CodecID: if (track) track.codecId = buf.toString('latin1', body, end).replace(/\0+$/, ''); break;
+      case EBML.SamplingFrequency: if (track) track.sr = readFloat(buf, body, size.value); break;
+      case EBML.Channels: if (track) track.channels = readUint(buf, body, size.value); break;
+      case EBML.Timecode: clusterTs = readUint(buf, body, size.value); break;
+      case EBML.SimpleBlock:
+      case EBML.Block: {
+        const trackNo = readVint(buf, body, false);
+        if (!trackNo || body + trackNo.len + 3 > end) break;
+        const audio = tracks.find(t => t.type === 2) || tracks[0];
+        if (audio && audio.number !== null && trackNo.value !== audio.number) break;
+        const ts = clusterTs + buf.readInt16BE(body + trackNo.len);
+        const payload = buf.subarray(body + trackNo.len + 3, end);
+        const ms = audio && audio.codecId === 'A_OPUS' ? opusPacketMs(payload) : 0;
+        if (!lastBlock || ts >= lastBlock.ts) lastBlock = { ts, ms };
+        break;
+      }
+    }
+    pos = end;
+  }
+
+  if (docType !== 'webm' && docType !== 'matroska') return null;
+  const audio = tracks.find(t => t.type === 2) || tracks[0] || {};
+
+  let duration_s = null;
+  if (infoDuration) duration_s = round(infoDuration * scale / 1e9);
+  else if (lastBlock) duration_s = round((lastBlock.ts * scale / 1e6 + lastBlock.ms) / 1000);
+
+  return {
+    container: 'webm',
+    codec: MATROSKA_CODECS[audio.codecId] || (audio.codecId ? audio.codecId.toLowerCase() : 'unknown'),
+    sr: audio.sr ? Math.round(audio.sr) : null,
+    channels: audio.channels || (audio.codecId ? 1 : null),   // Matroska default is 1 channel
+    duration_s
+  };
+}
+
+// ---------- MP3 ----------
+
+const MPEG_BITRATES = {
+  // [version][layer] kbps by index; version 1 = MPEG-1, 2 = MPEG-2/2.5
+  1: { 1: [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+       2: [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+       3: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320] },
+  2: { 1: [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+       2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+       3: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160] }
+};
+const MPEG_RATES = { 3: [44100, 48000, 32000], 2: [22050, 24000, 16000], 0: [11025, 12000, 8000] };
+
+function mpegFrame(buf, pos) {
+  if (pos + 4 > buf.length || buf[pos] !== 0xFF || (buf[pos + 1] & 0xE0) !== 0xE0) return null;
+  const versionBits = (buf[pos + 1] >> 3) & 3;     // 3 = MPEG-1, 2 = MPEG-2, 0 = MPEG-2.5
+  const layer = 4 - ((buf[pos + 1] >> 1) & 3);     // 1..3
+  const brIndex = buf[pos + 2] >> 4;
+  const srIndex = (buf[pos + 2] >> 2) & 3;
+  if (versionBits === 1 || layer === 4 || brIndex === 0 || brIndex === 15 || srIndex === 3) return null;
+
+  const v = versionBits === 3 ? 1 : 2;
+  const bitrate = MPEG_BITRATES[v][layer][brIndex] * 1000;
+  const sr = MPEG_RATES[versionBits][srIndex];
+  const padding = (buf[pos + 2] >> 1) & 1;
+  const channels = (buf[pos + 3] >> 6) === 3 ? 1 : 2;
+  const samples = layer === 1 ? 384 : (layer === 3 && v === 2 ? 576 : 1152);
+  const length = layer === 1
+    ? (Math.floor(12 * bitrate / sr) + padding) * 4
+    : Math.floor(samples / 8 * bitrate / sr) + padding;
+  return { v, layer, sr, channels, samples, length };
+}
+
+function probeMp3(buf) {
+  let pos = 0;
+  if (buf.toString('latin1', 0, 3) === 'ID3' && buf.length >= 10) {
+    const size = (buf[6] & 0x7F) << 21 | (buf[7] & 0x7F) << 14 | (buf[8] & 0x7F) << 7 | (buf[9] & 0x7F);
+    pos = 10 + size + (buf[5] & 0x10 ? 10 : 0);
+  }
+  // Tolerate a little junk before the first frame, but require a second frame
+  // right after it so random bytes are not mistaken for MPEG audio
+  let first = null;
+  for (const limit = Math.min(buf.length, pos + 4096); pos < limit; pos++) {
+    const f = mpegFrame(buf, pos);
+    if (f && (pos + f.length === buf.length || mpegFrame(buf, pos + f.length))) { first = f; break; }
+  }
+  if (!first) return null;
+
+  const codec = `mp${first.layer}`;
+  const result = { container: 'mp3', codec, sr: first.sr, channels: first.channels, duration_s: null };
+
+  // Xing/Info (VBR) or VBRI headers carry the frame count
+  const sideInfo = first.v === 1 ? (first.channels === 1 ? 17 : 32) : (first.channels === 1 ? 9 : 17);
+  const xing = pos + 4 + sideInfo;
+  const xingTag = buf.toString('latin1', xing, xing + 4);
+  if ((xingTag === 'Xing' || xingTag === 'Info') && (buf.readUInt32BE(xing + 4) & 1)) {
+    result.duration_s = round(buf.readUInt32BE(xing + 8) * first.samples / first.sr);
+    return result;
+  }
+  if (buf.toString('latin1', pos + 36, pos + 40) === 'VBRI') {
+    result.duration_s = round(buf.readUInt32BE(pos + 36 + 14) * first.samples / first.sr);
+    return result;
+  }
+
+  // Otherwise count frames
+  let samples = 0;
+  for (let p = pos, f = first; f && p < buf.length; f = mpegFrame(buf, p)) {
+    samples += f.samples;
+    p += f.length;
+  }
+  result.duration_s = round(samples / first.sr);
+  return result;
+}
+
+// ---------- entry point ----------
+
+export function probeAudio(buf) {
+  if (!buf || buf.length < 4) return null;
+  try {
+    if (buf.toString('latin1', 0, 4) === 'RIFF' && buf.toString('latin1', 8, 12) === 'WAVE') return probeWav(buf);
+    if (buf.toString('latin1', 0, 4) === 'OggS') return probeOgg(buf);
+    if (buf.readUInt32BE(0) === EBML.Header) return probeWebm(buf);
+    return probeMp3(buf);
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,189 @@
+// Audio quality gate for POST /api/asr/:lang
+//
+// Each upload is decoded to mono PCM and measured before it is kept:
+//   duration_s          decoded length
+//   rms_db / peak_db    level of the whole clip in dBFS
+//   clipping_ratio      share of samples at full scale
+//   leading_silence_s / trailing_silence_s
+//                       time before the first / after the last 20 ms frame above
+//                       QUALITY_SILENCE_DB
+//   voiced_s            total time above QUALITY_SILENCE_DB
+//   snr_db              estimated: loud frames (90th percentile) over the noise floor
+//                       (10th percentile)
+// PCM and float WAV are decoded here; other containers go through ffmpeg (FFMPEG_PATH).
+//
+// Checks and their thresholds (env):
+//   too_short          duration_s < QUALITY_MIN_DURATION_S (default 1)
+//   too_long           duration_s > QUALITY_MAX_DURATION_S (default 60)
+//   silent             nothing above QUALITY_SILENCE_DB (default -50)
+//   too_quiet          rms_db < QUALITY_MIN_RMS_DB (default -40)
+//   clipped            clipping_ratio > QUALITY_MAX_CLIPPING (default 0.001)
+//   leading_silence / trailing_silence
+//                      more than QUALITY_MAX_SILENCE_S (default 2)
+//   noisy              snr_db < QUALITY_MIN_SNR_DB (default 10)
+// Checks listed in QUALITY_REJECT (default "too_short,silent") reject the upload; the
+// others only flag it. QUALITY_GATE=off skips analysis entirely.
+//
+// The result is stored on the audio record as
+//   quality: { status: 'passed' | 'flagged' | 'rejected' | 'unavailable',
+//              metrics, issues: [{ code, severity, message, value, threshold }], checkedAt }
+// 'unavailable' (no ffmpeg, undecodable clip) never blocks an upload.
+
+import { execFile } from 'node:child_process';
+
+export const QUALITY_CHECKS = ['too_short', 'too_long', 'silent', 'too_quiet', 'clipped', 'leading_silence', 'trailing_silence', 'noisy'];
+
+const DECODE_SR = 16000;
+const FRAME_S = 0.02;
+const CLIP_LEVEL = 0.999;
+const FLOOR_DB = -120;
+
+function round(n, digits = 3) {
+  const f = 10 ** digits;
+  return Math.round(n * f) / f;
+}
+
+function db(amplitude) {
+  return amplitude > 0 ? Math.max(FLOOR_DB, 20 * Math.log10(amplitude)) : FLOOR_DB;
+}
+
+function number(value, fallback) {
+  const n = parseFloat(value);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+// Mono samples in [-1, 1] from the data chunk of a WAV probe (see lib/audio-probe.js),
+// or null for codecs we do not decode here (a-law, mu-law)
+function decodeWav(buf, probe) {
+  const readers = {
+    pcm_u8:    [1, (b, i) => (b[i] - 128) / 128],
+    pcm_s16le: [2, (b, i) => b.readInt16LE(i) / 32768],
+    pcm_s24le: [3, (b, i) => b.readIntLE(i, 3) / 8388608],
+    pcm_s32le: [4, (b, i) => b.readInt32LE(i) / 2147483648],
+    pcm_f32le: [4, (b, i) => b.readFloatLE(i)],
+    pcm_f64le: [8, (b, i) => b.readDoubleLE(i)]
+  };
+  const reader = readers[probe.codec];
+  if (!reader || probe.dataOffset === null || !probe.sr || !probe.channels) return null;
+  const [width, read] = reader;
+  const channels = probe.channels;
+  const end = Math.min(buf.length, probe.dataOffset + probe.dataSize);
+  const frames = Math.floor((end - probe.dataOffset) / (width * channels));
+  const samples = new Float32Array(frames);
+  for (let f = 0, pos = probe.dataOffset; f < frames; f++) {
+    let sum = 0;
+    for (let c = 0; c < channels; c++, pos += width) sum += read(buf, pos);
+    samples[f] = sum / channels;
+  }
+  return { samples, sr: probe.sr };
+}
+
+function percentile(sorted, p) {
+  return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+}
+
+export function measure(samples, sr, { silenceDb = -50 } = {}) {
+  const n = samples.length;
+  let sumSquares = 0, peak = 0, clipped = 0;
+  for (let i = 0; i < n; i++) {
+    const a = Math.abs(samples[i]);
+    sumSquares += samples[i] * samples[i];
+    if (a > peak) peak = a;
+    if (a >= CLIP_LEVEL) clipped++;
+  }
+
+  const frameLength = Math.max(1, Math.round(FRAME_S * sr));
+  const frameDb = [];
+  for (let start = 0; start < n; start += frameLength) {
+    const end = Math.min(n, start + frameLength);
+    let sum = 0;
+    for (let i = start; i < end; i++) sum += samples[i] * samples[i];
+    frameDb.push(db(Math.sqrt(sum / (end - start))));
+  }
+  const frameS = frameLength / sr;
+  const duration = n / sr;
+  const first = frameDb.findIndex(d => d > silenceDb);
+  const last = frameDb.findLastIndex(d => d > silenceDb);
+  const sorted = [...frameDb].sort((a, b) => a - b);
+
+  return {
+    duration_s: round(duration),
+    rms_db: round(db(Math.sqrt(sumSquares / (n || 1))), 1),
+    peak_db: round(db(peak), 1),
+    clipping_ratio: round(n ? clipped / n : 0, 5),
+    leading_silence_s: round(first === -1 ? duration : first * frameS),
+    trailing_silence_s: round(last === -1 ? duration : Math.max(0, duration - (last + 1) * frameS)),
+    voiced_s: round(frameDb.filter(d => d > silenceDb).length * frameS),
+    snr_db: sorted.length ? round(percentile(sorted, 0.9) - percentile(sorted, 0.1), 1) : 0
+  };
+}
+
+export function createQualityGate({ logger, env = process.env } = {}) {
+  const enabled = String(env.QUALITY_GATE || 'on').toLowerCase() !== 'off';
+  const ffmpeg = env.FFMPEG_PATH || 'ffmpeg';
+  const timeout = parseInt(env.QUALITY_TIMEOUT_MS) || 30000;
+  const thresholds = {
+    minDuration: number(env.QUALITY_MIN_DURATION_S, 1),
+    maxDuration: number(env.QUALITY_MAX_DURATION_S, 60),
+    silenceDb: number(env.QUALITY_SILENCE_DB, -50),
+    minRmsDb: number(env.QUALITY_MIN_RMS_DB, -40),
+    maxClipping: number(env.QUALITY_MAX_CLIPPING, 0.001),
+    maxSilence: number(env.QUALITY_MAX_SILENCE_S, 2),
+    minSnrDb: number(env.QUALITY_MIN_SNR_DB, 10)
+  };
+  const reject = new Set(String(env.QUALITY_REJECT ?? 'too_short,silent').split(',').map(s => s.trim()).filter(Boolean));
+
+  // 16 kHz mono s16le from ffmpeg for anything we cannot read ourselves
+  function ffmpegDecode(audioPath) {
+    return new Promise((resolve, reject) => {
+      execFile(ffmpeg, [
+        '-hide_banner', '-loglevel', 'error', '-i', audioPath,
+        '-ac', '1', '-ar', String(DECODE_SR), '-f', 's16le', '-c:a', 'pcm_s16le', 'pipe:1'
+      ], { timeout, encoding: 'buffer', maxBuffer: 256 * 1024 * 1024 }, (err, stdout) => {
+        if (err) return reject(err);
+        const samples = new Float32Array(Math.floor(stdout.length / 2));
+        for (let i = 0; i < samples.length; i++) samples[i] = stdout.readInt16LE(i * 2) / 32768;
+        resolve({ samples, sr: DECODE_SR });
+      });
+    });
+  }
+
+  function issuesFor(m) {
+    const t = thresholds;
+    const found = [];
+    const add = (code, message, value, threshold) => found.push({ code, severity: reject.has(code) ? 'reject' : 'flag', message, value, threshold });
+
+    if (m.duration_s < t.minDuration) add('too_short', `Too short (${m.duration_s} s): record at least ${t.minDuration} s`, m.duration_s, t.minDuration);
+    if (m.duration_s > t.maxDuration) add('too_long', `Too long (${Math.round(m.duration_s)} s): keep recordings under ${t.maxDuration} s`, m.duration_s, t.maxDuration);
+    if (!m.voiced_s) {
+      // Level, silence and SNR checks say nothing useful about an empty clip
+      add('silent', 'No sound detected: check that the right microphone is selected and not muted', m.peak_db, t.silenceDb);
+      return found;
+    }
+    if (m.rms_db < t.minRmsDb) add('too_quiet', `Too quiet (${m.rms_db} dBFS): speak louder or move closer to the microphone`, m.rms_db, t.minRmsDb);
+    if (m.clipping_ratio > t.maxClipping) add('clipped', `Clipped (${round(m.clipping_ratio * 100, 2)}% of samples at full scale): speak softer or move back from the microphone`, m.clipping_ratio, t.maxClipping);
+    if (m.leading_silence_s > t.maxSilence) add('leading_silence', `Long silence before speaking (${m.leading_silence_s} s): start speaking sooner after pressing record`, m.leading_silence_s, t.maxSilence);
+    if (m.trailing_silence_s > t.maxSilence) add('trailing_silence', `Long silence after speaking (${m.trailing_silence_s} s): stop recording when you finish`, m.trailing_silence_s, t.maxSilence);
+    if (m.snr_db < t.minSnrDb) add('noisy', `Noisy background (SNR ${m.snr_db} dB): record somewhere quieter`, m.snr_db, t.minSnrDb);
+    return found;
+  }
+
+  // check({ body, probe, audioPath }) -> quality record (never throws), or null when disabled
+  async function check({ body, probe, audioPath }) {
+    if (!enabled) return null;
+    const checkedAt = new Date().toISOString();
+    try {
+      const decoded = (probe.container === 'wav' && decodeWav(body, probe)) || await ffmpegDecode(audioPath);
+      if (!decoded.samples.length) throw new Error('No audio samples decoded');
+      const metrics = measure(decoded.samples, decoded.sr, { silenceDb: thresholds.silenceDb });
+      const issues = issuesFor(metrics);
+      const status = issues.some(i => i.severity === 'reject') ? 'rejected' : issues.length ? 'flagged' : 'passed';
+      return { status, metrics, issues, checkedAt };
+    } catch (err) {
+      logger.warn('Audio quality analysis failed', { audioPath, error: err.message });
+      return { status: 'unavailable', metrics: null, issues: [], error: err.message, checkedAt };
+    }
+  }
+
+  return { enabled, thresholds, reject: [...reject], check };
+}
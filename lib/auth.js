@@ -0,0 +1,243 @@
+// User accounts, roles and request authentication
+//
+// Roles, each including the permissions of the ones before it:
+//   contributor  upload recordings, link pairs, edit their own pairs
+//   reviewer     edit any pair, restore revisions
+//   admin        export, delete / withdraw, audit, manage users
+//
+// Users are 'user' records in lib/storage.js:
+//   { kind: 'user', id, username, displayName, role, passwordHash, disabled,
+//     sessionVersion, createdAt, createdBy, updatedAt }
+// Passwords are stored as scrypt$<salt>$<hash>.
+//
+// POST /api/auth/login returns a signed session token, also set as an HttpOnly cookie
+// so <audio> elements can stream protected clips. Scripts send it as
+// `Authorization: Bearer <token>`. Tokens are stateless (HMAC over user ID, session
+// version and expiry); bumping the user's sessionVersion (logout, password change,
+// disabling the account) invalidates every token issued before.
+//
+// Environment:
+//   AUTH_SECRET            HMAC key for session tokens (random per process when unset,
+//                          which signs everyone out on restart)
+//   AUTH_SESSION_HOURS     token lifetime (default 12)
+//   ADMIN_USERNAME, ADMIN_PASSWORD
+//                          create this admin (username defaults to "admin") at startup
+//                          when no users exist yet
+
+import { randomBytes, randomUUID, scryptSync, createHmac, timingSafeEqual } from 'node:crypto';
+
+export const ROLES = ['contributor', 'reviewer', 'admin'];
+export const SESSION_COOKIE = 'session';
+
+const USERNAME_RE = /^[a-z0-9][a-z0-9._-]{1,39}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+export function hashPassword(password) {
+  const salt = randomBytes(16);
+  const hash = scryptSync(String(password), salt, 64);
+  return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+export function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'base64');
+  const actual = scryptSync(String(password), Buffer.from(salt, 'base64'), expected.length);
+  return timingSafeEqual(actual, expected);
+}
+
+export function hasRole(user, role) {
+  return !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+// What the API may show about a user
+export function publicUser(user) {
+  const { passwordHash, sessionVersion, ...rest } = user;
+  return rest;
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of String(header || '').split(';')) {
+    const i = part.indexOf('=');
+    if (i <= 0) continue;
+    try { cookies[part.slice(0, i).trim()] = decodeURIComponent(part.slice(i + 1).trim()); }
+    catch { /* malformed value: ignore the cookie */ }
+  }
+  return cookies;
+}
+
+// Returns { value } or { error } for a new account or an update of an existing one
+function checkUserFields(fields, { creating }) {
+  const value = {};
+  if (creating || fields.username !== undefined) {
+    const username = String(fields.username || '').trim().toLowerCase();
+    if (!USERNAME_RE.test(username)) {
+      return { error: 'username must be 2-40 characters: lowercase letters, digits, ".", "_" or "-"' };
+    }
+    value.username = username;
+  }
+  if (creating || fields.password !== undefined) {
+    if (typeof fields.password !== 'string' || fields.password.length < MIN_PASSWORD_LENGTH) {
+      return { error: `password must be at least ${MIN_PASSWORD_LENGTH} characters` };
+    }
+    value.password = fields.password;
+  }
+  if (fields.role !== undefined || creating) {
+    const role = fields.role === undefined ? 'contributor' : fields.role;
+    if (!ROLES.includes(role)) return { error: `role must be one of ${ROLES.join(', ')}` };
+    value.role = role;
+  }
+  if (fields.displayName !== undefined) {
+    if (typeof fields.displayName !== 'string') return { error: 'displayName must be a string' };
+    value.displayName = fields.displayName.trim();
+  }
+  if (fields.disabled !== undefined) value.disabled = !!fields.disabled;
+  return { value };
+}
+
+export function createAuth({ storage, logger, env = process.env }) {
+  let secret = env.AUTH_SECRET;
+  if (!secret) {
+    secret = randomBytes(32).toString('hex');
+    logger.warn('AUTH_SECRET is not set; sessions will not survive a restart');
+  }
+  const sessionMs = (parseFloat(env.AUTH_SESSION_HOURS) || 12) * 3600 * 1000;
+
+  const sign = payload => createHmac('sha256', secret).update(payload).digest('base64url');
+
+  function findByUsername(username) {
+    const name = String(username || '').trim().toLowerCase();
+    return storage.list('user').find(user => user.username === name) || null;
+  }
+
+  function issueToken(user) {
+    const expiresAt = Date.now() + sessionMs;
+    const payload = Buffer.from(JSON.stringify({ sub: user.id, ver: user.sessionVersion || 0, exp: expiresAt })).toString('base64url');
+    return { token: `${payload}.${sign(payload)}`, expiresAt: new Date(expiresAt).toISOString() };
+  }
+
+  function verifyToken(token) {
+    const [payload, signature] = String(token || '').split('.');
+    if (!payload || !signature) return null;
+    const expected = Buffer.from(sign(payload));
+    const actual = Buffer.from(signature);
+    if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) return null;
+
+    let claims;
+    try { claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8')); }
+    catch { return null; }
+    if (!claims || typeof claims.sub !== 'string' || !(claims.exp > Date.now())) return null;
+
+    const user = storage.get('user', claims.sub);
+    if (!user || user.disabled || (user.sessionVersion || 0) !== claims.ver) return null;
+    return user;
+  }
+
+  // The signed-in user for a request (Bearer token first, then the session cookie), or null
+  function authenticate(req) {
+    const header = String(req.headers.authorization || '');
+    const bearer = header.match(/^Bearer\s+(\S+)$/i);
+    const token = bearer ? bearer[1] : parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    return token ? verifyToken(token) : null;
+  }
+
+  // Unknown usernames still pay for a hash so response times don't reveal which accounts exist
+  let dummyHash = null;
+
+  // Returns { user, token, expiresAt } or null for unknown users, wrong passwords and disabled accounts
+  function login(username, password) {
+    const user = findByUsername(username);
+    if (!user) {
+      verifyPassword(password, dummyHash || (dummyHash = hashPassword(randomBytes(16).toString('hex'))));
+      return null;
+    }
+    if (user.disabled || !verifyPassword(password, user.passwordHash)) return null;
+    return { user, ...issueToken(user) };
+  }
+
+  // Invalidate every outstanding token for this user
+  function revokeSessions(user) {
+    const updated = { ...user, sessionVersion: (user.sessionVersion || 0) + 1, updatedAt: new Date().toISOString() };
+    storage.put('user', updated);
+    return updated;
+  }
+
+  // Returns { user } or { status, error }
+  function createUser(fields, createdBy) {
+    const { value, error } = checkUserFields(fields || {}, { creating: true });
+    if (error) return { status: 400, error };
+    if (findByUsername(value.username)) return { status: 409, error: `User ${value.username} already exists` };
+
+    const user = {
+      kind: 'user',
+      id: randomUUID(),
+      username: value.username,
+      displayName: value.displayName || value.username,
+      role: value.role,
+      passwordHash: hashPassword(value.password),
+      disabled: false,
+      sessionVersion: 0,
+      createdAt: new Date().toISOString(),
+      createdBy: createdBy || null
+    };
+    storage.put('user', user);
+    return { user };
+  }
+
+  // Returns { user } or { status, error }. Password, role and disabled changes sign the user out.
+  function updateUser(id, fields, updatedBy) {
+    const existing = storage.get('user', id);
+    if (!existing) return { status: 404, error: 'User not found' };
+    const { value, error } = checkUserFields(fields || {}, { creating: false });
+    if (error) return { status: 400, error };
+    if (value.username && value.username !== existing.username && findByUsername(value.username)) {
+      return { status: 409, error: `User ${value.username} already exists` };
+    }
+
+    const { password, ...rest } = value;
+    const user = { ...existing, ...rest, updatedAt: new Date().toISOString(), updatedBy: updatedBy || null };
+    if (password !== undefined) user.passwordHash = hashPassword(password);
+    const signOut = password !== undefined
+      || (value.role !== undefined && value.role !== existing.role)
+      || (value.disabled && !existing.disabled);
+    if (signOut) user.sessionVersion = (existing.sessionVersion || 0) + 1;
+    storage.put('user', user);
+    return { user };
+  }
+
+  // First start: create the admin named in the environment so someone can sign in
+  function bootstrap() {
+    if (storage.list('user').length) return;
+    if (!env.ADMIN_PASSWORD) {
+      logger.warn('No user accounts exist; set ADMIN_PASSWORD (and ADMIN_USERNAME) to create the first admin');
+      return;
+    }
+    const username = env.ADMIN_USERNAME || 'admin';
+    const { user, error } = createUser({ username, password: env.ADMIN_PASSWORD, role: 'admin' }, 'bootstrap');
+    if (error) logger.error('Failed to create admin account', { error });
+    else logger.info('Admin account created', { username: user.username });
+  }
+
+  function sessionCookie(token, { secure = false } = {}) {
+    const attrs = [`${SESSION_COOKIE}=${token}`, 'Path=/', 'HttpOnly', 'SameSite=Lax', `Max-Age=${Math.floor(sessionMs / 1000)}`];
+    if (secure) attrs.push('Secure');
+    return attrs.join('; ');
+  }
+
+  function clearCookie() {
+    return `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0`;
+  }
+
+  return {
+    authenticate,
+    login,
+    revokeSessions,
+    createUser,
+    updateUser,
+    bootstrap,
+    sessionCookie,
+    clearCookie,
+    listUsers: () => storage.list('user')
+  };
+}
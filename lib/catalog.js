@@ -0,0 +1,292 @@
+// Prompt catalog: categories, terms, phrase templates and reference translations
+//
+// Stored as records in lib/storage.js:
+//   category  { kind: 'category', id: '<slug>', label, icon, target, active, createdAt, createdBy, updatedAt, updatedBy }
+//   term      { kind: 'term', id, category, term, ht, notes, target, active, ... }
+//             term is the English prompt term, ht its reference Haitian Creole translation
+//             target is how many recordings to collect (a category's target applies to
+//             its terms without one; see lib/prompts.js)
+//   template  { kind: 'template', id, category, text, ht, active, ... }
+//             text contains {TERM}; ht is an optional Creole version of the same frame
+//
+// Bulk import takes CSV or TSV with a header row (column names are case-insensitive):
+//   categories  id, label, icon, target
+//   terms       category, term (or en), ht (or translation), notes, target
+//   templates   category, text (or en), ht
+// Rows are matched to existing entries (categories by id, terms by category + term,
+// templates by category + text) and updated in place; everything else is created.
+//
+// ht values are stored normalized (Unicode NFC, plain apostrophes; lib/orthography.js).
+//
+// The first start seeds the medical and insurance lists the UI used to hardcode.
+
+import { randomUUID } from 'node:crypto';
+import { normalizeHt } from './orthography.js';
+
+export const CATALOG_KINDS = {
+  categories: 'category',
+  terms: 'term',
+  templates: 'template'
+};
+
+export const CATEGORY_ID_RE = /^[a-z0-9][a-z0-9_-]{0,39}$/;
+const TERM_PLACEHOLDER = '{TERM}';
+
+const SEED = {
+  categories: [
+    { id: 'medical', label: 'Medical Terms', icon: '🏥' },
+    { id: 'insurance', label: 'Insurance Terms', icon: '🛡️' }
+  ],
+  terms: {
+    medical: [
+      ['Hypertension', 'Tansyon wo'], ['Diabetes', 'Dyabèt'], ['Asthma', 'Azm'], ['Heart attack', 'Kriz kadyak'],
+      ['Prescription', 'Preskripsyon'], ['Dosage', 'Dòz'], ['Allergy', 'Alèji'], ['Appointment', 'Randevou'],
+      ['Emergency', 'Ijans'], ['Vaccination', 'Vaksinasyon']
+    ],
+    insurance: [
+      ['Premium', 'Prim'], ['Deductible', 'Franchiz'], ['Copay', 'Kopeman'], ['Claim', 'Reklamasyon'],
+      ['Coverage', 'Kouvèti'], ['Policy number', 'Nimewo polisi'], ['Effective date', 'Dat validite'],
+      ['Out-of-pocket maximum', 'Maksimòm depans pèsonèl'], ['Pre-authorization', 'Pre-otorizasyon'],
+      ['In-network provider', 'Founisè nan rezo a']
+    ]
+  },
+  templates: {
+    medical: [
+      ['I have a question about {TERM}.', 'Mwen gen yon kesyon sou {TERM}.'],
+      ['My doctor mentioned {TERM}. What does it mean?', 'Doktè mwen te pale de {TERM}. Kisa sa vle di?'],
+      ['Do I need an appointment for {TERM}?', 'Èske mwen bezwen yon randevou pou {TERM}?'],
+      ['What are the side effects of {TERM}?', 'Ki efè segondè {TERM} genyen?'],
+      ['How should I manage {TERM}?', 'Kijan pou m jere {TERM}?']
+    ],
+    insurance: [
+      ['I want to understand my {TERM}.', 'Mwen vle konprann {TERM} mwen.'],
+      ['How does my {TERM} affect the price?', 'Kijan {TERM} mwen afekte pri a?'],
+      ['Can you explain {TERM} on my plan?', 'Èske ou ka eksplike m {TERM} nan plan mwen an?'],
+      ['Do I need {TERM} for this visit?', 'Èske mwen bezwen {TERM} pou vizit sa a?'],
+      ['What is my {TERM} amount?', 'Konbyen {TERM} mwen ye?']
+    ]
+  }
+};
+
+function sameText(a, b) {
+  return String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+}
+
+function optionalText(fields, name, value) {
+  if (fields[name] === undefined) return null;
+  if (fields[name] !== null && typeof fields[name] !== 'string') return `${name} must be a string`;
+  value[name] = fields[name] === null ? null : fields[name].trim() || null;
+  return null;
+}
+
+function optionalTarget(fields, value) {
+  if (fields.target === undefined) return null;
+  if (fields.target === null || fields.target === '') {
+    value.target = null;
+    return null;
+  }
+  const n = Number(fields.target);
+  if (!Number.isInteger(n) || n < 1) return 'target must be a positive integer';
+  value.target = n;
+  return null;
+}
+
+// Returns { value } or { error } for a create (all required fields) or an update
+export function checkCatalogFields(type, fields, { creating, categoryExists }) {
+  const value = {};
+  const required = (name, label = name) => {
+    if (!creating && fields[name] === undefined) return null;
+    if (typeof fields[name] !== 'string' || !fields[name].trim()) return `${label} must be a non-empty string`;
+    value[name] = fields[name].trim();
+    return null;
+  };
+
+  let error = null;
+  if (type === 'category') {
+    if (creating) {
+      const id = String(fields.id || '').trim().toLowerCase();
+      if (!CATEGORY_ID_RE.test(id)) return { error: 'id must be 1-40 characters: lowercase letters, digits, "_" or "-"' };
+      value.id = id;
+    }
+    error = required('label') || optionalText(fields, 'icon', value) || optionalTarget(fields, value);
+  } else {
+    if (creating || fields.category !== undefined) {
+      const category = String(fields.category || '').trim().toLowerCase();
+      if (!categoryExists(category)) return { error: `Unknown category: ${category || '(empty)'}` };
+      value.category = category;
+    }
+    if (type === 'term') {
+      error = required('term') || optionalText(fields, 'ht', value) || optionalText(fields, 'notes', value)
+        || optionalTarget(fields, value);
+    } else {
+      error = required('text') || optionalText(fields, 'ht', value);
+      if (!error && value.text !== undefined && !value.text.includes(TERM_PLACEHOLDER)) error = `text must contain ${TERM_PLACEHOLDER}`;
+      if (!error && value.ht && !value.ht.includes(TERM_PLACEHOLDER)) error = `ht must contain ${TERM_PLACEHOLDER}`;
+    }
+  }
+  if (error) return { error };
+  if (value.ht) value.ht = normalizeHt(value.ht);
+  if (fields.active !== undefined) value.active = !!fields.active;
+  return { value };
+}
+
+// The existing entry a new one would duplicate, if any
+export function findDuplicate(storage, type, value, exceptId = null) {
+  const records = storage.list(type).filter(r => r.id !== exceptId);
+  if (type === 'category') return records.find(r => r.id === value.id) || null;
+  if (type === 'term') return records.find(r => r.category === value.category && sameText(r.term, value.term)) || null;
+  return records.find(r => r.category === value.category && sameText(r.text, value.text)) || null;
+}
+
+const DEFAULT_FIELDS = {
+  category: { label: null, icon: null, target: null },
+  term: { category: null, term: null, ht: null, notes: null, target: null },
+  template: { category: null, text: null, ht: null }
+};
+
+export function newCatalogRecord(type, value, by) {
+  return {
+    kind: type,
+    id: type === 'category' ? value.id : randomUUID(),
+    ...DEFAULT_FIELDS[type],
+    ...value,
+    active: value.active === undefined ? true : value.active,
+    createdAt: new Date().toISOString(),
+    createdBy: by || null
+  };
+}
+
+// Create the built-in categories, terms and templates when the catalog is empty
+export function seedCatalog(storage) {
+  if (storage.list('category').length) return null;
+  const counts = { categories: 0, terms: 0, templates: 0 };
+  for (const category of SEED.categories) {
+    storage.put('category', newCatalogRecord('category', category, 'seed'));
+    counts.categories++;
+  }
+  for (const [category, terms] of Object.entries(SEED.terms)) {
+    for (const [term, ht] of terms) {
+      storage.put('term', newCatalogRecord('term', { category, term, ht }, 'seed'));
+      counts.terms++;
+    }
+  }
+  for (const [category, templates] of Object.entries(SEED.templates)) {
+    for (const [text, ht] of templates) {
+      storage.put('template', newCatalogRecord('template', { category, text, ht }, 'seed'));
+      counts.templates++;
+    }
+  }
+  return counts;
+}
+
+// Active entries grouped the way the UI consumes them
+export function catalogSnapshot(storage, { category, includeInactive = false } = {}) {
+  const keep = r => (includeInactive || r.active !== false) && (!category || r.category === category || r.id === category);
+  const byLabel = (a, b) => String(a.label || a.term || a.text).localeCompare(String(b.label || b.term || b.text));
+  const categories = storage.list('category').filter(keep).sort(byLabel);
+  const live = new Set(categories.map(c => c.id));
+  return {
+    categories,
+    terms: storage.list('term').filter(r => keep(r) && (includeInactive || live.has(r.category))).sort(byLabel),
+    templates: storage.list('template').filter(r => keep(r) && (includeInactive || live.has(r.category))).sort(byLabel)
+  };
+}
+
+// ---------- CSV / TSV ----------
+
+// RFC 4180 style: quoted fields may contain the delimiter, doubled quotes and newlines.
+// Returns rows as arrays of strings, with the 1-based line each row starts on.
+export function parseDelimited(text, delimiter) {
+  const rows = [];
+  let row = [], field = '', quoted = false, line = 1, rowLine = 1;
+  const src = String(text).replace(/^\uFEFF/, '');
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else {
+        if (ch === '\n') line++;
+        field += ch;
+      }
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field); field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      if (row.some(f => f.trim() !== '')) rows.push({ line: rowLine, cells: row });
+      row = [];
+      line++;
+      rowLine = line;
+    } else {
+      field += ch;
+    }
+  }
+  row.push(field);
+  if (row.some(f => f.trim() !== '')) rows.push({ line: rowLine, cells: row });
+  return rows;
+}
+
+const COLUMN_ALIASES = {
+  category: { id: 'id', slug: 'id', label: 'label', name: 'label', icon: 'icon', target: 'target' },
+  term: {
+    category: 'category', term: 'term', en: 'term', english: 'term', ht: 'ht', translation: 'ht', creole: 'ht',
+    notes: 'notes', note: 'notes', target: 'target'
+  },
+  template: { category: 'category', text: 'text', template: 'text', en: 'text', ht: 'ht', translation: 'ht', creole: 'ht' }
+};
+
+// Returns { rows: [{ line, fields }] } or { error }
+export function parseImport(text, type, { format } = {}) {
+  const firstLine = String(text).split(/\r?\n/, 1)[0] || '';
+  const delimiter = format === 'tsv' ? '\t' : format === 'csv' ? ',' : firstLine.includes('\t') ? '\t' : ',';
+  const parsed = parseDelimited(text, delimiter);
+  if (!parsed.length) return { error: 'Import file is empty' };
+
+  const aliases = COLUMN_ALIASES[type];
+  const header = parsed[0].cells.map(h => aliases[h.trim().toLowerCase()] || null);
+  if (!header.some(Boolean)) {
+    return { error: `Header row must name the columns: ${[...new Set(Object.values(aliases))].join(', ')}` };
+  }
+  const rows = parsed.slice(1).map(({ line, cells }) => {
+    const fields = {};
+    header.forEach((name, i) => {
+      if (name && cells[i] !== undefined && cells[i].trim() !== '') fields[name] = cells[i];
+    });
+    return { line, fields };
+  });
+  return { rows };
+}
+
+// Upsert parsed rows. Returns { created, updated, unchanged, errors: [{ line, error }] }
+export function importCatalog(storage, type, rows, by) {
+  const result = { created: 0, updated: 0, unchanged: 0, errors: [] };
+  const categoryExists = id => !!storage.get('category', id);
+  for (const { line, fields } of rows) {
+    const { value, error } = checkCatalogFields(type, fields, { creating: true, categoryExists });
+    if (error) {
+      result.errors.push({ line, error });
+      continue;
+    }
+    const existing = findDuplicate(storage, type, value);
+    if (!existing) {
+      storage.put(type, newCatalogRecord(type, value, by));
+      result.created++;
+      continue;
+    }
+    // Only columns present in the file overwrite existing values
+    const changes = {};
+    for (const [k, v] of Object.entries(value)) {
+      if (k !== 'id' && k in fields && existing[k] !== v) changes[k] = v;
+    }
+    if (!Object.keys(changes).length) {
+      result.unchanged++;
+      continue;
+    }
+    storage.put(type, { ...existing, ...changes, updatedAt: new Date().toISOString(), updatedBy: by || null });
+    result.updated++;
+  }
+  return result;
+}
@@ -0,0 +1,255 @@
+// Packaged dataset archive for GET /api/export/archive
+//
+// One tar (optionally gzipped) with everything needed to train, laid out under a single
+// root folder <DATASET_NAME>-<YYYYMMDD>/:
+//   README.md                       dataset card: splits, hours, speakers, categories,
+//                                   review status, license and consent summary
+//   audio/<en|ht>/<file>            16 kHz mono WAV (variant=normalized, falling back to the
+//                                   original upload until transcoding is done) or originals
+//   manifests/<split>/en.jsonl      NeMo / ESPnet style lines as in lib/manifests.js, plus
+//   manifests/<split>/ht.jsonl      speaker and split; audio_filepath is relative to the root
+//   manifests/<split>/pairs.jsonl   one line per pair for speech translation:
+//                                   { sample_id, split, category, term, speaker,
+//                                     en_audio_filepath, en_duration, en_text, ht_... }
+//   SHA256SUMS                      `sha256sum -c SHA256SUMS` from the root folder
+// The README front matter declares the pair manifests as splits, so Hugging Face
+// `datasets` loads the folder as is; NeMo and ESPnet read the per-language manifests.
+//
+// Speakers are pseudonymous (spk_ + hash of the account ID); usernames never leave the
+// server. Pairs without recorded consent or with audio missing on disk are left out and
+// counted in the card. The server passes only approved pairs unless asked for another
+// review status; the card says which.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { createHash } from 'node:crypto';
+import { manifestEntries, MANIFEST_LANGS } from './manifests.js';
+import { SPLITS } from './splits.js';
+import { REVIEW_STATUSES, reviewOf } from './review.js';
+
+export const ARCHIVE_FORMATS = ['tar', 'tar.gz'];
+export const ARCHIVE_VARIANTS = ['normalized', 'original'];
+
+function round(n, digits = 2) {
+  const f = 10 ** digits;
+  return Math.round(n * f) / f;
+}
+
+function speakerId(key) {
+  return `spk_${createHash('sha256').update(String(key)).digest('hex').slice(0, 10)}`;
+}
+
+// Which pairs and files go in: { items: [{ pair, split, speaker, sides: { en, ht } }], skipped }
+// where each side is { entry, absPath, fallback } and skipped is [{ sampleId, reason }]
+export function planDataset({ storage, pairs, splitOf, variant = 'normalized' }) {
+  const userIds = new Map(storage.list('user').map(u => [u.username, u.id]));
+  const items = [];
+  const skipped = [];
+
+  for (const pair of pairs) {
+    const split = splitOf.get(pair.sampleId);
+    if (!split) continue;
+    if (pair.consent !== true) {
+      skipped.push({ sampleId: pair.sampleId, reason: 'no_consent' });
+      continue;
+    }
+    const sides = {};
+    for (const entry of manifestEntries(storage, pair, { variant })) {
+      const absPath = storage.blobPath(entry.lang, path.posix.basename(entry.audio_filepath));
+      if (!fs.existsSync(absPath)) continue;
+      const meta = storage.get('audio', entry.audio_id);
+      const fallback = variant === 'normalized' && !(meta.normalized && meta.normalized.status === 'done');
+      sides[entry.lang] = { entry, absPath, fallback };
+    }
+    if (MANIFEST_LANGS.some(lang => !sides[lang])) {
+      skipped.push({ sampleId: pair.sampleId, reason: 'audio_missing' });
+      continue;
+    }
+    const speaker = speakerId(pair.annotatorId || userIds.get(pair.annotator) || pair.annotator || 'anonymous');
+    items.push({ pair, split, speaker, sides });
+  }
+  return { items, skipped };
+}
+
+function table(head, rows) {
+  return [
+    `| ${head.join(' | ')} |`,
+    `|${head.map(() => '---').join('|')}|`,
+    ...rows.map(r => `| ${r.join(' | ')} |`)
+  ].join('\n');
+}
+
+// The tombstones of pairs this archive would otherwise hold: the same category, review status
+// and since filters as its pairs. Tombstones from before deletions recorded the category and
+// review status cannot be told apart and always count.
+export function matchingTombstones(tombstones, { category = null, status = 'approved', since = null } = {}) {
+  return tombstones.filter(t =>
+    (!category || t.category === undefined || t.category === category) &&
+    (!status || t.reviewStatus === undefined || t.reviewStatus === status) &&
+    (!since || !t.pairCreatedAt || new Date(t.pairCreatedAt) >= new Date(since)));
+}
+
+// { reason: count } for tombstones, so the card can say what was withdrawn or deleted
+function tombstoneCounts(tombstones) {
+  const counts = {};
+  for (const t of tombstones) counts[t.reason || 'unspecified'] = (counts[t.reason || 'unspecified'] || 0) + 1;
+  return counts;
+}
+
+export function datasetCard({ name, license, generatedAt, variant, plan, split, status = 'approved', tombstones = [] }) {
+  const present = SPLITS.filter(s => plan.items.some(i => i.split === s));
+  const perSplit = Object.fromEntries(SPLITS.map(s => [s, { pairs: 0, speakers: new Set(), en: 0, ht: 0 }]));
+  const categories = new Map();
+  const statuses = Object.fromEntries(REVIEW_STATUSES.map(s => [s, 0]));
+  let fallbacks = 0;
+  for (const item of plan.items) {
+    const entry = perSplit[item.split];
+    entry.pairs++;
+    entry.speakers.add(item.speaker);
+    for (const lang of MANIFEST_LANGS) {
+      entry[lang] += item.sides[lang].entry.duration || 0;
+      if (item.sides[lang].fallback) fallbacks++;
+    }
+    const c = item.pair.category || 'uncategorized';
+    if (!categories.has(c)) categories.set(c, Object.fromEntries(SPLITS.map(s => [s, 0])));
+    categories.get(c)[item.split]++;
+    statuses[reviewOf(item.pair).status]++;
+  }
+  const speakers = new Set(plan.items.map(i => i.speaker));
+  const skipped = plan.skipped.reduce((acc, s) => ({ ...acc, [s.reason]: (acc[s.reason] || 0) + 1 }), {});
+  const removed = tombstoneCounts(tombstones);
+  const purged = tombstones.filter(t => t.mode === 'purge').length;
+  const flagged = tombstones.length - purged;
+  const pct = r => `${Math.round(r * 100)}`;
+
+  const frontMatter = [
+    '---',
+    `pretty_name: ${name}`,
+    'language:',
+    '- en',
+    '- ht',
+    `license: ${license}`,
+    'task_categories:',
+    '- automatic-speech-recognition',
+    '- translation',
+    'configs:',
+    '- config_name: default',
+    '  data_files:',
+    ...present.flatMap(s => [`  - split: ${s}`, `    path: manifests/${s}/pairs.jsonl`]),
+    '---'
+  ];
+
+  const audioNote = variant === 'normalized'
+    ? `16 kHz mono 16-bit PCM WAV${fallbacks ? ` (${fallbacks} clips were not transcoded yet and are the original uploads)` : ''}`
+    : 'original uploads as recorded (WebM/Opus, Ogg, WAV or MP3)';
+
+  const leftOut = [
+    split.excluded.length && `${split.excluded.length} pairs that would put a speaker${split.groupBy.includes('term') ? ' or term' : ''} in two splits`,
+    skipped.no_consent && `${skipped.no_consent} pairs without recorded consent`,
+    skipped.audio_missing && `${skipped.audio_missing} pairs with audio missing on the server`,
+    removed.consent_withdrawn && `${removed.consent_withdrawn} pairs whose contributors withdrew consent`,
+    Object.entries(removed).filter(([r]) => r !== 'consent_withdrawn').reduce((n, [, c]) => n + c, 0) &&
+      `${Object.entries(removed).filter(([r]) => r !== 'consent_withdrawn').reduce((n, [, c]) => n + c, 0)} deleted pairs`
+  ].filter(Boolean);
+
+  return [
+    ...frontMatter,
+    '',
+    `# ${name}`,
+    '',
+    `English and Haitian Creole (Kreyòl) speech pairs: each pair is an English prompt and its Creole translation, both spoken and transcribed. Generated ${generatedAt}.`,
+    '',
+    '## Layout',
+    '',
+    '- `audio/en/`, `audio/ht/`: ' + audioNote,
+    '- `manifests/<split>/en.jsonl`, `manifests/<split>/ht.jsonl`: one recording per line (`audio_filepath`, `duration`, `text`, `lang`, `speaker`, ...), for ASR toolkits such as NeMo and ESPnet',
+    '- `manifests/<split>/pairs.jsonl`: one pair per line (`en_audio_filepath`, `en_text`, `ht_audio_filepath`, `ht_text`, ...), for speech translation',
+    '- `SHA256SUMS`: run `sha256sum -c SHA256SUMS` in this folder to verify the download',
+    '',
+    'Paths in the manifests are relative to this folder.',
+    '',
+    '## Splits',
+    '',
+    table(['Split', 'Pairs', 'Speakers', 'EN hours', 'HT hours'], SPLITS.map(s => [
+      s, perSplit[s].pairs, perSplit[s].speakers.size, round(perSplit[s].en / 3600, 3), round(perSplit[s].ht / 3600, 3)
+    ])),
+    '',
+    `Split \`${split.name}\` (seed \`${split.seed}\`, target ${SPLITS.map(s => pct(split.ratios[s])).join('/')} train/dev/test, grouped by ${split.groupBy.join(' and ')}): ` +
+      `no ${split.groupBy.join(' or ')} appears in more than one split, and each split is stratified by category. ` +
+      (split.unrecorded
+        ? `Assignments are recorded on the server, so later exports keep recorded pairs in the same split; ${split.unrecorded} pairs were placed for this export only and may move until the split is recorded again.`
+        : 'Assignments are recorded on the server, so later exports keep every pair in the same split.'),
+    '',
+    '## Categories',
+    '',
+    table(['Category', ...SPLITS], [...categories].map(([c, counts]) => [c, ...SPLITS.map(s => counts[s])])),
+    '',
+    '## Review status',
+    '',
+    status === 'approved'
+      ? 'Only pairs a reviewer approved are included; pending, rejected and needs-fix pairs are left out.'
+      : `Only pairs with review status \`${status}\` are included: these have not been approved by a reviewer.`,
+    '',
+    table(['Status', 'Pairs'], REVIEW_STATUSES.map(s => [s, statuses[s]])),
+    '',
+    `${plan.items.length} pairs, ${speakers.size} speakers in total.`,
+    '',
+    '## License and consent',
+    '',
+    `License: ${license === 'unknown' ? 'not specified (set DATASET_LICENSE on the server)' : license}.`,
+    '',
+    'Every pair was recorded by a signed-in contributor who gave consent for their recordings to be used as training data when linking the pair. ' +
+      'Speakers are identified only by pseudonymous IDs. Contributors can withdraw consent at any time; withdrawn and deleted pairs are left out of every later export, so please use the latest export. ' +
+      (tombstones.length
+        ? `Of those so far: ${[
+          purged && `${purged} purged (text and audio erased from the server)`,
+          flagged && `${flagged} soft-deleted (kept on the server, flagged, until purged)`
+        ].filter(Boolean).join(' and ')}.`
+        : 'Purged pairs are erased from the server; soft-deleted ones stay on it, flagged, until purged.'),
+    '',
+    leftOut.length ? `Left out of this export: ${leftOut.join('; ')}.` : 'Nothing was left out of this export.',
+    ''
+  ].join('\n');
+}
+
+// Stream the planned dataset into `tar` (lib/tar.js); the caller finishes the archive
+export async function writeDataset(tar, { root, plan, card }) {
+  const at = name => path.posix.join(root, name);
+  await tar.addBuffer(at('README.md'), card);
+
+  for (const split of SPLITS) {
+    const items = plan.items.filter(i => i.split === split);
+    if (!items.length) continue;
+    for (const lang of MANIFEST_LANGS) {
+      const lines = items.map(i => JSON.stringify({ ...i.sides[lang].entry, speaker: i.speaker, split }));
+      await tar.addBuffer(at(`manifests/${split}/${lang}.jsonl`), lines.join('\n') + '\n');
+    }
+    const pairLines = items.map(({ pair, speaker, sides }) => JSON.stringify({
+      sample_id: pair.sampleId,
+      split,
+      category: pair.category,
+      term: pair.term,
+      speaker,
+      ...Object.fromEntries(MANIFEST_LANGS.flatMap(lang => [
+        [`${lang}_audio_filepath`, sides[lang].entry.audio_filepath],
+        [`${lang}_duration`, sides[lang].entry.duration],
+        [`${lang}_text`, sides[lang].entry.text]
+      ]))
+    }));
+    await tar.addBuffer(at(`manifests/${split}/pairs.jsonl`), pairLines.join('\n') + '\n');
+  }
+
+  // A clip shared by two pairs is stored once
+  const written = new Set();
+  for (const item of plan.items) {
+    for (const lang of MANIFEST_LANGS) {
+      const { entry, absPath } = item.sides[lang];
+      if (written.has(entry.audio_filepath)) continue;
+      written.add(entry.audio_filepath);
+      await tar.addFile(at(entry.audio_filepath), absPath);
+    }
+  }
+
+  const sums = tar.entries().map(e => `${e.sha256}  ${path.posix.relative(root, e.name)}`);
+  await tar.addBuffer(at('SHA256SUMS'), sums.join('\n') + '\n');
+}
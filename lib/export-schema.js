@@ -0,0 +1,225 @@
+// Versioned export schema shared by server.js (/api/export/raw, /api/export/data) and
+// netlify/functions/export.js
+//
+// Stored pairs reference audio by `audioRef` and keep review state, revisions and claims;
+// exports flatten that into one record shape:
+//   { schemaVersion, sampleId, createdAt, updatedAt, category, term, termId, templateId,
+//     annotator, consent, reviewStatus, split,
+//     en: { text, audioId, [audioFile, normalizedFile, normalizedStatus, duration, codec,
+//           contentType, bytes] },
+//     ht: { ...same, origin } }
+// The bracketed audio fields are only filled with includeAudio; `duration` is in seconds.
+// toExportRecord() builds records from stored pairs; serializeExport() writes JSON, JSONL
+// and CSV from those records, so every format carries the same fields. TMX, XLIFF and
+// aligned line files (moses) for MT tooling are written by lib/parallel-text.js from the
+// same records and carry the text with category, term, annotator, review status and split.
+// EXPORT_JSON_SCHEMA (served at /api/export/schema) describes one record.
+//
+// EXPORT_SCHEMA_VERSION follows semver: new optional fields bump the minor version,
+// renamed or removed fields the major one.
+
+import { REVIEW_STATUSES, reviewOf } from './review.js';
+import { SPLITS } from './splits.js';
+import { toTMX, toXLIFF, toMosesTar } from './parallel-text.js';
+
+export const EXPORT_SCHEMA_VERSION = '1.0.0';
+export const EXPORT_FORMATS = ['json', 'jsonl', 'csv', 'tmx', 'xliff', 'moses'];
+export const EXPORT_LANGS = ['en', 'ht'];
+export const HT_ORIGIN_VALUES = ['human', 'machine', 'machine-edited'];
+
+const nullable = type => ({ type: [type, 'null'] });
+
+const sideSchema = lang => ({
+  type: 'object',
+  required: ['text', 'audioId'],
+  properties: {
+    text: { type: 'string' },
+    audioId: nullable('string'),
+    audioFile: nullable('string'),
+    normalizedFile: nullable('string'),
+    normalizedStatus: { enum: ['pending', 'done', 'failed', null] },
+    duration: { type: ['number', 'null'], minimum: 0 },
+    codec: nullable('string'),
+    contentType: nullable('string'),
+    bytes: { type: ['integer', 'null'], minimum: 0 },
+    ...(lang === 'ht' ? { origin: { enum: [...HT_ORIGIN_VALUES, null] } } : {})
+  },
+  additionalProperties: false
+});
+
+export const EXPORT_JSON_SCHEMA = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  $id: `urn:translator-voice-en-ht:export-record:${EXPORT_SCHEMA_VERSION}`,
+  title: 'EN-HT export record',
+  description: 'One English / Haitian Creole pair as exported by /api/export/raw and /api/export/data',
+  type: 'object',
+  required: ['schemaVersion', 'sampleId', 'createdAt', 'category', 'term', 'annotator', 'reviewStatus', 'split', 'en', 'ht'],
+  properties: {
+    schemaVersion: { const: EXPORT_SCHEMA_VERSION },
+    sampleId: { type: 'string' },
+    createdAt: { type: 'string', format: 'date-time' },
+    updatedAt: { type: ['string', 'null'], format: 'date-time' },
+    category: { type: 'string' },
+    term: { type: 'string' },
+    termId: nullable('string'),
+    templateId: nullable('string'),
+    annotator: nullable('string'),
+    consent: { type: 'boolean' },
+    reviewStatus: { enum: REVIEW_STATUSES },
+    split: { enum: [...SPLITS, null] },
+    en: sideSchema('en'),
+    ht: sideSchema('ht')
+  },
+  additionalProperties: false
+};
+
+// One exported side of a pair; `audio` is the audio metadata record when includeAudio is on
+function exportSide(side = {}, audio, lang) {
+  const out = { text: side.text || '', audioId: side.audioRef || null };
+  if (audio) {
+    const normalized = audio.normalized || {};
+    Object.assign(out, {
+      audioFile: audio.audioFile || null,
+      normalizedFile: normalized.status === 'done' ? normalized.file : null,
+      normalizedStatus: normalized.status || null,
+      duration: audio.duration_s ?? normalized.duration_s ?? null,
+      codec: audio.codec || null,
+      contentType: audio.contentType || null,
+      bytes: audio.bytes ?? null
+    });
+  }
+  if (lang === 'ht') out.origin = side.origin || null;
+  return out;
+}
+
+// Export record for a stored pair. audioOf(id) returns audio metadata (or null) and is
+// only called when includeAudio is set.
+export function toExportRecord(pair, { includeAudio = false, audioOf = () => null, split = null } = {}) {
+  const revisions = pair.revisions || [];
+  const sides = Object.fromEntries(EXPORT_LANGS.map(lang => {
+    const side = pair[lang] || {};
+    return [lang, exportSide(side, includeAudio && side.audioRef ? audioOf(side.audioRef) : null, lang)];
+  }));
+  return {
+    schemaVersion: EXPORT_SCHEMA_VERSION,
+    sampleId: pair.sampleId,
+    createdAt: pair.createdAt,
+    updatedAt: revisions.length ? revisions[revisions.length - 1].at : (pair.revisedAt || null),
+    category: pair.category,
+    term: pair.term,
+    termId: pair.termId || null,
+    templateId: pair.templateId || null,
+    annotator: pair.annotator || null,
+    consent: pair.consent === true,
+    reviewStatus: reviewOf(pair).status,
+    split,
+    ...sides
+  };
+}
+
+// CSV columns: the original flat layout first, newer fields appended so positional readers keep working
+const CSV_COLUMNS = [
+  ['sampleId', r => r.sampleId],
+  ['createdAt', r => r.createdAt],
+  ['term', r => r.term],
+  ['category', r => r.category],
+  ['annotator', r => r.annotator],
+  ...EXPORT_LANGS.flatMap(lang => [
+    [`${lang}_text`, r => r[lang].text],
+    [`${lang}_audioId`, r => r[lang].audioId],
+    [`${lang}_audioFile`, r => r[lang].audioFile],
+    [`${lang}_duration`, r => r[lang].duration]
+  ]),
+  ['split', r => r.split],
+  ['reviewStatus', r => r.reviewStatus],
+  ['updatedAt', r => r.updatedAt],
+  ['termId', r => r.termId],
+  ['templateId', r => r.templateId],
+  ['consent', r => r.consent],
+  ['en_normalizedFile', r => r.en.normalizedFile],
+  ['ht_normalizedFile', r => r.ht.normalizedFile],
+  ['ht_origin', r => r.ht.origin],
+  ['schemaVersion', r => r.schemaVersion]
+];
+
+function escapeCSV(value) {
+  if (value === null || value === undefined) return '';
+  const field = String(value);
+  return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+}
+
+function csvRow(record) {
+  return CSV_COLUMNS.map(([, get]) => escapeCSV(get(record))).join(',') + '\n';
+}
+
+export function toCSV(records) {
+  return [...exportChunks(records, 'csv')].join('');
+}
+
+const FORMAT_TYPES = {
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  jsonl: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'jsonl' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  tmx: { contentType: 'application/x-tmx+xml; charset=utf-8', extension: 'tmx' },
+  xliff: { contentType: 'application/xliff+xml; charset=utf-8', extension: 'xlf' },
+  moses: { contentType: 'application/x-tar', extension: 'tar' }
+};
+
+// Formats that are written record by record (exportChunks) and can be streamed
+export const STREAMED_FORMATS = ['json', 'jsonl', 'csv'];
+
+// { contentType, extension } of one of EXPORT_FORMATS
+export function exportContentType(format) {
+  if (!FORMAT_TYPES[format]) throw new Error(`Unknown export format: ${format}`);
+  return FORMAT_TYPES[format];
+}
+
+// The text of a json | jsonl | csv export, one record per chunk (plus header and trailer),
+// from any iterable of records. JSON writes `metadata` before the data, so the caller
+// passes metadata.totalPairs up front.
+export function* exportChunks(records, format, metadata = {}) {
+  switch (format) {
+    case 'csv':
+      yield CSV_COLUMNS.map(([name]) => name).join(',') + '\n';
+      for (const record of records) yield csvRow(record);
+      return;
+    case 'jsonl':
+      for (const record of records) yield JSON.stringify(record) + '\n';
+      return;
+    case 'json': {
+      const { totalPairs = null, ...rest } = metadata;
+      yield `{"metadata":${JSON.stringify({ ...rest, schemaVersion: EXPORT_SCHEMA_VERSION, totalPairs })},"data":[`;
+      let first = true;
+      for (const record of records) {
+        yield (first ? '' : ',') + JSON.stringify(record);
+        first = false;
+      }
+      yield ']}';
+      return;
+    }
+    default:
+      throw new Error(`Format ${format} is not streamed`);
+  }
+}
+
+// { contentType, extension, body } for records in one of EXPORT_FORMATS.
+// JSON wraps the records with `metadata` (schemaVersion is always set there).
+// body is a string, except for moses where it is a tar Buffer.
+export function serializeExport(records, format = 'json', metadata = {}) {
+  const type = exportContentType(format);
+  switch (format) {
+    case 'tmx':
+      return { ...type, body: toTMX(records, { exportedAt: metadata.exportedAt, version: EXPORT_SCHEMA_VERSION }) };
+    case 'xliff':
+      return { ...type, body: toXLIFF(records) };
+    case 'moses':
+      return { ...type, body: toMosesTar(records) };
+    default:
+      return { ...type, body: [...exportChunks(records, format, { ...metadata, totalPairs: records.length })].join('') };
+  }
+}
+
+// "training-data-2026-10-19.csv"
+export function exportFileName(extension, date = new Date()) {
+  return `training-data-${date.toISOString().slice(0, 10)}.${extension}`;
+}
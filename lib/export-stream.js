@@ -0,0 +1,154 @@
+// Incremental, streamed exports for GET /api/export/raw and /api/export/data
+//
+// Nightly jobs pull only what changed since their last run:
+//   cursor=<token>   pairs created, edited or reviewed after the position the token marks
+//   limit=<n>        at most n pairs per request, oldest change first
+//   since=<ISO>      pairs created at or after a time
+// Every export returns the position it reached in X-Export-Cursor (and metadata.cursor for
+// JSON); passing it back as cursor= fetches the next batch. With limit, X-Export-More: true
+// means there are more pairs after the cursor. Without cursor or limit pairs stay newest first.
+// A pair's change time is the latest of its creation, last revision and last review
+// verdict; the cursor is that time plus the sampleId, so pairs changed in the same
+// millisecond are neither skipped nor sent twice. Deleted pairs and pairs that stop
+// matching the filters are not signalled: compare against a full export to reconcile.
+//
+// Conditional requests: the ETag is a hash of the metadata that shapes the export and of
+// each pair's sampleId, change time and split, so checking it never builds a record or reads
+// audio metadata (a clip that only finished transcoding keeps the ETag). Last-Modified is
+// the latest change among the pairs or the latest deletion. A matching If-None-Match (or,
+// without one, If-Modified-Since) gets 304 with no body.
+//
+// writeChunks() sends text in ~64 KB batches and waits for 'drain' whenever the client
+// falls behind, so a large export never sits in memory as one string.
+
+import { createHash } from 'node:crypto';
+import { reviewOf } from './review.js';
+import { drained } from './tar.js';
+
+const BATCH_BYTES = 64 * 1024;
+
+// ISO time of the latest change to a pair, stored or a view of one (lib/revisions.js viewAt)
+export function changedAt(pair) {
+  const revisions = pair.revisions || [];
+  const history = reviewOf(pair).history;
+  const times = [
+    pair.createdAt,
+    revisions.length ? revisions[revisions.length - 1].at : pair.revisedAt,
+    history.length ? history[history.length - 1].at : null
+  ].filter(Boolean);
+  return times.reduce((latest, at) => (new Date(at) > new Date(latest) ? at : latest));
+}
+
+function positionOf(pair) {
+  return { at: new Date(changedAt(pair)).getTime(), sampleId: pair.sampleId };
+}
+
+function compare(a, b) {
+  return a.at - b.at || (a.sampleId < b.sampleId ? -1 : a.sampleId > b.sampleId ? 1 : 0);
+}
+
+export function encodeCursor({ at, sampleId }) {
+  return Buffer.from(`${new Date(at).toISOString()}|${sampleId}`).toString('base64url');
+}
+
+// Position from a cursor token, or null when the token is not one of ours
+export function decodeCursor(token) {
+  const text = Buffer.from(String(token), 'base64url').toString('utf8');
+  const bar = text.indexOf('|');
+  if (bar < 0) return null;
+  const at = new Date(text.slice(0, bar)).getTime();
+  const sampleId = text.slice(bar + 1);
+  return Number.isFinite(at) && sampleId ? { at, sampleId } : null;
+}
+
+// cursor and limit from export query parameters: { value: { cursor, limit } } or { error }
+export function parseIncremental(params) {
+  let cursor = null;
+  if (params.get('cursor')) {
+    cursor = decodeCursor(params.get('cursor'));
+    if (!cursor) return { error: 'cursor must be a value returned in X-Export-Cursor by an earlier export' };
+  }
+  let limit = null;
+  if (params.get('limit') !== null) {
+    limit = Number(params.get('limit'));
+    if (!Number.isInteger(limit) || limit < 1) return { error: 'limit must be a positive integer' };
+  }
+  return { value: { cursor, limit } };
+}
+
+// The pairs after `cursor`, at most `limit` of them:
+// { pairs, cursor: token for the next request (null when nothing matched yet), more }
+export function pageExportPairs(pairs, { cursor = null, limit = null } = {}) {
+  let more = false;
+  if (cursor || limit) {
+    pairs = pairs
+      .map(pair => ({ pair, position: positionOf(pair) }))
+      .filter(({ position }) => !cursor || compare(position, cursor) > 0)
+      .sort((a, b) => compare(a.position, b.position))
+      .map(({ pair }) => pair);
+    if (limit && pairs.length > limit) {
+      more = true;
+      pairs = pairs.slice(0, limit);
+    }
+  }
+  let last = cursor;
+  for (const pair of pairs) {
+    const position = positionOf(pair);
+    if (!last || compare(position, last) > 0) last = position;
+  }
+  return { pairs, cursor: last ? encodeCursor(last) : null, more };
+}
+
+// Weak ETag over the export's shaping metadata and each pair's identity and change time
+// (pairs is any iterable; splitOf maps sampleId to the pair's split when the export has one)
+export function exportETag(format, metadata, pairs, splitOf = null) {
+  const hash = createHash('sha256').update(`${format}\n${JSON.stringify(metadata)}\n`);
+  for (const pair of pairs) {
+    hash.update(`${pair.sampleId}\t${changedAt(pair)}\t${(splitOf && splitOf.get(pair.sampleId)) || ''}\n`);
+  }
+  return `W/"${hash.digest('base64url').slice(0, 27)}"`;
+}
+
+// Milliseconds of the latest change among the pairs or the latest deletion, or null
+export function exportLastModified(pairs, tombstones = []) {
+  let latest = null;
+  const consider = at => {
+    const ms = new Date(at).getTime();
+    if (Number.isFinite(ms) && (latest === null || ms > latest)) latest = ms;
+  };
+  for (const pair of pairs) consider(changedAt(pair));
+  for (const tombstone of tombstones) if (tombstone.at) consider(tombstone.at);
+  return latest;
+}
+
+// Whether the request's validators still match: answer 304
+export function notModified(headers, { etag, lastModified }) {
+  const ifNoneMatch = headers['if-none-match'];
+  if (ifNoneMatch) {
+    const bare = tag => tag.trim().replace(/^W\//, '');
+    return ifNoneMatch.split(',').some(tag => tag.trim() === '*' || bare(tag) === bare(etag));
+  }
+  const ifModifiedSince = Date.parse(headers['if-modified-since'] || '');
+  // HTTP dates have whole seconds
+  return lastModified !== null && Number.isFinite(ifModifiedSince) && Math.floor(lastModified / 1000) * 1000 <= ifModifiedSince;
+}
+
+// Write text chunks to `output` in batches, honouring backpressure. Resolves with the
+// byte count; rejects once the output is closed (client went away). Does not end `output`.
+export async function writeChunks(output, chunks) {
+  let batch = '';
+  let bytes = 0;
+  const flush = async () => {
+    if (output.destroyed || output.writableEnded) throw new Error('Output closed');
+    bytes += Buffer.byteLength(batch);
+    const ok = output.write(batch);
+    batch = '';
+    if (!ok) await drained(output);
+  };
+  for (const chunk of chunks) {
+    batch += chunk;
+    if (batch.length >= BATCH_BYTES) await flush();
+  }
+  if (batch) await flush();
+  return bytes;
+}
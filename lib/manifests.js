@@ -0,0 +1,106 @@
+// JSONL training manifests under data/manifests
+//
+//   manifests/lang/<en|ht>.jsonl          one line per recording in that language
+//   manifests/category/<category>.jsonl   one line per recording, both languages
+//
+// Lines use the NeMo / ESPnet style most speech toolkits load directly:
+//   { audio_filepath, duration, text, lang, sample_id, audio_id, category, term }
+// audio_filepath is relative to data/ so the whole tree can be moved or mounted elsewhere.
+// Pairs and audio metadata are read through the record storage (lib/storage.js).
+// The 16 kHz WAV is referenced when transcoding has finished, the original upload otherwise
+// (or always the original with { variant: 'original' }).
+// Deleted or consent-withdrawn pairs are left out.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { audioLang } from './storage.js';
+
+export const MANIFEST_LANGS = ['en', 'ht'];
+
+function safeName(name) {
+  return String(name || 'uncategorized').toLowerCase().replace(/[^a-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '') || 'uncategorized';
+}
+
+// One manifest entry per language side of a pair; sides without audio are skipped
+export function manifestEntries(storage, pair, { variant = 'normalized' } = {}) {
+  const entries = [];
+  for (const lang of MANIFEST_LANGS) {
+    const side = pair[lang];
+    if (!side || !side.audioRef) continue;
+    const meta = storage.get('audio', side.audioRef);
+    if (!meta || audioLang(meta) !== lang) continue;
+    const normalized = variant === 'normalized' && meta.normalized && meta.normalized.status === 'done' ? meta.normalized : null;
+    entries.push({
+      audio_filepath: path.posix.join('audio', lang, normalized ? normalized.file : meta.audioFile),
+      duration: (normalized && normalized.duration_s) || meta.duration_s || null,
+      text: side.text || '',
+      lang,
+      sample_id: pair.sampleId,
+      audio_id: side.audioRef,
+      category: pair.category,
+      term: pair.term
+    });
+  }
+  return entries;
+}
+
+function manifestFiles(manifestsDir, entries) {
+  const files = new Map();
+  const add = (file, entry) => {
+    if (!files.has(file)) files.set(file, []);
+    files.get(file).push(JSON.stringify(entry));
+  };
+  for (const entry of entries) {
+    add(path.join(manifestsDir, 'lang', `${entry.lang}.jsonl`), entry);
+    add(path.join(manifestsDir, 'category', `${safeName(entry.category)}.jsonl`), entry);
+  }
+  return files;
+}
+
+// Each file gets a single O_APPEND write, so concurrent links never interleave lines
+export function appendPairToManifests(storage, manifestsDir, pair) {
+  const entries = manifestEntries(storage, pair);
+  for (const [file, lines] of manifestFiles(manifestsDir, entries)) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.appendFileSync(file, lines.join('\n') + '\n');
+  }
+  return entries.length;
+}
+
+// Regenerate every manifest from the stored pairs and audio. Files are written
+// next to their targets and renamed into place; manifests that no longer have
+// any entries are removed.
+export function rebuildManifests(storage, manifestsDir) {
+  const pairs = storage.list('pair').filter(pair => !pair.deleted);
+  pairs.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+  const entries = pairs.flatMap(pair => manifestEntries(storage, pair));
+  const files = manifestFiles(manifestsDir, entries);
+
+  for (const [file, lines] of files) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, lines.join('\n') + '\n');
+    fs.renameSync(tmp, file);
+  }
+
+  const removed = [];
+  for (const sub of ['lang', 'category']) {
+    const dir = path.join(manifestsDir, sub);
+    if (!fs.existsSync(dir)) continue;
+    for (const f of fs.readdirSync(dir)) {
+      const file = path.join(dir, f);
+      if (f.endsWith('.jsonl') && !files.has(file)) {
+        fs.rmSync(file);
+        removed.push(path.relative(path.dirname(manifestsDir), file));
+      }
+    }
+  }
+
+  return {
+    pairs: pairs.length,
+    entries: entries.length,
+    files: [...files.keys()].map(f => path.relative(path.dirname(manifestsDir), f)).sort(),
+    removed
+  };
+}
@@ -0,0 +1,148 @@
+// Haitian Creole (Kreyòl) orthography: normalization and spelling checks for HT text
+//
+// normalizeHt(text) only changes how text is encoded, never its spelling:
+//   Unicode NFC (a decomposed "e" + combining grave becomes "è"), typographic apostrophes
+//   and quotes to ASCII, no-break / zero-width spaces removed or made plain, runs of
+//   whitespace collapsed, trimmed.
+//
+// checkHt(text) flags what falls outside the official alphabet (IPN 1979):
+//   a b ch d e è f g h i j k l m n ng o ò ou p r s t ui v w y z  (+ à in a few words)
+//   - characters that do not exist in it (é, ê, ô, š, í, ç, ...)
+//   - c, q, u and x, which only appear inside ch / ou / ui
+//   - French-style spellings (qu, ph, eau, tion, oi, gn, ...) and common French words
+// and suggests a correction for each word. Suggestions are never applied automatically:
+// a reviewer decides, the pair keeps the flags until the text is fixed.
+//
+// Pairs store the normalized text as ht.text, what was typed as ht.raw, and the check
+// result as ht.orthography = { issues: [{ word, index, suggestion, reasons }], suggestion }.
+
+const ALLOWED_LETTERS = /^[a-zàèò]$/;
+const ALLOWED_SYMBOLS = /^[\s\d.,;:!?'"()\[\]\-–—/%$&…«»+*=#@]$/u;
+
+// Characters outside the alphabet and their usual Kreyòl spelling
+const CHARACTER_FIXES = {
+  é: 'e', ê: 'è', ë: 'e', ē: 'e',
+  á: 'a', â: 'a', ä: 'a', ã: 'an',
+  í: 'i', î: 'i', ï: 'i', ì: 'i',
+  ó: 'o', ô: 'o', ö: 'o', õ: 'on',
+  ú: 'i', û: 'i', ü: 'i', ù: 'ou',
+  ç: 's', š: 'ch', ž: 'j', ñ: 'ny', ÿ: 'y', œ: 'e', æ: 'e'
+};
+
+// French spellings of everyday words
+const WORD_FIXES = {
+  oui: 'wi', merci: 'mèsi', bonjour: 'bonjou', bonsoir: 'bonswa', docteur: 'doktè',
+  assurance: 'asirans', 'rendez-vous': 'randevou', prescription: 'preskripsyon', allergie: 'alèji',
+  maladie: 'maladi', question: 'kesyon', avec: 'avèk', pour: 'pou', que: 'ke', qui: 'ki',
+  quoi: 'kisa', pourquoi: 'poukisa', comment: 'kòman', beaucoup: 'anpil',
+  hôpital: 'lopital', hopital: 'lopital', médicament: 'medikaman', medicament: 'medikaman',
+  pharmacie: 'famasi', urgence: 'ijans', vaccin: 'vaksen', santé: 'sante', franchise: 'franchiz',
+  "c'est": 'se', "qu'est-ce": 'kisa', "aujourd'hui": 'jodi a'
+};
+
+// Letter patterns Kreyòl does not use, applied in order to a lowercased word
+const PATTERN_FIXES = [
+  [/eau/g, 'o', 'eau'],
+  [/au/g, 'o', 'au'],
+  [/ph/g, 'f', 'ph'],
+  [/th/g, 't', 'th'],
+  [/tion\b/g, 'syon', 'tion'],
+  [/qu/g, 'k', 'qu'],
+  [/q/g, 'k', 'q'],
+  [/c(?=[eiy])/g, 's', 'c'],
+  [/c(?!h)/g, 'k', 'c'],
+  [/x/g, 'ks', 'x'],
+  [/oi/g, 'wa', 'oi'],
+  [/gn/g, 'ny', 'gn'],
+  [/(^|[^o])u(?!i)/g, '$1i', 'u']
+];
+
+export function normalizeHt(text) {
+  return String(text ?? '')
+    .normalize('NFC')
+    .replace(/[\u2018\u2019\u02BC\u02BB`\u00B4]/g, "'")
+    .replace(/[\u201C\u201D\u201E]/g, '"')
+    .replace(/[\u200B-\u200D\u2060\uFEFF]/g, '')
+    .replace(/[\u00A0\u2007\u202F]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Keep the capitalisation of the original word ("Franšíz" -> "Franchiz", "OUI" -> "WI")
+function withCase(fixed, original) {
+  if (original === original.toUpperCase() && original !== original.toLowerCase() && original.length > 1) return fixed.toUpperCase();
+  if (original[0] !== original[0].toLowerCase()) return fixed[0].toUpperCase() + fixed.slice(1);
+  return fixed;
+}
+
+// The corrected spelling of one word and why, or null when it is fine
+function checkWord(word) {
+  const lower = word.toLowerCase();
+  if (WORD_FIXES[lower]) return { suggestion: withCase(WORD_FIXES[lower], word), reasons: ['french_word'] };
+
+  const reasons = new Set();
+  let fixed = '';
+  for (const ch of lower) {
+    if (ALLOWED_LETTERS.test(ch)) fixed += ch;
+    else if (CHARACTER_FIXES[ch]) { fixed += CHARACTER_FIXES[ch]; reasons.add('character'); }
+    else { fixed += ch; reasons.add('unknown_character'); }
+  }
+  for (const [pattern, replacement, name] of PATTERN_FIXES) {
+    // ch, ou and ui are Kreyòl; only the other uses of c / u need fixing
+    const next = fixed.replace(pattern, replacement);
+    if (next !== fixed) {
+      fixed = next;
+      reasons.add(name.length === 1 ? 'letter' : 'french_spelling');
+    }
+  }
+  if (!reasons.size) return null;
+  const suggestion = reasons.has('unknown_character') ? null : withCase(fixed, word);
+  return { suggestion, reasons: [...reasons] };
+}
+
+// Returns { raw, normalized, changed, issues, suggestion }
+//   issues      [{ word, index, suggestion, reasons }]  index is the offset in `normalized`;
+//               reasons: character | unknown_character | letter | french_spelling |
+//               french_word | symbol
+//   suggestion  the normalized text with every suggested fix applied (null when none)
+export function checkHt(text) {
+  const raw = String(text ?? '');
+  const normalized = normalizeHt(raw);
+  const issues = [];
+
+  for (const m of normalized.matchAll(/\p{L}[\p{L}\p{M}]*(?:['-]\p{L}[\p{L}\p{M}]*)*/gu)) {
+    // Hyphenated and elided words are checked whole first ("rendez-vous", "c'est"),
+    // then part by part ("m'ap" -> "m", "ap")
+    const whole = WORD_FIXES[m[0].toLowerCase()] ? checkWord(m[0]) : null;
+    if (whole) {
+      issues.push({ word: m[0], index: m.index, ...whole });
+      continue;
+    }
+    let offset = 0;
+    for (const part of m[0].split(/['-]/)) {
+      const found = checkWord(part);
+      if (found) issues.push({ word: part, index: m.index + offset, ...found });
+      offset += part.length + 1;
+    }
+  }
+  for (const m of normalized.matchAll(/[^\p{L}\p{M}]/gu)) {
+    if (!ALLOWED_SYMBOLS.test(m[0])) issues.push({ word: m[0], index: m.index, suggestion: null, reasons: ['symbol'] });
+  }
+  issues.sort((a, b) => a.index - b.index);
+
+  let suggestion = null;
+  const fixable = issues.filter(i => i.suggestion);
+  if (fixable.length) {
+    suggestion = normalized;
+    for (const issue of [...fixable].reverse()) {
+      suggestion = suggestion.slice(0, issue.index) + issue.suggestion + suggestion.slice(issue.index + issue.word.length);
+    }
+  }
+  return { raw, normalized, changed: raw !== normalized, issues, suggestion };
+}
+
+// The ht fields a pair stores for typed text: { text, raw, orthography }
+export function htFields(typed) {
+  const { raw, normalized, issues, suggestion } = checkHt(typed);
+  return { text: normalized, raw, orthography: { issues, suggestion } };
+}
@@ -0,0 +1,140 @@
+// Parallel-text exports of EN <-> HT pairs for MT tooling (format=tmx | xliff | moses)
+//
+// All three take export records (lib/export-schema.js) and skip pairs where either side
+// has no text, so every output stays aligned:
+//   tmx     TMX 1.4: one <tu> per pair (tuid = sampleId), category / term / annotator /
+//           review status / split as x- <prop>s, a <note> for machine-suggested HT text
+//   xliff   XLIFF 2.0 with the Metadata module: one <unit> per pair, its fields in
+//           <mda:meta>; segment state is final for approved pairs, translated otherwise
+//   moses   tar of aligned line files, one sentence per line: <split>.en, <split>.ht and
+//           <split>.meta.tsv (sampleId, category, term, annotator, reviewStatus) per split,
+//           or corpus.* when the export has no split
+// Text is written as NFC UTF-8, so Creole letters (è, ò, à) appear as themselves; only markup
+// characters are escaped, and characters XML 1.0 forbids are dropped. Line files collapse
+// line breaks and tabs inside a sentence to spaces.
+
+import { tarBuffer } from './tar.js';
+
+const TOOL = 'translator-voice-en-ht';
+
+// Control characters other than tab / LF / CR, lone surrogates and U+FFFE / U+FFFF are not allowed in XML 1.0
+const XML_INVALID = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]|[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/g;
+
+export function xmlEscape(value) {
+  return String(value ?? '')
+    .normalize('NFC')
+    .replace(XML_INVALID, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function aligned(records) {
+  return records.filter(r => r.en.text.trim() && r.ht.text.trim());
+}
+
+// TMX dates: 20261019T192600Z
+function tmxDate(iso) {
+  const d = new Date(iso);
+  return isNaN(d) ? null : d.toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+}
+
+function pairProperties(r) {
+  return [
+    ['category', r.category],
+    ['term', r.term],
+    ['annotator', r.annotator],
+    ['review-status', r.reviewStatus],
+    ['split', r.split]
+  ].filter(([, value]) => value !== null && value !== undefined && value !== '');
+}
+
+export function toTMX(records, { exportedAt = new Date().toISOString(), version = '' } = {}) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<!DOCTYPE tmx SYSTEM "tmx14.dtd">',
+    '<tmx version="1.4">',
+    `  <header creationtool="${TOOL}" creationtoolversion="${xmlEscape(version)}" segtype="sentence" o-tmf="${TOOL}" ` +
+      `adminlang="en" srclang="en" datatype="plaintext" creationdate="${tmxDate(exportedAt)}"/>`,
+    '  <body>'
+  ];
+  for (const r of aligned(records)) {
+    const created = tmxDate(r.createdAt);
+    const changed = r.updatedAt && tmxDate(r.updatedAt);
+    const attrs = [
+      `tuid="${xmlEscape(r.sampleId)}"`,
+      created && `creationdate="${created}"`,
+      r.annotator && `creationid="${xmlEscape(r.annotator)}"`,
+      changed && `changedate="${changed}"`
+    ].filter(Boolean).join(' ');
+    lines.push(`    <tu ${attrs}>`);
+    if (r.ht.origin && r.ht.origin !== 'human') {
+      lines.push(`      <note>${xmlEscape(r.ht.origin === 'machine' ? 'HT text is a machine suggestion accepted as is' : 'HT text was edited from a machine suggestion')}</note>`);
+    }
+    for (const [name, value] of pairProperties(r)) lines.push(`      <prop type="x-${name}">${xmlEscape(value)}</prop>`);
+    lines.push(`      <tuv xml:lang="en"><seg>${xmlEscape(r.en.text)}</seg></tuv>`);
+    lines.push(`      <tuv xml:lang="ht"><seg>${xmlEscape(r.ht.text)}</seg></tuv>`);
+    lines.push('    </tu>');
+  }
+  lines.push('  </body>', '</tmx>');
+  return lines.join('\n') + '\n';
+}
+
+// XLIFF ids are NMTOKENs: keep letters, digits, '.', '-', '_' and ':'
+function nmtoken(value) {
+  return String(value).replace(/[^\p{L}\p{N}._:-]/gu, '_') || '_';
+}
+
+export function toXLIFF(records) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<xliff xmlns="urn:oasis:names:tc:xliff:document:2.0" xmlns:mda="urn:oasis:names:tc:xliff:metadata:2.0" version="2.0" srcLang="en" trgLang="ht">',
+    `  <file id="f1" original="${TOOL}">`
+  ];
+  for (const r of aligned(records)) {
+    lines.push(`    <unit id="${xmlEscape(nmtoken(r.sampleId))}" name="${xmlEscape(r.term)}">`);
+    lines.push('      <mda:metadata>');
+    lines.push('        <mda:metaGroup category="pair">');
+    lines.push(`          <mda:meta type="sampleId">${xmlEscape(r.sampleId)}</mda:meta>`);
+    for (const [name, value] of pairProperties(r)) lines.push(`          <mda:meta type="${name}">${xmlEscape(value)}</mda:meta>`);
+    if (r.ht.origin) lines.push(`          <mda:meta type="ht-origin">${xmlEscape(r.ht.origin)}</mda:meta>`);
+    lines.push('        </mda:metaGroup>');
+    lines.push('      </mda:metadata>');
+    lines.push(`      <segment id="s1" state="${r.reviewStatus === 'approved' ? 'final' : 'translated'}">`);
+    lines.push(`        <source>${xmlEscape(r.en.text)}</source>`);
+    lines.push(`        <target>${xmlEscape(r.ht.text)}</target>`);
+    lines.push('      </segment>');
+    lines.push('    </unit>');
+  }
+  lines.push('  </file>', '</xliff>');
+  return lines.join('\n') + '\n';
+}
+
+function oneLine(text) {
+  return String(text ?? '').normalize('NFC').replace(/[\t\r\n\u2028\u2029]+/g, ' ').replace(/ {2,}/g, ' ').trim();
+}
+
+export function toMosesTar(records, { folder = 'en-ht-parallel' } = {}) {
+  const groups = new Map();
+  for (const r of aligned(records)) {
+    const name = r.split || 'corpus';
+    if (!groups.has(name)) groups.set(name, []);
+    groups.get(name).push(r);
+  }
+  const files = [];
+  for (const [name, group] of groups) {
+    const text = lines => lines.join('\n') + '\n';
+    files.push({ name: `${folder}/${name}.en`, data: text(group.map(r => oneLine(r.en.text))) });
+    files.push({ name: `${folder}/${name}.ht`, data: text(group.map(r => oneLine(r.ht.text))) });
+    files.push({
+      name: `${folder}/${name}.meta.tsv`,
+      data: text([
+        'sampleId\tcategory\tterm\tannotator\treviewStatus',
+        ...group.map(r => [r.sampleId, r.category, r.term, r.annotator, r.reviewStatus].map(oneLine).join('\t'))
+      ])
+    });
+  }
+  return tarBuffer(files);
+}
@@ -0,0 +1,211 @@
+// Coverage-driven prompt assignment
+//
+// Instead of a random term and template, contributors get the catalog term furthest
+// below its recording target:
+//   1. category  - when none is requested, the one with the lowest share of its target met
+//   2. term      - lowest count / target; ties go to terms this annotator has recorded
+//                  least (more speakers per term), then at random
+//   3. template  - the one used least with that term, then least overall
+// Counts are live pairs (not deleted, not rejected) plus open reservations, so two
+// contributors asking at the same time get different prompts.
+//
+// Targets: term.target, else the category's target, else PROMPT_TARGET_DEFAULT (20).
+// Reservations last PROMPT_RESERVATION_MINUTES (default 10), are kept in memory, and end
+// when the pair is linked, when the same user asks for another prompt, or on restart.
+//
+// Pairs linked from an assigned prompt carry termId / templateId. Older pairs are matched
+// to the catalog by category + term text and by the rendered English phrase.
+
+import { randomUUID } from 'node:crypto';
+import { reviewOf } from './review.js';
+
+const PLACEHOLDER = '{TERM}';
+
+function fold(s) {
+  return String(s || '').trim().toLowerCase();
+}
+
+function render(template, term) {
+  return template ? template.text.replace(PLACEHOLDER, term.term) : term.term;
+}
+
+export function createPromptAssigner({ storage, env = process.env }) {
+  const defaultTarget = parseInt(env.PROMPT_TARGET_DEFAULT) || 20;
+  const reservationMs = (parseFloat(env.PROMPT_RESERVATION_MINUTES) || 10) * 60 * 1000;
+  const reservations = new Map();   // id -> { id, username, termId, templateId, category, expiresAt }
+
+  function liveReservations() {
+    const now = Date.now();
+    for (const [id, r] of reservations) {
+      if (r.expiresAt <= now) reservations.delete(id);
+    }
+    return [...reservations.values()];
+  }
+
+  function targetFor(term, category) {
+    return term.target || (category && category.target) || defaultTarget;
+  }
+
+  // Which catalog term and template a pair was recorded from
+  function matchPair(pair, termsByCategory, templatesByCategory) {
+    const terms = termsByCategory.get(pair.category) || [];
+    const term = (pair.termId && terms.find(t => t.id === pair.termId)) || terms.find(t => fold(t.term) === fold(pair.term));
+    if (!term) return { term: null, template: null };
+    const templates = templatesByCategory.get(pair.category) || [];
+    const template = (pair.templateId && templates.find(t => t.id === pair.templateId))
+      || templates.find(t => fold(render(t, term)) === fold(pair.en && pair.en.text))
+      || null;
+    return { term, template };
+  }
+
+  // Recording counts per term / template / annotator across live, non-rejected pairs
+  function tally(catalog) {
+    const group = list => list.reduce((map, r) => map.set(r.category, [...(map.get(r.category) || []), r]), new Map());
+    const termsByCategory = group(catalog.terms);
+    const templatesByCategory = group(catalog.templates);
+
+    const counts = {
+      term: new Map(),            // termId -> n
+      template: new Map(),        // templateId -> n
+      termTemplate: new Map(),    // termId|templateId -> n
+      annotatorTerm: new Map()    // username|termId -> n
+    };
+    const bump = (map, key) => map.set(key, (map.get(key) || 0) + 1);
+    const count = (termId, templateId, username) => {
+      bump(counts.term, termId);
+      if (templateId) bump(counts.template, templateId);
+      bump(counts.termTemplate, `${termId}|${templateId || ''}`);
+      if (username) bump(counts.annotatorTerm, `${username}|${termId}`);
+    };
+
+    for (const pair of storage.list('pair')) {
+      if (pair.deleted || reviewOf(pair).status === 'rejected') continue;
+      const { term, template } = matchPair(pair, termsByCategory, templatesByCategory);
+      if (term) count(term.id, template && template.id, pair.annotator);
+    }
+    for (const r of liveReservations()) count(r.termId, r.templateId, r.username);
+    return counts;
+  }
+
+  function activeCatalog() {
+    const categories = storage.list('category').filter(c => c.active !== false);
+    const live = new Set(categories.map(c => c.id));
+    return {
+      categories,
+      terms: storage.list('term').filter(t => t.active !== false && live.has(t.category)),
+      templates: storage.list('template').filter(t => t.active !== false && live.has(t.category))
+    };
+  }
+
+  // Per-category and per-term progress against targets
+  function coverage({ category } = {}) {
+    const catalog = activeCatalog();
+    const counts = tally(catalog);
+    return catalog.categories
+      .filter(c => !category || c.id === category)
+      .map(c => {
+        const terms = catalog.terms.filter(t => t.category === c.id).map(t => {
+          const target = targetFor(t, c);
+          const recorded = counts.term.get(t.id) || 0;
+          return { id: t.id, term: t.term, recorded, target, remaining: Math.max(0, target - recorded) };
+        });
+        const recorded = terms.reduce((n, t) => n + Math.min(t.recorded, t.target), 0);
+        const target = terms.reduce((n, t) => n + t.target, 0);
+        return { id: c.id, label: c.label, recorded, target, ratio: target ? recorded / target : 1, terms };
+      });
+  }
+
+  function release(id) {
+    return reservations.delete(id);
+  }
+
+  // Returns { prompt } or { error } when the catalog has nothing to offer
+  function next(username, { category } = {}) {
+    // One open reservation per user: asking again gives the previous one back
+    for (const r of liveReservations()) {
+      if (r.username === username) reservations.delete(r.id);
+    }
+
+    const catalog = activeCatalog();
+    const counts = tally(catalog);
+    const categories = new Map(catalog.categories.map(c => [c.id, c]));
+
+    let candidates = catalog.terms;
+    if (category) {
+      if (!categories.has(category)) return { error: `Unknown category: ${category}` };
+      candidates = candidates.filter(t => t.category === category);
+    } else {
+      // Least-covered category that has terms at all
+      const progress = coverage()
+        .filter(c => c.terms.length)
+        .map(c => ({ ...c, tiebreak: Math.random() }))
+        .sort((a, b) => a.ratio - b.ratio || a.tiebreak - b.tiebreak);
+      if (progress.length) candidates = candidates.filter(t => t.category === progress[0].id);
+    }
+    if (!candidates.length) return { error: category ? `Category ${category} has no terms` : 'The catalog has no terms' };
+
+    const scored = candidates.map(t => ({
+      term: t,
+      ratio: (counts.term.get(t.id) || 0) / targetFor(t, categories.get(t.category)),
+      mine: counts.annotatorTerm.get(`${username}|${t.id}`) || 0,
+      tiebreak: Math.random()
+    }));
+    scored.sort((a, b) => a.ratio - b.ratio || a.mine - b.mine || a.tiebreak - b.tiebreak);
+    const term = scored[0].term;
+
+    const templates = catalog.templates.filter(t => t.category === term.category);
+    const template = templates
+      .map(t => ({
+        t,
+        withTerm: counts.termTemplate.get(`${term.id}|${t.id}`) || 0,
+        overall: counts.template.get(t.id) || 0,
+        tiebreak: Math.random()
+      }))
+      .sort((a, b) => a.withTerm - b.withTerm || a.overall - b.overall || a.tiebreak - b.tiebreak)
+      .map(x => x.t)[0] || null;
+
+    const reservation = {
+      id: randomUUID(),
+      username,
+      termId: term.id,
+      templateId: template ? template.id : null,
+      category: term.category,
+      expiresAt: Date.now() + reservationMs
+    };
+    reservations.set(reservation.id, reservation);
+
+    const recorded = counts.term.get(term.id) || 0;
+    const target = targetFor(term, categories.get(term.category));
+    return {
+      prompt: {
+        reservationId: reservation.id,
+        reservedUntil: new Date(reservation.expiresAt).toISOString(),
+        category: term.category,
+        termId: term.id,
+        term: term.term,
+        templateId: reservation.templateId,
+        text: render(template, term),
+        coverage: { recorded, target, targetMet: recorded >= target }
+      }
+    };
+  }
+
+  // Check the catalog IDs a link request claims to come from.
+  // Returns { termId, templateId } (either may be null) or { error }.
+  function resolveLink({ termId, templateId, category }) {
+    const result = { termId: null, templateId: null };
+    if (termId) {
+      const term = storage.get('term', String(termId));
+      if (!term || term.category !== category) return { error: 'termId does not match a catalog term in this category' };
+      result.termId = term.id;
+    }
+    if (templateId) {
+      const template = storage.get('template', String(templateId));
+      if (!template || template.category !== category) return { error: 'templateId does not match a catalog template in this category' };
+      result.templateId = template.id;
+    }
+    return result;
+  }
+
+  return { next, release, coverage, resolveLink, reservations: () => liveReservations().length };
+}
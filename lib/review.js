@@ -0,0 +1,141 @@
+// Review workflow for pair records
+//
+// Stage 1: a contributor links a pair; it starts out pending.
+// Stage 2: a reviewer (never the pair's own annotator) claims it, listens to both clips
+//          and records a verdict: approved, rejected or needs-fix.
+// A needs-fix pair returns to pending once its annotator edits it; an annotator edit to
+// an approved pair also sends it back for review. Only approved pairs are training data.
+//
+// Each pair carries `review`:
+//   { status, claimedBy, claimedAt, claimExpiresAt, reviewedBy, reviewedAt, reasons, note,
+//     history: [{ at, by, action: 'verdict' | 'resubmitted', status, reasons?, note?, previous? }] }
+// Pairs saved before reviews existed have no `review` and count as pending.
+//
+// REVIEW_CLAIM_MINUTES sets how long a claim keeps a pair out of other reviewers' queues
+// (default 15).
+
+export const REVIEW_STATUSES = ['pending', 'approved', 'rejected', 'needs-fix'];
+export const VERDICTS = ['approved', 'rejected', 'needs-fix'];
+export const REVIEW_REASONS = [
+  'audio_quality',       // noise, clipping, too quiet, cut off
+  'audio_mismatch',      // recording does not say the text
+  'wrong_language',
+  'translation_error',   // HT text does not mean the EN text
+  'spelling',            // HT orthography or EN typos
+  'incomplete',          // missing words or truncated text
+  'inappropriate',
+  'other'
+];
+
+export function claimMs(env = process.env) {
+  return (parseFloat(env.REVIEW_CLAIM_MINUTES) || 15) * 60 * 1000;
+}
+
+export function reviewOf(pair) {
+  return { status: 'pending', history: [], ...(pair.review || {}) };
+}
+
+// Claimed by someone, and the claim has not run out
+export function activeClaim(pair, now = Date.now()) {
+  const review = pair.review;
+  if (!review || !review.claimedBy || !review.claimExpiresAt) return null;
+  return new Date(review.claimExpiresAt).getTime() > now ? review.claimedBy : null;
+}
+
+// Pairs `username` may pick up: pending, live, not their own and not claimed by someone else
+export function reviewable(pair, username, now = Date.now()) {
+  if (pair.deleted || reviewOf(pair).status !== 'pending') return false;
+  if (pair.annotator === username) return false;
+  const holder = activeClaim(pair, now);
+  return !holder || holder === username;
+}
+
+// The pair a reviewer should work on next: the one they already hold, otherwise the
+// oldest reviewable pair (optionally in one category, skipping the sampleIds in `exclude`)
+export function nextForReview(pairs, username, { category, exclude = [] } = {}) {
+  const now = Date.now();
+  const skipped = new Set(exclude);
+  const held = pairs.find(pair => !pair.deleted && reviewOf(pair).status === 'pending' && activeClaim(pair, now) === username && !skipped.has(pair.sampleId));
+  if (held) return held;
+  return pairs
+    .filter(pair => reviewable(pair, username, now) && !skipped.has(pair.sampleId))
+    .filter(pair => !category || String(pair.category).toLowerCase() === String(category).toLowerCase())
+    .sort((a, b) => (a.createdAt < b.createdAt ? -1 : a.createdAt > b.createdAt ? 1 : 0))[0] || null;
+}
+
+export function claim(pair, username, ms = claimMs()) {
+  const now = new Date();
+  return {
+    ...pair,
+    review: {
+      ...reviewOf(pair),
+      claimedBy: username,
+      claimedAt: now.toISOString(),
+      claimExpiresAt: new Date(now.getTime() + ms).toISOString()
+    }
+  };
+}
+
+export function release(pair) {
+  return { ...pair, review: { ...reviewOf(pair), claimedBy: null, claimedAt: null, claimExpiresAt: null } };
+}
+
+// Returns { pair } or { status, error }
+export function recordVerdict(pair, { status, reasons = [], note = null }, username) {
+  if (!VERDICTS.includes(status)) {
+    return { status: 400, error: `status must be one of ${VERDICTS.join(', ')}` };
+  }
+  if (!Array.isArray(reasons) || reasons.some(r => !REVIEW_REASONS.includes(r))) {
+    return { status: 400, error: `reasons must be a list of: ${REVIEW_REASONS.join(', ')}` };
+  }
+  if (status !== 'approved' && !reasons.length) {
+    return { status: 400, error: `A ${status} verdict needs at least one reason` };
+  }
+  if (note !== null && typeof note !== 'string') {
+    return { status: 400, error: 'note must be a string' };
+  }
+  if (pair.annotator === username) {
+    return { status: 403, error: 'Reviewers cannot review their own pairs' };
+  }
+  const holder = activeClaim(pair);
+  if (holder && holder !== username) {
+    return { status: 409, error: `Pair is claimed by ${holder}` };
+  }
+
+  const at = new Date().toISOString();
+  const current = reviewOf(pair);
+  const entry = { at, by: username, action: 'verdict', status, reasons: [...new Set(reasons)], note: note && note.trim() || null };
+  return {
+    pair: {
+      ...pair,
+      review: {
+        ...current,
+        status,
+        reviewedBy: username,
+        reviewedAt: at,
+        reasons: entry.reasons,
+        note: entry.note,
+        claimedBy: null,
+        claimedAt: null,
+        claimExpiresAt: null,
+        history: [...current.history, entry]
+      }
+    }
+  };
+}
+
+// After an annotator edit: needs-fix and approved pairs go back into the queue.
+// Returns the pair unchanged when there is nothing to reset.
+export function resubmit(pair, username) {
+  const current = reviewOf(pair);
+  if (current.status !== 'needs-fix' && current.status !== 'approved') return pair;
+  const at = new Date().toISOString();
+  return {
+    ...pair,
+    review: {
+      ...current,
+      status: 'pending',
+      history: [...current.history, { at, by: username, action: 'resubmitted', status: 'pending', previous: current.status }]
+    }
+  };
+}
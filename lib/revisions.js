@@ -0,0 +1,96 @@
+// Append-only revision history for pair records
+//
+// Each <sampleId>.pair.json carries `revisions`, oldest first:
+//   { rev, at, by, action: 'create' | 'baseline' | 'edit' | 'restore', restoredFrom?,
+//     changes: { '<field>': { from, to } } }
+// Revision 1 records the initial value of every tracked field (from: null), so the
+// state at any revision is obtained by replaying `to` values from the start.
+
+export const TRACKED_FIELDS = ['term', 'category', 'en.text', 'ht.text'];
+
+export function getField(pair, field) {
+  return field.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), pair);
+}
+
+function setField(pair, field, value) {
+  const [head, ...rest] = field.split('.');
+  if (!rest.length) return { ...pair, [head]: value };
+  return { ...pair, [head]: setField(pair[head] || {}, rest.join('.'), value) };
+}
+
+function initialChanges(pair) {
+  const changes = {};
+  for (const field of TRACKED_FIELDS) {
+    const value = getField(pair, field);
+    if (value !== undefined) changes[field] = { from: null, to: value };
+  }
+  return changes;
+}
+
+// Revision 1 for a freshly linked pair
+export function initialRevision(pair, by) {
+  return { rev: 1, at: pair.createdAt, by, action: 'create', changes: initialChanges(pair) };
+}
+
+// Pairs saved before history existed get their current state as the baseline
+export function withHistory(pair) {
+  if (Array.isArray(pair.revisions) && pair.revisions.length) return pair;
+  const baseline = pair.updatedAt
+    ? { rev: 1, at: pair.updatedAt, by: pair.updatedBy || null, action: 'baseline', changes: initialChanges(pair) }
+    : initialRevision(pair, pair.annotator || null);
+  return { ...pair, revisions: [baseline] };
+}
+
+export function currentRevision(pair) {
+  const revisions = pair.revisions || [];
+  return revisions.length ? revisions[revisions.length - 1].rev : 0;
+}
+
+// Apply { field: value } updates to tracked fields, appending a revision with the
+// diff. Returns { pair, revision } or { pair, revision: null } when nothing changed.
+export function applyChanges(pair, updates, { by, action = 'edit', restoredFrom } = {}) {
+  let next = withHistory(pair);
+  const changes = {};
+  for (const [field, value] of Object.entries(updates)) {
+    if (!TRACKED_FIELDS.includes(field)) throw new Error(`Untracked field: ${field}`);
+    const from = getField(next, field);
+    if (from === value) continue;
+    changes[field] = { from: from === undefined ? null : from, to: value };
+    next = setField(next, field, value);
+  }
+  if (!Object.keys(changes).length) return { pair, revision: null };
+
+  const at = new Date().toISOString();
+  const revision = { rev: currentRevision(next) + 1, at, by, action, changes };
+  if (restoredFrom !== undefined) revision.restoredFrom = restoredFrom;
+  next = { ...next, updatedAt: at, updatedBy: by, revisions: [...next.revisions, revision] };
+  return { pair: next, revision };
+}
+
+// Tracked field values at a revision number, or as of a timestamp.
+// Returns null when the pair had no revision yet at that point.
+export function stateAt(pair, { rev, asOf } = {}) {
+  const history = withHistory(pair).revisions;
+  const cutoff = asOf ? new Date(asOf).getTime() : null;
+  const upto = history.filter(r => (rev === undefined || r.rev <= rev) && (cutoff === null || new Date(r.at).getTime() <= cutoff));
+  if (!upto.length) return null;
+
+  const values = {};
+  for (const r of upto) {
+    for (const [field, change] of Object.entries(r.changes || {})) values[field] = change.to;
+  }
+  return { rev: upto[upto.length - 1].rev, at: upto[upto.length - 1].at, values };
+}
+
+// Pair record as it looked at a revision / timestamp, without the history itself;
+// revision and revisedAt say which revision that is
+export function viewAt(pair, at) {
+  const state = stateAt(pair, at);
+  if (!state) return null;
+  let view = { ...pair };
+  for (const [field, value] of Object.entries(state.values)) view = setField(view, field, value);
+  delete view.revisions;
+  view.revision = state.rev;
+  view.revisedAt = state.at;
+  return view;
+}
@@ -0,0 +1,143 @@
+// Filtering, search and cursor pagination for GET /api/samples
+//
+// Query parameters:
+//   kind        audio | pair | all (default all)
+//   lang        en | ht            audio in that language (pairs always carry both)
+//   category, annotator, term      exact match, case-insensitive (pairs only)
+//   status      review status: pending | approved | rejected | needs-fix (pairs only)
+//   from, to    ISO dates, inclusive bounds on createdAt
+//   q           text search over en.text / ht.text / term / transcript, case and accent insensitive
+//   limit       page size, 1..500 (default 50)
+//   cursor      opaque value from a previous response's nextCursor
+//
+// Items are ordered newest first by createdAt, ties broken by ID, so cursors stay
+// valid while new items arrive.
+
+export const DEFAULT_LIMIT = 50;
+export const MAX_LIMIT = 500;
+const PAIR_ONLY_FILTERS = ['category', 'annotator', 'term', 'status'];
+
+// "Dyabèt" -> "dyabet"
+export function foldText(s) {
+  return String(s || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+function itemId(item) {
+  return item.kind === 'pair' ? item.sampleId : item.id;
+}
+
+function itemLang(item) {
+  return String(item.lang || '').slice(0, 2).toLowerCase();
+}
+
+export function reviewStatus(item) {
+  return (item.review && item.review.status) || 'pending';
+}
+
+export function encodeCursor(item) {
+  return Buffer.from(JSON.stringify({ t: item.createdAt, id: itemId(item) })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { t, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof t === 'string' && typeof id === 'string') return { t, id };
+  } catch {
+    // fall through
+  }
+  return null;
+}
+
+// Newest first; IDs break ties so the order is total
+export function compareItems(a, b) {
+  if (a.createdAt !== b.createdAt) return a.createdAt < b.createdAt ? 1 : -1;
+  const ia = itemId(a), ib = itemId(b);
+  return ia === ib ? 0 : ia < ib ? 1 : -1;
+}
+
+// Returns { query } or { error }
+export function parseSampleQuery(params) {
+  const query = {
+    kind: (params.get('kind') || 'all').toLowerCase(),
+    lang: params.get('lang') ? params.get('lang').toLowerCase().slice(0, 2) : null,
+    category: params.get('category'),
+    annotator: params.get('annotator'),
+    term: params.get('term'),
+    status: params.get('status') ? params.get('status').toLowerCase() : null,
+    from: params.get('from'),
+    to: params.get('to'),
+    q: params.get('q') ? foldText(params.get('q').trim()) : null,
+    limit: DEFAULT_LIMIT,
+    cursor: null
+  };
+
+  if (!['audio', 'pair', 'all'].includes(query.kind)) return { error: `kind must be audio, pair or all` };
+  if (query.lang && !['en', 'ht'].includes(query.lang)) return { error: 'lang must be en or ht' };
+  for (const bound of ['from', 'to']) {
+    if (query[bound] && isNaN(new Date(query[bound]))) return { error: `${bound} must be an ISO date` };
+  }
+  // A bare date as the upper bound means "through the end of that day"
+  if (query.to && /^\d{4}-\d{2}-\d{2}$/.test(query.to)) query.to = `${query.to}T23:59:59.999Z`;
+
+  if (params.get('limit') !== null) {
+    const limit = parseInt(params.get('limit'));
+    if (!(limit >= 1)) return { error: 'limit must be a positive integer' };
+    query.limit = Math.min(limit, MAX_LIMIT);
+  }
+  if (params.get('cursor')) {
+    query.cursor = decodeCursor(params.get('cursor'));
+    if (!query.cursor) return { error: 'Invalid cursor' };
+  }
+  return { query };
+}
+
+function sameText(a, b) {
+  return String(a || '').toLowerCase() === String(b).toLowerCase();
+}
+
+export function matchesSample(item, query) {
+  if (query.kind !== 'all' && item.kind !== query.kind) return false;
+
+  if (item.kind === 'audio') {
+    if (PAIR_ONLY_FILTERS.some(f => query[f])) return false;
+    if (query.lang && itemLang(item) !== query.lang) return false;
+  } else {
+    if (query.category && !sameText(item.category, query.category)) return false;
+    if (query.annotator && !sameText(item.annotator, query.annotator)) return false;
+    if (query.term && !sameText(item.term, query.term)) return false;
+    if (query.status && reviewStatus(item) !== query.status) return false;
+  }
+
+  const created = new Date(item.createdAt).getTime();
+  if (query.from && created < new Date(query.from).getTime()) return false;
+  if (query.to && created > new Date(query.to).getTime()) return false;
+
+  if (query.q) {
+    const haystack = [
+      item.term,
+      item.en && item.en.text,
+      item.ht && item.ht.text,
+      item.transcript
+    ].map(foldText).join('\n');
+    if (!haystack.includes(query.q)) return false;
+  }
+  return true;
+}
+
+// items must already be filtered; returns { total, items, nextCursor }
+export function paginate(items, query) {
+  const sorted = [...items].sort(compareItems);
+  let start = 0;
+  if (query.cursor) {
+    const anchor = { createdAt: query.cursor.t, kind: 'audio', id: query.cursor.id };
+    start = sorted.findIndex(item => compareItems(anchor, item) < 0);
+    if (start === -1) start = sorted.length;
+  }
+  const page = sorted.slice(start, start + query.limit);
+  const more = start + query.limit < sorted.length;
+  return {
+    total: sorted.length,
+    items: page,
+    nextCursor: more && page.length ? encodeCursor(page[page.length - 1]) : null
+  };
+}
@@ -0,0 +1,250 @@
+// Train / dev / test splits for exports, with speaker and term leakage control
+//
+// A split is a named, recorded assignment of pairs to train / dev / test:
+//   { id, seed, ratios: { train, dev, test }, groupBy, assignments: { sampleId: split },
+//     createdAt, createdBy, updatedAt }
+// stored as a 'split' record (lib/storage.js). Pairs assigned once keep their split on
+// every later export, so a model never sees yesterday's test pairs in today's train set.
+// Recording is explicit (POST /api/splits/:name); exports assign pairs the record does not
+// cover yet in memory, with the same rules, and never write.
+//
+// Leakage control: pairs are grouped so that a group never spans two splits.
+//   groupBy ['annotator']          all pairs by the same annotator stay together
+//   groupBy ['annotator', 'term']  also all pairs of the same term (groups are the connected
+//                                  components of annotators and terms, so they can get large)
+// Assignment always runs over every live pair, whatever the export filters or page: a new
+// pair whose annotator (or term) already has recorded pairs joins their split. A new pair
+// whose keys are already in different splits (e.g. a known annotator recording a term
+// that is in another split) cannot go anywhere without leaking and is excluded.
+//
+// Groups with no recorded pair are assigned largest first (ties in seeded-hash order),
+// each to the split whose per-category quota (ratio x pairs in that category across the
+// corpus) is least filled for the categories the group covers, so every split is
+// stratified by category. Same seed, same pairs -> same assignment.
+
+import { createHash } from 'node:crypto';
+
+export const SPLITS = ['train', 'dev', 'test'];
+export const SPLIT_GROUPINGS = ['annotator', 'term'];
+export const SPLIT_NAME_RE = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+export const DEFAULT_RATIOS = { train: 0.8, dev: 0.1, test: 0.1 };
+
+function fold(s) {
+  return String(s || '').trim().toLowerCase();
+}
+
+function round(n, digits = 4) {
+  const f = 10 ** digits;
+  return Math.round(n * f) / f;
+}
+
+function seededHash(...parts) {
+  return parseInt(createHash('sha256').update(parts.join('\u0000')).digest('hex').slice(0, 12), 16);
+}
+
+// "80,10,10", "0.8/0.1/0.1" -> { train: 0.8, dev: 0.1, test: 0.1 }
+function parseRatios(raw) {
+  const values = String(raw).split(/[,/:]/).map(s => Number(s.trim()));
+  if (values.length !== SPLITS.length || values.some(v => !Number.isFinite(v) || v < 0)) return null;
+  const sum = values.reduce((a, b) => a + b, 0);
+  if (!sum) return null;
+  return Object.fromEntries(SPLITS.map((split, i) => [split, round(values[i] / sum)]));
+}
+
+// Split options from export query parameters:
+//   split=<name>  seed=<string>  ratios=80,10,10  groupBy=annotator|annotator,term
+// Returns null when no split was asked for, { value } or { error }.
+// value.explicit lists the options the caller set, which must match a recorded split.
+export function parseSplitOptions(params) {
+  const name = params.get('split');
+  if (name === null) return null;
+  if (!SPLIT_NAME_RE.test(name)) return { error: 'split must be a name of letters, digits, - and _ (up to 64)' };
+
+  const explicit = [];
+  let ratios = DEFAULT_RATIOS;
+  if (params.get('ratios') !== null) {
+    ratios = parseRatios(params.get('ratios'));
+    if (!ratios) return { error: 'ratios must be three non-negative numbers for train,dev,test, e.g. 80,10,10' };
+    explicit.push('ratios');
+  }
+  let groupBy = ['annotator'];
+  if (params.get('groupBy') !== null) {
+    groupBy = [...new Set(params.get('groupBy').split(',').map(s => s.trim()).filter(Boolean))];
+    if (!groupBy.includes('annotator') || groupBy.some(g => !SPLIT_GROUPINGS.includes(g))) {
+      return { error: 'groupBy must be annotator or annotator,term' };
+    }
+    groupBy = SPLIT_GROUPINGS.filter(g => groupBy.includes(g));
+    explicit.push('groupBy');
+  }
+  let seed = name;
+  if (params.get('seed') !== null) {
+    seed = params.get('seed');
+    explicit.push('seed');
+  }
+  return { value: { name, seed, ratios, groupBy, explicit } };
+}
+
+export function newSplitRecord({ name, seed, ratios, groupBy }, username) {
+  const now = new Date().toISOString();
+  return { id: name, seed, ratios, groupBy, assignments: {}, createdAt: now, createdBy: username, updatedAt: now };
+}
+
+// Why options given on this request cannot be used with the recorded split (null when they can)
+export function splitConflict(record, { explicit, seed, ratios, groupBy }) {
+  const differs = explicit.filter(key => JSON.stringify(record[key]) !== JSON.stringify({ seed, ratios, groupBy }[key]));
+  if (!differs.length) return null;
+  return `Split ${record.id} was recorded with different ${differs.join(', ')}; omit them, use another split name, or delete it first`;
+}
+
+// The keys a pair is grouped by: annotator (and term)
+function groupKeys(pair, groupBy) {
+  const keys = [`annotator:${pair.annotator || 'anonymous'}`];
+  if (groupBy.includes('term')) keys.push(`term:${fold(pair.term)}`);
+  return keys;
+}
+
+// Connected components of the pairs over their annotator (and term) keys
+function groupPairs(pairs, groupBy) {
+  const parent = new Map();
+  const find = k => {
+    while (parent.get(k) !== k) {
+      parent.set(k, parent.get(parent.get(k)));
+      k = parent.get(k);
+    }
+    return k;
+  };
+  const union = (a, b) => {
+    for (const k of [a, b]) if (!parent.has(k)) parent.set(k, k);
+    const ra = find(a), rb = find(b);
+    if (ra !== rb) parent.set(ra < rb ? rb : ra, ra < rb ? ra : rb);
+  };
+
+  for (const pair of pairs) {
+    const [annotator, ...rest] = groupKeys(pair, groupBy);
+    union(annotator, annotator);
+    for (const key of rest) union(annotator, key);
+  }
+  const groups = new Map();
+  for (const pair of pairs) {
+    const key = find(groupKeys(pair, groupBy)[0]);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(pair);
+  }
+  return groups;
+}
+
+function emptyCounts() {
+  return Object.fromEntries(SPLITS.map(split => [split, 0]));
+}
+
+// Assign every live pair in `corpus` using `record`, adding new assignments to
+// record.assignments. Grouping and quotas always look at the whole corpus, so a filtered
+// or paged export assigns a known annotator's new pairs exactly as a full one would.
+// `pairs` (default: the corpus) are the ones being exported; the summary and `excluded`
+// cover only those. Returns { splitOf: Map sampleId -> split, added, excluded, summary }.
+export function assignSplits(corpus, record, { pairs = corpus } = {}) {
+  const { seed, ratios, groupBy, assignments } = record;
+  const category = pair => pair.category || 'uncategorized';
+  const ordered = [...corpus].sort((a, b) => (a.sampleId < b.sampleId ? -1 : a.sampleId > b.sampleId ? 1 : 0));
+
+  // Per-category quotas over the corpus, filled by what is already assigned, and the
+  // splits each annotator / term key already appears in
+  const totals = new Map();
+  const filled = new Map();
+  const known = new Map();
+  const splitOf = new Map();
+  const place = (pair, split) => {
+    splitOf.set(pair.sampleId, split);
+    filled.get(category(pair))[split]++;
+    for (const key of groupKeys(pair, groupBy)) {
+      if (!known.has(key)) known.set(key, new Set());
+      known.get(key).add(split);
+    }
+  };
+  for (const pair of ordered) {
+    totals.set(category(pair), (totals.get(category(pair)) || 0) + 1);
+    if (!filled.has(category(pair))) filled.set(category(pair), emptyCounts());
+  }
+  for (const pair of ordered) {
+    if (assignments[pair.sampleId]) place(pair, assignments[pair.sampleId]);
+  }
+
+  // New pairs with a known key join its split; each one placed can make more keys known.
+  // A pair whose keys are already in different splits cannot go anywhere without leaking.
+  const excluded = new Set();
+  let added = 0;
+  let pending = ordered.filter(pair => !splitOf.has(pair.sampleId));
+  for (let changed = true; changed;) {
+    changed = false;
+    const rest = [];
+    for (const pair of pending) {
+      const splits = new Set(groupKeys(pair, groupBy).flatMap(key => [...(known.get(key) || [])]));
+      if (!splits.size) {
+        rest.push(pair);
+      } else if (splits.size > 1) {
+        excluded.add(pair.sampleId);
+      } else {
+        const [split] = splits;
+        assignments[pair.sampleId] = split;
+        place(pair, split);
+        added++;
+        changed = true;
+      }
+    }
+    pending = rest;
+  }
+
+  // What is left shares no key with any assigned pair: whole new groups
+  const fresh = [...groupPairs(pending, groupBy)].map(([key, members]) => ({ key, members }));
+  fresh.sort((a, b) => b.members.length - a.members.length || seededHash(seed, a.key) - seededHash(seed, b.key));
+  const active = SPLITS.filter(split => ratios[split] > 0);
+  for (const { key, members } of fresh) {
+    const byCategory = new Map();
+    for (const pair of members) byCategory.set(category(pair), (byCategory.get(category(pair)) || 0) + 1);
+    // Unfilled share of each split's quota in the categories this group brings
+    const score = split => [...byCategory].reduce((sum, [c, n]) => sum + n * (ratios[split] * totals.get(c) - filled.get(c)[split]) / totals.get(c), 0);
+    const split = active
+      .map(s => ({ s, score: score(s), tiebreak: seededHash(seed, key, s) }))
+      .sort((a, b) => b.score - a.score || a.tiebreak - b.tiebreak)[0].s;
+    for (const pair of members) {
+      assignments[pair.sampleId] = split;
+      place(pair, split);
+      added++;
+    }
+  }
+  if (added) record.updatedAt = new Date().toISOString();
+
+  const exportedExcluded = pairs.filter(pair => excluded.has(pair.sampleId)).map(pair => pair.sampleId);
+  return { splitOf, added, excluded: exportedExcluded, summary: summarizeSplit(record, pairs, splitOf, exportedExcluded) };
+}
+
+// Counts per split and per category / split, and how many groups each split holds
+export function summarizeSplit(record, pairs, splitOf, excluded = []) {
+  const counts = emptyCounts();
+  const categories = {};
+  const groupSets = Object.fromEntries(SPLITS.map(split => [split, new Set()]));
+  for (const pair of pairs) {
+    const split = splitOf.get(pair.sampleId);
+    if (!split) continue;
+    counts[split]++;
+    const c = pair.category || 'uncategorized';
+    categories[c] = categories[c] || emptyCounts();
+    categories[c][split]++;
+    groupSets[split].add(pair.annotator || 'anonymous');
+  }
+  const total = SPLITS.reduce((n, split) => n + counts[split], 0);
+  return {
+    name: record.id,
+    seed: record.seed,
+    ratios: record.ratios,
+    groupBy: record.groupBy,
+    createdAt: record.createdAt,
+    updatedAt: record.updatedAt,
+    counts,
+    actualRatios: Object.fromEntries(SPLITS.map(split => [split, total ? round(counts[split] / total) : 0])),
+    annotators: Object.fromEntries(SPLITS.map(split => [split, groupSets[split].size])),
+    categories,
+    recorded: Object.keys(record.assignments).length,
+    excluded
+  };
+}
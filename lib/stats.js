@@ -0,0 +1,197 @@
+// Collection statistics for GET /api/stats and the dashboard
+//
+// Everything is computed from the stored records on request (no counters to drift):
+//   audio      clips and hours per language: uploaded, linked into live pairs, approved
+//   categories pairs per category and term by review status, next to the coverage
+//              targets from lib/prompts.js
+//   annotators pairs, review outcomes, audio time and active days per annotator
+//   review     pass rates, reason counts and verdicts per reviewer
+//   daily      pairs linked, verdicts and audio uploaded per UTC day for the last `days` days
+//
+// Deleted / withdrawn pairs and audio are left out of every figure.
+
+import { audioLang } from './storage.js';
+import { REVIEW_STATUSES, REVIEW_REASONS, reviewOf } from './review.js';
+
+const DAY_MS = 24 * 3600 * 1000;
+
+function day(iso) {
+  return String(iso || '').slice(0, 10);
+}
+
+function round(n, digits = 2) {
+  const f = 10 ** digits;
+  return Math.round(n * f) / f;
+}
+
+function statusCounts() {
+  return Object.fromEntries(REVIEW_STATUSES.map(status => [status, 0]));
+}
+
+// Approved share of the pairs that have had a verdict (null before any review)
+function passRate(counts) {
+  const reviewed = counts.approved + counts.rejected + counts['needs-fix'];
+  return reviewed ? round(counts.approved / reviewed, 3) : null;
+}
+
+export function computeStats({ pairs, audio, coverage = [], days = 30, now = Date.now() }) {
+  const livePairs = pairs.filter(p => !p.deleted);
+  const liveAudio = audio.filter(a => !a.deleted);
+  const audioById = new Map(liveAudio.map(a => [a.id, a]));
+  const seconds = id => (audioById.get(id) && audioById.get(id).duration_s) || 0;
+
+  // ---- audio ----
+  const audioStats = {};
+  const langEntry = lang => audioStats[lang] || (audioStats[lang] = { clips: 0, seconds: 0, linkedClips: 0, linkedSeconds: 0, approvedSeconds: 0 });
+  for (const a of liveAudio) {
+    const entry = langEntry(audioLang(a));
+    entry.clips++;
+    entry.seconds += a.duration_s || 0;
+  }
+  for (const pair of livePairs) {
+    const approved = reviewOf(pair).status === 'approved';
+    for (const lang of ['en', 'ht']) {
+      const ref = pair[lang] && pair[lang].audioRef;
+      if (!ref || !audioById.has(ref)) continue;
+      const entry = langEntry(lang);
+      entry.linkedClips++;
+      entry.linkedSeconds += seconds(ref);
+      if (approved) entry.approvedSeconds += seconds(ref);
+    }
+  }
+  for (const entry of Object.values(audioStats)) {
+    entry.hours = round(entry.seconds / 3600, 3);
+    entry.linkedHours = round(entry.linkedSeconds / 3600, 3);
+    entry.approvedHours = round(entry.approvedSeconds / 3600, 3);
+    entry.seconds = round(entry.seconds, 1);
+    entry.linkedSeconds = round(entry.linkedSeconds, 1);
+    entry.approvedSeconds = round(entry.approvedSeconds, 1);
+  }
+
+  // ---- categories and terms ----
+  // Catalog entries first so terms nobody has recorded yet still show up with their targets
+  const categories = new Map();
+  const categoryEntry = (id, label = id) => {
+    if (!categories.has(id)) categories.set(id, { id, label, pairs: 0, ...statusCounts(), recorded: 0, target: null, terms: new Map() });
+    return categories.get(id);
+  };
+  const termEntry = (category, term) => {
+    const key = String(term || '').trim().toLowerCase();
+    if (!category.terms.has(key)) category.terms.set(key, { term, pairs: 0, ...statusCounts(), recorded: 0, target: null });
+    return category.terms.get(key);
+  };
+  for (const c of coverage) {
+    const category = categoryEntry(c.id, c.label);
+    category.recorded = c.recorded;
+    category.target = c.target;
+    for (const t of c.terms) Object.assign(termEntry(category, t.term), { recorded: t.recorded, target: t.target });
+  }
+  for (const pair of livePairs) {
+    const status = reviewOf(pair).status;
+    const category = categoryEntry(pair.category || 'uncategorized');
+    const term = termEntry(category, pair.term);
+    for (const entry of [category, term]) {
+      entry.pairs++;
+      entry[status]++;
+    }
+  }
+  const categoryList = [...categories.values()].map(c => ({
+    ...c,
+    passRate: passRate(c),
+    terms: [...c.terms.values()].sort((a, b) => b.pairs - a.pairs || a.term.localeCompare(b.term))
+  }));
+
+  // ---- annotators ----
+  const annotators = new Map();
+  for (const pair of livePairs) {
+    const name = pair.annotator || 'anonymous';
+    if (!annotators.has(name)) annotators.set(name, { annotator: name, pairs: 0, ...statusCounts(), audioSeconds: 0, days: new Set(), firstAt: null, lastAt: null });
+    const entry = annotators.get(name);
+    entry.pairs++;
+    entry[reviewOf(pair).status]++;
+    entry.audioSeconds += seconds(pair.en && pair.en.audioRef) + seconds(pair.ht && pair.ht.audioRef);
+    entry.days.add(day(pair.createdAt));
+    if (!entry.firstAt || pair.createdAt < entry.firstAt) entry.firstAt = pair.createdAt;
+    if (!entry.lastAt || pair.createdAt > entry.lastAt) entry.lastAt = pair.createdAt;
+  }
+  const annotatorList = [...annotators.values()]
+    .map(({ days: active, ...a }) => ({
+      ...a,
+      audioSeconds: round(a.audioSeconds, 1),
+      activeDays: active.size,
+      pairsPerActiveDay: round(a.pairs / active.size, 1),
+      passRate: passRate(a)
+    }))
+    .sort((a, b) => b.pairs - a.pairs);
+
+  // ---- review ----
+  const totals = statusCounts();
+  const reasons = Object.fromEntries(REVIEW_REASONS.map(r => [r, 0]));
+  const reviewers = new Map();
+  let firstVerdicts = 0, firstPass = 0;
+  for (const pair of livePairs) {
+    const review = reviewOf(pair);
+    totals[review.status]++;
+    if (review.status !== 'approved' && review.status !== 'pending') {
+      for (const r of review.reasons || []) reasons[r] = (reasons[r] || 0) + 1;
+    }
+    const verdicts = review.history.filter(h => h.action === 'verdict');
+    if (verdicts.length) {
+      firstVerdicts++;
+      if (verdicts[0].status === 'approved') firstPass++;
+    }
+    for (const v of verdicts) {
+      if (!reviewers.has(v.by)) reviewers.set(v.by, { reviewer: v.by, verdicts: 0, approved: 0, rejected: 0, 'needs-fix': 0 });
+      const entry = reviewers.get(v.by);
+      entry.verdicts++;
+      entry[v.status]++;
+    }
+  }
+
+  // ---- daily ----
+  const span = Math.max(1, Math.min(365, days));
+  const daily = new Map();
+  for (let i = span - 1; i >= 0; i--) {
+    const date = day(new Date(now - i * DAY_MS).toISOString());
+    daily.set(date, { date, pairs: 0, approved: 0, verdicts: 0, audioSeconds: 0 });
+  }
+  for (const pair of livePairs) {
+    const entry = daily.get(day(pair.createdAt));
+    if (entry) entry.pairs++;
+    for (const h of reviewOf(pair).history) {
+      const verdictDay = h.action === 'verdict' && daily.get(day(h.at));
+      if (!verdictDay) continue;
+      verdictDay.verdicts++;
+      if (h.status === 'approved') verdictDay.approved++;
+    }
+  }
+  for (const a of liveAudio) {
+    const entry = daily.get(day(a.createdAt));
+    if (entry) entry.audioSeconds += a.duration_s || 0;
+  }
+
+  const target = coverage.reduce((n, c) => n + c.target, 0);
+  const recorded = coverage.reduce((n, c) => n + c.recorded, 0);
+  return {
+    generatedAt: new Date(now).toISOString(),
+    totals: {
+      pairs: livePairs.length,
+      ...totals,
+      audioClips: liveAudio.length,
+      audioHours: round(Object.values(audioStats).reduce((n, e) => n + e.hours, 0), 3),
+      target,
+      recorded,
+      progress: target ? round(recorded / target, 3) : null
+    },
+    audio: audioStats,
+    categories: categoryList,
+    annotators: annotatorList,
+    review: {
+      passRate: passRate(totals),
+      firstPassRate: firstVerdicts ? round(firstPass / firstVerdicts, 3) : null,
+      reasons,
+      reviewers: [...reviewers.values()].sort((a, b) => b.verdicts - a.verdicts)
+    },
+    daily: [...daily.values()].map(d => ({ ...d, audioSeconds: round(d.audioSeconds, 1) }))
+  };
+}
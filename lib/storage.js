@@ -0,0 +1,250 @@
+// Record storage for audio metadata, pairs, tombstones, user accounts, the term catalog and
+// recorded train/dev/test split assignments
+//
+// STORAGE_BACKEND selects the implementation:
+//   fs   (default) one JSON file per record in the data/ layout described in server.js;
+//        list() re-reads the directory on every call
+//   log  append-only JSONL log (data/store/records.log) replayed into an in-memory index
+//        at startup; writes append one line, reads and lists never touch the disk
+//
+// Both expose the same synchronous API:
+//   get(type, id)        -> record or null        (type: one of RECORD_TYPES)
+//   put(type, record)    -> record                (stores a copy; throws on an invalid id)
+//   remove(type, id)     -> true when something was removed
+//   list(type)           -> [record, ...]
+//   blobPath(lang, file) -> absolute path of an audio file under data/audio/<lang>/
+// Recordings themselves always live on the filesystem; only the JSON records move.
+// Ids become file names in the fs backend, so ids that are not plain names (empty, '.',
+// '..', or containing '/', '\' or NUL) are refused by both: get -> null, remove -> false.
+//
+// `npm run storage:migrate` copies every record from one backend into the other.
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+export const RECORD_TYPES = ['audio', 'pair', 'tombstone', 'user', 'category', 'term', 'template', 'split'];
+export const AUDIO_LANGS = ['en', 'ht'];
+
+const ID_FIELDS = { audio: 'id', pair: 'sampleId', tombstone: 'sampleId', user: 'id', category: 'id', term: 'id', template: 'id', split: 'id' };
+
+export function recordId(type, record) {
+  return record[ID_FIELDS[type]];
+}
+
+// 'ht-HT' -> 'ht'
+export function audioLang(record) {
+  const lang = String(record.lang || '').slice(0, 2).toLowerCase();
+  return AUDIO_LANGS.includes(lang) ? lang : 'en';
+}
+
+function checkType(type) {
+  if (!RECORD_TYPES.includes(type)) throw new Error(`Unknown record type: ${type}`);
+}
+
+function validId(id) {
+  return typeof id === 'string' && id !== '' && id !== '.' && id !== '..' && !/[/\\\0]/.test(id);
+}
+
+function checkId(type, id) {
+  if (!validId(id)) throw new Error(`Invalid ${type} id: ${JSON.stringify(id)}`);
+}
+
+// Write-then-rename so readers never see a half-written record
+function writeJsonAtomic(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+function blobPathFor(dataRoot) {
+  return (lang, file) => path.join(dataRoot, 'audio', lang, path.basename(String(file)));
+}
+
+// ---------- fs backend ----------
+
+function createFsStore(dataRoot, logger) {
+  const dirs = {
+    pair: path.join(dataRoot, 'pairs'),
+    tombstone: path.join(dataRoot, 'tombstones'),
+    user: path.join(dataRoot, 'users'),
+    category: path.join(dataRoot, 'catalog', 'categories'),
+    term: path.join(dataRoot, 'catalog', 'terms'),
+    template: path.join(dataRoot, 'catalog', 'templates'),
+    split: path.join(dataRoot, 'splits')
+  };
+  const suffix = { audio: '.json', pair: '.pair.json', tombstone: '.json', user: '.json', category: '.json', term: '.json', template: '.json', split: '.json' };
+
+  function candidates(type, id) {
+    if (type === 'audio') return AUDIO_LANGS.map(lang => path.join(dataRoot, 'audio', lang, `${id}.json`));
+    return [path.join(dirs[type], `${id}${suffix[type]}`)];
+  }
+
+  function readFile(file) {
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') logger.warn('Failed to parse record file', { file, error: err.message });
+      return null;
+    }
+  }
+
+  return {
+    backend: 'fs',
+    blobPath: blobPathFor(dataRoot),
+
+    get(type, id) {
+      checkType(type);
+      if (!validId(id)) return null;
+      for (const file of candidates(type, id)) {
+        const record = readFile(file);
+        if (record) return record;
+      }
+      return null;
+    },
+
+    put(type, record) {
+      checkType(type);
+      const id = recordId(type, record);
+      checkId(type, id);
+      const file = type === 'audio'
+        ? path.join(dataRoot, 'audio', audioLang(record), `${id}.json`)
+        : path.join(dirs[type], `${id}${suffix[type]}`);
+      writeJsonAtomic(file, record);
+      return record;
+    },
+
+    remove(type, id) {
+      checkType(type);
+      if (!validId(id)) return false;
+      let removed = false;
+      for (const file of candidates(type, id)) {
+        if (fs.existsSync(file)) {
+          fs.rmSync(file, { force: true });
+          removed = true;
+        }
+      }
+      return removed;
+    },
+
+    list(type) {
+      checkType(type);
+      const folders = type === 'audio' ? AUDIO_LANGS.map(lang => path.join(dataRoot, 'audio', lang)) : [dirs[type]];
+      const records = [];
+      for (const dir of folders) {
+        if (!fs.existsSync(dir)) continue;
+        for (const f of fs.readdirSync(dir)) {
+          if (!f.endsWith(suffix[type])) continue;
+          const record = readFile(path.join(dir, f));
+          if (record) records.push(record);
+        }
+      }
+      return records;
+    },
+
+    compact() {
+      return null;
+    }
+  };
+}
+
+// ---------- log backend ----------
+
+function createLogStore(dataRoot, logger) {
+  const file = path.join(dataRoot, 'store', 'records.log');
+  const index = Object.fromEntries(RECORD_TYPES.map(type => [type, new Map()]));
+  let lines = 0;
+
+  function apply(entry) {
+    if (!index[entry.type]) return;
+    if (entry.op === 'put') index[entry.type].set(entry.id, entry.record);
+    else if (entry.op === 'del') index[entry.type].delete(entry.id);
+  }
+
+  if (fs.existsSync(file)) {
+    const raw = fs.readFileSync(file, 'utf8').split('\n');
+    raw.forEach((line, i) => {
+      if (!line.trim()) return;
+      try {
+        apply(JSON.parse(line));
+        lines++;
+      } catch (err) {
+        // A crash mid-append leaves at most one torn line at the end
+        logger.warn('Skipping corrupt storage log line', { file, line: i + 1, error: err.message });
+      }
+    });
+  }
+
+  function append(entry) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.appendFileSync(file, JSON.stringify(entry) + '\n');
+    lines++;
+    apply(entry);
+  }
+
+  function live() {
+    return RECORD_TYPES.reduce((n, type) => n + index[type].size, 0);
+  }
+
+  // Callers are free to mutate what they get back
+  const copy = record => (record ? structuredClone(record) : null);
+
+  const store = {
+    backend: 'log',
+    blobPath: blobPathFor(dataRoot),
+
+    get(type, id) {
+      checkType(type);
+      if (!validId(id)) return null;
+      return copy(index[type].get(id));
+    },
+
+    put(type, record) {
+      checkType(type);
+      checkId(type, recordId(type, record));
+      // A copy, so later changes to the caller's object cannot reach the index without a write
+      append({ op: 'put', type, id: recordId(type, record), record: structuredClone(record) });
+      return record;
+    },
+
+    remove(type, id) {
+      checkType(type);
+      if (!index[type].has(id)) return false;
+      append({ op: 'del', type, id });
+      return true;
+    },
+
+    list(type) {
+      checkType(type);
+      return [...index[type].values()].map(copy);
+    },
+
+    // Rewrite the log with only the live records
+    compact() {
+      const entries = RECORD_TYPES.flatMap(type =>
+        [...index[type].entries()].map(([id, record]) => JSON.stringify({ op: 'put', type, id, record })));
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const tmp = `${file}.${process.pid}.tmp`;
+      fs.writeFileSync(tmp, entries.length ? entries.join('\n') + '\n' : '');
+      fs.renameSync(tmp, file);
+      const before = lines;
+      lines = entries.length;
+      return { before, after: lines };
+    }
+  };
+
+  // Superseded lines only cost startup time; drop them once they dominate the log
+  if (lines > 1000 && lines > live() * 2) {
+    const result = store.compact();
+    logger.info('Storage log compacted', { file, ...result });
+  }
+  return store;
+}
+
+export function createStorage({ dataRoot, backend = process.env.STORAGE_BACKEND || 'fs', logger = console } = {}) {
+  switch (String(backend).toLowerCase()) {
+    case 'fs':  return createFsStore(dataRoot, logger);
+    case 'log': return createLogStore(dataRoot, logger);
+    default: throw new Error(`Unknown STORAGE_BACKEND: ${backend}`);
+  }
+}
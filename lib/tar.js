@@ -0,0 +1,129 @@
+// Streaming ustar (POSIX tar) writer
+//
+// createTarWriter(output) writes entries straight to a writable stream (an HTTP response,
+// or a gzip stream piped into one) without buffering the archive:
+//   await tar.addBuffer(name, buffer)     small generated files (manifests, README)
+//   await tar.addFile(name, absPath)      files on disk, streamed in chunks
+//   await tar.finish()                    end-of-archive blocks; does not end `output`
+// Every write waits for 'drain' when the output is full, and fails once the output is
+// closed (client went away), so a slow or aborted download never piles up in memory.
+// The SHA-256 of each entry is computed on the way through: tar.entries() lists
+// [{ name, size, sha256 }] for the checksum file.
+//
+// tarBuffer([{ name, data }]) builds a small archive in memory in one go, for generated
+// text files that are sent as a single response body.
+
+import fs from 'node:fs';
+import { createHash } from 'node:crypto';
+
+const BLOCK = 512;
+
+// Resolves on 'drain', rejects if the stream closes first
+export function drained(stream) {
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      stream.off('drain', onDrain);
+      stream.off('close', onClose);
+    };
+    const onDrain = () => { cleanup(); resolve(); };
+    const onClose = () => { cleanup(); reject(new Error('Output closed')); };
+    stream.on('drain', onDrain);
+    stream.on('close', onClose);
+  });
+}
+
+function octal(n, width) {
+  return n.toString(8).padStart(width - 1, '0') + '\0';
+}
+
+// Names over 100 bytes go in the 155-byte prefix field, split at a '/'
+function splitName(name) {
+  if (Buffer.byteLength(name) <= 100) return { name, prefix: '' };
+  for (let i = name.lastIndexOf('/'); i > 0; i = name.lastIndexOf('/', i - 1)) {
+    const prefix = name.slice(0, i), rest = name.slice(i + 1);
+    if (Buffer.byteLength(prefix) <= 155 && Buffer.byteLength(rest) <= 100) return { name: rest, prefix };
+  }
+  throw new Error(`Path too long for a tar entry: ${name}`);
+}
+
+function header(entryName, size, mtime) {
+  const { name, prefix } = splitName(entryName);
+  const h = Buffer.alloc(BLOCK);
+  h.write(name, 0, 100);
+  h.write('0000644\0', 100);                 // mode
+  h.write(octal(0, 8), 108);                 // uid
+  h.write(octal(0, 8), 116);                 // gid
+  h.write(octal(size, 12), 124);
+  h.write(octal(Math.floor(mtime / 1000), 12), 136);
+  h.write('        ', 148);                  // checksum is computed with this field as spaces
+  h.write('0', 156);                         // regular file
+  h.write('ustar\0', 257);
+  h.write('00', 263);
+  h.write(prefix, 345, 155);
+  let sum = 0;
+  for (const byte of h) sum += byte;
+  h.write(octal(sum, 7) + ' ', 148);
+  return h;
+}
+
+export function createTarWriter(output) {
+  const entries = [];
+
+  async function write(chunk) {
+    if (output.destroyed || output.writableEnded) throw new Error('Output closed');
+    if (!output.write(chunk)) await drained(output);
+  }
+
+  async function pad(size) {
+    const rest = size % BLOCK;
+    if (rest) await write(Buffer.alloc(BLOCK - rest));
+  }
+
+  async function addBuffer(name, data, mtime = Date.now()) {
+    const buf = Buffer.isBuffer(data) ? data : Buffer.from(String(data));
+    await write(header(name, buf.length, mtime));
+    await write(buf);
+    await pad(buf.length);
+    entries.push({ name, size: buf.length, sha256: createHash('sha256').update(buf).digest('hex') });
+  }
+
+  // The size is taken when the entry starts; a file that shrinks meanwhile is zero-filled
+  // and one that grows is cut, so the archive stays readable either way
+  async function addFile(name, absPath) {
+    const { size, mtimeMs } = fs.statSync(absPath);
+    await write(header(name, size, mtimeMs));
+    const hash = createHash('sha256');
+    let written = 0;
+    if (size) {
+      for await (const chunk of fs.createReadStream(absPath, { end: size - 1 })) {
+        hash.update(chunk);
+        written += chunk.length;
+        await write(chunk);
+      }
+    }
+    if (written < size) {
+      const fill = Buffer.alloc(size - written);
+      hash.update(fill);
+      await write(fill);
+    }
+    await pad(size);
+    entries.push({ name, size, sha256: hash.digest('hex') });
+  }
+
+  async function finish() {
+    await write(Buffer.alloc(BLOCK * 2));
+  }
+
+  return { addBuffer, addFile, finish, entries: () => entries };
+}
+
+export function tarBuffer(files, mtime = Date.now()) {
+  const parts = [];
+  for (const { name, data } of files) {
+    const buf = Buffer.isBuffer(data) ? data : Buffer.from(String(data));
+    parts.push(header(name, buf.length, mtime), buf);
+    if (buf.length % BLOCK) parts.push(Buffer.alloc(BLOCK - (buf.length % BLOCK)));
+  }
+  parts.push(Buffer.alloc(BLOCK * 2));
+  return Buffer.concat(parts);
+}
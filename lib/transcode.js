@@ -0,0 +1,192 @@
+// Background transcoding of uploads to 16 kHz mono PCM WAV for training
+//
+// Each job is identified by its audio ID. Job state lives in the audio metadata
+// record itself (see lib/storage.js) so it survives restarts:
+//   normalized: { status: 'pending' | 'done' | 'failed', file, codec, sr, channels,
+//                 duration_s, attempts, error, updatedAt }
+// The normalized file is written next to the original as <id>.16k.wav, and
+// onDone(id) runs after each successful job (the server rebuilds its manifests).
+//
+// Env:
+//   FFMPEG_PATH               ffmpeg binary (default 'ffmpeg' on PATH)
+//   TRANSCODE_MAX_ATTEMPTS    attempts before a job is marked failed (default 3)
+//   TRANSCODE_RETRY_MS        base retry delay, doubled per attempt (default 5000)
+//   TRANSCODE_TIMEOUT_MS      kill ffmpeg after this long (default 120000)
+
+import { execFile } from 'node:child_process';
+import fs from 'node:fs';
+import { probeAudio } from './audio-probe.js';
+import { audioLang } from './storage.js';
+
+export const TARGET_SR = 16000;
+export const TARGET_CHANNELS = 1;
+export const TARGET_CODEC = 'pcm_s16le';
+
+function run(bin, args, timeout) {
+  return new Promise((resolve, reject) => {
+    execFile(bin, args, { timeout, maxBuffer: 4 * 1024 * 1024 }, (err, stdout) => {
+      if (err) reject(err);   // err.message already carries ffmpeg's stderr
+      else resolve(stdout);
+    });
+  });
+}
+
+export function normalizedFileName(id) {
+  return `${id}.16k.wav`;
+}
+
+// Already 16 kHz mono s16le WAV: nothing to convert (meta or a probeAudio() result)
+export function isNormalized(meta) {
+  return meta.container === 'wav' && meta.codec === TARGET_CODEC && meta.sr === TARGET_SR && meta.channels === TARGET_CHANNELS;
+}
+
+export function createTranscodeQueue({ storage, logger, env = process.env, onDone = () => {} } = {}) {
+  const ffmpeg = env.FFMPEG_PATH || 'ffmpeg';
+  const maxAttempts = parseInt(env.TRANSCODE_MAX_ATTEMPTS) || 3;
+  const retryMs = parseInt(env.TRANSCODE_RETRY_MS) || 5000;
+  const timeout = parseInt(env.TRANSCODE_TIMEOUT_MS) || 120000;
+
+  const queue = [];
+  const queued = new Set();
+  const counts = { done: 0, failed: 0, retried: 0 };
+  let running = null;
+  let available = null;      // null until ffmpeg has been probed
+
+  const ready = run(ffmpeg, ['-hide_banner', '-version'], 10000)
+    .then(out => {
+      available = true;
+      logger.info('ffmpeg available for transcoding', { ffmpeg, version: String(out).split('\n')[0] });
+    })
+    .catch(err => {
+      available = false;
+      logger.warn('ffmpeg not available; uploads stay pending until it is installed', { ffmpeg, error: err.message });
+    });
+
+  function getMeta(id) {
+    const meta = storage.get('audio', id);
+    if (!meta) throw new Error(`Audio ${id} no longer exists`);
+    return meta;
+  }
+
+  function updateNormalized(id, patch) {
+    const meta = getMeta(id);
+    meta.normalized = { ...(meta.normalized || {}), ...patch, updatedAt: new Date().toISOString() };
+    storage.put('audio', meta);
+    return meta;
+  }
+
+  // false when the clip was deleted while ffmpeg ran: nothing is written for it
+  async function transcode(id) {
+    const meta = getMeta(id);
+    const lang = audioLang(meta);
+
+    if (isNormalized(meta)) {
+      updateNormalized(id, {
+        status: 'done', file: meta.audioFile, codec: TARGET_CODEC, sr: TARGET_SR,
+        channels: TARGET_CHANNELS, duration_s: meta.duration_s, error: null
+      });
+      return true;
+    }
+
+    const outFile = normalizedFileName(meta.id);
+    const outPath = storage.blobPath(lang, outFile);
+    const tmpPath = `${outPath}.tmp`;
+    try {
+      await run(ffmpeg, [
+        '-hide_banner', '-loglevel', 'error', '-y',
+        '-i', storage.blobPath(lang, meta.audioFile),
+        '-ac', String(TARGET_CHANNELS), '-ar', String(TARGET_SR), '-c:a', TARGET_CODEC,
+        '-f', 'wav', tmpPath
+      ], timeout);
+      // A purge (e.g. consent withdrawal) during the run must not leave audio behind
+      const current = storage.get('audio', id);
+      if (!current || current.deleted) return false;
+      fs.renameSync(tmpPath, outPath);
+    } finally {
+      fs.rmSync(tmpPath, { force: true });
+    }
+
+    const probe = probeAudio(fs.readFileSync(outPath));
+    updateNormalized(id, {
+      status: 'done', file: outFile, codec: TARGET_CODEC, sr: TARGET_SR,
+      channels: TARGET_CHANNELS, duration_s: probe ? probe.duration_s : null,
+      bytes: fs.statSync(outPath).size, error: null
+    });
+    return true;
+  }
+
+  async function pump() {
+    if (running || !queue.length) return;
+    await ready;
+    if (!available || running || !queue.length) return;
+
+    const id = queue.shift();
+    queued.delete(id);
+    running = id;
+    let attempts = 1;
+    let done = false;
+    try {
+      const meta = getMeta(id);
+      if (meta.deleted) return;
+      attempts = ((meta.normalized || {}).attempts || 0) + 1;
+      updateNormalized(id, { status: 'pending', attempts });
+      if (!(await transcode(id))) {
+        logger.info('Transcode dropped: audio deleted while converting', { id });
+        return;
+      }
+      counts.done++;
+      done = true;
+      logger.info('Transcode done', { id, attempts });
+    } catch (err) {
+      const retry = attempts < maxAttempts && !!storage.get('audio', id);
+      logger.warn('Transcode failed', { id, attempts, retry, error: err.message });
+      try {
+        if (storage.get('audio', id)) updateNormalized(id, { status: retry ? 'pending' : 'failed', error: err.message });
+      } catch (writeErr) {
+        logger.error('Failed to record transcode status', { id, error: writeErr.message });
+      }
+      if (retry) {
+        counts.retried++;
+        setTimeout(() => enqueue(id), retryMs * 2 ** (attempts - 1)).unref();
+      } else {
+        counts.failed++;
+      }
+    } finally {
+      running = null;
+      setImmediate(pump);
+    }
+    if (done) {
+      try {
+        onDone(id);
+      } catch (err) {
+        logger.warn('Transcode onDone failed', { id, error: err.message });
+      }
+    }
+  }
+
+  function enqueue(id) {
+    if (queued.has(id) || running === id) return;
+    queued.add(id);
+    queue.push(id);
+    pump();
+  }
+
+  // Pick up pending jobs left over from a previous run
+  function resume() {
+    for (const meta of storage.list('audio')) {
+      if (!meta.deleted && meta.normalized && meta.normalized.status === 'pending') enqueue(meta.id);
+    }
+  }
+
+  // Manual retry of a failed job starts its attempt count over
+  function retry(id) {
+    updateNormalized(id, { status: 'pending', attempts: 0, error: null });
+    enqueue(id);
+  }
+
+  function status() {
+    return { ffmpeg, available, maxAttempts, queued: queue.length, running, ...counts };
+  }
+
+  return { enqueue, resume, retry, status };
+}
@@ -0,0 +1,317 @@
+// EN -> HT translation suggestions for POST /api/translate
+//
+// Every provider exposes the same shape:
+//   provider.name                -> 'phrase-table' | 'local'
+//   provider.model               -> model identifier recorded with a suggestion (or null)
+//   await provider.translate({ text, category })
+//     -> [{ text, confidence, method }]     best first; confidence in [0, 1] or null
+//
+// Selected with TRANSLATE_PROVIDERS, a comma separated list queried in order
+// (defaults to 'phrase-table', plus 'local' when TRANSLATE_LOCAL_URL is set):
+//   phrase-table  offline; built from approved pairs and the catalog's reference translations
+//   local         a locally hosted MT model behind HTTP (LibreTranslate-compatible API)
+//
+// phrase-table methods, most to least trusted:
+//   memory   the exact English sentence was approved before
+//   frame    the sentence fits a frame with a known Creole version (a catalog template's
+//            ht, or learned from approved pairs recorded from the same template) and the
+//            slot's term is in the table
+//   phrase   longest-match substitution of known terms and phrases; English words
+//            without an entry are left as they are, so confidence scales with coverage
+// The table is rebuilt after approvals and catalog edits, and at least every
+// TRANSLATE_REFRESH_SECONDS (default 60).
+//
+// Local provider env:
+//   TRANSLATE_LOCAL_URL         e.g. http://localhost:5000/translate
+//                               request  { q, text, source: 'en', target: 'ht', format: 'text' }
+//                               response { translatedText } (also accepted: translation, text,
+//                               translations[0]), optional confidence / score
+//   TRANSLATE_LOCAL_MODEL       model label recorded with suggestions
+//   TRANSLATE_TIMEOUT_MS        abort the request after this long (default 10000)
+
+import { reviewOf } from './review.js';
+import { normalizeHt } from './orthography.js';
+
+const PLACEHOLDER = '{TERM}';
+const MAX_PHRASE_WORDS = 6;
+const CONFIDENCE = {
+  memory: 0.95,
+  catalogFrame: 0.85,
+  learnedFrame: 0.75,
+  phrase: 0.5
+};
+
+// Whether the stored HT text came from a suggestion: 'machine' (accepted as suggested),
+// 'machine-edited' (suggested, then changed) or 'human'
+export const HT_ORIGINS = ['machine', 'machine-edited', 'human'];
+
+function norm(s) {
+  return String(s || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+function words(s) {
+  return norm(s).replace(/[.,!?;:"()]/g, ' ').split(' ').filter(Boolean);
+}
+
+function round(n, digits = 3) {
+  const f = 10 ** digits;
+  return Math.round(n * f) / f;
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Sentence-initial capital only: prompts capitalise catalog terms mid-sentence
+// ("... about Hypertension."), Creole sentences should not ("... sou tansyon wo.")
+function slotCase(ht, frame) {
+  return frame.startsWith(PLACEHOLDER) ? ht[0].toUpperCase() + ht.slice(1) : ht[0].toLowerCase() + ht.slice(1);
+}
+
+// Give `ht` the capitalisation of the English it replaces ("Diabetes" vs "diabetes")
+function matchCase(ht, en) {
+  if (!ht || !en) return ht;
+  const first = en[0];
+  if (first === first.toUpperCase() && first !== first.toLowerCase()) return ht[0].toUpperCase() + ht.slice(1);
+  return ht[0].toLowerCase() + ht.slice(1);
+}
+
+// Most frequent value per key
+function majority(map) {
+  const out = new Map();
+  for (const [key, counts] of map) {
+    const [value, count] = [...counts.entries()].sort((a, b) => b[1] - a[1])[0];
+    out.set(key, { value, count });
+  }
+  return out;
+}
+
+function tallyInto(map, key, value) {
+  if (!map.has(key)) map.set(key, new Map());
+  const counts = map.get(key);
+  counts.set(value, (counts.get(value) || 0) + 1);
+}
+
+// ---------- phrase table ----------
+
+export function buildPhraseTable(storage) {
+  const terms = storage.list('term').filter(t => t.active !== false);
+  const templates = storage.list('template').filter(t => t.active !== false);
+  const approved = storage.list('pair').filter(p => !p.deleted && reviewOf(p).status === 'approved' && p.ht && p.ht.text);
+
+  const sentences = new Map();      // en sentence -> Map(ht -> n)
+  const phrases = new Map();        // en phrase   -> Map(ht -> n)
+  const learnedFrames = new Map();  // en frame    -> Map(ht frame -> n)
+
+  for (const t of terms) {
+    if (t.ht) tallyInto(phrases, norm(t.term), t.ht.trim());
+  }
+
+  const termsByText = new Map(terms.map(t => [norm(t.term), t]));
+  for (const pair of approved) {
+    const en = pair.en && pair.en.text;
+    if (!en) continue;
+    const ht = pair.ht.text.trim().replace(/\s+/g, ' ');
+    tallyInto(sentences, norm(en), ht);
+    if (norm(en) === norm(pair.term)) {
+      tallyInto(phrases, norm(en), ht);
+      continue;
+    }
+    // "I have a question about Diabetes." + "... sou dyabèt." -> a frame for both sides
+    const term = termsByText.get(norm(pair.term));
+    if (!term || !term.ht) continue;
+    const enAt = norm(en).indexOf(norm(term.term));
+    const htAt = ht.toLowerCase().indexOf(norm(term.ht));
+    if (enAt < 0 || htAt < 0) continue;
+    const enFrame = norm(en).slice(0, enAt) + PLACEHOLDER + norm(en).slice(enAt + norm(term.term).length);
+    const htFrame = ht.slice(0, htAt) + PLACEHOLDER + ht.slice(htAt + norm(term.ht).length);
+    tallyInto(learnedFrames, enFrame, htFrame);
+  }
+
+  const frames = [];
+  for (const t of templates) {
+    if (t.ht) frames.push({ en: norm(t.text).replace(PLACEHOLDER.toLowerCase(), PLACEHOLDER), ht: t.ht, category: t.category, confidence: CONFIDENCE.catalogFrame, origin: 'catalog' });
+  }
+  for (const [en, { value, count }] of majority(learnedFrames)) {
+    if (frames.some(f => f.en === en)) continue;
+    // One approval is a hint; a few agreeing approvals make the frame nearly as good as a curated one
+    const confidence = Math.min(CONFIDENCE.catalogFrame, CONFIDENCE.learnedFrame + 0.03 * (count - 1));
+    frames.push({ en, ht: value, category: null, confidence, origin: 'pairs' });
+  }
+  for (const frame of frames) {
+    const [before, after] = frame.en.split(PLACEHOLDER);
+    frame.re = new RegExp(`^${escapeRegExp(before)}(.+?)${escapeRegExp(after)}$`, 'i');
+  }
+
+  return {
+    sentences: majority(sentences),
+    phrases: majority(phrases),
+    frames
+  };
+}
+
+// Greedy longest-match substitution. Returns { text, coverage } (coverage = share of
+// English words replaced)
+function substitute(table, text) {
+  const tokens = String(text).trim().split(/\s+/).filter(Boolean);
+  const out = [];
+  let covered = 0, total = 0;
+  for (let i = 0; i < tokens.length;) {
+    let hit = null;
+    for (let n = Math.min(MAX_PHRASE_WORDS, tokens.length - i); n > 0 && !hit; n--) {
+      const span = tokens.slice(i, i + n).join(' ');
+      // Keep surrounding punctuation: "Diabetes?" -> "Dyabèt?"
+      const [, lead, core, trail] = span.match(/^([("]*)(.*?)([.,!?;:")]*)$/);
+      const entry = table.phrases.get(norm(core));
+      if (entry) hit = { n, text: lead + matchCase(entry.value, core) + trail };
+    }
+    if (hit) {
+      out.push(hit.text);
+      covered += hit.n;
+      total += hit.n;
+      i += hit.n;
+    } else {
+      out.push(tokens[i]);
+      if (words(tokens[i]).length) total++;
+      i++;
+    }
+  }
+  return { text: out.join(' '), coverage: total ? covered / total : 0 };
+}
+
+function phraseTableProvider({ storage, env }) {
+  const refreshMs = (parseFloat(env.TRANSLATE_REFRESH_SECONDS) || 60) * 1000;
+  let table = null, builtAt = 0;
+
+  function current() {
+    if (!table || Date.now() - builtAt > refreshMs) {
+      table = buildPhraseTable(storage);
+      builtAt = Date.now();
+    }
+    return table;
+  }
+
+  return {
+    name: 'phrase-table',
+    model: null,
+    invalidate() { table = null; },
+    async translate({ text, category }) {
+      const t = current();
+      const suggestions = [];
+
+      const memory = t.sentences.get(norm(text));
+      if (memory) suggestions.push({ text: memory.value, confidence: CONFIDENCE.memory, method: 'memory' });
+
+      const source = String(text).trim().replace(/\s+/g, ' ');
+      const frames = t.frames
+        .filter(f => !f.category || !category || f.category === category)
+        .sort((a, b) => b.confidence - a.confidence);
+      for (const frame of frames) {
+        const m = source.match(frame.re);
+        if (!m) continue;
+        const slot = t.phrases.get(norm(m[1]));
+        const filled = slot ? { text: matchCase(slot.value, m[1]), coverage: 1 } : substitute(t, m[1]);
+        if (!filled.coverage) continue;
+        suggestions.push({
+          text: frame.ht.replace(PLACEHOLDER, slotCase(filled.text, frame.ht)),
+          confidence: round(frame.confidence * filled.coverage),
+          method: 'frame'
+        });
+        break;
+      }
+
+      // Word-by-word output is only worth showing when nothing better matched
+      const phrase = suggestions.length ? null : substitute(t, source);
+      if (phrase && phrase.coverage) suggestions.push({ text: phrase.text, confidence: round(CONFIDENCE.phrase * phrase.coverage), method: 'phrase' });
+      return suggestions;
+    }
+  };
+}
+
+// ---------- local model ----------
+
+function localProvider(env) {
+  const url = env.TRANSLATE_LOCAL_URL;
+  if (!url) throw new Error('The local translation provider requires TRANSLATE_LOCAL_URL');
+  const timeout = parseInt(env.TRANSLATE_TIMEOUT_MS) || 10000;
+
+  return {
+    name: 'local',
+    model: env.TRANSLATE_LOCAL_MODEL || null,
+    async translate({ text }) {
+      const res = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ q: text, text, source: 'en', target: 'ht', format: 'text' }),
+        signal: AbortSignal.timeout(timeout)
+      });
+      if (!res.ok) throw new Error(`Translation server returned ${res.status}`);
+      const json = await res.json();
+      const translated = json.translatedText ?? json.translation ?? json.text ?? (Array.isArray(json.translations) ? json.translations[0] : null);
+      const value = translated && typeof translated === 'object' ? translated.text : translated;
+      if (typeof value !== 'string' || !value.trim()) return [];
+      const score = typeof json.confidence === 'number' ? json.confidence : typeof json.score === 'number' ? json.score : null;
+      return [{ text: value.trim(), confidence: score === null ? null : round(Math.max(0, Math.min(1, score))), method: 'model' }];
+    }
+  };
+}
+
+// ---------- translator ----------
+
+export function createTranslator({ storage, logger, env = process.env }) {
+  const names = (env.TRANSLATE_PROVIDERS || (env.TRANSLATE_LOCAL_URL ? 'phrase-table,local' : 'phrase-table'))
+    .split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+  const providers = names.map(name => {
+    switch (name) {
+      case 'phrase-table': return phraseTableProvider({ storage, env });
+      case 'local': return localProvider(env);
+      default: throw new Error(`Unknown translation provider: ${name}`);
+    }
+  });
+
+  // Suggestions from every provider, best first, one per distinct text.
+  // A failing provider is reported in `errors` without failing the others.
+  async function suggest({ text, category = null, limit = 3 }) {
+    const suggestions = [];
+    const errors = [];
+    for (const provider of providers) {
+      try {
+        for (const s of await provider.translate({ text, category })) {
+          suggestions.push({ ...s, source: provider.name, model: provider.model });
+        }
+      } catch (err) {
+        logger.warn('Translation provider failed', { provider: provider.name, error: err.message });
+        errors.push({ source: provider.name, error: err.message });
+      }
+    }
+    const seen = new Set();
+    const ranked = suggestions
+      .sort((a, b) => (b.confidence ?? 0.6) - (a.confidence ?? 0.6))
+      .filter(s => !seen.has(norm(s.text)) && seen.add(norm(s.text)));
+    return { suggestions: ranked.slice(0, limit), errors };
+  }
+
+  // Rebuild offline tables on next use (after approvals and catalog edits)
+  function invalidate() {
+    for (const provider of providers) provider.invalidate?.();
+  }
+
+  return { providers: names, suggest, invalidate };
+}
+
+// How the HT text of a pair being linked came about, from the suggestion the client
+// shows it started from. Returns { origin, suggestion }. The stored text is normalized
+// (lib/orthography.js), so the suggestion is too before they are compared.
+export function htOrigin(htText, suggestion) {
+  if (!suggestion || typeof suggestion !== 'object' || typeof suggestion.text !== 'string' || !suggestion.text.trim()) {
+    return { origin: 'human', suggestion: null };
+  }
+  const kept = {
+    text: suggestion.text.trim(),
+    source: typeof suggestion.source === 'string' ? suggestion.source : null,
+    model: typeof suggestion.model === 'string' ? suggestion.model : null,
+    method: typeof suggestion.method === 'string' ? suggestion.method : null,
+    confidence: typeof suggestion.confidence === 'number' ? suggestion.confidence : null
+  };
+  return { origin: norm(normalizeHt(htText)) === norm(normalizeHt(kept.text)) ? 'machine' : 'machine-edited', suggestion: kept };
+}
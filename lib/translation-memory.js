@@ -0,0 +1,127 @@
+// Translation memory: approved pairs as reusable sentence-level EN <-> HT translations
+//
+// Entries are built from live pairs whose review status is approved, one per distinct
+// (en.text, ht.text), so a sentence approved with two different translations shows both:
+//   { en, ht, category, term, count, sampleIds, lastApprovedAt }
+//
+// search(q, { lang }) looks the query up on the `lang` side ('en' by default) and returns
+// matches ranked by similarity:
+//   exact   same text, ignoring case and spacing (score 1)
+//   fuzzy   word-level edit distance: 1 - distance / longer length, so one changed word in
+//           a ten-word sentence scores 0.9; punctuation is ignored
+// Candidates must share at least one word with the query (inverted index), which keeps
+// search fast on large memories.
+//
+// The index is rebuilt after approvals and pair edits, and at least every
+// TM_REFRESH_SECONDS (default 60). TM_MIN_SCORE sets the default cut-off (0.5).
+
+import { reviewOf } from './review.js';
+
+export const TM_LANGS = ['en', 'ht'];
+
+function norm(s) {
+  return String(s || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+// Words without punctuation; letters with diacritics (è, ò) are kept
+function tokens(s) {
+  return norm(s).split(/[^\p{L}\p{N}'-]+/u).map(w => w.replace(/^['-]+|['-]+$/g, '')).filter(Boolean);
+}
+
+function round(n, digits = 3) {
+  const f = 10 ** digits;
+  return Math.round(n * f) / f;
+}
+
+// Levenshtein distance over word arrays
+function wordDistance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+export function buildMemory(pairs) {
+  const entries = new Map();
+  for (const pair of pairs) {
+    if (pair.deleted || reviewOf(pair).status !== 'approved') continue;
+    const en = pair.en && pair.en.text, ht = pair.ht && pair.ht.text;
+    if (!en || !ht) continue;
+    const key = `${norm(en)}\u0000${norm(ht)}`;
+    const approvedAt = reviewOf(pair).reviewedAt || pair.createdAt;
+    const entry = entries.get(key);
+    if (!entry) {
+      entries.set(key, { en: en.trim(), ht: ht.trim(), category: pair.category, term: pair.term, count: 1, sampleIds: [pair.sampleId], lastApprovedAt: approvedAt });
+      continue;
+    }
+    entry.count++;
+    entry.sampleIds.push(pair.sampleId);
+    if (approvedAt > entry.lastApprovedAt) entry.lastApprovedAt = approvedAt;
+  }
+
+  const list = [...entries.values()];
+  const index = Object.fromEntries(TM_LANGS.map(lang => [lang, new Map()]));
+  list.forEach((entry, i) => {
+    for (const lang of TM_LANGS) {
+      entry[`${lang}Tokens`] = tokens(entry[lang]);
+      for (const word of new Set(entry[`${lang}Tokens`])) {
+        if (!index[lang].has(word)) index[lang].set(word, []);
+        index[lang].get(word).push(i);
+      }
+    }
+  });
+  return { entries: list, index };
+}
+
+export function createTranslationMemory({ storage, env = process.env }) {
+  const refreshMs = (parseFloat(env.TM_REFRESH_SECONDS) || 60) * 1000;
+  const defaultMinScore = parseFloat(env.TM_MIN_SCORE) || 0.5;
+  let memory = null, builtAt = 0;
+
+  function current() {
+    if (!memory || Date.now() - builtAt > refreshMs) {
+      memory = buildMemory(storage.list('pair'));
+      builtAt = Date.now();
+    }
+    return memory;
+  }
+
+  // Matches for `q`, best first: [{ score, match, en, ht, category, term, count, sampleIds, lastApprovedAt }]
+  function search(q, { lang = 'en', category = null, limit = 5, minScore = defaultMinScore } = {}) {
+    const { entries, index } = current();
+    const query = tokens(q);
+    if (!query.length) return [];
+
+    const candidates = new Set();
+    for (const word of query) {
+      for (const i of index[lang].get(word) || []) candidates.add(i);
+    }
+
+    const matches = [];
+    for (const i of candidates) {
+      const entry = entries[i];
+      if (category && entry.category !== category) continue;
+      const exact = norm(entry[lang]) === norm(q);
+      const longest = Math.max(query.length, entry[`${lang}Tokens`].length);
+      const score = exact ? 1 : 1 - wordDistance(query, entry[`${lang}Tokens`]) / longest;
+      if (score < minScore) continue;
+      const { enTokens, htTokens, sampleIds, ...rest } = entry;
+      // Same words with different punctuation is still not an exact match
+      matches.push({ ...rest, sampleIds: sampleIds.slice(0, 5), score: round(exact ? 1 : Math.min(score, 0.99)), match: exact ? 'exact' : 'fuzzy' });
+    }
+    return matches
+      .sort((a, b) => b.score - a.score || b.count - a.count || (a.lastApprovedAt < b.lastApprovedAt ? 1 : -1))
+      .slice(0, limit);
+  }
+
+  return {
+    search,
+    size: () => current().entries.length,
+    invalidate() { memory = null; }
+  };
+}
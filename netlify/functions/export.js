@@ -1,146 +1,192 @@
 // Export functionality for model training data
-const fs = require('fs');
-const path = require('path');
-
-exports.handler = async (event, context) => {
+// JSON, JSONL and CSV are relayed from the backend's /api/export/data as they are, with its
+// ETag / Last-Modified / X-Export-Cursor headers (lib/export-stream.js). The backend's body is
+// streamed through (Functions v2 responses can be streams), so large exports are not held in
+// the function's memory. TMX, XLIFF and the aligned line-file tar (moses) are built here from
+// /api/export/raw records with the shared export schema (lib/export-schema.js), so every format
+// matches the Node server; those are built in memory, so page large ones with limit= and cursor=.
+// The backend's 4xx answers (no session, not an admin, bad parameters) are passed on; mock
+// data is only served when the backend cannot be reached or fails.
+import { EXPORT_SCHEMA_VERSION, EXPORT_FORMATS, EXPORT_JSON_SCHEMA, STREAMED_FORMATS, toExportRecord, serializeExport, exportFileName } from '../../lib/export-schema.js';
+
+const RELAYED_HEADERS = ['Content-Type', 'Content-Disposition', 'ETag', 'Last-Modified', 'Cache-Control', 'X-Export-Schema-Version', 'X-Export-Cursor', 'X-Export-More'];
+
+export default async (req, context) => {
   const headers = {
     'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type',
-    'Access-Control-Allow-Methods': 'GET, OPTIONS'
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, If-None-Match, If-Modified-Since',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Access-Control-Expose-Headers': 'Content-Disposition, ETag, Last-Modified, X-Export-Schema-Version, X-Export-Cursor, X-Export-More'
   };
+  const url = new URL(req.url);
 
-  if (event.httpMethod === 'OPTIONS') {
-    return { statusCode: 204, headers, body: '' };
+  if (req.method === 'OPTIONS') {
+    return new Response(null, { status: 204, headers });
   }
 
-  if (event.httpMethod !== 'GET') {
-    return {
-      statusCode: 405,
-      headers,
-      body: JSON.stringify({ error: 'Method not allowed' })
-    };
+  if (req.method !== 'GET') {
+    return new Response(JSON.stringify({ error: 'Method not allowed' }), {
+      status: 405,
+      headers: { ...headers, 'Content-Type': 'application/json' }
+    });
   }
 
-  try {
-    console.log('🎯 EXPORT FUNCTION CALLED', {
-      path: event.path,
-      queryParams: event.queryStringParameters,
-      timestamp: new Date().toISOString()
+  if (url.pathname.endsWith('/schema')) {
+    return new Response(JSON.stringify(EXPORT_JSON_SCHEMA, null, 2), {
+      status: 200,
+      headers: { ...headers, 'Content-Type': 'application/schema+json', 'X-Export-Schema-Version': EXPORT_SCHEMA_VERSION }
     });
+  }
 
+  try {
     // Parse query parameters
-    const params = event.queryStringParameters || {};
-    const format = params.format || 'json'; // json, csv, jsonl
+    const params = Object.fromEntries(url.searchParams);
+
+    const format = (params.format || 'json').toLowerCase(); // json, csv, jsonl, tmx, xliff, moses
     const category = params.category; // medical, insurance, or all
     const since = params.since; // ISO date string
     const includeAudio = params.includeAudio === 'true'; // include audio metadata
+    // review status (approved-only training data), asOf (text as it was then), train/dev/test split options
+    // (lib/splits.js) and incremental cursor / limit (lib/export-stream.js), passed through to the server
+    const forwarded = ['status', 'asOf', 'split', 'seed', 'ratios', 'groupBy', 'cursor', 'limit'].reduce((acc, key) => {
+      if (params[key] !== undefined) acc[key] = params[key];
+      return acc;
+    }, {});
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return new Response(JSON.stringify({ error: `format must be one of ${EXPORT_FORMATS.join(', ')}` }), {
+        status: 400,
+        headers: { ...headers, 'Content-Type': 'application/json' }
+      });
+    }
 
-    // NOTE: In Netlify Functions, we can't access the local filesystem
-    // This would need to be replaced with a database or cloud storage solution
-    // For now, we'll return an informative message about the limitation
-    const trainingData = await getTrainingData(category, since, includeAudio);
+    if (STREAMED_FORMATS.includes(format)) {
+      const relayed = await relayExport(format, category, since, includeAudio, forwarded, req.headers);
+      if (relayed) {
+        return new Response(relayed.body, { status: relayed.status, headers: { ...headers, ...relayed.headers } });
+      }
+    }
 
-    // Set appropriate content type and filename
-    let contentType, filename, responseBody;
-    
-    switch (format.toLowerCase()) {
-      case 'csv':
-        contentType = 'text/csv';
-        filename = `training-data-${new Date().toISOString().split('T')[0]}.csv`;
-        responseBody = convertToCSV(trainingData.data);
-        break;
-        
-      case 'jsonl':
-        contentType = 'application/x-jsonlines';
-        filename = `training-data-${new Date().toISOString().split('T')[0]}.jsonl`;
-        responseBody = convertToJSONL(trainingData.data);
-        break;
-        
-      default: // json
-        contentType = 'application/json';
-        filename = `training-data-${new Date().toISOString().split('T')[0]}.json`;
-        responseBody = JSON.stringify({
-          metadata: {
-            exportedAt: new Date().toISOString(),
-            totalPairs: trainingData.data.length,
-            category: category || 'all',
-            includeAudio: includeAudio,
-            format: 'json',
-            note: trainingData.note
-          },
-          data: trainingData.data
-        }, null, 2);
+    const trainingData = await getTrainingData(category, since, includeAudio, forwarded, req.headers);
+    if (trainingData.rejected) {
+      const { status, headers: rejectedHeaders, body } = trainingData.rejected;
+      return new Response(body, { status, headers: { ...headers, ...rejectedHeaders } });
     }
 
-    console.log('✅ EXPORT SUCCESS', {
-      format,
-      dataCount: trainingData.data.length,
-      filename
+    const { contentType, extension, body: responseBody } = serializeExport(trainingData.data, format, {
+      exportedAt: new Date().toISOString(),
+      schema: '/api/export/schema',
+      category: category || 'all',
+      includeAudio: includeAudio,
+      split: trainingData.split || null,
+      note: trainingData.note
     });
+    const filename = exportFileName(extension);
 
-    return {
-      statusCode: 200,
+    // The moses tar is a Buffer, the other formats strings: Response takes either
+    return new Response(responseBody, {
+      status: 200,
       headers: {
         ...headers,
         'Content-Type': contentType,
-        'Content-Disposition': `attachment; filename="${filename}"`
-      },
-      body: responseBody
-    };
+        'Content-Disposition': `attachment; filename="${filename}"`,
+        'X-Export-Schema-Version': EXPORT_SCHEMA_VERSION,
+        ...(trainingData.cursor ? { 'X-Export-Cursor': trainingData.cursor, 'X-Export-More': String(trainingData.more) } : {})
+      }
+    });
 
   } catch (error) {
-    console.error('💥 EXPORT ERROR:', error);
-    
-    return {
-      statusCode: 500,
-      headers: { ...headers, 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        error: 'Export failed',
-        message: error.message,
-        timestamp: new Date().toISOString()
-      })
-    };
+    console.error('Export failed', error);
+
+    return new Response(JSON.stringify({
+      error: 'Export failed',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    }), {
+      status: 500,
+      headers: { ...headers, 'Content-Type': 'application/json' }
+    });
   }
 };
 
-async function getTrainingData(category, since, includeAudio) {
+function backendUrl(path, category, since, includeAudio, forwarded) {
+  // Construct the server URL - this would be your actual backend server
+  const serverUrl = process.env.BACKEND_URL || 'http://localhost:8080';
+  const params = new URLSearchParams();
+  if (category) params.set('category', category);
+  if (since) params.set('since', since);
+  if (includeAudio) params.set('includeAudio', 'true');
+  for (const [key, value] of Object.entries(forwarded)) params.set(key, value);
+  return `${serverUrl}${path}?${params.toString()}`;
+}
+
+function backendHeaders(requestHeaders, accept, { conditional = false } = {}) {
+  const authorization = requestHeaders.get('authorization');
+  const cookie = requestHeaders.get('cookie');
+  const ifNoneMatch = requestHeaders.get('if-none-match');
+  const ifModifiedSince = requestHeaders.get('if-modified-since');
+  return {
+    'Accept': accept,
+    // The backend export needs an admin session: pass the caller's along
+    ...(authorization ? { 'Authorization': authorization } : {}),
+    ...(cookie ? { 'Cookie': cookie } : {}),
+    // Nightly jobs revalidate with the ETag / Last-Modified of their previous pull
+    ...(conditional && ifNoneMatch ? { 'If-None-Match': ifNoneMatch } : {}),
+    ...(conditional && ifModifiedSince ? { 'If-Modified-Since': ifModifiedSince } : {})
+  };
+}
+
+// The backend's own json | jsonl | csv export, passed on without parsing or buffering: body
+// is the backend's stream. Its 304s and client errors are passed on too. null when the
+// backend cannot serve it (mock data then).
+async function relayExport(format, category, since, includeAudio, forwarded, requestHeaders) {
+  try {
+    const fetchUrl = backendUrl('/api/export/data', category, since, includeAudio, { ...forwarded, format });
+    const response = await fetch(fetchUrl, { headers: backendHeaders(requestHeaders, '*/*', { conditional: true }) });
+    if (response.status >= 500) throw new Error(`Server responded with ${response.status}`);
+
+    const relayed = {};
+    for (const name of RELAYED_HEADERS) {
+      const value = response.headers.get(name);
+      if (value !== null) relayed[name] = value;
+    }
+    return { status: response.status, headers: relayed, body: response.status === 304 ? null : response.body };
+  } catch {
+    return null;
+  }
+}
+
+async function getTrainingData(category, since, includeAudio, forwarded = {}, requestHeaders = new Headers()) {
   // Try to fetch real data from the main server first
   try {
-    console.log('🔍 Attempting to fetch real data from server...');
-    
-    // Construct the server URL - this would be your actual backend server
-    const serverUrl = process.env.BACKEND_URL || 'http://localhost:8080';
-    const params = new URLSearchParams();
-    if (category) params.set('category', category);
-    if (since) params.set('since', since);
-    if (includeAudio) params.set('includeAudio', 'true');
-    
-    const fetchUrl = `${serverUrl}/api/export/raw?${params.toString()}`;
-    console.log('📡 Fetching from:', fetchUrl);
-    
+    const fetchUrl = backendUrl('/api/export/raw', category, since, includeAudio, forwarded);
     const response = await fetch(fetchUrl, {
-      timeout: 5000, // 5 second timeout
-      headers: {
-        'Accept': 'application/json'
-      }
+      signal: AbortSignal.timeout(5000),
+      headers: backendHeaders(requestHeaders, 'application/json')
     });
-    
+
     if (response.ok) {
       const data = await response.json();
-      console.log('✅ Real data fetched successfully:', data.metadata);
-      
       return {
         data: data.data,
+        split: data.metadata.split || null,
+        cursor: data.metadata.cursor || null,
+        more: data.metadata.more === true,
         note: `Real data from server (${data.metadata.totalPairs} pairs)`
       };
+    } else if (response.status < 500) {
+      // Not signed in, not an admin or a bad parameter: the caller must see that, not mock data
+      return {
+        rejected: {
+          status: response.status,
+          headers: { 'Content-Type': response.headers.get('Content-Type') || 'application/json' },
+          body: await response.text()
+        }
+      };
     } else {
-      console.log('⚠️ Server response not OK:', response.status);
       throw new Error(`Server responded with ${response.status}`);
     }
-    
-  } catch (error) {
-    console.log('⚠️ Failed to fetch real data, using mock data:', error.message);
-    
+  } catch {
     // Fall back to mock data
     const mockData = generateMockTrainingData(category, since, includeAudio);
     
@@ -151,124 +197,53 @@ async function getTrainingData(category, since, includeAudio) {
   }
 }
 
-function generateMockTrainingData(category, since, includeAudio) {
-  const mockData = [
-    {
-      sampleId: "sample-001",
-      createdAt: "2025-09-10T00:54:22.382Z",
-      term: "Hypertension",
-      category: "medical",
-      annotator: "medical-expert-1",
-      en: {
-        text: "I have a question about hypertension.",
-        audioId: "en-audio-001",
-        audioFile: includeAudio ? "en-audio-001.webm" : undefined,
-        duration: includeAudio ? 3.2 : undefined
-      },
-      ht: {
-        text: "Mwen gen yon kesyon sou tansyon wo.",
-        audioId: "ht-audio-001", 
-        audioFile: includeAudio ? "ht-audio-001.webm" : undefined,
-        duration: includeAudio ? 3.8 : undefined
-      }
-    },
-    {
-      sampleId: "sample-002",
-      createdAt: "2025-09-10T01:15:33.123Z",
-      term: "Premium",
-      category: "insurance",
-      annotator: "insurance-expert-1",
-      en: {
-        text: "How does my premium affect the price?",
-        audioId: "en-audio-002",
-        audioFile: includeAudio ? "en-audio-002.webm" : undefined,
-        duration: includeAudio ? 2.9 : undefined
-      },
-      ht: {
-        text: "Kijan prim mwen an afekte pri a?",
-        audioId: "ht-audio-002",
-        audioFile: includeAudio ? "ht-audio-002.webm" : undefined,
-        duration: includeAudio ? 3.1 : undefined
-      }
-    },
-    {
-      sampleId: "sample-003", 
-      createdAt: "2025-09-10T02:30:45.456Z",
-      term: "Diabetes",
-      category: "medical",
-      annotator: "medical-expert-2", 
-      en: {
-        text: "My doctor mentioned diabetes. What does it mean?",
-        audioId: "en-audio-003",
-        audioFile: includeAudio ? "en-audio-003.webm" : undefined,
-        duration: includeAudio ? 4.1 : undefined
-      },
-      ht: {
-        text: "Doktè mwen an te mansyone dyabèt. Kisa sa vle di?",
-        audioId: "ht-audio-003",
-        audioFile: includeAudio ? "ht-audio-003.webm" : undefined,
-        duration: includeAudio ? 4.5 : undefined
-      }
-    }
-  ];
-
-  // Filter by category if specified
-  let filteredData = category ? 
-    mockData.filter(item => item.category === category) : 
-    mockData;
-
-  // Filter by date if specified
-  if (since) {
-    const sinceDate = new Date(since);
-    filteredData = filteredData.filter(item => 
-      new Date(item.createdAt) >= sinceDate
-    );
+// Mock pairs in the stored shape, run through the same export schema as real data
+const MOCK_PAIRS = [
+  {
+    sampleId: "sample-001",
+    createdAt: "2025-09-10T00:54:22.382Z",
+    term: "Hypertension",
+    category: "medical",
+    annotator: "medical-expert-1",
+    consent: true,
+    en: { text: "I have a question about hypertension.", audioRef: "en-audio-001" },
+    ht: { text: "Mwen gen yon kesyon sou tansyon wo.", audioRef: "ht-audio-001", origin: "human" }
+  },
+  {
+    sampleId: "sample-002",
+    createdAt: "2025-09-10T01:15:33.123Z",
+    term: "Premium",
+    category: "insurance",
+    annotator: "insurance-expert-1",
+    consent: true,
+    en: { text: "How does my premium affect the price?", audioRef: "en-audio-002" },
+    ht: { text: "Kijan prim mwen an afekte pri a?", audioRef: "ht-audio-002", origin: "human" }
+  },
+  {
+    sampleId: "sample-003",
+    createdAt: "2025-09-10T02:30:45.456Z",
+    term: "Diabetes",
+    category: "medical",
+    annotator: "medical-expert-2",
+    consent: true,
+    en: { text: "My doctor mentioned diabetes. What does it mean?", audioRef: "en-audio-003" },
+    ht: { text: "Doktè mwen an te mansyone dyabèt. Kisa sa vle di?", audioRef: "ht-audio-003", origin: "human" }
   }
+];
 
-  return filteredData;
-}
-
-function convertToCSV(data) {
-  if (data.length === 0) return 'No data available';
-
-  const headers = [
-    'sampleId', 'createdAt', 'term', 'category', 'annotator',
-    'en_text', 'en_audioId', 'en_audioFile', 'en_duration',
-    'ht_text', 'ht_audioId', 'ht_audioFile', 'ht_duration'
-  ];
-
-  const csvRows = [headers.join(',')];
-
-  data.forEach(item => {
-    const row = [
-      escapeCSV(item.sampleId),
-      escapeCSV(item.createdAt),
-      escapeCSV(item.term),
-      escapeCSV(item.category),
-      escapeCSV(item.annotator),
-      escapeCSV(item.en.text),
-      escapeCSV(item.en.audioId),
-      escapeCSV(item.en.audioFile || ''),
-      escapeCSV(item.en.duration || ''),
-      escapeCSV(item.ht.text),
-      escapeCSV(item.ht.audioId),
-      escapeCSV(item.ht.audioFile || ''),
-      escapeCSV(item.ht.duration || '')
-    ];
-    csvRows.push(row.join(','));
-  });
+const MOCK_DURATIONS = {
+  "en-audio-001": 3.2, "ht-audio-001": 3.8,
+  "en-audio-002": 2.9, "ht-audio-002": 3.1,
+  "en-audio-003": 4.1, "ht-audio-003": 4.5
+};
 
-  return csvRows.join('\n');
+function mockAudio(id) {
+  return { audioFile: `${id}.webm`, duration_s: MOCK_DURATIONS[id], codec: "opus", contentType: "audio/webm", bytes: null };
 }
 
-function convertToJSONL(data) {
-  return data.map(item => JSON.stringify(item)).join('\n');
+function generateMockTrainingData(category, since, includeAudio) {
+  return MOCK_PAIRS
+    .filter(pair => !category || pair.category === category)
+    .filter(pair => !since || new Date(pair.createdAt) >= new Date(since))
+    .map(pair => toExportRecord(pair, { includeAudio, audioOf: mockAudio }));
 }
-
-function escapeCSV(field) {
-  if (typeof field !== 'string') field = String(field);
-  if (field.includes(',') || field.includes('"') || field.includes('\n')) {
-    return `"${field.replace(/"/g, '""')}"`;
-  }
-  return field;
-}
\ No newline at end of file
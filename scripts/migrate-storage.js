@@ -0,0 +1,48 @@
+// Copy every record (audio metadata, pairs, tombstones, users, catalog) from one storage backend to another
+//
+//   npm run storage:migrate [-- --from fs --to log] [<data dir>]
+//
+// Defaults to fs -> log. Audio files stay where they are; only the JSON records move.
+// An existing records.log is kept as records.log.<timestamp>.bak before being replaced.
+// The source is left untouched, so switching STORAGE_BACKEND back is always possible.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { URL } from 'node:url';
+import { createStorage, RECORD_TYPES } from '../lib/storage.js';
+
+const __dirname = path.dirname(new URL(import.meta.url).pathname);
+
+const args = process.argv.slice(2);
+const options = { from: 'fs', to: 'log', dataRoot: null };
+for (let i = 0; i < args.length; i++) {
+  if (args[i] === '--from' || args[i] === '--to') options[args[i].slice(2)] = args[++i];
+  else options.dataRoot = args[i];
+}
+const dataRoot = path.resolve(options.dataRoot || path.join(__dirname, '..', 'data'));
+
+try {
+  if (options.from === options.to) throw new Error('--from and --to must differ');
+  const source = createStorage({ dataRoot, backend: options.from });
+
+  const logFile = path.join(dataRoot, 'store', 'records.log');
+  let backup = null;
+  if (options.to === 'log' && fs.existsSync(logFile)) {
+    backup = `${logFile}.${new Date().toISOString().replace(/[:.]/g, '-')}.bak`;
+    fs.renameSync(logFile, backup);
+  }
+  const target = createStorage({ dataRoot, backend: options.to });
+
+  const copied = {};
+  for (const type of RECORD_TYPES) {
+    const records = source.list(type);
+    for (const record of records) target.put(type, record);
+    copied[type] = records.length;
+  }
+  target.compact();
+
+  console.log(JSON.stringify({ ok: true, dataRoot, from: options.from, to: options.to, copied, backup }, null, 2));
+} catch (err) {
+  console.error(JSON.stringify({ ok: false, dataRoot, error: err.message }));
+  process.exit(1);
+}
@@ -0,0 +1,22 @@
+// Regenerate data/manifests from the stored pairs + audio
+//
+//   npm run manifests:rebuild [-- <data dir>]
+//
+// Reads records through STORAGE_BACKEND, like the server.
+
+import path from 'node:path';
+import { URL } from 'node:url';
+import { rebuildManifests } from '../lib/manifests.js';
+import { createStorage } from '../lib/storage.js';
+
+const __dirname = path.dirname(new URL(import.meta.url).pathname);
+const dataRoot = path.resolve(process.argv[2] || path.join(__dirname, '..', 'data'));
+
+try {
+  const storage = createStorage({ dataRoot });
+  const result = rebuildManifests(storage, path.join(dataRoot, 'manifests'));
+  console.log(JSON.stringify({ ok: true, dataRoot, storage: storage.backend, ...result }, null, 2));
+} catch (err) {
+  console.error(JSON.stringify({ ok: false, dataRoot, error: err.message }));
+  process.exit(1);
+}
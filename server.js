@@ -1,28 +1,127 @@
 // Minimal Node HTTP server with:
 // - Static UI (public/index.html)
-// - ASR stub: POST /api/asr/:lang  -> saves audio + metadata JSON under data/audio/<lang>
+// - ASR: POST /api/asr/:lang  -> saves audio + metadata JSON under data/audio/<lang>
+//        and transcribes it with the configured engine (lib/asr.js, ASR_ENGINE)
+//        Uploads are decoded and measured first (level, clipping, silence, SNR, duration);
+//        clips failing a QUALITY_REJECT check get 422 with feedback, the rest keep the
+//        metrics as `quality` (lib/audio-quality.js)
+// - Transcode: every upload is queued for conversion to 16 kHz mono WAV (lib/transcode.js)
+//        GET /api/transcode -> queue status, POST /api/transcode/:id/retry (admin) -> requeue a failed clip
 // - Link pair: POST /api/samples/link -> writes data/pairs/<sampleId>.pair.json
-// - List items: GET /api/samples?kind=audio|pair|all
+//        and appends the pair to the JSONL manifests (lib/manifests.js)
+//        (both audio IDs must exist in their language folder and not be linked already;
+//        the annotator is the signed-in user)
+// - List items: GET /api/samples?kind=audio|pair|all -> filtered, searchable, cursor-paginated
+//        (lib/sample-query.js; deleted/withdrawn items are hidden)
+// - Edit pair: PATCH /api/samples/:sampleId { enText, htText, category }
+// - History: GET /api/samples/:sampleId/revisions,
+//        POST /api/samples/:sampleId/revisions/:rev/restore (lib/revisions.js)
+// - Review (reviewer): POST /api/review/next { category?, exclude? } -> claims the next pending pair,
+//        POST /api/samples/:sampleId/review { status, reasons, note } -> verdict,
+//        POST /api/review/:sampleId/release, GET /api/review/summary (lib/review.js)
+// - Catalog: GET /api/catalog -> categories, terms, templates and reference translations
+//        GET|POST /api/catalog/:kind, PATCH|DELETE /api/catalog/:kind/:id (kind = categories|terms|templates),
+//        POST /api/catalog/import?kind=...&format=csv|tsv (writes need reviewer; lib/catalog.js)
+// - Prompts: POST /api/prompts/next { category? } -> the least-recorded term + template, reserved
+//        for the caller; GET /api/prompts/coverage?category= -> recordings vs targets (lib/prompts.js)
+// - Translate: POST /api/translate { text, category? } -> EN->HT suggestions with source and
+//        confidence from the configured providers (lib/translate.js, TRANSLATE_PROVIDERS)
+// - Orthography: POST /api/orthography/check { text } -> normalized HT text, flagged spellings and
+//        suggested fixes; link and edits store ht.text normalized plus ht.raw (lib/orthography.js)
+// - Translation memory: GET /api/memory?q=...&lang=en|ht -> exact and fuzzy matches among
+//        approved pairs, ranked by similarity (lib/translation-memory.js)
+// - Stats: GET /api/stats?days=30 -> audio hours, pairs per category/term, annotator throughput,
+//        review pass rates and daily trends (lib/stats.js; other annotators' figures need reviewer)
+// - Delete pair (admin): DELETE /api/samples/:sampleId?mode=soft|purge&reason=...
+// - Withdraw consent (admin): POST /api/samples/:sampleId/withdraw { reason, mode }
+//        (deletes write a tombstone; purge also removes the pair's audio from disk)
+// - Playback: GET /api/audio/:id?variant=original|normalized -> streams the clip (supports Range;
+//        410 once the clip is deleted or withdrawn)
+// - Audit (admin): GET /api/audit -> orphaned audio, dangling and reused pair references
+// - Export (admin): GET /api/export/raw?category=&status=&since=&asOf=&includeAudio=true -> JSON,
+//        GET /api/export/data?format=json|jsonl|csv&... -> the same records as a download;
+//        format=tmx|xliff|moses -> TMX 1.4, XLIFF 2.0 or a tar of aligned .en/.ht line files
+//        for MT tooling (lib/parallel-text.js); records follow the versioned schema at
+//        GET /api/export/schema (lib/export-schema.js). json, jsonl and csv are streamed;
+//        cursor=&limit= pull only pairs changed since the last export, with ETag /
+//        Last-Modified / X-Export-Cursor for nightly jobs (lib/export-stream.js)
+//        split=<name>[&seed=&ratios=80,10,10&groupBy=annotator|annotator,term] tags every pair
+//        with a train/dev/test split, no annotator (or term) in two splits; exports keep the
+//        recorded assignments and place new pairs in memory only.
+//        POST /api/splits/:name { seed?, ratios?, groupBy? } records the assignments of every
+//        live pair; GET /api/splits, GET|DELETE /api/splits/:name (lib/splits.js)
+//        GET /api/export/archive?format=tar|tar.gz&audio=normalized|original&split=... streams
+//        the dataset: audio, per-split manifests, dataset card, SHA256SUMS (lib/dataset-archive.js);
+//        approved pairs only unless status= names another review status
 // - Health: GET /healthz
+// - Auth: POST /api/auth/login { username, password }, POST /api/auth/logout, GET /api/auth/me
+//        every other /api/* route needs a session cookie or `Authorization: Bearer <token>`
+// - Users (admin): GET /api/users, POST /api/users { username, password, role, displayName },
+//        PATCH /api/users/:id (anyone may change their own displayName, or password given currentPassword)
+//        Roles and permissions are described in lib/auth.js
 //
-// Layout created on disk (relative to project root via docker volume):
+// Records (audio metadata, pairs, tombstones) go through lib/storage.js. STORAGE_BACKEND=fs
+// (default) keeps the JSON files below; STORAGE_BACKEND=log keeps them in an indexed
+// append-only log at data/store/records.log (npm run storage:migrate copies between the two).
+//
+// Layout created on disk (relative to project root via docker volume; DATA_DIR moves it elsewhere):
 // data/
 //   audio/
-//     en/  <audio_id>.webm + <audio_id>.json
-//     ht/  <audio_id>.webm + <audio_id>.json
+//     en/  <audio_id>.webm + <audio_id>.json (+ <audio_id>.16k.wav once transcoded)
+//     ht/  <audio_id>.webm + <audio_id>.json (+ <audio_id>.16k.wav once transcoded)
 //   pairs/
 //     <sample_id>.pair.json
-//   manifests/           (reserved for future JSONL exports)
+//   tombstones/
+//     <sample_id>.json          deletion / consent-withdrawal records (no text or audio)
+//   users/
+//     <user_id>.json            accounts (lib/auth.js)
+//   catalog/
+//     categories/ terms/ templates/   prompt catalog entries (lib/catalog.js)
+//   splits/
+//     <name>.json               recorded train/dev/test assignments (lib/splits.js)
+//   manifests/
+//     lang/<en|ht>.jsonl        training manifests, appended on every link
+//     category/<category>.jsonl (npm run manifests:rebuild regenerates them)
+//   store/
+//     records.log               log backend only; replaces the .json records above
 
 import http from 'node:http';
 import { URL } from 'node:url';
 import fs from 'node:fs';
 import path from 'node:path';
+import zlib from 'node:zlib';
+import { pipeline } from 'node:stream';
 import { randomUUID } from 'node:crypto';
+import { createAsrEngine } from './lib/asr.js';
+import { probeAudio, containerFromContentType, contentTypeForContainer } from './lib/audio-probe.js';
+import { createTranscodeQueue } from './lib/transcode.js';
+import { createQualityGate } from './lib/audio-quality.js';
+import { appendPairToManifests, rebuildManifests } from './lib/manifests.js';
+import { parseSampleQuery, matchesSample, paginate } from './lib/sample-query.js';
+import { initialRevision, applyChanges, currentRevision, withHistory, viewAt } from './lib/revisions.js';
+import { createStorage, audioLang } from './lib/storage.js';
+import { createAuth, hasRole, publicUser, verifyPassword } from './lib/auth.js';
+import { CATALOG_KINDS, CATEGORY_ID_RE, checkCatalogFields, findDuplicate, newCatalogRecord, seedCatalog, catalogSnapshot, parseImport, importCatalog } from './lib/catalog.js';
+import { createPromptAssigner } from './lib/prompts.js';
+import { computeStats } from './lib/stats.js';
+import { createTranslator, htOrigin } from './lib/translate.js';
+import { createTranslationMemory, TM_LANGS } from './lib/translation-memory.js';
+import { checkHt, htFields } from './lib/orthography.js';
+import { createTarWriter } from './lib/tar.js';
+import { EXPORT_SCHEMA_VERSION, EXPORT_FORMATS, EXPORT_JSON_SCHEMA, STREAMED_FORMATS, toExportRecord, serializeExport, exportChunks, exportContentType, exportFileName } from './lib/export-schema.js';
+import { parseIncremental, pageExportPairs, exportETag, exportLastModified, notModified, writeChunks } from './lib/export-stream.js';
+import { ARCHIVE_FORMATS, ARCHIVE_VARIANTS, planDataset, datasetCard, matchingTombstones, writeDataset } from './lib/dataset-archive.js';
+import { SPLIT_NAME_RE, parseSplitOptions, newSplitRecord, splitConflict, assignSplits, summarizeSplit } from './lib/splits.js';
+import { REVIEW_STATUSES, REVIEW_REASONS, reviewOf, activeClaim, nextForReview, claim, release, recordVerdict, resubmit } from './lib/review.js';
 
 const PORT = process.env.PORT || 8080;
 const NODE_ENV = process.env.NODE_ENV || 'development';
 const MAX_FILE_SIZE = parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024; // 10MB default
+// 'reject' refuses to link a clip that already belongs to a pair; 'flag' links it and marks the pair
+const AUDIO_REUSE_POLICY = (process.env.AUDIO_REUSE_POLICY || 'reject').toLowerCase();
+// Name and license written into the dataset card of archive exports
+const DATASET_NAME = (process.env.DATASET_NAME || 'translator-voice-en-ht').replace(/[^A-Za-z0-9._-]+/g, '-');
+const DATASET_LICENSE = process.env.DATASET_LICENSE || 'unknown';
 const __dirname = path.dirname(new URL(import.meta.url).pathname);
 
 // Simple structured logging
@@ -32,13 +131,36 @@ const logger = {
   warn: (message, meta = {}) => console.warn(JSON.stringify({ level: 'warn', message, ...meta, timestamp: new Date().toISOString() }))
 };
 
+const asrEngine = createAsrEngine();
+logger.info('ASR engine configured', { engine: asrEngine.name });
+
 // ---------- paths & helpers ----------
-const DATA_ROOT     = path.join(__dirname, 'data');
+const DATA_ROOT     = process.env.DATA_DIR ? path.resolve(process.env.DATA_DIR) : path.join(__dirname, 'data');
 const AUDIO_EN_DIR  = path.join(DATA_ROOT, 'audio', 'en');
 const AUDIO_HT_DIR  = path.join(DATA_ROOT, 'audio', 'ht');
-const PAIRS_DIR     = path.join(DATA_ROOT, 'pairs');
 const MANIFESTS_DIR = path.join(DATA_ROOT, 'manifests');
 
+const storage = createStorage({ dataRoot: DATA_ROOT, logger });
+logger.info('Storage backend configured', { backend: storage.backend });
+
+const auth = createAuth({ storage, logger });
+auth.bootstrap();
+
+const seeded = seedCatalog(storage);
+if (seeded) logger.info('Catalog seeded', seeded);
+
+const prompts = createPromptAssigner({ storage });
+
+const translator = createTranslator({ storage, logger });
+logger.info('Translation providers configured', { providers: translator.providers });
+const memory = createTranslationMemory({ storage });
+
+// Approved pairs and catalog translations feed the phrase table and the translation memory
+function languageDataChanged() {
+  translator.invalidate();
+  memory.invalidate();
+}
+
 function ensureDir(dir) { 
   try { 
     fs.mkdirSync(dir, { recursive: true }); 
@@ -49,13 +171,182 @@ function ensureDir(dir) {
   }
 }
 
-function extFromContentType(ct = '') {
-  const t = String(ct).toLowerCase();
-  if (t.includes('audio/webm')) return '.webm';
-  if (t.includes('audio/wav'))  return '.wav';
-  if (t.includes('audio/mpeg') || t.includes('audio/mp3')) return '.mp3';
-  if (t.includes('audio/ogg'))  return '.ogg';
-  return '.bin';
+// Audio and sample IDs are server-generated UUIDs; anything else never touches the filesystem
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function getAudio(id) {
+  return UUID_RE.test(String(id)) ? storage.get('audio', id) : null;
+}
+
+// Validate a pair's audio reference against the language it is linked as.
+// Returns null when the reference is fine, otherwise { status, error }.
+function checkAudioRef(id, lang, field) {
+  if (!UUID_RE.test(String(id))) {
+    return { status: 400, error: `${field} is not a valid audio ID` };
+  }
+  const meta = storage.get('audio', id);
+  if (!meta) {
+    return { status: 422, error: `${field} does not match any uploaded ${lang} recording` };
+  }
+  if (audioLang(meta) !== lang) {
+    return { status: 422, error: `${field} refers to a ${audioLang(meta)} recording, expected ${lang}` };
+  }
+  return meta.deleted ? { status: 410, error: `${field} refers to a deleted recording` } : null;
+}
+
+function listPairs() {
+  return storage.list('pair');
+}
+
+function readPair(sampleId) {
+  return UUID_RE.test(String(sampleId)) ? storage.get('pair', sampleId) : null;
+}
+
+// Manifests only hold live pairs; edits and deletions regenerate them
+function refreshManifests(reason) {
+  try {
+    rebuildManifests(storage, MANIFESTS_DIR);
+  } catch (err) {
+    logger.warn('Manifest rebuild failed', { reason, error: err.message });
+  }
+}
+
+// Soft delete marks the pair and its audio; purge removes them from disk.
+// Either way a tombstone keeps the IDs, reason, category and review status (never the text or audio).
+function deletePair(pair, { mode, reason, requestedBy, note = null }) {
+  const at = new Date().toISOString();
+  const deleted = { at, mode, reason, requestedBy, note };
+  const audioRefs = { en: pair.en && pair.en.audioRef, ht: pair.ht && pair.ht.audioRef };
+
+  for (const id of Object.values(audioRefs)) {
+    const meta = getAudio(id);
+    if (!meta) continue;
+    if (mode === 'purge') {
+      for (const file of [meta.audioFile, meta.normalized && meta.normalized.file]) {
+        if (file) fs.rmSync(storage.blobPath(audioLang(meta), file), { force: true });
+      }
+      storage.remove('audio', id);
+    } else {
+      storage.put('audio', { ...meta, deleted });
+    }
+  }
+
+  if (mode === 'purge') {
+    storage.remove('pair', pair.sampleId);
+  } else {
+    const update = { ...pair, deleted };
+    if (reason === 'consent_withdrawn') update.consent = false;
+    storage.put('pair', update);
+  }
+
+  const tombstone = {
+    kind: 'tombstone',
+    sampleId: pair.sampleId,
+    audioRefs,
+    pairCreatedAt: pair.createdAt,
+    category: pair.category || null,
+    reviewStatus: reviewOf(pair).status,
+    ...deleted
+  };
+  storage.put('tombstone', tombstone);
+  refreshManifests('delete');
+  return tombstone;
+}
+
+// What a reviewer needs to play and judge one side of a pair
+function reviewAudio(id) {
+  const meta = getAudio(id);
+  if (!meta || meta.deleted) return null;
+  const normalized = meta.normalized && meta.normalized.status === 'done';
+  return {
+    id,
+    url: `/api/audio/${id}`,
+    normalizedUrl: normalized ? `/api/audio/${id}?variant=normalized` : null,
+    duration_s: meta.duration_s,
+    transcript: meta.transcript,
+    asrConfidence: meta.asr ? meta.asr.confidence : null
+  };
+}
+
+// audioRef -> [sampleId, ...] for every pair that uses it
+function audioUsage(pairs) {
+  const usage = new Map();
+  for (const pair of pairs) {
+    for (const lang of ['en', 'ht']) {
+      const ref = pair[lang] && pair[lang].audioRef;
+      if (!ref) continue;
+      if (!usage.has(ref)) usage.set(ref, []);
+      usage.get(ref).push(pair.sampleId);
+    }
+  }
+  return usage;
+}
+
+// Filters shared by the export routes: { value: { category, status, since, asOf } } or { error }
+function parseExportFilters(params) {
+  const category = params.get('category');
+  const since = params.get('since');
+  const asOf = params.get('asOf');       // reproduce an earlier export: text as it was at this time
+  const status = params.get('status');   // review status, e.g. approved for training data only
+  if (status && !REVIEW_STATUSES.includes(status)) return { error: `status must be one of ${REVIEW_STATUSES.join(', ')}` };
+  if (asOf && isNaN(new Date(asOf))) return { error: 'asOf must be an ISO timestamp' };
+  if (since && isNaN(new Date(since))) return { error: 'since must be an ISO timestamp' };
+  return { value: { category, status, since, asOf } };
+}
+
+// Live pairs matching the export filters (latest revision, or the one in effect at asOf),
+// newest first. Deleted and withdrawn pairs never leave the server.
+function selectExportPairs({ category, status, since, asOf }) {
+  const pairs = [];
+  for (const stored of storage.list('pair')) {
+    try {
+      if (stored.deleted) continue;
+      const pairData = viewAt(stored, asOf ? { asOf } : {});
+      if (!pairData) continue;
+      if (category && pairData.category !== category) continue;
+      if (status && reviewOf(pairData).status !== status) continue;
+      if (since && new Date(pairData.createdAt) < new Date(since)) continue;
+      pairs.push(pairData);
+    } catch (err) {
+      logger.warn('Failed to export pair', { sampleId: stored.sampleId, error: err.message });
+    }
+  }
+  pairs.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  return pairs;
+}
+
+// The recorded split an export asks for with split=<name> (lib/splits.js):
+// null when none, { record } (new or stored), or { status, error }
+function exportSplit(params, username, defaultName = null) {
+  if (defaultName && params.get('split') === null) {
+    params = new URLSearchParams(params);
+    params.set('split', defaultName);
+  }
+  const options = parseSplitOptions(params);
+  if (!options) return null;
+  if (options.error) return { status: 400, error: options.error };
+  const stored = storage.get('split', options.value.name);
+  const conflict = stored && splitConflict(stored, options.value);
+  if (conflict) return { status: 409, error: conflict };
+  return { record: stored || newSplitRecord(options.value, username) };
+}
+
+// Assign splits over all live pairs (so filters and paging cannot split a group) without
+// touching the stored record: exports are reads, POST /api/splits/:name records assignments.
+// The summary covers the exported `pairs`; `unrecorded` counts pairs assigned only in memory.
+function applyExportSplit(pairs, record) {
+  const working = { ...record, assignments: { ...record.assignments } };
+  const result = assignSplits(selectExportPairs({}), working, { pairs });
+  const summary = { ...result.summary, updatedAt: record.updatedAt, recorded: Object.keys(record.assignments).length, unrecorded: result.added };
+  return { ...result, summary };
+}
+
+// Sends 403 and returns false when the signed-in user's role is below `role`
+function requireRole(res, user, role) {
+  if (hasRole(user, role)) return true;
+  res.writeHead(403, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ ok: false, error: `This action requires the ${role} role` }));
+  return false;
 }
 
 function serveFile(res, absPath) {
@@ -77,6 +368,56 @@ function serveFile(res, absPath) {
   }
 }
 
+// Parse a single "bytes=" range against a file size.
+// Returns { start, end } (inclusive), null for no/ignored range, or false when unsatisfiable.
+function parseRange(header, size) {
+  const m = String(header || '').match(/^bytes=(\d*)-(\d*)$/);
+  if (!m || (m[1] === '' && m[2] === '')) return null;   // multi-range and junk: serve the whole file
+  let start, end;
+  if (m[1] === '') {
+    start = Math.max(0, size - parseInt(m[2]));            // suffix range: last N bytes
+    end = size - 1;
+  } else {
+    start = parseInt(m[1]);
+    end = m[2] === '' ? size - 1 : Math.min(parseInt(m[2]), size - 1);
+  }
+  if (start >= size || start > end) return false;
+  return { start, end };
+}
+
+function streamFile(req, res, absPath, contentType, filename, download) {
+  const { size } = fs.statSync(absPath);
+  const headers = {
+    'Content-Type': contentType,
+    'Accept-Ranges': 'bytes',
+    'Cache-Control': 'private, max-age=3600',
+    'Content-Disposition': `${download ? 'attachment' : 'inline'}; filename="${filename}"`
+  };
+
+  const range = parseRange(req.headers.range, size);
+  if (range === false) {
+    res.writeHead(416, { ...headers, 'Content-Range': `bytes */${size}` });
+    res.end();
+    return;
+  }
+
+  const { start, end } = range || { start: 0, end: size - 1 };
+  headers['Content-Length'] = size === 0 ? 0 : end - start + 1;
+  if (range) headers['Content-Range'] = `bytes ${start}-${end}/${size}`;
+  res.writeHead(range ? 206 : 200, headers);
+
+  if (req.method === 'HEAD' || size === 0) {
+    res.end();
+    return;
+  }
+  const stream = fs.createReadStream(absPath, { start, end });
+  stream.on('error', err => {
+    logger.error('Audio stream failed', { absPath, error: err.message });
+    res.destroy(err);
+  });
+  stream.pipe(res);
+}
+
 async function readBody(req, maxSize = MAX_FILE_SIZE) {
   const chunks = [];
   let totalSize = 0;
@@ -92,6 +433,11 @@ async function readBody(req, maxSize = MAX_FILE_SIZE) {
   return Buffer.concat(chunks);
 }
 
+// Finished jobs switch manifest entries to the normalized file
+const transcoder = createTranscodeQueue({ storage, logger, onDone: () => refreshManifests('transcode') });
+transcoder.resume();
+const qualityGate = createQualityGate({ logger });
+
 // ---------- http server ----------
 const server = http.createServer(async (req, res) => {
   try {
@@ -108,8 +454,9 @@ const server = http.createServer(async (req, res) => {
     res.setHeader('Access-Control-Allow-Origin', origin || '*');
   }
   
-  res.setHeader('Access-Control-Allow-Methods', 'GET,POST,OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,HEAD,POST,PATCH,DELETE,OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Range, Authorization, If-None-Match, If-Modified-Since');
+  res.setHeader('Access-Control-Expose-Headers', 'Content-Range, Accept-Ranges, Content-Length, Content-Disposition, ETag, Last-Modified, X-Export-Schema-Version, X-Export-Cursor, X-Export-More');
   res.setHeader('Access-Control-Max-Age', '86400'); // 24 hours
   
   if (method === 'OPTIONS') { 
@@ -131,7 +478,8 @@ const server = http.createServer(async (req, res) => {
       diskSpace: {
         dataDir: DATA_ROOT,
         exists: fs.existsSync(DATA_ROOT)
-      }
+      },
+      storage: storage.backend
     };
     
     logger.info('Health check requested', { ip: req.socket.remoteAddress });
@@ -150,6 +498,121 @@ const server = http.createServer(async (req, res) => {
     return;
   }
 
+  // POST /api/auth/login  { username, password }
+  if (url.pathname === '/api/auth/login' && method === 'POST') {
+    try {
+      const body = await readBody(req, 64 * 1024);
+      const { username, password } = JSON.parse(body.toString('utf8') || '{}') || {};
+      const session = auth.login(username, password);
+      if (!session) {
+        logger.warn('Login failed', { username: String(username || ''), ip: req.socket.remoteAddress });
+        res.writeHead(401, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: false, error: 'Invalid username or password' }));
+        return;
+      }
+      res.writeHead(200, {
+        'Content-Type': 'application/json',
+        'Set-Cookie': auth.sessionCookie(session.token, { secure: NODE_ENV === 'production' })
+      });
+      res.end(JSON.stringify({ ok: true, user: publicUser(session.user), token: session.token, expiresAt: session.expiresAt }));
+    } catch (err) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: false, error: 'Login failed', details: String(err) }));
+    }
+    return;
+  }
+
+  // Everything else under /api/ needs a signed-in user
+  let user = null;
+  if (url.pathname.startsWith('/api/')) {
+    user = auth.authenticate(req);
+    if (!user) {
+      res.writeHead(401, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: false, error: 'Authentication required' }));
+      return;
+    }
+  }
+
+  // GET /api/auth/me
+  if (url.pathname === '/api/auth/me' && method === 'GET') {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ ok: true, user: publicUser(user) }));
+    return;
+  }
+
+  // POST /api/auth/logout - ends every session of the current user
+  if (url.pathname === '/api/auth/logout' && method === 'POST') {
+    auth.revokeSessions(user);
+    res.writeHead(200, { 'Content-Type': 'application/json', 'Set-Cookie': auth.clearCookie() });
+    res.end(JSON.stringify({ ok: true }));
+    return;
+  }
+
+  // GET /api/users, POST /api/users  (admin)
+  if (url.pathname === '/api/users' && (method === 'GET' || method === 'POST')) {
+    if (!requireRole(res, user, 'admin')) return;
+    try {
+      if (method === 'GET') {
+        const users = auth.listUsers().map(publicUser).sort((a, b) => a.username.localeCompare(b.username));
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: true, count: users.length, users }));
+        return;
+      }
+      const body = await readBody(req, 64 * 1024);
+      const result = auth.createUser(JSON.parse(body.toString('utf8') || '{}'), user.username);
+      if (result.error) {
+        res.writeHead(result.status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: false, error: result.error }));
+        return;
+      }
+      logger.info('User created', { username: result.user.username, role: result.user.role, by: user.username });
+      res.writeHead(201, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: true, user: publicUser(result.user) }));
+    } catch (err) {
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: false, error: 'User request failed', details: String(err) }));
+    }
+    return;
+  }
+
+  // PATCH /api/users/:id  { password?, currentPassword?, displayName?, role?, disabled?, username? }
+  // Admins may change anything; everyone else only their own password and displayName.
+  // Changing your own password needs currentPassword.
+  const userMatch = url.pathname.match(/^\/api\/users\/([^/]+)$/);
+  if (userMatch && method === 'PATCH') {
+    try {
+      const body = await readBody(req, 64 * 1024);
+      const { currentPassword, ...fields } = JSON.parse(body.toString('utf8') || '{}') || {};
+      if (!hasRole(user, 'admin')) {
+        const forbidden = Object.keys(fields).filter(f => !['password', 'displayName'].includes(f));
+        if (userMatch[1] !== user.id || forbidden.length) {
+          res.writeHead(403, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ ok: false, error: 'You can only change your own password and display name' }));
+          return;
+        }
+      }
+      // A stolen session must not be enough to take over the account, admins included
+      if (userMatch[1] === user.id && fields.password !== undefined && !verifyPassword(currentPassword, user.passwordHash)) {
+        res.writeHead(403, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: false, error: 'currentPassword is missing or incorrect' }));
+        return;
+      }
+      const result = auth.updateUser(userMatch[1], fields, user.username);
+      if (result.error) {
+        res.writeHead(result.status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: false, error: result.error }));
+        return;
+      }
+      logger.info('User updated', { username: result.user.username, fields: Object.keys(fields), by: user.username });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: true, user: publicUser(result.user) }));
+    } catch (err) {
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: false, error: 'User request failed', details: String(err) }));
+    }
+    return;
+  }
+
   // POST /api/asr/:lang  (lang = en | ht)
   if (url.pathname.startsWith('/api/asr/') && method === 'POST') {
     try {
@@ -157,8 +620,29 @@ const server = http.createServer(async (req, res) => {
       const lang = (parts[3] || 'en').toLowerCase();
       const body = await readBody(req);
       const contentType = req.headers['content-type'] || 'application/octet-stream';
+
+      // Trust the bytes, not the header: the container must parse and agree
+      // with the claimed type (unknown types such as octet-stream are accepted)
+      const probe = probeAudio(body);
+      const claimed = containerFromContentType(contentType);
+      if (!probe) {
+        res.writeHead(415, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: false, error: 'Unrecognized audio content', contentType }));
+        return;
+      }
+      if (claimed && claimed !== probe.container) {
+        res.writeHead(415, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+          ok: false,
+          error: `Content-Type ${contentType} does not match uploaded ${probe.container} data`,
+          contentType,
+          detected: probe.container
+        }));
+        return;
+      }
+
       const id  = randomUUID();
-      const ext = extFromContentType(contentType);
+      const ext = `.${probe.container}`;
 
       // choose folder by lang
       const folder = lang === 'ht' ? AUDIO_HT_DIR : AUDIO_EN_DIR;
@@ -166,11 +650,38 @@ const server = http.createServer(async (req, res) => {
       ensureDir(MANIFESTS_DIR);
 
       const audioPath = path.join(folder, `${id}${ext}`);
-      const metaPath  = path.join(folder, `${id}.json`);
-
-      const transcript = lang === 'ht' ? 'Bonjou mond (ASR stub)' : 'Hello World (ASR stub)';
 
       fs.writeFileSync(audioPath, body);
+
+      const quality = await qualityGate.check({ body, probe, audioPath });
+      const feedback = quality ? quality.issues.map(i => i.message) : [];
+      if (quality && quality.status === 'rejected') {
+        fs.rmSync(audioPath, { force: true });
+        logger.info('Upload rejected by quality gate', { lang, user: user.username, issues: quality.issues.map(i => i.code) });
+        res.writeHead(422, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+          ok: false,
+          error: `Recording rejected: ${quality.issues.filter(i => i.severity === 'reject').map(i => i.message).join('; ')}`,
+          quality,
+          feedback
+        }));
+        return;
+      }
+
+      // A failed transcription must not lose the recording
+      const asrLang = lang === 'ht' ? 'ht' : 'en';
+      const asr = { engine: asrEngine.name, model: asrEngine.model(asrLang), confidence: null, words: [] };
+      let transcript = null;
+      try {
+        const result = await asrEngine.transcribe({ audioPath, body, lang: asrLang });
+        transcript = result.text;
+        asr.confidence = result.confidence;
+        asr.words = result.words;
+      } catch (err) {
+        logger.warn('ASR failed', { id, engine: asrEngine.name, error: err.message });
+        asr.error = err.message;
+      }
+
       const metadata = {
         kind: 'audio',
         id,
@@ -178,19 +689,26 @@ const server = http.createServer(async (req, res) => {
         createdAt: new Date().toISOString(),
         ip: req.socket.remoteAddress,
         userAgent: req.headers['user-agent'] || '',
+        uploadedBy: user.username,
         contentType,
         bytes: body.length,
         audioFile: path.basename(audioPath),
         transcript,
-        codec: ext === '.wav' ? 'pcm_s16le' : (ext === '.webm' ? 'opus' : 'unknown'),
-        sr: null,            // fill later if you transcode to WAV 16k
-        duration_s: null,    // fill later in a batch step
-        domain: []           // optional tags (set on link if you want)
+        asr,
+        container: probe.container,
+        codec: probe.codec,
+        sr: probe.sr,
+        channels: probe.channels,
+        duration_s: probe.duration_s ?? (quality && quality.metrics ? quality.metrics.duration_s : null),
+        quality,
+        domain: [],          // optional tags (set on link if you want)
+        normalized: { status: 'pending', file: null, attempts: 0 }
       };
-      fs.writeFileSync(metaPath, JSON.stringify(metadata, null, 2));
+      storage.put('audio', metadata);
+      transcoder.enqueue(id);
 
       res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ ok: true, ...metadata }));
+      res.end(JSON.stringify({ ok: true, ...metadata, feedback }));
     } catch (err) {
       res.writeHead(500, { 'Content-Type': 'application/json' });
       res.end(JSON.stringify({ ok: false, error: 'ASR save failed', details: String(err) }));
@@ -198,20 +716,101 @@ const server = http.createServer(async (req, res) => {
     return;
   }
 
+  // GET /api/audio/:id?variant=original|normalized[&download=1]
+  const audioMatch = url.pathname.match(/^\/api\/audio\/([^/]+)$/);
+  if (audioMatch && (method === 'GET' || method === 'HEAD')) {
+    try {
+      const meta = getAudio(audioMatch[1]);
+      if (!meta) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: false, error: 'Audio not found' }));
+        return;
+      }
+      // Soft-deleted and withdrawn clips keep their files until purged, but are never served
+      if (meta.deleted) {
+        res.writeHead(410, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: false, error: 'Audio was deleted' }));
+        return;
+      }
+      const variant = (url.searchParams.get('variant') || 'original').toLowerCase();
+      const download = url.searchParams.get('download') === '1' || url.searchParams.get('download') === 'true';
+
+      let file, contentType;
+      if (variant === 'normalized') {
+        const normalized = meta.normalized || {};
+        if (normalized.status !== 'done') {
+          res.writeHead(409, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ ok: false, error: 'Normalized audio not available', status: normalized.status || null }));
+          return;
+        }
+        file = normalized.file;
+        contentType = 'audio/wav';
+      } else if (variant === 'original') {
+        file = meta.audioFile;
+        contentType = meta.container ? contentTypeForContainer(meta.container) : meta.contentType;
+      } else {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: false, error: `Unknown variant: ${variant}` }));
+        return;
+      }
+
+      const absPath = storage.blobPath(audioLang(meta), file || '');
+      if (!file || !fs.existsSync(absPath)) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: false, error: 'Audio file missing on disk' }));
+        return;
+      }
+      streamFile(req, res, absPath, contentType, path.basename(file), download);
+    } catch (err) {
+      logger.error('Audio playback failed', { error: err.message });
+      if (!res.headersSent) {
+        res.writeHead(500, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: false, error: 'Audio playback failed', details: String(err) }));
+      }
+    }
+    return;
+  }
+
+  // GET /api/transcode - queue status
+  if (url.pathname === '/api/transcode' && method === 'GET') {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ ok: true, ...transcoder.status() }));
+    return;
+  }
+
+  // POST /api/transcode/:id/retry - requeue a clip whose transcode failed
+  const retryMatch = url.pathname.match(/^\/api\/transcode\/([^/]+)\/retry$/);
+  if (retryMatch && method === 'POST') {
+    if (!requireRole(res, user, 'admin')) return;
+    if (!getAudio(retryMatch[1])) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: false, error: 'Audio not found' }));
+      return;
+    }
+    transcoder.retry(retryMatch[1]);
+    res.writeHead(202, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ ok: true, id: retryMatch[1], status: 'pending' }));
+    return;
+  }
+
   // POST /api/samples/link
   // {
-  //   term, category, enText, htText, enAudioId, htAudioId, annotator, consent
+  //   term, category, enText, htText, enAudioId, htAudioId, consent,
+  //   termId?, templateId?, reservationId?     (from POST /api/prompts/next)
+  //   htSuggestion?: { text, source, model, method, confidence }
+  //                                            (the POST /api/translate suggestion htText started from)
   // }
+  // The annotator is the signed-in user; an `annotator` field in the body is ignored.
   if (url.pathname === '/api/samples/link' && method === 'POST') {
     try {
-      ensureDir(PAIRS_DIR);
       const body = await readBody(req);
       const payload = JSON.parse(body.toString('utf8'));
 
       const {
-        term, category, enText, htText, enAudioId, htAudioId,
-        annotator = 'anonymous', consent = false
+        term, category, enText, htText, enAudioId, htAudioId, consent = false,
+        termId, templateId, reservationId, htSuggestion
       } = payload || {};
+      const annotator = user.username;
 
       if (!term || !category || !enAudioId || !htAudioId || !consent) {
         res.writeHead(400, { 'Content-Type': 'application/json' });
@@ -219,22 +818,60 @@ const server = http.createServer(async (req, res) => {
         return;
       }
 
+      const refError = checkAudioRef(enAudioId, 'en', 'enAudioId') || checkAudioRef(htAudioId, 'ht', 'htAudioId');
+      if (refError) {
+        res.writeHead(refError.status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: false, error: refError.error }));
+        return;
+      }
+
+      const source = prompts.resolveLink({ termId, templateId, category });
+      if (source.error) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: false, error: source.error }));
+        return;
+      }
+
+      const usage = audioUsage(listPairs());
+      const reused = [['en', enAudioId], ['ht', htAudioId]]
+        .filter(([, id]) => usage.has(id))
+        .map(([lang, id]) => ({ lang, audioId: id, linkedTo: usage.get(id) }));
+      if (reused.length && AUDIO_REUSE_POLICY !== 'flag') {
+        res.writeHead(409, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: false, error: 'Audio already linked to another pair', reused }));
+        return;
+      }
+
       const sampleId = randomUUID();
+      const ht = htFields(htText || '');
+      const { origin, suggestion } = htOrigin(ht.text, htSuggestion);
       const record = {
         kind: 'pair',
         sampleId,
         createdAt: new Date().toISOString(),
         term,
         category,
+        termId: source.termId,
+        templateId: source.templateId,
         annotator,
+        annotatorId: user.id,
         consent: !!consent,
         en: { text: enText || term, audioRef: enAudioId },
-        ht: { text: htText || '',   audioRef: htAudioId }
+        ht: { ...ht, audioRef: htAudioId, origin, suggestion }
       };
+      record.revisions = [initialRevision(record, annotator)];
+      record.review = { status: 'pending', history: [] };
+      if (reused.length) record.flags = reused.map(r => `${r.lang}_audio_reused`);
 
-      fs.writeFileSync(path.join(PAIRS_DIR, `${sampleId}.pair.json`), JSON.stringify(record, null, 2));
+      storage.put('pair', record);
+      if (reservationId) prompts.release(String(reservationId));
 
-      // (Optional future) append JSONL manifests here for training toolchains
+      // The pair is already saved; a manifest failure is repaired by manifests:rebuild
+      try {
+        appendPairToManifests(storage, MANIFESTS_DIR, record);
+      } catch (err) {
+        logger.warn('Manifest append failed', { sampleId, error: err.message });
+      }
 
       res.writeHead(200, { 'Content-Type': 'application/json' });
       res.end(JSON.stringify({ ok: true, sampleId, record }));
@@ -245,40 +882,511 @@ const server = http.createServer(async (req, res) => {
     return;
   }
 
-  // GET /api/samples?kind=audio|pair|all
-  if (url.pathname === '/api/samples' && method === 'GET') {
+  // GET /api/catalog?category=&all=1 - everything the prompt UI needs (all=1 includes inactive entries)
+  if (url.pathname === '/api/catalog' && method === 'GET') {
+    const includeInactive = url.searchParams.get('all') === '1' && hasRole(user, 'reviewer');
+    const snapshot = catalogSnapshot(storage, { category: url.searchParams.get('category'), includeInactive });
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ ok: true, ...snapshot }));
+    return;
+  }
+
+  // POST /api/translate  { text, category?, limit? } - EN->HT suggestions, best first:
+  // [{ text, source, model, method, confidence }]; a failing provider is listed in `errors`
+  if (url.pathname === '/api/translate' && method === 'POST') {
     try {
-      const kind = (url.searchParams.get('kind') || 'all').toLowerCase();
-      ensureDir(DATA_ROOT);
+      const body = await readBody(req, 64 * 1024);
+      const payload = JSON.parse(body.toString('utf8') || '{}') || {};
+      if (typeof payload.text !== 'string' || !payload.text.trim()) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: false, error: 'text must be a non-empty string' }));
+        return;
+      }
+      if (payload.text.length > 2000) {
+        res.writeHead(413, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: false, error: 'text is limited to 2000 characters' }));
+        return;
+      }
+      const limit = Math.max(1, Math.min(10, parseInt(payload.limit) || 3));
+      const { suggestions, errors } = await translator.suggest({ text: payload.text, category: payload.category || null, limit });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: true, text: payload.text, suggestions, errors, providers: translator.providers }));
+    } catch (err) {
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: false, error: 'Translation failed', details: String(err) }));
+    }
+    return;
+  }
 
-      const collect = [];
-      if (kind === 'audio' || kind === 'all') {
-        for (const dir of [AUDIO_EN_DIR, AUDIO_HT_DIR]) {
-          ensureDir(dir);
-          for (const f of fs.readdirSync(dir)) {
-            if (f.endsWith('.json')) collect.push(path.join(dir, f));
+  // POST /api/orthography/check  { text } - how HT text would be stored and what to fix
+  if (url.pathname === '/api/orthography/check' && method === 'POST') {
+    try {
+      const body = await readBody(req, 64 * 1024);
+      const payload = JSON.parse(body.toString('utf8') || '{}') || {};
+      if (typeof payload.text !== 'string') {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: false, error: 'text must be a string' }));
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: true, ...checkHt(payload.text) }));
+    } catch (err) {
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: false, error: 'Orthography check failed', details: String(err) }));
+    }
+    return;
+  }
+
+  // GET /api/memory?q=&lang=en|ht&category=&limit=5&min=0.5 - approved translations similar to q
+  if (url.pathname === '/api/memory' && method === 'GET') {
+    const q = url.searchParams.get('q') || '';
+    const lang = url.searchParams.get('lang') || 'en';
+    if (!q.trim() || q.length > 2000 || !TM_LANGS.includes(lang)) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: false, error: `q (up to 2000 characters) is required and lang must be one of ${TM_LANGS.join(', ')}` }));
+      return;
+    }
+    const options = {
+      lang,
+      category: url.searchParams.get('category') || null,
+      limit: Math.max(1, Math.min(20, parseInt(url.searchParams.get('limit')) || 5))
+    };
+    const min = parseFloat(url.searchParams.get('min'));
+    if (min >= 0 && min <= 1) options.minScore = min;
+    const matches = memory.search(q, options);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ ok: true, q, lang, matches, size: memory.size() }));
+    return;
+  }
+
+  // POST /api/prompts/next  { category? } - the prompt that most helps coverage, reserved for the caller.
+  // Without a category the least-covered one is chosen.
+  if (url.pathname === '/api/prompts/next' && method === 'POST') {
+    try {
+      const body = await readBody(req);
+      const payload = body.length ? JSON.parse(body.toString('utf8')) : {};
+      const { prompt, error } = prompts.next(user.username, { category: payload && payload.category || null });
+      if (error) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: false, error }));
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: true, prompt }));
+    } catch (err) {
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: false, error: 'Prompt assignment failed', details: String(err) }));
+    }
+    return;
+  }
+
+  // GET /api/prompts/coverage?category= - recordings per category and term against their targets
+  if (url.pathname === '/api/prompts/coverage' && method === 'GET') {
+    const categories = prompts.coverage({ category: url.searchParams.get('category') || null });
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ ok: true, categories, reservations: prompts.reservations() }));
+    return;
+  }
+
+  // POST /api/catalog/import?kind=categories|terms|templates&format=csv|tsv  (body: the file)
+  if (url.pathname === '/api/catalog/import' && method === 'POST') {
+    if (!requireRole(res, user, 'reviewer')) return;
+    try {
+      const type = CATALOG_KINDS[url.searchParams.get('kind')];
+      if (!type) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: false, error: `kind must be one of ${Object.keys(CATALOG_KINDS).join(', ')}` }));
+        return;
+      }
+      const contentType = String(req.headers['content-type'] || '');
+      const format = url.searchParams.get('format') || (contentType.includes('tab-separated') ? 'tsv' : contentType.includes('csv') ? 'csv' : null);
+      const body = await readBody(req);
+      const { rows, error } = parseImport(body.toString('utf8'), type, { format });
+      if (error) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: false, error }));
+        return;
+      }
+      const result = importCatalog(storage, type, rows, user.username);
+      languageDataChanged();
+      logger.info('Catalog import', { kind: type, rows: rows.length, created: result.created, updated: result.updated, errors: result.errors.length, by: user.username });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: true, kind: type, rows: rows.length, ...result }));
+    } catch (err) {
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: false, error: 'Catalog import failed', details: String(err) }));
+    }
+    return;
+  }
+
+  // GET|POST /api/catalog/:kind, PATCH|DELETE /api/catalog/:kind/:id
+  const catalogMatch = url.pathname.match(/^\/api\/catalog\/(categories|terms|templates)(?:\/([^/]+))?$/);
+  if (catalogMatch && (catalogMatch[2] ? ['PATCH', 'DELETE'] : ['GET', 'POST']).includes(method)) {
+    const type = CATALOG_KINDS[catalogMatch[1]];
+    const id = catalogMatch[2];
+    if (method === 'GET') {
+      const category = url.searchParams.get('category');
+      const items = storage.list(type).filter(r => !category || r.category === category || r.id === category);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: true, kind: type, count: items.length, items }));
+      return;
+    }
+    if (!requireRole(res, user, 'reviewer')) return;
+    try {
+      const categoryExists = c => CATEGORY_ID_RE.test(c) && !!storage.get('category', c);
+      const existing = id && (type === 'category' ? CATEGORY_ID_RE.test(id) : UUID_RE.test(id)) ? storage.get(type, id) : null;
+      if (id && !existing) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: false, error: `${type} not found` }));
+        return;
+      }
+
+      if (method === 'DELETE') {
+        if (type === 'category') {
+          const used = ['term', 'template'].reduce((n, t) => n + storage.list(t).filter(r => r.category === id).length, 0);
+          if (used) {
+            res.writeHead(409, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ ok: false, error: `Category still has ${used} terms/templates; delete them or set active=false` }));
+            return;
           }
         }
+        storage.remove(type, id);
+        languageDataChanged();
+        logger.info('Catalog entry deleted', { kind: type, id, by: user.username });
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: true, kind: type, id }));
+        return;
+      }
+
+      const body = await readBody(req, 64 * 1024);
+      const fields = JSON.parse(body.toString('utf8') || '{}') || {};
+      const { value, error } = checkCatalogFields(type, fields, { creating: !existing, categoryExists });
+      if (error) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: false, error }));
+        return;
+      }
+      const record = existing
+        ? { ...existing, ...value, updatedAt: new Date().toISOString(), updatedBy: user.username }
+        : newCatalogRecord(type, value, user.username);
+      const duplicate = findDuplicate(storage, type, record, existing ? existing.id : null);
+      if (duplicate) {
+        res.writeHead(409, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: false, error: `A matching ${type} already exists`, id: duplicate.id }));
+        return;
+      }
+      storage.put(type, record);
+      languageDataChanged();
+      res.writeHead(existing ? 200 : 201, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: true, kind: type, item: record }));
+    } catch (err) {
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: false, error: 'Catalog update failed', details: String(err) }));
+    }
+    return;
+  }
+
+  // POST /api/review/next  { category?, exclude?: [sampleId] } - claim the next pending pair
+  // (or the one already held); `exclude` lets a reviewer skip pairs they just released
+  if (url.pathname === '/api/review/next' && method === 'POST') {
+    if (!requireRole(res, user, 'reviewer')) return;
+    try {
+      const body = await readBody(req, 64 * 1024);
+      const payload = JSON.parse(body.toString('utf8') || '{}') || {};
+      const exclude = Array.isArray(payload.exclude) ? payload.exclude.map(String) : [];
+      const next = nextForReview(listPairs(), user.username, { category: payload.category, exclude });
+      if (!next) {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: true, pair: null, message: 'No pairs waiting for review' }));
+        return;
+      }
+      const record = claim(next, user.username);
+      storage.put('pair', record);
+      const { revisions, ...pair } = record;
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        ok: true,
+        sampleId: record.sampleId,
+        claimExpiresAt: record.review.claimExpiresAt,
+        pair: { ...pair, revision: currentRevision(withHistory(record)) },
+        audio: { en: reviewAudio(record.en && record.en.audioRef), ht: reviewAudio(record.ht && record.ht.audioRef) },
+        reasons: REVIEW_REASONS
+      }));
+    } catch (err) {
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: false, error: 'Review request failed', details: String(err) }));
+    }
+    return;
+  }
+
+  // GET /api/stats?days=30 - collection progress for the dashboard.
+  // Contributors get the shared figures and their own annotator row; reviewers see everyone.
+  if (url.pathname === '/api/stats' && method === 'GET') {
+    try {
+      const days = parseInt(url.searchParams.get('days')) || 30;
+      const stats = computeStats({ pairs: listPairs(), audio: storage.list('audio'), coverage: prompts.coverage(), days });
+      if (!hasRole(user, 'reviewer')) {
+        stats.annotators = stats.annotators.filter(a => a.annotator === user.username);
+        stats.review.reviewers = [];
       }
-      if (kind === 'pair' || kind === 'all') {
-        ensureDir(PAIRS_DIR);
-        for (const f of fs.readdirSync(PAIRS_DIR)) {
-          if (f.endsWith('.pair.json')) collect.push(path.join(PAIRS_DIR, f));
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: true, ...stats }));
+    } catch (err) {
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: false, error: 'Stats failed', details: String(err) }));
+    }
+    return;
+  }
+
+  // GET /api/review/summary - pairs per review status and who holds claims
+  if (url.pathname === '/api/review/summary' && method === 'GET') {
+    if (!requireRole(res, user, 'reviewer')) return;
+    const counts = Object.fromEntries(REVIEW_STATUSES.map(status => [status, 0]));
+    const claims = [];
+    for (const pair of listPairs()) {
+      if (pair.deleted) continue;
+      const review = reviewOf(pair);
+      counts[review.status] = (counts[review.status] || 0) + 1;
+      const holder = activeClaim(pair);
+      if (holder && review.status === 'pending') claims.push({ sampleId: pair.sampleId, claimedBy: holder, claimExpiresAt: review.claimExpiresAt });
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ ok: true, counts, claims, reasons: REVIEW_REASONS }));
+    return;
+  }
+
+  // POST /api/review/:sampleId/release - give a claimed pair back to the queue
+  const releaseMatch = url.pathname.match(/^\/api\/review\/([^/]+)\/release$/);
+  if (releaseMatch && method === 'POST') {
+    if (!requireRole(res, user, 'reviewer')) return;
+    const pair = readPair(releaseMatch[1]);
+    if (!pair || pair.deleted) {
+      res.writeHead(pair ? 410 : 404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: false, error: pair ? 'Pair has been deleted' : 'Pair not found' }));
+      return;
+    }
+    const holder = activeClaim(pair);
+    if (holder && holder !== user.username && !hasRole(user, 'admin')) {
+      res.writeHead(409, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: false, error: `Pair is claimed by ${holder}` }));
+      return;
+    }
+    if (holder) storage.put('pair', release(pair));
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ ok: true, sampleId: pair.sampleId, released: !!holder }));
+    return;
+  }
+
+  // POST /api/samples/:sampleId/review  { status: approved|rejected|needs-fix, reasons: [...], note? }
+  const verdictMatch = url.pathname.match(/^\/api\/samples\/([^/]+)\/review$/);
+  if (verdictMatch && method === 'POST') {
+    if (!requireRole(res, user, 'reviewer')) return;
+    try {
+      const pair = readPair(verdictMatch[1]);
+      if (!pair || pair.deleted) {
+        res.writeHead(pair ? 410 : 404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: false, error: pair ? 'Pair has been deleted' : 'Pair not found' }));
+        return;
+      }
+      const body = await readBody(req, 64 * 1024);
+      const payload = JSON.parse(body.toString('utf8') || '{}') || {};
+      const result = recordVerdict(pair, payload, user.username);
+      if (result.error) {
+        res.writeHead(result.status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: false, error: result.error }));
+        return;
+      }
+      storage.put('pair', result.pair);
+      if (result.pair.review.status === 'approved' || reviewOf(pair).status === 'approved') languageDataChanged();
+      logger.info('Pair reviewed', { sampleId: pair.sampleId, status: result.pair.review.status, by: user.username });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: true, sampleId: pair.sampleId, review: result.pair.review }));
+    } catch (err) {
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: false, error: 'Review failed', details: String(err) }));
+    }
+    return;
+  }
+
+  // GET /api/samples/:sampleId/revisions
+  // POST /api/samples/:sampleId/revisions/:rev/restore  (reviewer)
+  const revisionsMatch = url.pathname.match(/^\/api\/samples\/([^/]+)\/revisions(?:\/(\d+)\/restore)?$/);
+  if (revisionsMatch && ((!revisionsMatch[2] && method === 'GET') || (revisionsMatch[2] && method === 'POST'))) {
+    try {
+      const sampleId = revisionsMatch[1];
+      const pair = readPair(sampleId);
+      if (!pair || pair.deleted) {
+        res.writeHead(pair ? 410 : 404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: false, error: pair ? 'Pair has been deleted' : 'Pair not found' }));
+        return;
+      }
+
+      if (method === 'GET') {
+        const { revisions } = withHistory(pair);
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: true, sampleId, current: currentRevision({ revisions }), revisions }));
+        return;
+      }
+
+      if (!requireRole(res, user, 'reviewer')) return;
+      const rev = parseInt(revisionsMatch[2]);
+      const target = viewAt(pair, { rev });
+      if (!target || target.revision !== rev) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: false, error: `Revision ${rev} not found` }));
+        return;
+      }
+      const { pair: record, revision } = applyChanges(pair, {
+        term: target.term,
+        category: target.category,
+        'en.text': target.en.text,
+        'ht.text': target.ht.text
+      }, { by: user.username, action: 'restore', restoredFrom: rev });
+
+      if (revision && revision.changes['ht.text']) {
+        record.ht = { ...record.ht, orthography: htFields(record.ht.text).orthography };
+      }
+      if (revision) {
+        storage.put('pair', record);
+        refreshManifests('restore');
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: true, sampleId, revision, record }));
+    } catch (err) {
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: false, error: 'Revision request failed', details: String(err) }));
+    }
+    return;
+  }
+
+  // PATCH /api/samples/:sampleId  { enText?, htText?, category? }  (own pairs, or reviewer)
+  // DELETE /api/samples/:sampleId?mode=soft|purge&reason=...  (admin)
+  // POST /api/samples/:sampleId/withdraw  { reason?, mode? }  (admin; mode defaults to purge)
+  const sampleMatch = url.pathname.match(/^\/api\/samples\/([^/]+)(\/withdraw)?$/);
+  if (sampleMatch && sampleMatch[1] !== 'link' && (
+    (!sampleMatch[2] && (method === 'PATCH' || method === 'DELETE')) ||
+    (sampleMatch[2] && method === 'POST')
+  )) {
+    try {
+      const sampleId = sampleMatch[1];
+      const pair = readPair(sampleId);
+      if (!pair || pair.deleted) {
+        res.writeHead(pair ? 410 : 404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: false, error: pair ? 'Pair has been deleted' : 'Pair not found' }));
+        return;
+      }
+
+      if (method === 'PATCH') {
+        if (pair.annotator !== user.username && !requireRole(res, user, 'reviewer')) return;
+        const body = await readBody(req);
+        const payload = JSON.parse(body.toString('utf8') || '{}') || {};
+        const updates = {};
+        for (const [field, target] of [['enText', 'en.text'], ['htText', 'ht.text']]) {
+          if (payload[field] === undefined) continue;
+          if (typeof payload[field] !== 'string' || !payload[field].trim()) {
+            res.writeHead(400, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ ok: false, error: `${field} must be a non-empty string` }));
+            return;
+          }
+          updates[target] = target === 'ht.text' ? htFields(payload[field]).text : payload[field].trim();
+        }
+        if (payload.category !== undefined) {
+          if (typeof payload.category !== 'string' || !payload.category.trim()) {
+            res.writeHead(400, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ ok: false, error: 'category must be a non-empty string' }));
+            return;
+          }
+          updates.category = payload.category.trim();
+        }
+        if (!Object.keys(updates).length) {
+          res.writeHead(400, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ ok: false, error: 'Nothing to update (enText, htText or category)' }));
+          return;
+        }
+
+        let { pair: record, revision } = applyChanges(pair, updates, { by: user.username });
+        if (revision && revision.changes['ht.text']) {
+          const { raw, orthography } = htFields(payload.htText);
+          const origin = record.ht.origin === 'machine' ? 'machine-edited' : record.ht.origin;
+          record = { ...record, ht: { ...record.ht, raw, orthography, origin } };
+        }
+        // An annotator fixing their own pair sends it back to the review queue
+        if (revision && pair.annotator === user.username) record = resubmit(record, user.username);
+        if (revision) {
+          storage.put('pair', record);
+          refreshManifests('edit');
+          languageDataChanged();
         }
+
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: true, sampleId, revision, record }));
+        return;
       }
 
-      const items = collect
-        .map(f => ({ f, m: fs.statSync(f).mtimeMs }))
-        .sort((a, b) => b.m - a.m)
-        .slice(0, 50)
-        .map(({ f }) => {
-          try { return JSON.parse(fs.readFileSync(f, 'utf8')); }
-          catch { return null; }
-        })
-        .filter(Boolean);
+      // DELETE and withdraw share the deletion path
+      if (!requireRole(res, user, 'admin')) return;
+      let options;
+      if (sampleMatch[2]) {
+        const body = await readBody(req);
+        const payload = JSON.parse(body.toString('utf8') || '{}') || {};
+        options = {
+          mode: payload.mode || 'purge',
+          reason: 'consent_withdrawn',
+          requestedBy: user.username,
+          note: payload.reason || null
+        };
+      } else {
+        options = {
+          mode: url.searchParams.get('mode') || 'soft',
+          reason: url.searchParams.get('reason') || 'deleted',
+          requestedBy: user.username,
+          note: url.searchParams.get('note')
+        };
+      }
+      if (!['soft', 'purge'].includes(options.mode)) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: false, error: `mode must be soft or purge, got ${options.mode}` }));
+        return;
+      }
+
+      const tombstone = deletePair(pair, options);
+      logger.info('Pair deleted', { sampleId, mode: options.mode, reason: options.reason });
 
       res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ ok: true, count: items.length, kind, items }));
+      res.end(JSON.stringify({ ok: true, sampleId, tombstone }));
+    } catch (err) {
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: false, error: 'Update failed', details: String(err) }));
+    }
+    return;
+  }
+
+  // GET /api/samples?kind=audio|pair|all&lang=&category=&annotator=&term=&status=&from=&to=&q=&limit=&cursor=
+  // (see lib/sample-query.js for the parameters)
+  if (url.pathname === '/api/samples' && method === 'GET') {
+    try {
+      const { query, error } = parseSampleQuery(url.searchParams);
+      if (error) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: false, error }));
+        return;
+      }
+      const collect = [];
+      if (query.kind === 'audio' || query.kind === 'all') collect.push(...storage.list('audio'));
+      if (query.kind === 'pair' || query.kind === 'all') collect.push(...storage.list('pair'));
+
+      const matched = [];
+      const counts = { audio: 0, pair: 0 };
+      for (const item of collect) {
+        if (item.deleted || !matchesSample(item, query)) continue;
+        matched.push(item);
+        counts[item.kind === 'pair' ? 'pair' : 'audio']++;
+      }
+
+      const { total, items, nextCursor } = paginate(matched, query);
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: true, count: items.length, total, counts, kind: query.kind, nextCursor, items }));
     } catch (err) {
       res.writeHead(500, { 'Content-Type': 'application/json' });
       res.end(JSON.stringify({ ok: false, error: 'List failed', details: String(err) }));
@@ -286,84 +1394,282 @@ const server = http.createServer(async (req, res) => {
     return;
   }
 
-  // GET /api/export/raw - Export endpoint that can access filesystem
-  if (url.pathname === '/api/export/raw' && method === 'GET') {
+  // GET /api/audit - consistency report between stored audio and pairs
+  if (url.pathname === '/api/audit' && method === 'GET') {
+    if (!requireRole(res, user, 'admin')) return;
+    try {
+      const pairs = listPairs();
+      const usage = audioUsage(pairs);
+
+      const orphanedAudio = [];
+      const missingAudioFiles = [];
+      const audioIds = { en: new Set(), ht: new Set() };
+      for (const meta of storage.list('audio')) {
+        const { id } = meta;
+        const lang = audioLang(meta);
+        audioIds[lang].add(id);
+        if (meta.audioFile && !fs.existsSync(storage.blobPath(lang, meta.audioFile))) {
+          missingAudioFiles.push({ id, lang, audioFile: meta.audioFile });
+        }
+        if (!usage.has(id)) orphanedAudio.push({ id, lang, createdAt: meta.createdAt });
+      }
+
+      const danglingRefs = [];
+      for (const pair of pairs) {
+        for (const lang of ['en', 'ht']) {
+          const ref = pair[lang] && pair[lang].audioRef;
+          if (audioIds[lang].has(ref)) continue;
+          const other = lang === 'en' ? 'ht' : 'en';
+          danglingRefs.push({
+            sampleId: pair.sampleId,
+            lang,
+            audioRef: ref || null,
+            problem: !ref ? 'missing_ref' : audioIds[other].has(ref) ? 'wrong_language' : 'audio_not_found'
+          });
+        }
+      }
+
+      const reusedAudio = [...usage.entries()]
+        .filter(([, sampleIds]) => sampleIds.length > 1)
+        .map(([audioId, sampleIds]) => ({ audioId, sampleIds }));
+
+      const report = {
+        ok: true,
+        consistent: danglingRefs.length === 0 && reusedAudio.length === 0 && missingAudioFiles.length === 0,
+        checkedAt: new Date().toISOString(),
+        totals: {
+          pairs: pairs.length,
+          audio: audioIds.en.size + audioIds.ht.size,
+          orphanedAudio: orphanedAudio.length,
+          danglingRefs: danglingRefs.length,
+          reusedAudio: reusedAudio.length,
+          missingAudioFiles: missingAudioFiles.length
+        },
+        orphanedAudio,
+        danglingRefs,
+        reusedAudio,
+        missingAudioFiles
+      };
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(report));
+    } catch (err) {
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: false, error: 'Audit failed', details: String(err) }));
+    }
+    return;
+  }
+
+  // GET /api/splits - recorded splits with their current per-split counts
+  if (url.pathname === '/api/splits' && method === 'GET') {
+    if (!requireRole(res, user, 'admin')) return;
+    try {
+      const pairs = storage.list('pair').filter(p => !p.deleted);
+      const splits = storage.list('split').map(record => {
+        const splitOf = new Map(Object.entries(record.assignments));
+        return summarizeSplit(record, pairs, splitOf);
+      });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: true, splits }));
+    } catch (err) {
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: false, error: 'Split listing failed', details: String(err) }));
+    }
+    return;
+  }
+
+  // GET /api/splits/:name - one split with its assignments; DELETE forgets them (admin)
+  // POST /api/splits/:name { seed?, ratios?, groupBy? } - assign every live pair and record it (admin)
+  const splitMatch = url.pathname.match(/^\/api\/splits\/([^/]+)$/);
+  if (splitMatch && (method === 'GET' || method === 'DELETE' || method === 'POST')) {
+    if (!requireRole(res, user, 'admin')) return;
+    let name = null;
+    try {
+      name = decodeURIComponent(splitMatch[1]);
+    } catch {
+      // malformed escape: rejected below like any other invalid name
+    }
+    if (!name || !SPLIT_NAME_RE.test(name)) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: false, error: 'Invalid split name' }));
+      return;
+    }
+    try {
+      if (method === 'POST') {
+        const body = await readBody(req, 64 * 1024);
+        const payload = JSON.parse(body.toString('utf8') || '{}') || {};
+        const params = new URLSearchParams({ split: name });
+        for (const key of ['seed', 'ratios', 'groupBy']) {
+          if (payload[key] !== undefined && payload[key] !== null) params.set(key, Array.isArray(payload[key]) ? payload[key].join(',') : String(payload[key]));
+        }
+        const splitRequest = exportSplit(params, user.username);
+        if (splitRequest.error) {
+          res.writeHead(splitRequest.status, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ ok: false, error: splitRequest.error }));
+          return;
+        }
+        const created = !storage.get('split', name);
+        const { record } = splitRequest;
+        const pairs = selectExportPairs({});
+        const { added, summary } = assignSplits(pairs, record);
+        if (created || added) storage.put('split', record);
+        logger.info('Split recorded', { split: record.id, added, by: user.username });
+        res.writeHead(created ? 201 : 200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: true, added, split: summary }));
+        return;
+      }
+
+      const record = storage.get('split', name);
+      if (!record) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: false, error: 'Split not found' }));
+        return;
+      }
+      if (method === 'DELETE') {
+        storage.remove('split', record.id);
+        logger.info('Split deleted', { split: record.id, by: user.username });
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: true, deleted: record.id }));
+        return;
+      }
+      const pairs = storage.list('pair').filter(p => !p.deleted);
+      const summary = summarizeSplit(record, pairs, new Map(Object.entries(record.assignments)));
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: true, split: summary, assignments: record.assignments }));
+    } catch (err) {
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: false, error: 'Split request failed', details: String(err) }));
+    }
+    return;
+  }
+
+  // GET /api/export/schema - JSON Schema of one export record (lib/export-schema.js)
+  if (url.pathname === '/api/export/schema' && method === 'GET') {
+    res.writeHead(200, { 'Content-Type': 'application/schema+json', 'X-Export-Schema-Version': EXPORT_SCHEMA_VERSION });
+    res.end(JSON.stringify(EXPORT_JSON_SCHEMA, null, 2));
+    return;
+  }
+
+  // GET /api/export/raw  - export records as JSON (read by the Netlify export function)
+  // GET /api/export/data - the same records as a json | jsonl | csv | tmx | xliff | moses download (format=...)
+  // json, jsonl and csv are streamed record by record; cursor / limit / ETag as in lib/export-stream.js
+  if ((url.pathname === '/api/export/raw' || url.pathname === '/api/export/data') && method === 'GET') {
+    if (!requireRole(res, user, 'admin')) return;
+    let streaming = false;
     try {
       const params = url.searchParams;
-      const category = params.get('category');
-      const since = params.get('since');
       const includeAudio = params.get('includeAudio') === 'true';
-      
-      logger.info('Export raw data requested', { category, since, includeAudio });
-      
-      // Read all pair files
-      ensureDir(PAIRS_DIR);
-      const pairFiles = fs.readdirSync(PAIRS_DIR).filter(f => f.endsWith('.pair.json'));
-      
-      const pairs = [];
-      
-      for (const file of pairFiles) {
-        try {
-          const pairData = JSON.parse(fs.readFileSync(path.join(PAIRS_DIR, file), 'utf8'));
-          
-          // Filter by category if specified
-          if (category && pairData.category !== category) continue;
-          
-          // Filter by date if specified
-          if (since && new Date(pairData.createdAt) < new Date(since)) continue;
-          
-          // Enrich with audio metadata if requested
-          if (includeAudio) {
-            // Try to read English audio metadata
-            if (pairData.en && pairData.en.audioRef) {
-              const enAudioPath = path.join(AUDIO_EN_DIR, `${pairData.en.audioRef}.json`);
-              if (fs.existsSync(enAudioPath)) {
-                const enAudioMeta = JSON.parse(fs.readFileSync(enAudioPath, 'utf8'));
-                pairData.en.audioFile = enAudioMeta.audioFile;
-                pairData.en.bytes = enAudioMeta.bytes;
-                pairData.en.codec = enAudioMeta.codec;
-                pairData.en.contentType = enAudioMeta.contentType;
-              }
-            }
-            
-            // Try to read Haitian Creole audio metadata
-            if (pairData.ht && pairData.ht.audioRef) {
-              const htAudioPath = path.join(AUDIO_HT_DIR, `${pairData.ht.audioRef}.json`);
-              if (fs.existsSync(htAudioPath)) {
-                const htAudioMeta = JSON.parse(fs.readFileSync(htAudioPath, 'utf8'));
-                pairData.ht.audioFile = htAudioMeta.audioFile;
-                pairData.ht.bytes = htAudioMeta.bytes;
-                pairData.ht.codec = htAudioMeta.codec;
-                pairData.ht.contentType = htAudioMeta.contentType;
-              }
-            }
-          }
-          
-          pairs.push(pairData);
-          
-        } catch (err) {
-          logger.warn('Failed to parse pair file', { file, error: err.message });
-        }
+      const download = url.pathname === '/api/export/data';
+      const format = download ? (params.get('format') || 'json').toLowerCase() : 'json';
+      if (!EXPORT_FORMATS.includes(format)) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: `format must be one of ${EXPORT_FORMATS.join(', ')}` }));
+        return;
+      }
+
+      const filters = parseExportFilters(params);
+      if (filters.error) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: filters.error }));
+        return;
+      }
+      const { category, status, since, asOf } = filters.value;
+
+      const incremental = parseIncremental(params);
+      if (incremental.error) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: incremental.error }));
+        return;
+      }
+
+      const splitRequest = exportSplit(params, user.username);
+      if (splitRequest && splitRequest.error) {
+        res.writeHead(splitRequest.status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: splitRequest.error }));
+        return;
       }
       
-      // Sort by creation date (newest first)
-      pairs.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+      logger.info('Export data requested', { format, category, since, includeAudio, asOf, status, ...incremental.value, split: splitRequest && splitRequest.record.id, by: user.username });
       
-      const exportData = {
-        metadata: {
-          exportedAt: new Date().toISOString(),
-          totalPairs: pairs.length,
-          category: category || 'all',
-          includeAudio: includeAudio,
-          source: 'filesystem'
-        },
-        data: pairs
+      let selected = selectExportPairs(filters.value);
+
+      // Pairs that would leak across splits are left out, before paging so a cursor
+      // never stops on one of them
+      let split = null;
+      let splitOf = null;
+      if (splitRequest) {
+        const result = applyExportSplit(selected, splitRequest.record);
+        splitOf = result.splitOf;
+        selected = selected.filter(p => splitOf.has(p.sampleId));
+        split = result.summary;
+      }
+
+      const page = pageExportPairs(selected, incremental.value);
+      const pairs = page.pairs;
+
+      // Records are built as they are written rather than held as one array
+      const records = function* () {
+        for (const pair of pairs) {
+          yield toExportRecord(pair, {
+            includeAudio,
+            audioOf: getAudio,
+            split: splitOf ? splitOf.get(pair.sampleId) : null
+          });
+        }
       };
-      
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify(exportData));
+      const metadata = {
+        schema: '/api/export/schema',
+        category: category || 'all',
+        includeAudio: includeAudio,
+        asOf: asOf || null,
+        status: status || 'all',
+        since: since || null,
+        cursor: page.cursor,
+        more: page.more,
+        split,
+        source: storage.backend === 'log' ? 'storage-log' : 'filesystem'
+      };
+
+      const etag = exportETag(format, { ...metadata, schemaVersion: EXPORT_SCHEMA_VERSION }, pairs, splitOf);
+      const lastModified = exportLastModified(pairs, storage.list('tombstone'));
+      const headers = {
+        'X-Export-Schema-Version': EXPORT_SCHEMA_VERSION,
+        'ETag': etag,
+        'Cache-Control': 'private, no-cache',
+        'X-Export-More': String(page.more)
+      };
+      if (lastModified !== null) headers['Last-Modified'] = new Date(lastModified).toUTCString();
+      if (page.cursor) headers['X-Export-Cursor'] = page.cursor;
+      if (notModified(req.headers, { etag, lastModified })) {
+        res.writeHead(304, headers);
+        res.end();
+        return;
+      }
+
+      const { contentType, extension } = exportContentType(format);
+      headers['Content-Type'] = contentType;
+      if (download) headers['Content-Disposition'] = `attachment; filename="${exportFileName(extension)}"`;
+      metadata.exportedAt = new Date().toISOString();
+
+      if (!STREAMED_FORMATS.includes(format)) {
+        const { body } = serializeExport([...records()], format, metadata);
+        res.writeHead(200, headers);
+        res.end(body);
+        return;
+      }
+      res.writeHead(200, headers);
+      streaming = true;
+      const bytes = await writeChunks(res, exportChunks(records(), format, { ...metadata, totalPairs: pairs.length }));
+      res.end();
+      logger.info('Export data sent', { format, pairs: pairs.length, bytes, more: page.more });
       
     } catch (err) {
+      if (streaming) {
+        // Headers are gone; cutting the connection tells the client the export is incomplete
+        logger.warn('Export data aborted', { error: err.message });
+        res.destroy();
+        return;
+      }
       logger.error('Export failed', { error: err.message });
       res.writeHead(500, { 'Content-Type': 'application/json' });
       res.end(JSON.stringify({ error: 'Export failed', details: err.message }));
@@ -371,6 +1677,92 @@ const server = http.createServer(async (req, res) => {
     return;
   }
 
+  // GET /api/export/archive - the dataset as one tar: audio, per-split manifests, dataset card
+  // and checksums, streamed as it is built (lib/dataset-archive.js, lib/tar.js)
+  if (url.pathname === '/api/export/archive' && method === 'GET') {
+    if (!requireRole(res, user, 'admin')) return;
+    let streaming = false;
+    try {
+      const params = url.searchParams;
+      const format = (params.get('format') || 'tar').toLowerCase();
+      const variant = (params.get('audio') || 'normalized').toLowerCase();
+      if (!ARCHIVE_FORMATS.includes(format)) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: `format must be one of ${ARCHIVE_FORMATS.join(', ')}` }));
+        return;
+      }
+      if (!ARCHIVE_VARIANTS.includes(variant)) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: `audio must be one of ${ARCHIVE_VARIANTS.join(', ')}` }));
+        return;
+      }
+      const filters = parseExportFilters(params);
+      if (filters.error) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: filters.error }));
+        return;
+      }
+      // Manifests are per split, so archives always use one (split=default unless named)
+      const splitRequest = exportSplit(params, user.username, 'default');
+      if (splitRequest.error) {
+        res.writeHead(splitRequest.status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: splitRequest.error }));
+        return;
+      }
+
+      // Training data: approved pairs unless status= asks for another review status
+      const status = filters.value.status || 'approved';
+      const pairs = selectExportPairs({ ...filters.value, status });
+      const { splitOf, summary } = applyExportSplit(pairs, splitRequest.record);
+      const plan = planDataset({ storage, pairs, splitOf, variant });
+      if (!plan.items.length) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: `No ${status} pairs to export`, excluded: summary.excluded.length, skipped: plan.skipped.length }));
+        return;
+      }
+
+      const generatedAt = new Date().toISOString();
+      const root = `${DATASET_NAME}-${generatedAt.slice(0, 10).replace(/-/g, '')}`;
+      const card = datasetCard({
+        name: DATASET_NAME, license: DATASET_LICENSE, generatedAt, variant, plan,
+        split: summary, status, tombstones: matchingTombstones(storage.list('tombstone'), { ...filters.value, status })
+      });
+      logger.info('Export archive requested', { ...filters.value, status, format, variant, split: summary.name, pairs: plan.items.length, by: user.username });
+
+      res.writeHead(200, {
+        'Content-Type': format === 'tar' ? 'application/x-tar' : 'application/gzip',
+        'Content-Disposition': `attachment; filename="${root}.${format}"`,
+        'Cache-Control': 'no-store'
+      });
+      streaming = true;
+
+      // With gzip, pipeline tears the gzip stream down if the client goes away mid-download
+      let output = res;
+      if (format === 'tar.gz') {
+        output = zlib.createGzip();
+        pipeline(output, res, err => {
+          if (err) logger.warn('Export archive stream ended early', { error: err.message });
+        });
+      }
+      const tar = createTarWriter(output);
+      await writeDataset(tar, { root, plan, card });
+      await tar.finish();
+      output.end();
+      logger.info('Export archive sent', { root, files: tar.entries().length, bytes: tar.entries().reduce((n, e) => n + e.size, 0) });
+    } catch (err) {
+      if (streaming) {
+        // Headers are gone; cutting the connection is the only way to say the archive is incomplete
+        logger.warn('Export archive aborted', { error: err.message });
+        res.destroy();
+        return;
+      }
+      logger.error('Export archive failed', { error: err.message });
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Export failed', details: err.message }));
+    }
+    return;
+  }
+
   // 404
   res.writeHead(404, { 'Content-Type': 'application/json' });
   res.end(JSON.stringify({ error: 'Not found' }));
@@ -0,0 +1,161 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createAsrEngine, parseRecognizerOutput } from '../lib/asr.js';
+
+// Minimal PCM WAV: `seconds` of silence
+function wav({ sr = 16000, channels = 1, seconds = 0.5 } = {}) {
+  const data = Buffer.alloc(Math.round(sr * seconds) * channels * 2);
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + data.length, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sr, 24);
+  header.writeUInt32LE(sr * channels * 2, 28);
+  header.writeUInt16LE(channels * 2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36);
+  header.writeUInt32LE(data.length, 40);
+  return Buffer.concat([header, data]);
+}
+
+const WHISPER_JSON = {
+  transcription: [{
+    text: ' Hello doctor',
+    tokens: [
+      { text: '[_BEG_]', offsets: { from: 0, to: 0 }, p: 0.9 },
+      { text: ' Hello', offsets: { from: 0, to: 400 }, p: 0.9 },
+      { text: ' doc', offsets: { from: 400, to: 600 }, p: 0.8 },
+      { text: 'tor', offsets: { from: 600, to: 800 }, p: 0.6 }
+    ]
+  }]
+};
+
+// Stand-ins for whisper.cpp and ffmpeg that log their arguments to `<dir>/<name>.log`
+function stubs() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'asr-test-'));
+  const script = (name, body) => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, `#!/usr/bin/env node\nconst fs = require('fs');\nconst args = process.argv.slice(2);\n` +
+      `fs.appendFileSync(${JSON.stringify(path.join(dir, `${name}.log`))}, JSON.stringify(args) + '\\n');\n${body}\n`);
+    fs.chmodSync(file, 0o755);
+    return file;
+  };
+  const whisperOutput = JSON.stringify(WHISPER_JSON);
+  return {
+    dir,
+    whisper: script('whisper.cjs', `fs.writeFileSync(args[args.indexOf('-of') + 1] + '.json', ${JSON.stringify(whisperOutput)});`),
+    failing: script('failing.cjs', `fs.writeFileSync(args[args.indexOf('-of') + 1] + '.json', '{}');\nprocess.stderr.write('model not found');\nprocess.exit(2);`),
+    ffmpeg: script('ffmpeg.cjs', `fs.writeFileSync(args[args.length - 1], ${JSON.stringify(wav().toString('base64'))}, 'base64');`),
+    calls: name => {
+      const log = path.join(dir, `${name}.log`);
+      return fs.existsSync(log) ? fs.readFileSync(log, 'utf8').trim().split('\n').map(l => JSON.parse(l)) : [];
+    },
+    cleanup: () => fs.rmSync(dir, { recursive: true, force: true })
+  };
+}
+
+function assertResultShape(result) {
+  assert.equal(typeof result.text, 'string');
+  assert.ok(result.confidence === null || (result.confidence >= 0 && result.confidence <= 1));
+  assert.ok(Array.isArray(result.words));
+  for (const w of result.words) assert.deepEqual(Object.keys(w).sort(), ['confidence', 'end', 'start', 'word']);
+}
+
+test('createAsrEngine picks the engine from ASR_ENGINE / ASR_BIN', () => {
+  assert.equal(createAsrEngine({}).name, 'none');
+  assert.equal(createAsrEngine({ ASR_BIN: '/usr/bin/whisper' }).name, 'local');
+  assert.equal(createAsrEngine({ ASR_ENGINE: 'FAKE' }).name, 'fake');
+  assert.throws(() => createAsrEngine({ ASR_ENGINE: 'local' }), /requires ASR_BIN/);
+  assert.throws(() => createAsrEngine({ ASR_ENGINE: 'cloud' }), /Unknown ASR_ENGINE/);
+});
+
+test('none engine leaves the transcript empty', async () => {
+  const engine = createAsrEngine({});
+  assert.equal(engine.model('en'), null);
+  assert.deepEqual(await engine.transcribe({ body: wav(), lang: 'en' }), { text: null, confidence: null, words: [] });
+});
+
+test('fake engine is deterministic per audio and uses the language vocabulary', async () => {
+  const engine = createAsrEngine({ ASR_ENGINE: 'fake' });
+  const a = await engine.transcribe({ body: Buffer.from('clip a'), lang: 'en' });
+  assertResultShape(a);
+  assert.deepEqual(await engine.transcribe({ body: Buffer.from('clip a'), lang: 'en' }), a);
+  assert.equal(a.text, a.words.map(w => w.word).join(' '));
+
+  const ht = await engine.transcribe({ body: Buffer.from('clip a'), lang: 'ht' });
+  assert.notEqual(ht.text, a.text);
+  assert.equal(engine.model('ht'), 'fake-v1');
+});
+
+test('parseRecognizerOutput reads whisper.cpp JSON, vosk JSON and plain text', () => {
+  const whisper = parseRecognizerOutput(JSON.stringify(WHISPER_JSON));
+  assert.equal(whisper.text, 'Hello doctor');
+  assert.deepEqual(whisper.words.map(w => [w.word, w.start, w.end]), [['Hello', 0, 0.4], ['doctor', 0.4, 0.8]]);
+  assert.equal(whisper.words[1].confidence, 0.7);
+
+  const vosk = parseRecognizerOutput(JSON.stringify({ text: 'bonjou doktè', result: [{ word: 'bonjou', start: 0, end: 0.5, conf: 1 }] }));
+  assert.equal(vosk.text, 'bonjou doktè');
+  assert.equal(vosk.confidence, 1);
+
+  assert.deepEqual(parseRecognizerOutput('[00:00:00.000 --> 00:00:02.000]  Hello world\n'), { text: 'Hello world', confidence: null, words: [] });
+});
+
+test('local engine converts non-WAV uploads, parses the output and removes its temp files', async t => {
+  const s = stubs();
+  t.after(s.cleanup);
+  const upload = path.join(s.dir, 'clip.webm');
+  fs.writeFileSync(upload, 'not a wav');
+  const engine = createAsrEngine({ ASR_BIN: s.whisper, ASR_MODEL: '/models/base.bin', ASR_MODEL_HT: '/models/ht.bin', FFMPEG_PATH: s.ffmpeg });
+
+  const result = await engine.transcribe({ audioPath: upload, body: fs.readFileSync(upload), lang: 'ht' });
+  assertResultShape(result);
+  assert.equal(result.text, 'Hello doctor');
+
+  const [ffmpegArgs] = s.calls('ffmpeg.cjs');
+  assert.deepEqual(ffmpegArgs.slice(ffmpegArgs.indexOf('-i'), ffmpegArgs.indexOf('-i') + 2), ['-i', upload]);
+  assert.ok(ffmpegArgs.includes('16000'));
+  const [args] = s.calls('whisper.cjs');
+  const input = args[args.indexOf('-f') + 1];
+  const output = args[args.indexOf('-of') + 1];
+  assert.equal(input, ffmpegArgs[ffmpegArgs.length - 1]);
+  assert.equal(args[args.indexOf('-m') + 1], '/models/ht.bin');
+  assert.equal(args[args.indexOf('-l') + 1], 'ht');
+  for (const file of [input, output, `${output}.json`]) assert.equal(fs.existsSync(file), false, `${file} was left behind`);
+});
+
+test('local engine prefers the normalized clip, then a 16 kHz WAV upload, over converting', async t => {
+  const s = stubs();
+  t.after(s.cleanup);
+  const engine = createAsrEngine({ ASR_BIN: s.whisper, FFMPEG_PATH: s.ffmpeg });
+  const upload = path.join(s.dir, 'clip.wav');
+  fs.writeFileSync(upload, wav());
+  const normalized = path.join(s.dir, 'clip.16k.wav');
+  fs.writeFileSync(normalized, wav());
+
+  await engine.transcribe({ audioPath: path.join(s.dir, 'clip.webm'), normalizedPath: normalized, lang: 'en' });
+  await engine.transcribe({ audioPath: upload, body: fs.readFileSync(upload), lang: 'en' });
+  const inputs = s.calls('whisper.cjs').map(args => args[args.indexOf('-f') + 1]);
+  assert.deepEqual(inputs, [normalized, upload]);
+  assert.deepEqual(s.calls('ffmpeg.cjs'), []);
+  assert.equal(fs.existsSync(normalized), true);
+});
+
+test('local engine rejects with the recognizer error and still removes its temp files', async t => {
+  const s = stubs();
+  t.after(s.cleanup);
+  const upload = path.join(s.dir, 'clip.webm');
+  fs.writeFileSync(upload, 'not a wav');
+  const engine = createAsrEngine({ ASR_BIN: s.failing, FFMPEG_PATH: s.ffmpeg });
+
+  await assert.rejects(engine.transcribe({ audioPath: upload, lang: 'en' }), /failing\.cjs failed: .*model not found/s);
+  const [args] = s.calls('failing.cjs');
+  const output = args[args.indexOf('-of') + 1];
+  for (const file of [args[args.indexOf('-f') + 1], `${output}.json`]) assert.equal(fs.existsSync(file), false, `${file} was left behind`);
+});
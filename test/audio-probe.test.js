@@ -0,0 +1,234 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { probeAudio, containerFromContentType, contentTypeForContainer } from '../lib/audio-probe.js';
+
+// ---------- fixtures ----------
+
+function wav({ sr = 16000, channels = 1, bits = 16, format = 1, seconds = 0.5, extensible = false, dataSize, chunks = [] } = {}) {
+  const data = Buffer.alloc(Math.round(sr * seconds) * channels * (bits / 8));
+  const fmt = Buffer.alloc(extensible ? 40 : 16);
+  fmt.writeUInt16LE(extensible ? 0xFFFE : format, 0);
+  fmt.writeUInt16LE(channels, 2);
+  fmt.writeUInt32LE(sr, 4);
+  fmt.writeUInt32LE(sr * channels * bits / 8, 8);
+  fmt.writeUInt16LE(channels * bits / 8, 12);
+  fmt.writeUInt16LE(bits, 14);
+  if (extensible) {
+    fmt.writeUInt16LE(22, 16);
+    fmt.writeUInt16LE(format, 24);
+  }
+  const chunk = (id, body, size = body.length) => {
+    const head = Buffer.alloc(8);
+    head.write(id, 0, 'latin1');
+    head.writeUInt32LE(size, 4);
+    return Buffer.concat([head, body, body.length % 2 ? Buffer.alloc(1) : Buffer.alloc(0)]);
+  };
+  const body = Buffer.concat([
+    Buffer.from('WAVE'),
+    chunk('fmt ', fmt),
+    ...chunks.map(([id, b]) => chunk(id, b)),
+    chunk('data', data, dataSize ?? data.length)
+  ]);
+  const riff = Buffer.alloc(8);
+  riff.write('RIFF', 0);
+  riff.writeUInt32LE(body.length, 4);
+  return Buffer.concat([riff, body]);
+}
+
+function oggPage(body, { granule = 0n, serial = 1, seq = 0, type = 0 } = {}) {
+  const segments = [];
+  let left = body.length;
+  do {
+    segments.push(Math.min(left, 255));
+    left -= 255;
+  } while (left >= 0);
+  const head = Buffer.alloc(27);
+  head.write('OggS', 0);
+  head[5] = type;
+  head.writeBigInt64LE(granule, 6);
+  head.writeUInt32LE(serial, 14);
+  head.writeUInt32LE(seq, 18);
+  head[26] = segments.length;
+  return Buffer.concat([head, Buffer.from(segments), body]);
+}
+
+function opusOgg({ channels = 1, preSkip = 312, seconds = 2 } = {}) {
+  const head = Buffer.alloc(19);
+  head.write('OpusHead', 0);
+  head[8] = 1;
+  head[9] = channels;
+  head.writeUInt16LE(preSkip, 10);
+  head.writeUInt32LE(48000, 12);
+  return Buffer.concat([
+    oggPage(head, { type: 2 }),
+    oggPage(Buffer.from('OpusTags\0\0\0\0\0\0\0\0'), { seq: 1 }),
+    oggPage(Buffer.alloc(100, 1), { seq: 2, granule: 48000n }),
+    oggPage(Buffer.alloc(100, 1), { seq: 3, granule: BigInt(48000 * seconds + preSkip), type: 4 })
+  ]);
+}
+
+function vorbisOgg({ sr = 44100, channels = 2, seconds = 3 } = {}) {
+  const head = Buffer.alloc(30);
+  head[0] = 1;
+  head.write('vorbis', 1);
+  head[11] = channels;
+  head.writeUInt32LE(sr, 12);
+  return Buffer.concat([oggPage(head, { type: 2 }), oggPage(Buffer.alloc(50), { seq: 1, granule: BigInt(sr * seconds), type: 4 })]);
+}
+
+// EBML element: id as hex, 8-byte size (or unknown), body
+function el(id, ...children) {
+  const body = Buffer.concat(children.map(c => (Buffer.isBuffer(c) ? c : Buffer.from(c, 'latin1'))));
+  const size = Buffer.alloc(8);
+  size[0] = 0x01;
+  size.writeUIntBE(body.length, 2, 6);
+  return Buffer.concat([Buffer.from(id, 'hex'), size, body]);
+}
+
+function unknownSize(id, ...children) {
+  return Buffer.concat([Buffer.from(id, 'hex'), Buffer.from('01FFFFFFFFFFFFFF', 'hex'), ...children]);
+}
+
+const uint = (n, bytes = 1) => {
+  const b = Buffer.alloc(bytes);
+  b.writeUIntBE(n, 0, bytes);
+  return b;
+};
+const float = n => {
+  const b = Buffer.alloc(8);
+  b.writeDoubleBE(n);
+  return b;
+};
+
+const WEBM_HEADER = el('1A45DFA3', el('4282', 'webm'));
+const OPUS_TRACK = el('1654AE6B', el('AE', el('D7', uint(1)), el('83', uint(2)), el('86', 'A_OPUS'), el('E1', el('B5', float(48000)), el('9F', uint(1)))));
+
+// Opus packets of 20 ms (TOC config 1, one frame) every 20 ms
+function simpleBlock(ts) {
+  const block = Buffer.alloc(4 + 10);
+  block[0] = 0x81;                 // track 1
+  block.writeInt16BE(ts, 1);
+  block[3] = 0x80;                 // keyframe
+  block[4] = 1 << 3;
+  return el('A3', block);
+}
+
+function webm({ duration } = {}) {
+  const info = el('1549A966', el('2AD7B1', uint(1000000, 3)), ...(duration ? [el('4489', float(duration))] : []));
+  const blocks = Array.from({ length: 50 }, (_, i) => simpleBlock(i * 20));
+  // MediaRecorder writes Segment and Cluster with unknown sizes
+  return Buffer.concat([WEBM_HEADER, unknownSize('18538067', info, OPUS_TRACK, unknownSize('1F43B675', el('E7', uint(0)), ...blocks))]);
+}
+
+// MPEG-1 layer III, 128 kbps, 44.1 kHz, stereo: 417-byte frames of 1152 samples
+function mp3({ frames = 40, id3 = false, xingFrames = null } = {}) {
+  const frame = () => {
+    const f = Buffer.alloc(417);
+    f.set([0xFF, 0xFB, 0x90, 0x00]);
+    return f;
+  };
+  const parts = Array.from({ length: frames }, frame);
+  if (xingFrames !== null) {
+    parts[0].write('Xing', 4 + 32, 'latin1');
+    parts[0].writeUInt32BE(1, 4 + 32 + 4);
+    parts[0].writeUInt32BE(xingFrames, 4 + 32 + 8);
+  }
+  if (id3) {
+    const tag = Buffer.alloc(10 + 200);
+    tag.write('ID3', 0);
+    tag[3] = 4;
+    tag[9] = 200;
+    parts.unshift(tag);
+  }
+  return Buffer.concat(parts);
+}
+
+// Deterministic pseudo-random bytes
+function noise(length, seed = 1) {
+  const out = Buffer.alloc(length);
+  let x = seed;
+  for (let i = 0; i < length; i++) {
+    x = (x * 1103515245 + 12345) >>> 0;
+    out[i] = x >>> 24;
+  }
+  return out;
+}
+
+// ---------- tests ----------
+
+test('content types map to containers and back', () => {
+  assert.equal(containerFromContentType('audio/webm;codecs=opus'), 'webm');
+  assert.equal(containerFromContentType(' Audio/X-WAV '), 'wav');
+  assert.equal(containerFromContentType('audio/opus'), 'ogg');
+  assert.equal(containerFromContentType('audio/mpeg'), 'mp3');
+  assert.equal(containerFromContentType('application/octet-stream'), null);
+  assert.equal(containerFromContentType(), null);
+  assert.equal(contentTypeForContainer('wav'), 'audio/wav');
+  assert.equal(contentTypeForContainer('flac'), 'application/octet-stream');
+});
+
+test('WAV: PCM, float, extensible, odd chunks and streaming sizes', () => {
+  assert.deepEqual(probeAudio(wav()), {
+    container: 'wav', codec: 'pcm_s16le', sr: 16000, channels: 1, bitsPerSample: 16, duration_s: 0.5, dataOffset: 44, dataSize: 16000
+  });
+  assert.equal(probeAudio(wav({ format: 3, bits: 32, channels: 2, sr: 48000 })).codec, 'pcm_f32le');
+  assert.equal(probeAudio(wav({ bits: 8 })).codec, 'pcm_u8');
+  assert.equal(probeAudio(wav({ bits: 24, extensible: true })).codec, 'pcm_s24le');
+
+  const listed = probeAudio(wav({ chunks: [['LIST', Buffer.from('INFOx')]] }));
+  assert.equal(listed.duration_s, 0.5);
+  assert.equal(listed.dataOffset, 44 + 8 + 6);
+
+  // Writers that could not seek back leave the data size at 0 or 0xFFFFFFFF
+  assert.equal(probeAudio(wav({ dataSize: 0 })).duration_s, 0.5);
+  assert.equal(probeAudio(wav({ dataSize: 0xFFFFFFFF })).dataSize, 16000);
+});
+
+test('Ogg: Opus and Vorbis with duration from the last granule position', () => {
+  assert.deepEqual(probeAudio(opusOgg()), { container: 'ogg', codec: 'opus', sr: 48000, channels: 1, duration_s: 2 });
+  assert.deepEqual(probeAudio(vorbisOgg()), { container: 'ogg', codec: 'vorbis', sr: 44100, channels: 2, duration_s: 3 });
+
+  // Without the last page the duration is what the pages so far cover
+  const opus = opusOgg({ preSkip: 0 });
+  assert.equal(probeAudio(opus.subarray(0, opus.lastIndexOf('OggS'))).duration_s, 1);
+});
+
+test('WebM: track details, duration from Info or from the last Opus block', () => {
+  assert.deepEqual(probeAudio(webm({ duration: 2500 })), { container: 'webm', codec: 'opus', sr: 48000, channels: 1, duration_s: 2.5 });
+  assert.equal(probeAudio(webm()).duration_s, 1);
+
+  const matroska = Buffer.concat([el('1A45DFA3', el('4282', 'mkv')), unknownSize('18538067', OPUS_TRACK)]);
+  assert.equal(probeAudio(matroska), null);
+});
+
+test('MP3: counted frames, ID3v2 tags and Xing frame counts', () => {
+  assert.deepEqual(probeAudio(mp3()), { container: 'mp3', codec: 'mp3', sr: 44100, channels: 2, duration_s: 1.045 });
+  assert.equal(probeAudio(mp3({ id3: true })).duration_s, 1.045);
+  assert.equal(probeAudio(mp3({ xingFrames: 400 })).duration_s, 10.449);
+});
+
+test('garbage is not mistaken for audio', () => {
+  assert.equal(probeAudio(null), null);
+  assert.equal(probeAudio(Buffer.alloc(0)), null);
+  assert.equal(probeAudio(Buffer.from('RIF')), null);
+  assert.equal(probeAudio(Buffer.from('{"not":"audio"}')), null);
+  for (let seed = 1; seed <= 50; seed++) assert.equal(probeAudio(noise(2048, seed)), null, `noise seed ${seed}`);
+  // A single frame sync in text is not enough for MP3
+  assert.equal(probeAudio(Buffer.concat([Buffer.from('hello'), Buffer.from([0xFF, 0xFB, 0x90, 0x00]), Buffer.alloc(100)])), null);
+});
+
+test('truncated and corrupted uploads never throw', () => {
+  const fixtures = { wav: wav(), opus: opusOgg(), vorbis: vorbisOgg(), webm: webm({ duration: 2500 }), clusters: webm(), mp3: mp3({ frames: 3, id3: true }), xing: mp3({ frames: 2, xingFrames: 9 }) };
+  for (const [name, full] of Object.entries(fixtures)) {
+    for (let length = 0; length <= Math.min(full.length, 1200); length++) {
+      const result = probeAudio(full.subarray(0, length));
+      assert.ok(result === null || typeof result === 'object', `${name} cut at ${length}`);
+    }
+    for (let seed = 1; seed <= 20; seed++) {
+      // Keep the magic bytes, scramble the rest
+      const corrupted = Buffer.concat([full.subarray(0, 12), noise(full.length - 12, seed)]);
+      const result = probeAudio(corrupted);
+      assert.ok(result === null || typeof result === 'object', `${name} corrupted with seed ${seed}`);
+    }
+  }
+});
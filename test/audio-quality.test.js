@@ -0,0 +1,179 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createQualityGate, measure } from '../lib/audio-quality.js';
+import { probeAudio } from '../lib/audio-probe.js';
+
+const SR = 16000;
+
+// Mono signal from [seconds, kind, amplitude] parts: 'tone' is a 220 Hz sine (clamped to
+// full scale, so amplitudes above 1 clip), 'floor' low deterministic noise, 'zero' silence
+function signal(...parts) {
+  const out = [];
+  let x = 7;
+  for (const [seconds, kind, amplitude = 0.3] of parts) {
+    for (let i = 0; i < Math.round(seconds * SR); i++) {
+      if (kind === 'tone') out.push(Math.max(-1, Math.min(1, amplitude * Math.sin(2 * Math.PI * 220 * i / SR))));
+      else if (kind === 'floor') {
+        x = (x * 1103515245 + 12345) >>> 0;
+        out.push((x / 2 ** 32 - 0.5) * 0.002);
+      } else out.push(0);
+    }
+  }
+  return Float32Array.from(out);
+}
+
+const SPEECH = [[0.3, 'floor'], [1.4, 'tone'], [0.3, 'floor']];
+
+// WAV of the samples at the given bit depth; float writes IEEE float samples
+function wavOf(samples, { bits = 16, float = false, channels = 1 } = {}) {
+  const width = bits / 8;
+  const data = Buffer.alloc(samples.length * width * channels);
+  let pos = 0;
+  for (const s of samples) {
+    for (let c = 0; c < channels; c++, pos += width) {
+      if (float && bits === 32) data.writeFloatLE(s, pos);
+      else if (float) data.writeDoubleLE(s, pos);
+      else if (bits === 8) data[pos] = Math.max(0, Math.min(255, Math.round(s * 128 + 128)));
+      else data.writeIntLE(Math.max(-(2 ** (bits - 1)), Math.min(2 ** (bits - 1) - 1, Math.round(s * 2 ** (bits - 1)))), pos, width);
+    }
+  }
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + data.length, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(float ? 3 : 1, 20);
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(SR, 24);
+  header.writeUInt32LE(SR * width * channels, 28);
+  header.writeUInt16LE(width * channels, 32);
+  header.writeUInt16LE(bits, 34);
+  header.write('data', 36);
+  header.writeUInt32LE(data.length, 40);
+  return Buffer.concat([header, data]);
+}
+
+function quietLogger() {
+  const warnings = [];
+  return { warnings, warn: (msg, meta) => warnings.push({ msg, meta }), info() {} };
+}
+
+function gate(env = {}, logger = quietLogger()) {
+  return createQualityGate({ logger, env: { FFMPEG_PATH: '/nonexistent/ffmpeg', ...env } });
+}
+
+async function checkWav(samples, env, options) {
+  const body = wavOf(samples, options);
+  return gate(env).check({ body, probe: probeAudio(body), audioPath: '/nonexistent/clip.wav' });
+}
+
+const codes = quality => quality.issues.map(i => i.code).sort();
+
+test('measure reports level, clipping, silence and SNR', () => {
+  const speech = measure(signal(...SPEECH), SR);
+  assert.equal(speech.duration_s, 2);
+  assert.equal(speech.leading_silence_s, 0.3);
+  assert.equal(speech.trailing_silence_s, 0.3);
+  assert.equal(speech.voiced_s, 1.4);
+  assert.equal(speech.clipping_ratio, 0);
+  assert.ok(speech.peak_db > -11 && speech.peak_db < -10, `peak ${speech.peak_db}`);
+  assert.ok(speech.snr_db > 40, `snr ${speech.snr_db}`);
+
+  const silence = measure(new Float32Array(SR), SR);
+  assert.deepEqual(
+    [silence.rms_db, silence.peak_db, silence.voiced_s, silence.leading_silence_s, silence.trailing_silence_s],
+    [-120, -120, 0, 1, 1]
+  );
+  assert.equal(measure(new Float32Array(0), SR).snr_db, 0);
+  assert.ok(measure(signal([1, 'tone', 3]), SR).clipping_ratio > 0.3);
+});
+
+test('a clean recording passes', async () => {
+  const quality = await checkWav(signal(...SPEECH));
+  assert.equal(quality.status, 'passed');
+  assert.deepEqual(quality.issues, []);
+  assert.equal(quality.metrics.duration_s, 2);
+  assert.ok(!Number.isNaN(Date.parse(quality.checkedAt)));
+});
+
+test('each check reports its issue code, with the default severities', async () => {
+  const silent = await checkWav(signal([2, 'zero']));
+  assert.equal(silent.status, 'rejected');
+  assert.deepEqual(codes(silent), ['silent']);
+
+  const short = await checkWav(signal([0.1, 'floor'], [0.3, 'tone'], [0.1, 'floor']));
+  assert.equal(short.status, 'rejected');
+  assert.deepEqual(codes(short), ['too_short']);
+  assert.equal(short.issues[0].severity, 'reject');
+  assert.equal(short.issues[0].threshold, 1);
+
+  const clipped = await checkWav(signal([0.3, 'floor'], [1.4, 'tone', 4], [0.3, 'floor']));
+  assert.equal(clipped.status, 'flagged');
+  assert.deepEqual(codes(clipped), ['clipped']);
+  assert.equal(clipped.issues[0].severity, 'flag');
+
+  const late = await checkWav(signal([3, 'floor'], [1.4, 'tone'], [0.3, 'floor']));
+  assert.deepEqual(codes(late), ['leading_silence']);
+  assert.equal(late.issues[0].value, 3);
+  const trailing = await checkWav(signal([0.3, 'floor'], [1.4, 'tone'], [2.5, 'floor']));
+  assert.deepEqual(codes(trailing), ['trailing_silence']);
+
+  const quiet = await checkWav(signal([0.3, 'floor'], [1.4, 'tone', 0.012], [0.3, 'floor']));
+  assert.deepEqual(codes(quiet), ['too_quiet']);
+
+  // A steady level with no quieter frames has no measurable noise floor
+  assert.deepEqual(codes(await checkWav(signal([2, 'tone']))), ['noisy']);
+
+  const long = await checkWav(signal(...SPEECH), { QUALITY_MAX_DURATION_S: '1.5' });
+  assert.deepEqual(codes(long), ['too_long']);
+});
+
+test('QUALITY_REJECT decides which issues reject and which only flag', async () => {
+  const silence = signal([2, 'zero']);
+  const clipping = signal([0.3, 'floor'], [1.4, 'tone', 4], [0.3, 'floor']);
+
+  assert.equal((await checkWav(silence, { QUALITY_REJECT: 'clipped' })).status, 'flagged');
+  const strict = await checkWav(clipping, { QUALITY_REJECT: 'clipped, too_short' });
+  assert.equal(strict.status, 'rejected');
+  assert.equal(strict.issues[0].severity, 'reject');
+  assert.equal((await checkWav(silence, { QUALITY_REJECT: '' })).status, 'flagged');
+
+  assert.deepEqual(gate().reject, ['too_short', 'silent']);
+  assert.deepEqual(gate({ QUALITY_REJECT: 'noisy,,clipped ' }).reject, ['noisy', 'clipped']);
+});
+
+test('WAV is decoded the same from 8, 16, 24 and 32-bit PCM, float and stereo', async () => {
+  const samples = signal(...SPEECH);
+  const reference = (await checkWav(samples)).metrics;
+  for (const options of [{ bits: 8 }, { bits: 24 }, { bits: 32 }, { bits: 32, float: true }, { bits: 64, float: true }, { channels: 2 }]) {
+    const quality = await checkWav(samples, {}, options);
+    assert.equal(quality.status, 'passed', JSON.stringify(options));
+    assert.equal(quality.metrics.duration_s, reference.duration_s);
+    assert.ok(Math.abs(quality.metrics.rms_db - reference.rms_db) < 0.2, `${JSON.stringify(options)}: ${quality.metrics.rms_db} vs ${reference.rms_db}`);
+  }
+});
+
+test('thresholds come from the environment', async () => {
+  const { thresholds } = gate({ QUALITY_MIN_DURATION_S: '0.2', QUALITY_MAX_SILENCE_S: 'x', QUALITY_MIN_SNR_DB: '-5' });
+  assert.equal(thresholds.minDuration, 0.2);
+  assert.equal(thresholds.maxSilence, 2);
+  assert.equal(thresholds.minSnrDb, -5);
+  assert.deepEqual(codes(await checkWav(signal([2, 'tone']), { QUALITY_MIN_SNR_DB: '-5' })), []);
+});
+
+test('the gate can be turned off, and failed analysis never blocks an upload', async () => {
+  assert.equal(await gate({ QUALITY_GATE: 'off' }).check({ body: wavOf(signal([2, 'zero'])), probe: probeAudio(wavOf(signal([2, 'zero']))) }), null);
+
+  // WebM needs ffmpeg, which is not there
+  const logger = quietLogger();
+  const quality = await gate({}, logger).check({ body: Buffer.from('webm'), probe: { container: 'webm' }, audioPath: '/nonexistent/clip.webm' });
+  assert.equal(quality.status, 'unavailable');
+  assert.equal(quality.metrics, null);
+  assert.deepEqual(quality.issues, []);
+  assert.equal(logger.warnings.length, 1);
+
+  // An empty data chunk decodes to no samples
+  const empty = wavOf(new Float32Array(0));
+  assert.equal((await gate().check({ body: empty, probe: probeAudio(empty), audioPath: '/nonexistent/clip.wav' })).status, 'unavailable');
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { startServer, wav, linkPair } from './support/server.js';
+
+const storedClips = dataDir => ['en', 'ht'].flatMap(lang => {
+  const dir = path.join(dataDir, 'audio', lang);
+  return fs.existsSync(dir) ? fs.readdirSync(dir) : [];
+});
+
+test('uploads whose bytes do not match their Content-Type get 415', async t => {
+  const server = await startServer(t);
+  const token = await server.login();
+
+  const mismatch = await server.request('POST', '/api/asr/en', { token, body: wav(), headers: { 'Content-Type': 'audio/webm' } });
+  assert.equal(mismatch.status, 415);
+  assert.deepEqual([mismatch.body.contentType, mismatch.body.detected], ['audio/webm', 'wav']);
+  assert.match(mismatch.body.error, /does not match uploaded wav data/);
+
+  const garbage = await server.request('POST', '/api/asr/ht', { token, body: Buffer.from('{"not":"audio"}'), headers: { 'Content-Type': 'audio/wav' } });
+  assert.equal(garbage.status, 415);
+  assert.equal(garbage.body.error, 'Unrecognized audio content');
+
+  assert.deepEqual(storedClips(server.dataDir), []);
+});
+
+test('deleted and withdrawn clips are gone from playback', async t => {
+  const server = await startServer(t, { QUALITY_GATE: 'off' });
+  const token = await server.login();
+
+  const deleted = await linkPair(server, token);
+  const playing = await server.request('GET', `/api/audio/${deleted.enAudioId}`, { token });
+  assert.equal(playing.status, 200);
+  assert.equal(playing.headers.get('content-type'), 'audio/wav');
+
+  assert.equal((await server.request('DELETE', `/api/samples/${deleted.sampleId}?mode=soft`, { token })).status, 200);
+  // The soft-deleted files are still on disk, but not served
+  assert.equal(storedClips(server.dataDir).filter(f => f.endsWith('.wav')).length, 2);
+  for (const id of [deleted.enAudioId, deleted.htAudioId]) {
+    const gone = await server.request('GET', `/api/audio/${id}`, { token });
+    assert.equal(gone.status, 410);
+    assert.equal(gone.body.error, 'Audio was deleted');
+    assert.equal((await server.request('GET', `/api/audio/${id}?variant=normalized&download=1`, { token })).status, 410);
+    assert.equal((await server.request('HEAD', `/api/audio/${id}`, { token })).status, 410);
+  }
+
+  const withdrawn = await linkPair(server, token);
+  assert.equal((await server.request('POST', `/api/samples/${withdrawn.sampleId}/withdraw`, { token, json: { mode: 'soft' } })).status, 200);
+  assert.equal((await server.request('GET', `/api/audio/${withdrawn.htAudioId}`, { token })).status, 410);
+});
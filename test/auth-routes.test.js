@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, linkPair, ADMIN } from './support/server.js';
+
+async function withUsers(t) {
+  const server = await startServer(t, { QUALITY_GATE: 'off' });
+  const admin = await server.login();
+  const tokens = { admin };
+  for (const role of ['contributor', 'reviewer']) {
+    const { status } = await server.request('POST', '/api/users', { token: admin, json: { username: role, password: `${role}-password`, role } });
+    assert.equal(status, 201);
+    tokens[role] = await server.login(role, `${role}-password`);
+  }
+  return { server, tokens };
+}
+
+test('API routes need a session', async t => {
+  const server = await startServer(t);
+  assert.equal((await server.request('GET', '/api/auth/me')).status, 401);
+  assert.equal((await server.request('GET', '/api/samples', { token: 'forged.token' })).status, 401);
+  assert.equal((await server.request('POST', '/api/auth/login', { json: { username: 'admin', password: 'wrong-password' } })).status, 401);
+
+  const login = await server.request('POST', '/api/auth/login', { json: ADMIN });
+  assert.equal(login.status, 200);
+  assert.match(login.headers.get('set-cookie'), /^session=[^;]+; Path=\/; HttpOnly; SameSite=Lax/);
+  const cookie = login.headers.get('set-cookie').split(';')[0];
+  const me = await server.request('GET', '/api/auth/me', { headers: { Cookie: cookie } });
+  assert.deepEqual([me.status, me.body.user.role, me.body.user.passwordHash], [200, 'admin', undefined]);
+});
+
+test('contributors, reviewers and admins each get their own routes', async t => {
+  const { server, tokens } = await withUsers(t);
+  const { sampleId } = await linkPair(server, tokens.contributor);
+  const status = async (role, method, pathname, json) => (await server.request(method, pathname, { token: tokens[role], json })).status;
+
+  assert.deepEqual(await Promise.all(['contributor', 'reviewer', 'admin'].map(role => status(role, 'POST', '/api/review/next', {}))), [403, 200, 200]);
+  assert.deepEqual(await Promise.all(['contributor', 'reviewer', 'admin'].map(role => status(role, 'GET', '/api/export/data?format=json'))), [403, 403, 200]);
+  assert.deepEqual(await Promise.all(['contributor', 'reviewer', 'admin'].map(role => status(role, 'GET', '/api/users'))), [403, 403, 200]);
+
+  assert.equal(await status('contributor', 'DELETE', `/api/samples/${sampleId}?mode=soft`), 403);
+  assert.equal(await status('reviewer', 'DELETE', `/api/samples/${sampleId}?mode=soft`), 403);
+  assert.equal(await status('reviewer', 'POST', `/api/samples/${sampleId}/withdraw`, {}), 403);
+  assert.equal(await status('admin', 'DELETE', `/api/samples/${sampleId}?mode=soft`), 200);
+});
+
+test('changing your own password needs the current one and ends old sessions', async t => {
+  const { server, tokens } = await withUsers(t);
+  const me = (await server.request('GET', '/api/auth/me', { token: tokens.contributor })).body.user;
+  const patch = (token, id, json) => server.request('PATCH', `/api/users/${id}`, { token, json });
+
+  const missing = await patch(tokens.contributor, me.id, { password: 'stolen-password' });
+  assert.deepEqual([missing.status, missing.body.error], [403, 'currentPassword is missing or incorrect']);
+  assert.equal((await patch(tokens.contributor, me.id, { password: 'stolen-password', currentPassword: 'guess-password' })).status, 403);
+  assert.equal((await patch(tokens.contributor, me.id, { role: 'admin' })).status, 403);
+  const reviewer = (await server.request('GET', '/api/auth/me', { token: tokens.reviewer })).body.user;
+  assert.equal((await patch(tokens.contributor, reviewer.id, { displayName: 'x' })).status, 403);
+
+  // Display names need no password
+  assert.equal((await patch(tokens.contributor, me.id, { displayName: 'Con' })).body.user.displayName, 'Con');
+
+  const changed = await patch(tokens.contributor, me.id, { password: 'new-password', currentPassword: 'contributor-password' });
+  assert.equal(changed.status, 200);
+  assert.equal((await server.request('GET', '/api/auth/me', { token: tokens.contributor })).status, 401);
+  await assert.rejects(server.login('contributor', 'contributor-password'));
+  const fresh = await server.login('contributor', 'new-password');
+
+  // Admins reset other people's passwords without knowing them, but not their own
+  assert.equal((await patch(tokens.admin, me.id, { password: 'reset-password' })).status, 200);
+  assert.equal((await server.request('GET', '/api/auth/me', { token: fresh })).status, 401);
+  const admin = (await server.request('GET', '/api/auth/me', { token: tokens.admin })).body.user;
+  assert.equal((await patch(tokens.admin, admin.id, { password: 'admin-password-2' })).status, 403);
+});
+
+test('logout and disabling an account revoke its tokens', async t => {
+  const { server, tokens } = await withUsers(t);
+  assert.equal((await server.request('POST', '/api/auth/logout', { token: tokens.reviewer })).status, 200);
+  assert.equal((await server.request('GET', '/api/auth/me', { token: tokens.reviewer })).status, 401);
+
+  const contributor = (await server.request('GET', '/api/auth/me', { token: tokens.contributor })).body.user;
+  assert.equal((await server.request('PATCH', `/api/users/${contributor.id}`, { token: tokens.admin, json: { disabled: true } })).status, 200);
+  assert.equal((await server.request('GET', '/api/auth/me', { token: tokens.contributor })).status, 401);
+  await assert.rejects(server.login('contributor', 'contributor-password'));
+});
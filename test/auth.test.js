@@ -0,0 +1,135 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createHmac } from 'node:crypto';
+import { createStorage } from '../lib/storage.js';
+import { ROLES, hashPassword, verifyPassword, hasRole, publicUser, createAuth } from '../lib/auth.js';
+
+const quiet = { warn() {}, info() {}, error() {} };
+const SECRET = 'test-secret';
+
+function setup(t, env = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const storage = createStorage({ dataRoot: dir, logger: quiet });
+  const auth = createAuth({ storage, logger: quiet, env: { AUTH_SECRET: SECRET, ADMIN_PASSWORD: 'admin-password', ...env } });
+  auth.bootstrap();
+  return { storage, auth };
+}
+
+const bearer = token => ({ headers: { authorization: `Bearer ${token}` } });
+
+// A token signed with the test secret, as issueToken would write it
+function forge(claims, secret = SECRET) {
+  const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+  return `${payload}.${createHmac('sha256', secret).update(payload).digest('base64url')}`;
+}
+
+test('passwords are salted scrypt hashes', () => {
+  const stored = hashPassword('correct horse');
+  assert.match(stored, /^scrypt\$[A-Za-z0-9+/=]+\$[A-Za-z0-9+/=]+$/);
+  assert.notEqual(hashPassword('correct horse'), stored);
+  assert.equal(verifyPassword('correct horse', stored), true);
+  assert.equal(verifyPassword('wrong horse', stored), false);
+  assert.equal(verifyPassword('correct horse', 'plain$text'), false);
+  assert.equal(verifyPassword('correct horse', undefined), false);
+});
+
+test('each role includes the ones before it', () => {
+  assert.deepEqual(ROLES, ['contributor', 'reviewer', 'admin']);
+  const matrix = ROLES.map(role => ROLES.map(needed => hasRole({ role }, needed)));
+  assert.deepEqual(matrix, [[true, false, false], [true, true, false], [true, true, true]]);
+  assert.equal(hasRole(null, 'contributor'), false);
+  assert.equal(hasRole({ role: 'owner' }, 'contributor'), false);
+});
+
+test('bootstrap creates the first admin once', t => {
+  const { storage, auth } = setup(t, { ADMIN_USERNAME: 'Root' });
+  const [admin] = auth.listUsers();
+  assert.deepEqual([admin.username, admin.role, admin.createdBy], ['root', 'admin', 'bootstrap']);
+  auth.bootstrap();
+  assert.equal(storage.list('user').length, 1);
+  assert.deepEqual(Object.keys(publicUser(admin)).filter(k => /password|session/i.test(k)), []);
+});
+
+test('login checks the password and skips disabled accounts', t => {
+  const { auth } = setup(t);
+  const { user } = auth.createUser({ username: 'Ana', password: 'ana-password' }, 'admin');
+  assert.equal(user.role, 'contributor');
+
+  const session = auth.login(' ANA ', 'ana-password');
+  assert.equal(session.user.id, user.id);
+  assert.ok(Date.parse(session.expiresAt) - Date.now() > 11.9 * 3600 * 1000);
+  assert.equal(auth.login('ana', 'wrong-password'), null);
+  assert.equal(auth.login('nobody', 'ana-password'), null);
+
+  auth.updateUser(user.id, { disabled: true }, 'admin');
+  assert.equal(auth.login('ana', 'ana-password'), null);
+});
+
+test('tokens are accepted from the header or the cookie and must be signed and current', t => {
+  const { auth } = setup(t);
+  const { user } = auth.createUser({ username: 'ana', password: 'ana-password' }, 'admin');
+  const { token } = auth.login('ana', 'ana-password');
+
+  assert.equal(auth.authenticate(bearer(token)).id, user.id);
+  assert.equal(auth.authenticate({ headers: { cookie: `theme=dark; session=${encodeURIComponent(token)}` } }).id, user.id);
+  assert.equal(auth.authenticate({ headers: {} }), null);
+
+  const [payload, signature] = token.split('.');
+  const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  assert.equal(auth.authenticate(bearer(`${payload}.${signature.slice(1)}x`)), null);
+  assert.equal(auth.authenticate(bearer(forge({ ...claims }, 'other-secret'))), null);
+  assert.equal(auth.authenticate(bearer(forge({ ...claims }))).id, user.id);
+  assert.equal(auth.authenticate(bearer(forge({ ...claims, exp: Date.now() - 1 }))), null);
+  assert.equal(auth.authenticate(bearer(forge({ ...claims, sub: 'someone-else' }))), null);
+  assert.equal(auth.authenticate(bearer('not-a-token')), null);
+});
+
+test('bumping sessionVersion signs the user out everywhere', t => {
+  const { auth } = setup(t);
+  let { user } = auth.createUser({ username: 'ana', password: 'ana-password', role: 'reviewer' }, 'admin');
+  const first = auth.login('ana', 'ana-password').token;
+  const second = auth.login('ana', 'ana-password').token;
+
+  user = auth.revokeSessions(user);
+  assert.equal(user.sessionVersion, 1);
+  assert.equal(auth.authenticate(bearer(first)), null);
+  assert.equal(auth.authenticate(bearer(second)), null);
+
+  // Display name changes keep the session; password and role changes end it
+  let { token } = auth.login('ana', 'ana-password');
+  auth.updateUser(user.id, { displayName: 'Ana P.' }, 'ana');
+  assert.equal(auth.authenticate(bearer(token)).displayName, 'Ana P.');
+  auth.updateUser(user.id, { password: 'new-password' }, 'ana');
+  assert.equal(auth.authenticate(bearer(token)), null);
+  assert.equal(auth.login('ana', 'ana-password'), null);
+
+  ({ token } = auth.login('ana', 'new-password'));
+  auth.updateUser(user.id, { role: 'reviewer' }, 'admin');
+  assert.ok(auth.authenticate(bearer(token)));
+  auth.updateUser(user.id, { role: 'contributor' }, 'admin');
+  assert.equal(auth.authenticate(bearer(token)), null);
+});
+
+test('createUser and updateUser validate their fields', t => {
+  const { auth } = setup(t);
+  assert.deepEqual(auth.createUser({ username: 'ana', password: 'short' }), { status: 400, error: 'password must be at least 8 characters' });
+  assert.equal(auth.createUser({ username: 'a b', password: 'ana-password' }).status, 400);
+  assert.equal(auth.createUser({ username: 'ana', password: 'ana-password', role: 'owner' }).error, 'role must be one of contributor, reviewer, admin');
+  assert.deepEqual(auth.createUser({ username: 'admin', password: 'ana-password' }), { status: 409, error: 'User admin already exists' });
+
+  const { user } = auth.createUser({ username: 'ana', password: 'ana-password' });
+  assert.deepEqual(auth.updateUser(user.id, { username: 'ADMIN' }), { status: 409, error: 'User admin already exists' });
+  assert.deepEqual(auth.updateUser('missing', { displayName: 'x' }), { status: 404, error: 'User not found' });
+  assert.equal(auth.updateUser(user.id, { username: 'ana' }).user.username, 'ana');
+});
+
+test('session cookies are HttpOnly and match the token lifetime', t => {
+  const { auth } = setup(t, { AUTH_SESSION_HOURS: '2' });
+  assert.equal(auth.sessionCookie('abc'), 'session=abc; Path=/; HttpOnly; SameSite=Lax; Max-Age=7200');
+  assert.match(auth.sessionCookie('abc', { secure: true }), /; Secure$/);
+  assert.match(auth.clearCookie(), /^session=; .*Max-Age=0$/);
+});
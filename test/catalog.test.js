@@ -0,0 +1,131 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createStorage } from '../lib/storage.js';
+import { checkCatalogFields, findDuplicate, newCatalogRecord, seedCatalog, catalogSnapshot, parseDelimited, parseImport, importCatalog } from '../lib/catalog.js';
+
+const quiet = { warn() {}, info() {}, error() {} };
+
+function tempStorage(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'catalog-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return createStorage({ dataRoot: dir, backend: 'log', logger: quiet });
+}
+
+const categoryExists = id => ['medical', 'insurance'].includes(id);
+const check = (type, fields, creating = true) => checkCatalogFields(type, fields, { creating, categoryExists });
+
+test('parseDelimited handles quotes, embedded delimiters and newlines, CRLF and BOM', () => {
+  const csv = '\uFEFFterm,notes\r\n"Heart attack","Say ""kriz"", not\nattack"\r\n\r\nAsthma,\n ,  \nCopay,"a,b"';
+  assert.deepEqual(parseDelimited(csv, ','), [
+    { line: 1, cells: ['term', 'notes'] },
+    { line: 2, cells: ['Heart attack', 'Say "kriz", not\nattack'] },
+    { line: 5, cells: ['Asthma', ''] },
+    { line: 7, cells: ['Copay', 'a,b'] }
+  ]);
+  assert.deepEqual(parseDelimited('a\tb,c\n', '\t'), [{ line: 1, cells: ['a', 'b,c'] }]);
+  assert.deepEqual(parseDelimited('', ','), []);
+});
+
+test('parseImport maps header aliases and detects TSV', () => {
+  const { rows } = parseImport('Category,English,Translation,Ignored\nmedical,Asthma,Azm,x\nmedical,Fever,,\n', 'term');
+  assert.deepEqual(rows, [
+    { line: 2, fields: { category: 'medical', term: 'Asthma', ht: 'Azm' } },
+    { line: 3, fields: { category: 'medical', term: 'Fever' } }
+  ]);
+  assert.deepEqual(parseImport('slug\tname\nlegal\tLegal, Courts\n', 'category').rows, [{ line: 2, fields: { id: 'legal', label: 'Legal, Courts' } }]);
+  assert.deepEqual(parseImport('text\n"x\tTERM"\n', 'template', { format: 'csv' }).rows[0].fields, { text: 'x\tTERM' });
+  assert.deepEqual(parseImport('', 'term'), { error: 'Import file is empty' });
+  assert.match(parseImport('foo,bar\n1,2', 'term').error, /Header row must name the columns: category, term, ht, notes/);
+});
+
+test('checkCatalogFields validates creates and partial updates', () => {
+  assert.deepEqual(check('category', { id: ' Legal ', label: ' Legal ', icon: '' }), { value: { id: 'legal', label: 'Legal', icon: null } });
+  assert.match(check('category', { id: 'no spaces', label: 'x' }).error, /^id must be 1-40 characters/);
+  assert.deepEqual(check('category', { id: 'legal', label: ' ' }), { error: 'label must be a non-empty string' });
+  assert.deepEqual(check('term', { category: 'Medical', term: ' Fever ', notes: 5 }), { error: 'notes must be a string' });
+  assert.deepEqual(check('term', { category: 'legal', term: 'Fever' }), { error: 'Unknown category: legal' });
+  assert.deepEqual(check('term', { term: 'Fever' }), { error: 'Unknown category: (empty)' });
+  assert.deepEqual(check('template', { category: 'medical', text: 'I have a fever.' }), { error: 'text must contain {TERM}' });
+  assert.deepEqual(check('template', { category: 'medical', text: 'I have {TERM}.', ht: 'Mwen gen lafyèv.' }), { error: 'ht must contain {TERM}' });
+  // Updates only check what they change
+  assert.deepEqual(check('term', { active: 0 }, false), { value: { active: false } });
+  assert.deepEqual(check('term', { notes: null }, false), { value: { notes: null } });
+});
+
+test('seedCatalog fills an empty catalog once; snapshots hide inactive entries', t => {
+  const storage = tempStorage(t);
+  assert.deepEqual(seedCatalog(storage), { categories: 2, terms: 20, templates: 10 });
+  assert.equal(seedCatalog(storage), null);
+
+  const diabetes = storage.list('term').find(r => r.term === 'Diabetes');
+  assert.deepEqual([diabetes.category, diabetes.ht, diabetes.active, diabetes.createdBy], ['medical', 'Dyabèt', true, 'seed']);
+  storage.put('term', { ...diabetes, active: false });
+  storage.put('category', { ...storage.get('category', 'insurance'), active: false });
+
+  const snapshot = catalogSnapshot(storage);
+  assert.deepEqual(snapshot.categories.map(c => c.id), ['medical']);
+  assert.equal(snapshot.terms.length, 9);
+  assert.ok(snapshot.terms.every(r => r.category === 'medical'));
+  assert.deepEqual(snapshot.terms.slice(0, 3).map(r => r.term), ['Allergy', 'Appointment', 'Asthma']);
+  assert.equal(snapshot.templates.length, 5);
+
+  const everything = catalogSnapshot(storage, { includeInactive: true, category: 'insurance' });
+  assert.deepEqual(everything.categories.map(c => c.id), ['insurance']);
+  assert.equal(everything.terms.length, 10);
+});
+
+test('findDuplicate matches categories by id, terms and templates by text', t => {
+  const storage = tempStorage(t);
+  seedCatalog(storage);
+  assert.equal(findDuplicate(storage, 'category', { id: 'medical' }).label, 'Medical Terms');
+  const asthma = findDuplicate(storage, 'term', { category: 'medical', term: ' ASTHMA ' });
+  assert.equal(asthma.term, 'Asthma');
+  assert.equal(findDuplicate(storage, 'term', { category: 'insurance', term: 'Asthma' }), null);
+  assert.equal(findDuplicate(storage, 'term', { category: 'medical', term: 'Asthma' }, asthma.id), null);
+  assert.ok(findDuplicate(storage, 'template', { category: 'insurance', text: 'what is my {term} amount?' }));
+});
+
+test('importCatalog creates, updates only given columns and reports bad rows', t => {
+  const storage = tempStorage(t);
+  seedCatalog(storage);
+  const { rows } = parseImport([
+    'category,term,ht,notes',
+    'medical,Asthma,,Breathing',
+    'medical,Fever,Lafyèv,',
+    'medical,Diabetes,Dyabèt,',
+    'legal,Court date,Dat tribinal,',
+    'medical,,Anyen,'
+  ].join('\n'), 'term');
+  assert.deepEqual(importCatalog(storage, 'term', rows, 'admin'), {
+    created: 1, updated: 1, unchanged: 1,
+    errors: [{ line: 5, error: 'Unknown category: legal' }, { line: 6, error: 'term must be a non-empty string' }]
+  });
+  const asthma = findDuplicate(storage, 'term', { category: 'medical', term: 'Asthma' });
+  // ht was blank in the file, so the seeded translation stays
+  assert.deepEqual([asthma.ht, asthma.notes, asthma.updatedBy], ['Azm', 'Breathing', 'admin']);
+  const fever = findDuplicate(storage, 'term', { category: 'medical', term: 'Fever' });
+  assert.deepEqual([fever.ht, fever.notes, fever.createdBy, fever.active], ['Lafyèv', null, 'admin', true]);
+
+  const categories = parseImport('id,label,icon\nlegal,Legal,⚖️\nmedical,Medicine,\n', 'category').rows;
+  assert.deepEqual(importCatalog(storage, 'category', categories, 'admin'), { created: 1, updated: 1, unchanged: 0, errors: [] });
+  assert.equal(storage.get('category', 'medical').label, 'Medicine');
+  assert.equal(storage.get('category', 'medical').icon, '🏥');
+  assert.equal(newCatalogRecord('category', { id: 'x', label: 'X' }).id, 'x');
+});
+
+test('targets are positive integers, cleared by an empty value', () => {
+  assert.deepEqual(check('term', { category: 'medical', term: 'Fever', target: '25' }).value.target, 25);
+  assert.deepEqual(check('category', { target: '' }, false), { value: { target: null } });
+  assert.deepEqual(check('term', { target: 2.5 }, false), { error: 'target must be a positive integer' });
+  assert.deepEqual(check('term', { target: '0' }, false), { error: 'target must be a positive integer' });
+  assert.deepEqual(parseImport('category,term,target\nmedical,Fever,30\n', 'term').rows[0].fields, { category: 'medical', term: 'Fever', target: '30' });
+  assert.equal(newCatalogRecord('term', { category: 'medical', term: 'Fever' }).target, null);
+});
+
+test('Creole translations are stored normalized', () => {
+  assert.equal(check('term', { category: 'medical', term: 'Fever', ht: ' lafyèv ' }).value.ht, 'lafyèv');
+  assert.equal(check('template', { text: 'I have {TERM}.', ht: 'M’ap gen {TERM}.' }, false).value.ht, "M'ap gen {TERM}.");
+});
@@ -0,0 +1,162 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createHash } from 'node:crypto';
+import { Writable } from 'node:stream';
+import { createStorage } from '../lib/storage.js';
+import { createTarWriter } from '../lib/tar.js';
+import { planDataset, datasetCard, matchingTombstones, writeDataset } from '../lib/dataset-archive.js';
+import { readTar } from './support/tar.js';
+
+const quiet = { warn() {}, info() {}, error() {} };
+
+const SPLIT = {
+  name: 'v1', seed: 'v1', ratios: { train: 0.8, dev: 0.1, test: 0.1 }, groupBy: ['annotator'], excluded: []
+};
+
+// Storage with two users, audio for each side of each pair (on disk unless `missing`)
+function setup(t, pairs, { missing = [], transcoded = [] } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dataset-archive-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const storage = createStorage({ dataRoot: dir, logger: quiet });
+  storage.put('user', { kind: 'user', id: 'u-ana', username: 'ana' });
+  storage.put('user', { kind: 'user', id: 'u-bo', username: 'bo' });
+  for (const pair of pairs) {
+    for (const lang of ['en', 'ht']) {
+      const id = pair[lang].audioRef;
+      const meta = { id, lang, audioFile: `${id}.webm`, duration_s: 2 };
+      if (transcoded.includes(id)) meta.normalized = { status: 'done', file: `${id}.16k.wav`, duration_s: 2.5 };
+      storage.put('audio', meta);
+      if (missing.includes(id)) continue;
+      fs.mkdirSync(path.dirname(storage.blobPath(lang, meta.audioFile)), { recursive: true });
+      fs.writeFileSync(storage.blobPath(lang, meta.audioFile), `${id} original`);
+      if (meta.normalized) fs.writeFileSync(storage.blobPath(lang, meta.normalized.file), `${id} normalized`);
+    }
+  }
+  return storage;
+}
+
+let n = 0;
+function pair({ annotator = 'ana', category = 'medical', consent = true, status = 'approved' } = {}) {
+  n++;
+  return {
+    sampleId: `p-${n}`, createdAt: '2026-10-01T00:00:00.000Z', annotator, category, term: 'Fever', consent,
+    review: { status, history: [] },
+    en: { text: `English ${n}`, audioRef: `en-${n}` }, ht: { text: `Kreyòl ${n}`, audioRef: `ht-${n}` }
+  };
+}
+
+async function archive(plan, card, root = 'dataset-20261019') {
+  const chunks = [];
+  const output = new Writable({ write(chunk, encoding, callback) { chunks.push(chunk); callback(); } });
+  const tar = createTarWriter(output);
+  await writeDataset(tar, { root, plan, card });
+  await tar.finish();
+  await new Promise(resolve => output.end(resolve));
+  return readTar(Buffer.concat(chunks));
+}
+
+test('planDataset keeps consented pairs with audio on disk, one speaker ID per account', t => {
+  const pairs = [pair(), pair({ annotator: 'bo' }), pair({ consent: false }), pair(), pair()];
+  const storage = setup(t, pairs, { missing: ['ht-4'], transcoded: ['en-1', 'ht-1'] });
+  const splitOf = new Map(pairs.slice(0, 4).map((p, i) => [p.sampleId, i === 1 ? 'test' : 'train']));
+
+  const plan = planDataset({ storage, pairs, splitOf });
+  assert.deepEqual(plan.items.map(i => [i.pair.sampleId, i.split]), [[pairs[0].sampleId, 'train'], [pairs[1].sampleId, 'test']]);
+  // Pairs without a split (excluded for leakage) are neither planned nor skipped
+  assert.deepEqual(plan.skipped, [{ sampleId: pairs[2].sampleId, reason: 'no_consent' }, { sampleId: pairs[3].sampleId, reason: 'audio_missing' }]);
+
+  const [first, second] = plan.items;
+  assert.match(first.speaker, /^spk_[0-9a-f]{10}$/);
+  assert.notEqual(first.speaker, second.speaker);
+  assert.equal(first.speaker, `spk_${createHash('sha256').update('u-ana').digest('hex').slice(0, 10)}`);
+  assert.deepEqual([first.sides.en.entry.audio_filepath, first.sides.en.fallback], ['audio/en/en-1.16k.wav', false]);
+  assert.deepEqual([second.sides.ht.entry.audio_filepath, second.sides.ht.fallback], [`audio/ht/${pairs[1].ht.audioRef}.webm`, true]);
+
+  const originals = planDataset({ storage, pairs, splitOf, variant: 'original' });
+  assert.deepEqual([originals.items[0].sides.en.entry.audio_filepath, originals.items[0].sides.en.fallback], ['audio/en/en-1.webm', false]);
+});
+
+test('matchingTombstones applies the archive filters', () => {
+  const tombstones = [
+    { sampleId: 'a', category: 'medical', reviewStatus: 'approved', pairCreatedAt: '2026-10-01T00:00:00Z', reason: 'consent_withdrawn' },
+    { sampleId: 'b', category: 'insurance', reviewStatus: 'approved', pairCreatedAt: '2026-10-01T00:00:00Z', reason: 'deleted' },
+    { sampleId: 'c', category: 'medical', reviewStatus: 'pending', pairCreatedAt: '2026-10-01T00:00:00Z', reason: 'deleted' },
+    { sampleId: 'd', category: 'medical', reviewStatus: 'approved', pairCreatedAt: '2026-09-01T00:00:00Z', reason: 'deleted' },
+    { sampleId: 'old', pairCreatedAt: '2026-10-01T00:00:00Z', reason: 'deleted' }
+  ];
+  const ids = filters => matchingTombstones(tombstones, filters).map(t => t.sampleId);
+  assert.deepEqual(ids({}), ['a', 'b', 'd', 'old']);
+  assert.deepEqual(ids({ category: 'medical' }), ['a', 'd', 'old']);
+  assert.deepEqual(ids({ category: 'medical', status: 'pending' }), ['c', 'old']);
+  assert.deepEqual(ids({ since: '2026-09-15T00:00:00Z' }), ['a', 'b', 'old']);
+  assert.deepEqual(ids({ status: null }), ['a', 'b', 'c', 'd', 'old']);
+});
+
+test('datasetCard summarizes splits, categories, review status and what was left out', t => {
+  const pairs = [pair(), pair({ annotator: 'bo', category: 'insurance' }), pair({ consent: false })];
+  const storage = setup(t, pairs);
+  const splitOf = new Map([[pairs[0].sampleId, 'train'], [pairs[1].sampleId, 'test'], [pairs[2].sampleId, 'train']]);
+  const plan = planDataset({ storage, pairs, splitOf, variant: 'original' });
+  const card = datasetCard({
+    name: 'voice', license: 'CC-BY-4.0', generatedAt: '2026-10-19T12:00:00.000Z', variant: 'original', plan,
+    split: { ...SPLIT, excluded: ['x-1'] },
+    tombstones: [{ reason: 'consent_withdrawn', mode: 'purge' }, { reason: 'deleted', mode: 'soft' }, { reason: 'deleted', mode: 'purge' }]
+  });
+
+  assert.match(card, /^---\npretty_name: voice\n/);
+  assert.match(card, /license: CC-BY-4.0\n/);
+  assert.match(card, /configs:\n- config_name: default\n {2}data_files:\n {2}- split: train\n {4}path: manifests\/train\/pairs.jsonl\n {2}- split: test\n {4}path: manifests\/test\/pairs.jsonl\n---\n/);
+  assert.match(card, /\| train \| 1 \| 1 \| 0.001 \| 0.001 \|\n\| dev \| 0 \| 0 \| 0 \| 0 \|\n\| test \| 1 \| 1 \| 0.001 \| 0.001 \|/);
+  assert.match(card, /\| medical \| 1 \| 0 \| 0 \|\n\| insurance \| 0 \| 0 \| 1 \|/);
+  assert.match(card, /\| approved \| 2 \|/);
+  assert.match(card, /Only pairs a reviewer approved are included/);
+  assert.match(card, /Of those so far: 2 purged \(text and audio erased from the server\) and 1 soft-deleted/);
+  assert.match(card, /Left out of this export: 1 pairs that would put a speaker in two splits; 1 pairs without recorded consent; 1 pairs whose contributors withdrew consent; 2 deleted pairs\./);
+
+  const normalized = planDataset({ storage, pairs: pairs.slice(0, 2), splitOf });
+  const clean = datasetCard({ name: 'voice', license: 'unknown', generatedAt: '2026-10-19T12:00:00.000Z', variant: 'normalized', plan: normalized, split: SPLIT, status: 'pending' });
+  assert.match(clean, /Only pairs with review status `pending` are included/);
+  assert.match(clean, /not specified \(set DATASET_LICENSE on the server\)/);
+  assert.match(clean, /Nothing was left out of this export\./);
+  assert.match(clean, /later exports keep every pair in the same split\./);
+  const unrecorded = datasetCard({ name: 'voice', license: 'unknown', generatedAt: '2026-10-19T12:00:00.000Z', variant: 'normalized', plan: normalized, split: { ...SPLIT, unrecorded: 1 } });
+  assert.match(unrecorded, /keep recorded pairs in the same split; 1 pairs were placed for this export only/);
+  assert.match(clean, /16 kHz mono 16-bit PCM WAV \(4 clips were not transcoded yet and are the original uploads\)/);
+});
+
+test('writeDataset lays out the card, manifests, audio once per clip and checksums', async t => {
+  const pairs = [pair(), pair({ annotator: 'bo' })];
+  // Both pairs share the English clip
+  pairs[1].en.audioRef = pairs[0].en.audioRef;
+  const storage = setup(t, [pairs[0], { ...pairs[1], en: { audioRef: 'unused' } }], { transcoded: [pairs[0].en.audioRef] });
+  const plan = planDataset({ storage, pairs, splitOf: new Map([[pairs[0].sampleId, 'train'], [pairs[1].sampleId, 'dev']]) });
+  const entries = await archive(plan, 'card text');
+  const files = new Map(entries.map(e => [e.name.replace('dataset-20261019/', ''), e.data.toString('utf8')]));
+
+  const en = pairs[0].en.audioRef;
+  assert.deepEqual([...files.keys()], [
+    'README.md',
+    'manifests/train/en.jsonl', 'manifests/train/ht.jsonl', 'manifests/train/pairs.jsonl',
+    'manifests/dev/en.jsonl', 'manifests/dev/ht.jsonl', 'manifests/dev/pairs.jsonl',
+    `audio/en/${en}.16k.wav`, `audio/ht/${pairs[0].ht.audioRef}.webm`, `audio/ht/${pairs[1].ht.audioRef}.webm`,
+    'SHA256SUMS'
+  ]);
+  assert.equal(files.get('README.md'), 'card text');
+  assert.equal(files.get(`audio/en/${en}.16k.wav`), `${en} normalized`);
+
+  const [line] = files.get('manifests/dev/pairs.jsonl').trim().split('\n').map(l => JSON.parse(l));
+  assert.deepEqual(line, {
+    sample_id: pairs[1].sampleId, split: 'dev', category: 'medical', term: 'Fever', speaker: plan.items[1].speaker,
+    en_audio_filepath: `audio/en/${en}.16k.wav`, en_duration: 2.5, en_text: pairs[1].en.text,
+    ht_audio_filepath: `audio/ht/${pairs[1].ht.audioRef}.webm`, ht_duration: 2, ht_text: pairs[1].ht.text
+  });
+  const ht = JSON.parse(files.get('manifests/train/ht.jsonl'));
+  assert.deepEqual([ht.lang, ht.split, ht.speaker, ht.audio_filepath], ['ht', 'train', plan.items[0].speaker, `audio/ht/${pairs[0].ht.audioRef}.webm`]);
+
+  const sums = files.get('SHA256SUMS').trim().split('\n').map(l => l.split('  '));
+  assert.equal(sums.length, files.size - 1);
+  for (const [sum, name] of sums) assert.equal(sum, createHash('sha256').update(files.get(name)).digest('hex'), name);
+});
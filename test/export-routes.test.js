@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, linkPair } from './support/server.js';
+
+test('export ETags revalidate until a pair changes', async t => {
+  const server = await startServer(t, { QUALITY_GATE: 'off' });
+  const token = await server.login();
+  const { sampleId } = await linkPair(server, token);
+  await linkPair(server, token);
+  const exportJsonl = headers => server.request('GET', '/api/export/data?format=jsonl', { token, headers });
+
+  const first = await exportJsonl();
+  assert.equal(first.status, 200);
+  assert.equal(first.body.trim().split('\n').length, 2);
+  const etag = first.headers.get('etag');
+  assert.equal((await exportJsonl({ 'If-None-Match': etag })).status, 304);
+  assert.equal((await server.request('GET', '/api/export/data?format=csv', { token, headers: { 'If-None-Match': etag } })).status, 200);
+
+  const edited = await server.request('PATCH', `/api/samples/${sampleId}`, { token, json: { enText: 'I had a fever.' } });
+  assert.equal(edited.status, 200);
+  const after = await exportJsonl({ 'If-None-Match': etag });
+  assert.equal(after.status, 200);
+  assert.notEqual(after.headers.get('etag'), etag);
+  const record = after.body.trim().split('\n').map(line => JSON.parse(line)).find(r => r.sampleId === sampleId);
+  assert.equal(record.en.text, 'I had a fever.');
+  assert.ok(record.updatedAt > record.createdAt);
+});
+
+test('exports assign splits in memory; only POST /api/splits/:name records them', async t => {
+  const server = await startServer(t, { QUALITY_GATE: 'off' });
+  const token = await server.login();
+  await linkPair(server, token);
+  await linkPair(server, token);
+  const recorded = async () => (await server.request('GET', '/api/splits', { token })).body.splits;
+
+  const exported = await server.request('GET', '/api/export/data?format=json&split=v1', { token });
+  assert.equal(exported.status, 200);
+  const { metadata, data } = exported.body;
+  assert.deepEqual([metadata.split.name, metadata.split.recorded, metadata.split.unrecorded], ['v1', 0, 2]);
+  assert.ok(data.every(r => ['train', 'dev', 'test'].includes(r.split)));
+  const archive = await server.request('GET', '/api/export/archive', { token });
+  assert.equal(archive.status, 404, JSON.stringify(archive.body));
+  assert.deepEqual(await recorded(), []);
+  assert.equal((await server.request('GET', '/api/splits/v1', { token })).status, 404);
+
+  const created = await server.request('POST', '/api/splits/v1', { token, json: { ratios: [80, 10, 10] } });
+  assert.deepEqual([created.status, created.body.added, created.body.split.recorded], [201, 2, 2]);
+  const { assignments } = (await server.request('GET', '/api/splits/v1', { token })).body;
+  assert.deepEqual(Object.values(assignments).sort(), data.map(r => r.split).sort());
+
+  // A new pair is placed by exports but only recorded when asked
+  await linkPair(server, token);
+  const later = (await server.request('GET', '/api/export/data?format=json&split=v1', { token })).body.metadata.split;
+  assert.deepEqual([later.recorded, later.unrecorded], [2, 1]);
+  assert.equal((await recorded())[0].recorded, 2);
+  const again = await server.request('POST', '/api/splits/v1', { token, json: {} });
+  assert.deepEqual([again.status, again.body.added, again.body.split.recorded], [200, 1, 3]);
+
+  assert.equal((await server.request('POST', '/api/splits/v1', { token, json: { seed: 'other' } })).status, 409);
+  assert.equal((await server.request('POST', '/api/splits/v1', { token, json: { ratios: '1,2' } })).status, 400);
+  assert.equal((await server.request('POST', '/api/splits/bad%20name', { token, json: {} })).status, 400);
+});
+
+test('the archive card only counts deletions its filters would have exported', async t => {
+  const server = await startServer(t, { QUALITY_GATE: 'off' });
+  const token = await server.login();
+  await server.request('POST', '/api/users', { token, json: { username: 'ana', password: 'ana-password' } });
+  const contributor = await server.login('ana', 'ana-password');
+  const approved = await linkPair(server, contributor);
+  const deleted = await linkPair(server, contributor);
+  await linkPair(server, contributor);
+  const verdict = await server.request('POST', `/api/samples/${approved.sampleId}/review`, { token, json: { status: 'approved' } });
+  assert.equal(verdict.status, 200, JSON.stringify(verdict.body));
+  assert.equal((await server.request('DELETE', `/api/samples/${deleted.sampleId}?mode=soft`, { token })).status, 200);
+  assert.equal((await server.request('POST', '/api/splits/default', { token, json: {} })).status, 201);
+
+  // The deleted pair was pending, so an archive of approved pairs never had it
+  const approvedArchive = await server.request('GET', '/api/export/archive', { token });
+  assert.equal(approvedArchive.status, 200);
+  assert.match(approvedArchive.body, /Nothing was left out of this export\./);
+  const pendingArchive = await server.request('GET', '/api/export/archive?status=pending', { token });
+  assert.equal(pendingArchive.status, 200);
+  assert.match(pendingArchive.body, /Left out of this export: 1 deleted pairs\./);
+});
@@ -0,0 +1,176 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  EXPORT_SCHEMA_VERSION, EXPORT_FORMATS, EXPORT_JSON_SCHEMA, STREAMED_FORMATS,
+  toExportRecord, exportChunks, serializeExport, toCSV, exportContentType, exportFileName
+} from '../lib/export-schema.js';
+
+const PAIR = {
+  sampleId: 's-1',
+  createdAt: '2026-10-01T10:00:00.000Z',
+  term: 'Fever',
+  termId: 'fever',
+  category: 'medical',
+  annotator: 'ann1',
+  consent: true,
+  en: { text: 'I have a fever, "high" one.', audioRef: 'a-en' },
+  ht: { text: 'Mwen gen lafyèv,\nyon gwo lafyèv.', audioRef: 'a-ht', origin: 'machine-edited' },
+  revisions: [{ at: '2026-10-02T10:00:00.000Z' }, { at: '2026-10-03T10:00:00.000Z' }],
+  review: { status: 'approved', history: [] },
+  claim: { by: 'rev1' }
+};
+
+const AUDIO = {
+  'a-en': { audioFile: 'a-en.webm', duration_s: 2.5, codec: 'opus', contentType: 'audio/webm', bytes: 4000, normalized: { status: 'done', file: 'a-en.16k.wav' } },
+  'a-ht': { audioFile: 'a-ht.webm', codec: 'opus', contentType: 'audio/webm', bytes: 5000, normalized: { status: 'pending', duration_s: 3.1 } }
+};
+
+// The subset of JSON Schema that EXPORT_JSON_SCHEMA uses
+function validate(schema, value, at = 'record') {
+  const typeOf = v => (v === null ? 'null' : Array.isArray(v) ? 'array' : Number.isInteger(v) ? 'integer' : typeof v);
+  if ('const' in schema) assert.equal(value, schema.const, `${at} is not ${schema.const}`);
+  if (schema.enum) assert.ok(schema.enum.includes(value), `${at} ${JSON.stringify(value)} is not one of ${schema.enum}`);
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    const type = typeOf(value);
+    assert.ok(types.includes(type) || (type === 'integer' && types.includes('number')), `${at} is ${type}, not ${types}`);
+  }
+  if (schema.minimum !== undefined && typeof value === 'number') assert.ok(value >= schema.minimum, `${at} is below ${schema.minimum}`);
+  if (schema.properties && typeOf(value) === 'object') {
+    for (const key of schema.required || []) assert.ok(key in value, `${at}.${key} is missing`);
+    for (const [key, v] of Object.entries(value)) {
+      assert.ok(schema.properties[key] || schema.additionalProperties !== false, `${at}.${key} is not in the schema`);
+      if (schema.properties[key]) validate(schema.properties[key], v, `${at}.${key}`);
+    }
+  }
+}
+
+// RFC 4180 rows
+function parseCSV(text) {
+  const rows = [];
+  let row = [], field = '', quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ',') { row.push(field); field = ''; }
+    else if (ch === '\n') { row.push(field); rows.push(row); row = []; field = ''; }
+    else field += ch;
+  }
+  return rows;
+}
+
+test('toExportRecord flattens a stored pair into the schema', () => {
+  const record = toExportRecord(PAIR, { split: 'train' });
+  validate(EXPORT_JSON_SCHEMA, record);
+  assert.deepEqual(record, {
+    schemaVersion: EXPORT_SCHEMA_VERSION,
+    sampleId: 's-1',
+    createdAt: '2026-10-01T10:00:00.000Z',
+    updatedAt: '2026-10-03T10:00:00.000Z',
+    category: 'medical',
+    term: 'Fever',
+    termId: 'fever',
+    templateId: null,
+    annotator: 'ann1',
+    consent: true,
+    reviewStatus: 'approved',
+    split: 'train',
+    en: { text: PAIR.en.text, audioId: 'a-en' },
+    ht: { text: PAIR.ht.text, audioId: 'a-ht', origin: 'machine-edited' }
+  });
+
+  const bare = toExportRecord({ sampleId: 's-2', createdAt: PAIR.createdAt, term: 'Rash', category: 'medical' });
+  validate(EXPORT_JSON_SCHEMA, bare);
+  assert.equal(bare.reviewStatus, 'pending');
+  assert.equal(bare.consent, false);
+  assert.deepEqual(bare.ht, { text: '', audioId: null, origin: null });
+  assert.equal(bare.updatedAt, null);
+
+  // Exports are built from views (lib/revisions.js viewAt), which carry revisedAt instead of the history
+  const { revisions, ...view } = PAIR;
+  assert.equal(toExportRecord({ ...view, revisedAt: '2026-10-02T10:00:00.000Z' }).updatedAt, '2026-10-02T10:00:00.000Z');
+});
+
+test('toExportRecord only looks up audio with includeAudio', () => {
+  const looked = [];
+  const audioOf = id => {
+    looked.push(id);
+    return AUDIO[id] || null;
+  };
+  toExportRecord(PAIR, { audioOf });
+  assert.deepEqual(looked, []);
+
+  const record = toExportRecord(PAIR, { includeAudio: true, audioOf });
+  validate(EXPORT_JSON_SCHEMA, record);
+  assert.deepEqual(looked, ['a-en', 'a-ht']);
+  assert.equal(record.en.normalizedFile, 'a-en.16k.wav');
+  assert.equal(record.en.duration, 2.5);
+  assert.equal(record.ht.normalizedFile, null);
+  assert.equal(record.ht.normalizedStatus, 'pending');
+  assert.equal(record.ht.duration, 3.1);
+  assert.equal(record.ht.bytes, 5000);
+});
+
+test('every schema property is written and every written field is in the schema', () => {
+  const record = toExportRecord(PAIR, { includeAudio: true, audioOf: id => AUDIO[id] });
+  assert.deepEqual(Object.keys(record).sort(), Object.keys(EXPORT_JSON_SCHEMA.properties).sort());
+  for (const lang of ['en', 'ht']) {
+    assert.deepEqual(Object.keys(record[lang]).sort(), Object.keys(EXPORT_JSON_SCHEMA.properties[lang].properties).sort());
+  }
+});
+
+test('JSON and JSONL exports read back as the records', () => {
+  const records = [toExportRecord(PAIR), toExportRecord({ ...PAIR, sampleId: 's-2', review: undefined })];
+
+  const json = JSON.parse(serializeExport(records, 'json', { category: 'medical', totalPairs: 99 }).body);
+  assert.deepEqual(json.data, records);
+  assert.deepEqual(json.metadata, { category: 'medical', schemaVersion: EXPORT_SCHEMA_VERSION, totalPairs: 2 });
+
+  const jsonl = serializeExport(records, 'jsonl').body;
+  assert.deepEqual(jsonl.trimEnd().split('\n').map(line => JSON.parse(line)), records);
+  assert.equal(serializeExport([], 'jsonl').body, '');
+  assert.deepEqual(JSON.parse(serializeExport([], 'json').body).data, []);
+});
+
+test('CSV keeps the original column order and quotes commas, quotes and line breaks', () => {
+  const record = toExportRecord(PAIR, { includeAudio: true, audioOf: id => AUDIO[id], split: 'dev' });
+  const [header, row, ...rest] = parseCSV(toCSV([record]));
+  assert.deepEqual(rest, []);
+  assert.deepEqual(header.slice(0, 5), ['sampleId', 'createdAt', 'term', 'category', 'annotator']);
+  assert.equal(header[header.length - 1], 'schemaVersion');
+
+  const values = Object.fromEntries(header.map((name, i) => [name, row[i]]));
+  assert.equal(values.en_text, PAIR.en.text);
+  assert.equal(values.ht_text, PAIR.ht.text);
+  assert.equal(values.en_duration, '2.5');
+  assert.equal(values.templateId, '');
+  assert.equal(values.consent, 'true');
+  assert.equal(values.ht_origin, 'machine-edited');
+  assert.equal(values.split, 'dev');
+});
+
+test('streamed chunks add up to the serialized export', () => {
+  const records = [toExportRecord(PAIR), toExportRecord({ ...PAIR, sampleId: 's-2' })];
+  for (const format of STREAMED_FORMATS) {
+    const metadata = format === 'json' ? { exportedAt: 'now', totalPairs: records.length } : {};
+    const chunks = [...exportChunks(records.values(), format, metadata)];
+    assert.equal(chunks.join(''), serializeExport(records, format, { exportedAt: 'now' }).body, format);
+  }
+  assert.throws(() => [...exportChunks(records, 'tmx')], /not streamed/);
+});
+
+test('every format has a content type; only moses is binary', () => {
+  const records = [toExportRecord(PAIR)];
+  for (const format of EXPORT_FORMATS) {
+    const { contentType, extension, body } = serializeExport(records, format);
+    assert.deepEqual({ contentType, extension }, exportContentType(format));
+    assert.equal(Buffer.isBuffer(body), format === 'moses', format);
+  }
+  assert.throws(() => exportContentType('parquet'), /Unknown export format: parquet/);
+  assert.throws(() => serializeExport(records, 'parquet'), /Unknown export format/);
+  assert.equal(exportFileName('jsonl', new Date('2026-10-19T23:00:00Z')), 'training-data-2026-10-19.jsonl');
+});
@@ -0,0 +1,145 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Writable } from 'node:stream';
+import {
+  changedAt, encodeCursor, decodeCursor, parseIncremental, pageExportPairs,
+  exportETag, exportLastModified, notModified, writeChunks
+} from '../lib/export-stream.js';
+
+function pair(sampleId, createdAt, { revisedAt, reviewedAt } = {}) {
+  return {
+    sampleId,
+    createdAt,
+    ...(revisedAt ? { revisions: [{ at: createdAt }, { at: revisedAt }] } : {}),
+    ...(reviewedAt ? { review: { status: 'approved', history: [{ status: 'approved', at: reviewedAt }] } } : {})
+  };
+}
+
+// Newest first, as the export selects them
+const PAIRS = [
+  pair('d', '2026-10-04T00:00:00.000Z'),
+  pair('c', '2026-10-03T00:00:00.000Z'),
+  pair('b', '2026-10-02T00:00:00.000Z', { reviewedAt: '2026-10-05T00:00:00.000Z' }),
+  pair('e', '2026-10-01T00:00:00.000Z'),
+  pair('a', '2026-10-01T00:00:00.000Z', { revisedAt: '2026-09-01T00:00:00.000Z' })
+];
+
+test('changedAt is the latest of creation, last revision and last review verdict', () => {
+  assert.equal(changedAt(PAIRS[0]), '2026-10-04T00:00:00.000Z');
+  assert.equal(changedAt(PAIRS[2]), '2026-10-05T00:00:00.000Z');
+  assert.equal(changedAt(PAIRS[4]), '2026-10-01T00:00:00.000Z');
+  // Export views carry the time of the revision they show instead of the history
+  assert.equal(changedAt({ sampleId: 'v', createdAt: '2026-10-01T00:00:00.000Z', revisedAt: '2026-10-06T00:00:00.000Z' }), '2026-10-06T00:00:00.000Z');
+});
+
+test('cursors round-trip and foreign tokens are refused', () => {
+  const position = { at: Date.parse('2026-10-01T00:00:00Z'), sampleId: 'a|b' };
+  assert.deepEqual(decodeCursor(encodeCursor(position)), position);
+  assert.equal(decodeCursor('not-a-cursor'), null);
+  assert.equal(decodeCursor(Buffer.from('yesterday|a').toString('base64url')), null);
+  assert.equal(decodeCursor(Buffer.from('2026-10-01T00:00:00Z|').toString('base64url')), null);
+});
+
+test('parseIncremental validates cursor and limit', () => {
+  const cursor = encodeCursor({ at: 0, sampleId: 'a' });
+  assert.deepEqual(parseIncremental(new URLSearchParams('')), { value: { cursor: null, limit: null } });
+  assert.deepEqual(parseIncremental(new URLSearchParams(`cursor=${cursor}&limit=5`)), { value: { cursor: { at: 0, sampleId: 'a' }, limit: 5 } });
+  assert.match(parseIncremental(new URLSearchParams('cursor=nope')).error, /cursor must be/);
+  for (const limit of ['0', '-1', '2.5', 'ten', '']) {
+    assert.match(parseIncremental(new URLSearchParams(`limit=${limit}`)).error, /limit must be/, `limit=${limit}`);
+  }
+});
+
+test('pageExportPairs keeps the order without cursor or limit and still returns a cursor', () => {
+  const page = pageExportPairs(PAIRS);
+  assert.deepEqual(page.pairs, PAIRS);
+  assert.equal(page.more, false);
+  assert.deepEqual(decodeCursor(page.cursor), { at: Date.parse('2026-10-05T00:00:00Z'), sampleId: 'b' });
+  assert.deepEqual(pageExportPairs([]), { pairs: [], cursor: null, more: false });
+});
+
+test('paging with limit walks every pair once, oldest change first, ties by sampleId', () => {
+  const seen = [];
+  let cursor = null;
+  for (let more = true; more;) {
+    const page = pageExportPairs(PAIRS, { cursor: cursor && decodeCursor(cursor), limit: 2 });
+    seen.push(page.pairs.map(p => p.sampleId));
+    ({ cursor, more } = page);
+  }
+  assert.deepEqual(seen, [['a', 'e'], ['c', 'd'], ['b']]);
+
+  // Nothing new: empty page, same position
+  const last = pageExportPairs(PAIRS, { cursor: decodeCursor(cursor) });
+  assert.deepEqual(last, { pairs: [], cursor, more: false });
+
+  // A pair reviewed later shows up again after the cursor
+  const reviewed = [...PAIRS, pair('a2', '2026-09-01T00:00:00.000Z', { reviewedAt: '2026-10-06T00:00:00.000Z' })];
+  assert.deepEqual(pageExportPairs(reviewed, { cursor: decodeCursor(cursor) }).pairs.map(p => p.sampleId), ['a2']);
+});
+
+test('exportETag follows pair changes, splits and metadata, not how pairs are iterated', () => {
+  const pairs = [pair('a', '2026-10-01T00:00:00Z'), pair('b', '2026-10-02T00:00:00Z')];
+  const etag = exportETag('jsonl', { status: 'approved' }, pairs);
+  assert.match(etag, /^W\/"[\w-]{27}"$/);
+  assert.equal(exportETag('jsonl', { status: 'approved' }, pairs.values()), etag);
+  // Only identity and change time count, not the rest of the stored pair
+  assert.equal(exportETag('jsonl', { status: 'approved' }, pairs.map(p => ({ ...p, en: { text: 'x' } }))), etag);
+  assert.notEqual(exportETag('csv', { status: 'approved' }, pairs), etag);
+  assert.notEqual(exportETag('jsonl', { status: 'all' }, pairs), etag);
+  assert.notEqual(exportETag('jsonl', { status: 'approved' }, [pairs[0]]), etag);
+  assert.notEqual(exportETag('jsonl', { status: 'approved' }, [pairs[0], pair('b', '2026-10-02T00:00:00Z', { revisedAt: '2026-10-03T00:00:00Z' })]), etag);
+  assert.notEqual(exportETag('jsonl', { status: 'approved' }, [pairs[0], pair('b', '2026-10-02T00:00:00Z', { reviewedAt: '2026-10-03T00:00:00Z' })]), etag);
+  const splitOf = new Map([['a', 'train'], ['b', 'test']]);
+  assert.notEqual(exportETag('jsonl', { status: 'approved' }, pairs, splitOf), etag);
+  assert.notEqual(exportETag('jsonl', { status: 'approved' }, pairs, new Map([['a', 'test'], ['b', 'train']])), exportETag('jsonl', { status: 'approved' }, pairs, splitOf));
+});
+
+test('exportLastModified takes the latest change or deletion', () => {
+  assert.equal(exportLastModified([]), null);
+  assert.equal(exportLastModified(PAIRS), Date.parse('2026-10-05T00:00:00Z'));
+  assert.equal(exportLastModified(PAIRS, [{ at: '2026-10-07T00:00:00Z' }, {}]), Date.parse('2026-10-07T00:00:00Z'));
+});
+
+test('notModified prefers If-None-Match and compares If-Modified-Since in whole seconds', () => {
+  const validators = { etag: 'W/"abc"', lastModified: Date.parse('2026-10-05T00:00:00.750Z') };
+  assert.equal(notModified({}, validators), false);
+  assert.equal(notModified({ 'if-none-match': '"abc"' }, validators), true);
+  assert.equal(notModified({ 'if-none-match': 'W/"old", W/"abc"' }, validators), true);
+  assert.equal(notModified({ 'if-none-match': '*' }, validators), true);
+  assert.equal(notModified({ 'if-none-match': 'W/"old"', 'if-modified-since': 'Mon, 05 Oct 2026 00:00:00 GMT' }, validators), false);
+  assert.equal(notModified({ 'if-modified-since': 'Mon, 05 Oct 2026 00:00:00 GMT' }, validators), true);
+  assert.equal(notModified({ 'if-modified-since': 'Sun, 04 Oct 2026 23:59:59 GMT' }, validators), false);
+  assert.equal(notModified({ 'if-modified-since': 'garbage' }, validators), false);
+  assert.equal(notModified({ 'if-modified-since': 'Mon, 05 Oct 2026 00:00:00 GMT' }, { etag: 'W/"abc"', lastModified: null }), false);
+});
+
+test('writeChunks batches text, waits for drain and counts bytes', async () => {
+  const chunks = [];
+  const output = new Writable({
+    highWaterMark: 1024,
+    write(chunk, encoding, callback) {
+      chunks.push(chunk);
+      setImmediate(callback);
+    }
+  });
+  let drains = 0;
+  output.on('drain', () => drains++);
+
+  const lines = Array.from({ length: 5000 }, (_, i) => `{"n":${i},"ht":"Kreyòl"}\n`);
+  const bytes = await writeChunks(output, lines);
+  const body = Buffer.concat(chunks);
+  assert.equal(body.toString('utf8'), lines.join(''));
+  assert.equal(bytes, body.length);
+  assert.ok(chunks.length > 1 && chunks.length < lines.length, `${chunks.length} writes`);
+  assert.ok(drains > 0);
+});
+
+test('writeChunks rejects once the client has gone away', async () => {
+  const output = new Writable({ highWaterMark: 16, write() {} });
+  const lines = (function* () {
+    for (let i = 0; ; i++) yield `${'x'.repeat(1000)}${i}\n`;
+  })();
+  const pending = writeChunks(output, lines);
+  setImmediate(() => output.destroy());
+  await assert.rejects(pending, /Output closed/);
+});
@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeHt, checkHt, htFields } from '../lib/orthography.js';
+
+test('normalizeHt fixes encoding only: NFC, apostrophes, quotes and spaces', () => {
+  // "e" + combining grave accent
+  assert.equal(normalizeHt('Mwen gen lafye\u0300v'), 'Mwen gen lafy\u00E8v');
+  assert.equal(normalizeHt('m’ap vini, mʼap ale, m`ap rete'), "m'ap vini, m'ap ale, m'ap rete");
+  assert.equal(normalizeHt('“Bonjou”'), '"Bonjou"');
+  assert.equal(normalizeHt(' Ki\u00A0jan ou\u200B ye ?\n\t '), 'Ki jan ou ye ?');
+  assert.equal(normalizeHt(null), '');
+  // Spelling is left alone
+  assert.equal(normalizeHt('Bonjour docteur'), 'Bonjour docteur');
+});
+
+test('checkHt accepts text written in the official alphabet', () => {
+  for (const text of ["Mwen gen yon kesyon sou tansyon wo.", "Doktè a di m'ap bezwen pran medikaman chak jou.", 'Kisa ou vle di? 25% (pa plis).']) {
+    const result = checkHt(text);
+    assert.deepEqual(result.issues, [], text);
+    assert.equal(result.suggestion, null);
+    assert.equal(result.changed, false);
+  }
+});
+
+test('checkHt suggests Kreyòl spellings for French words and letters', () => {
+  const result = checkHt('Bonjour docteur, merci pour la prescription.');
+  assert.deepEqual(result.issues.map(i => [i.word, i.suggestion, i.reasons]), [
+    ['Bonjour', 'Bonjou', ['french_word']],
+    ['docteur', 'doktè', ['french_word']],
+    ['merci', 'mèsi', ['french_word']],
+    ['pour', 'pou', ['french_word']],
+    ['prescription', 'preskripsyon', ['french_word']]
+  ]);
+  assert.equal(result.suggestion, 'Bonjou doktè, mèsi pou la preskripsyon.');
+  assert.deepEqual(result.issues.map(i => i.index), [0, 8, 17, 23, 31]);
+});
+
+test('checkHt flags characters and patterns outside the alphabet', () => {
+  const word = text => checkHt(text).issues[0];
+  assert.deepEqual(word('télé'), { word: 'télé', index: 0, suggestion: 'tele', reasons: ['character'] });
+  assert.equal(word('fête').suggestion, 'fète');
+  assert.deepEqual(word('pharmasi'), { word: 'pharmasi', index: 0, suggestion: 'farmasi', reasons: ['french_spelling'] });
+  assert.equal(word('nation').suggestion, 'nasyon');
+  assert.equal(word('bateau').suggestion, 'bato');
+  assert.deepEqual(word('taxi'), { word: 'taxi', index: 0, suggestion: 'taksi', reasons: ['letter'] });
+  assert.equal(word('lune').suggestion, 'line');
+  assert.equal(word('cigarette').suggestion, 'sigarette');
+  // ch, ou and ui are Kreyòl
+  assert.deepEqual(checkHt('chache tout pitit yo, kounye a ui').issues, []);
+});
+
+test('checkHt keeps capitalisation and checks elided and hyphenated words', () => {
+  assert.equal(checkHt('OUI').suggestion, 'WI');
+  assert.equal(checkHt('Assurance').suggestion, 'Asirans');
+  assert.equal(checkHt("C'est bon").suggestion, 'Se bon');
+  assert.equal(checkHt('Nou gen yon rendez-vous').suggestion, 'Nou gen yon randevou');
+  const elided = checkHt("m'ap quitte");
+  assert.deepEqual(elided.issues.map(i => [i.word, i.index]), [['quitte', 5]]);
+  assert.equal(elided.suggestion, "m'ap kitte");
+});
+
+test('checkHt flags unknown characters and symbols without guessing a fix', () => {
+  const result = checkHt('Mwen ß renmen ou ♥');
+  assert.deepEqual(result.issues.map(i => [i.word, i.suggestion, i.reasons]), [
+    ['ß', null, ['unknown_character']],
+    ['♥', null, ['symbol']]
+  ]);
+  assert.equal(result.suggestion, null);
+});
+
+test('issue offsets point into the normalized text', () => {
+  const result = checkHt('  Mwen bezwen  yon   médecin ');
+  assert.equal(result.normalized, 'Mwen bezwen yon médecin');
+  assert.equal(result.changed, true);
+  const [issue] = result.issues;
+  assert.equal(result.normalized.slice(issue.index, issue.index + issue.word.length), 'médecin');
+  assert.equal(result.suggestion, 'Mwen bezwen yon medesin');
+});
+
+test('htFields stores the normalized text, what was typed and the check result', () => {
+  const fields = htFields('Mèsi  anpil, docteur’s');
+  assert.equal(fields.text, "Mèsi anpil, docteur's");
+  assert.equal(fields.raw, 'Mèsi  anpil, docteur’s');
+  assert.deepEqual(fields.orthography.issues.map(i => i.word), ['docteur']);
+  assert.equal(fields.orthography.suggestion, "Mèsi anpil, doktè's");
+});
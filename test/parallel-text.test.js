@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { xmlEscape, toTMX, toXLIFF, toMosesTar } from '../lib/parallel-text.js';
+import { toExportRecord } from '../lib/export-schema.js';
+import { readTar } from './support/tar.js';
+
+const verdict = status => ({ status, history: [] });
+
+function record(sampleId, en, ht, { split = null, review = verdict('approved'), origin, ...extra } = {}) {
+  return toExportRecord({
+    sampleId, createdAt: '2026-10-01T08:30:00.000Z', term: 'Fever', category: 'medical', annotator: 'ana', consent: true, review,
+    en: { text: en }, ht: { text: ht, origin }, ...extra
+  }, { split });
+}
+
+const RECORDS = [
+  record('s-1', 'I have a fever & chills.', 'Mwen gen lafyèv ak frison.', { split: 'train', origin: 'machine' }),
+  record('s-2', 'Is it <serious>?', 'Èske se "grav"?', { split: 'test', review: verdict('pending'), origin: 'human' }),
+  record('s-3', 'Nothing to say.', '  ', { split: 'train' }),
+  record('s-4', '', 'Pa gen anyen.', { split: 'train' }),
+  record('s-5', 'Line one\nline\ttwo', 'Liy\r\nde', { split: 'train', origin: 'machine-edited' })
+];
+
+test('xmlEscape escapes markup and drops what XML 1.0 forbids', () => {
+  assert.equal(xmlEscape(`<a href="x">Tom & Jerry's</a>`), '&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&apos;s&lt;/a&gt;');
+  assert.equal(xmlEscape('a\u0000b\u0007c\u000Bd\u001Fe\tf\ng\rh'), 'abcde\tf\ng\rh');
+  assert.equal(xmlEscape('x\uFFFEy\uFFFF'), 'xy');
+  // Lone surrogates go, pairs stay
+  assert.equal(xmlEscape('a\uD800b\uDC00c😀'), 'abc😀');
+  // NFC, so "è" typed as e + combining grave is one character
+  assert.equal(xmlEscape('lafye\u0300v'), 'lafy\u00E8v');
+  assert.equal(xmlEscape(null), '');
+  assert.equal(xmlEscape(12), '12');
+});
+
+test('TMX: one <tu> per aligned pair, with properties and origin notes', () => {
+  const tmx = toTMX(RECORDS, { exportedAt: '2026-10-19T19:26:00.123Z', version: '1.2' });
+  assert.match(tmx, /^<\?xml version="1.0" encoding="UTF-8"\?>\n<!DOCTYPE tmx SYSTEM "tmx14.dtd">\n<tmx version="1.4">\n/);
+  assert.match(tmx, /<header creationtool="translator-voice-en-ht" creationtoolversion="1.2" segtype="sentence" .* srclang="en" datatype="plaintext" creationdate="20261019T192600Z"\/>/);
+  assert.deepEqual([...tmx.matchAll(/<tu tuid="([^"]+)"/g)].map(m => m[1]), ['s-1', 's-2', 's-5']);
+  assert.match(tmx, /<tu tuid="s-1" creationdate="20261001T083000Z" creationid="ana">\n {6}<note>HT text is a machine suggestion accepted as is<\/note>/);
+  assert.match(tmx, /<prop type="x-review-status">pending<\/prop>\n {6}<prop type="x-split">test<\/prop>/);
+  assert.match(tmx, /<tuv xml:lang="en"><seg>I have a fever &amp; chills.<\/seg><\/tuv>\n {6}<tuv xml:lang="ht"><seg>Mwen gen lafyèv ak frison.<\/seg><\/tuv>/);
+  assert.match(tmx, /<seg>Is it &lt;serious&gt;\?<\/seg>/);
+  assert.match(tmx, /<note>HT text was edited from a machine suggestion<\/note>/);
+  assert.equal(tmx.match(/<note>/g).length, 2);
+  assert.ok(tmx.endsWith('  </body>\n</tmx>\n'));
+});
+
+test('XLIFF: one <unit> per aligned pair, approved segments are final', () => {
+  const xliff = toXLIFF([...RECORDS, record('s 6/x', 'Hello.', 'Bonjou.')]);
+  assert.match(xliff, /<xliff xmlns="urn:oasis:names:tc:xliff:document:2.0" xmlns:mda="urn:oasis:names:tc:xliff:metadata:2.0" version="2.0" srcLang="en" trgLang="ht">/);
+  assert.deepEqual([...xliff.matchAll(/<unit id="([^"]+)" name="Fever">/g)].map(m => m[1]), ['s-1', 's-2', 's-5', 's_6_x']);
+  assert.deepEqual([...xliff.matchAll(/<segment id="s1" state="(\w+)">/g)].map(m => m[1]), ['final', 'translated', 'final', 'final']);
+  assert.match(xliff, /<mda:meta type="sampleId">s 6\/x<\/mda:meta>/);
+  assert.match(xliff, /<mda:meta type="ht-origin">machine<\/mda:meta>/);
+  assert.match(xliff, /<source>Is it &lt;serious&gt;\?<\/source>\n {8}<target>Èske se &quot;grav&quot;\?<\/target>/);
+  assert.equal(xliff.match(/<unit /g).length, xliff.match(/<\/unit>/g).length);
+  assert.ok(xliff.endsWith('  </file>\n</xliff>\n'));
+});
+
+test('moses: aligned line files and metadata per split', () => {
+  const entries = readTar(toMosesTar(RECORDS));
+  const files = Object.fromEntries(entries.map(e => [e.name, e.data.toString('utf8')]));
+  assert.deepEqual(Object.keys(files), [
+    'en-ht-parallel/train.en', 'en-ht-parallel/train.ht', 'en-ht-parallel/train.meta.tsv',
+    'en-ht-parallel/test.en', 'en-ht-parallel/test.ht', 'en-ht-parallel/test.meta.tsv'
+  ]);
+  // Line breaks and tabs inside a sentence become spaces, so line N is always the same pair
+  assert.equal(files['en-ht-parallel/train.en'], 'I have a fever & chills.\nLine one line two\n');
+  assert.equal(files['en-ht-parallel/train.ht'], 'Mwen gen lafyèv ak frison.\nLiy de\n');
+  assert.equal(files['en-ht-parallel/train.meta.tsv'], 'sampleId\tcategory\tterm\tannotator\treviewStatus\ns-1\tmedical\tFever\tana\tapproved\ns-5\tmedical\tFever\tana\tapproved\n');
+  assert.equal(files['en-ht-parallel/test.ht'], 'Èske se "grav"?\n');
+
+  const unsplit = readTar(toMosesTar([record('s-7', 'Hello.', 'Bonjou.')], { folder: 'corpus-v2' }));
+  assert.deepEqual(unsplit.map(e => e.name), ['corpus-v2/corpus.en', 'corpus-v2/corpus.ht', 'corpus-v2/corpus.meta.tsv']);
+  assert.deepEqual(readTar(toMosesTar([RECORDS[2], RECORDS[3]])), []);
+});
@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPromptAssigner } from '../lib/prompts.js';
+
+// In-memory stand-in for lib/storage.js
+function memoryStorage(records) {
+  const byType = type => records.filter(r => r.kind === type);
+  return {
+    list: type => byType(type),
+    get: (type, id) => byType(type).find(r => r.id === id) || null,
+    add: record => records.push(record)
+  };
+}
+
+function catalog() {
+  return memoryStorage([
+    { kind: 'category', id: 'medical', label: 'Medical', target: 4 },
+    { kind: 'category', id: 'insurance', label: 'Insurance' },
+    { kind: 'category', id: 'legal', label: 'Legal', active: false },
+    { kind: 'term', id: 't-fever', category: 'medical', term: 'Fever' },
+    { kind: 'term', id: 't-asthma', category: 'medical', term: 'Asthma', target: 2 },
+    { kind: 'term', id: 't-old', category: 'medical', term: 'Old', active: false },
+    { kind: 'term', id: 't-copay', category: 'insurance', term: 'Copay' },
+    { kind: 'term', id: 't-court', category: 'legal', term: 'Court' },
+    { kind: 'template', id: 'm1', category: 'medical', text: 'I have {TERM}.' },
+    { kind: 'template', id: 'm2', category: 'medical', text: 'Tell me about {TERM}.' },
+    { kind: 'template', id: 'i1', category: 'insurance', text: 'What is my {TERM}?' }
+  ]);
+}
+
+let n = 0;
+function linked(storage, { term, category = 'medical', text, annotator = 'ana', termId, templateId, ...extra }) {
+  storage.add({ kind: 'pair', sampleId: `p${++n}`, annotator, category, term, termId, templateId, en: { text }, ...extra });
+}
+
+test('coverage counts live pairs against term, category and default targets', () => {
+  const storage = catalog();
+  linked(storage, { term: 'fever', text: 'I have fever.' });
+  linked(storage, { term: 'Fever', text: 'Something else', termId: 't-fever' });
+  linked(storage, { term: 'Fever', text: 'I have Fever.', deleted: true });
+  linked(storage, { term: 'Fever', text: 'I have Fever.', review: { status: 'rejected' } });
+  linked(storage, { term: 'Asthma', text: 'Tell me about Asthma.' });
+  linked(storage, { term: 'Asthma', text: 'Tell me about Asthma.' });
+  linked(storage, { term: 'Asthma', text: 'Tell me about Asthma.' });
+  linked(storage, { term: 'Unknown', text: 'x' });
+
+  const assigner = createPromptAssigner({ storage, env: { PROMPT_TARGET_DEFAULT: '5' } });
+  const [medical, insurance] = assigner.coverage();
+  assert.deepEqual(medical.terms.map(t => [t.term, t.recorded, t.target, t.remaining]), [['Fever', 2, 4, 2], ['Asthma', 3, 2, 0]]);
+  // Recordings beyond a term's target do not count toward the category
+  assert.deepEqual([medical.recorded, medical.target, medical.ratio], [4, 6, 4 / 6]);
+  assert.deepEqual([insurance.recorded, insurance.target, insurance.ratio], [0, 5, 0]);
+  assert.equal(assigner.coverage({ category: 'legal' }).length, 0);
+});
+
+test('next picks the least-covered category, term and template', () => {
+  const storage = catalog();
+  linked(storage, { term: 'Fever', text: 'I have Fever.' });
+  const assigner = createPromptAssigner({ storage, env: {} });
+
+  const { prompt } = assigner.next('bo');
+  assert.deepEqual([prompt.category, prompt.termId, prompt.templateId, prompt.text], ['insurance', 't-copay', 'i1', 'What is my Copay?']);
+  assert.deepEqual(prompt.coverage, { recorded: 0, target: 20, targetMet: false });
+
+  // "I have {TERM}" was used once already
+  const medical = assigner.next('cy', { category: 'medical' }).prompt;
+  assert.deepEqual([medical.termId, medical.templateId, medical.text], ['t-asthma', 'm2', 'Tell me about Asthma.']);
+  // Fever has "I have {TERM}", so its other template comes first
+  linked(storage, { term: 'Asthma', text: 'x', termId: 't-asthma' });
+  linked(storage, { term: 'Asthma', text: 'x', termId: 't-asthma' });
+  const fever = assigner.next('dee', { category: 'medical' }).prompt;
+  assert.deepEqual([fever.termId, fever.templateId, fever.text], ['t-fever', 'm2', 'Tell me about Fever.']);
+
+  assert.deepEqual(assigner.next('bo', { category: 'legal' }), { error: 'Unknown category: legal' });
+  assert.deepEqual(createPromptAssigner({ storage: memoryStorage([]), env: {} }).next('bo'), { error: 'The catalog has no terms' });
+});
+
+test('reservations spread concurrent contributors and end when asked again', () => {
+  const storage = catalog();
+  const assigner = createPromptAssigner({ storage, env: { PROMPT_RESERVATION_MINUTES: '5' } });
+  const first = assigner.next('ana', { category: 'medical' }).prompt;
+  const second = assigner.next('bo', { category: 'medical' }).prompt;
+  assert.notEqual(first.termId, second.termId);
+  assert.equal(assigner.reservations(), 2);
+  const until = Date.parse(first.reservedUntil) - Date.now();
+  assert.ok(until > 4.9 * 60 * 1000 && until <= 5 * 60 * 1000);
+
+  // Asking again drops the previous reservation
+  assigner.next('ana', { category: 'medical' });
+  assert.equal(assigner.reservations(), 2);
+  assert.equal(assigner.release(second.reservationId), true);
+  assert.equal(assigner.release(second.reservationId), false);
+  assert.equal(assigner.reservations(), 1);
+});
+
+test('ties go to the terms an annotator has recorded least', () => {
+  const storage = catalog();
+  linked(storage, { term: 'Fever', text: 'x', annotator: 'ana', termId: 't-fever' });
+  linked(storage, { term: 'Asthma', text: 'x', annotator: 'bo', termId: 't-asthma' });
+  linked(storage, { term: 'Fever', text: 'x', annotator: 'ana', termId: 't-fever' });
+  // Both terms are half way to their targets
+  const assigner = createPromptAssigner({ storage, env: {} });
+  for (let i = 0; i < 5; i++) {
+    for (const [username, termId] of [['ana', 't-asthma'], ['bo', 't-fever']]) {
+      const { prompt } = assigner.next(username, { category: 'medical' });
+      assert.equal(prompt.termId, termId, username);
+      assigner.release(prompt.reservationId);
+    }
+  }
+});
+
+test('resolveLink accepts only catalog IDs from the pair category', () => {
+  const assigner = createPromptAssigner({ storage: catalog(), env: {} });
+  assert.deepEqual(assigner.resolveLink({ termId: 't-fever', templateId: 'm1', category: 'medical' }), { termId: 't-fever', templateId: 'm1' });
+  assert.deepEqual(assigner.resolveLink({ category: 'medical' }), { termId: null, templateId: null });
+  assert.match(assigner.resolveLink({ termId: 't-copay', category: 'medical' }).error, /termId does not match/);
+  assert.match(assigner.resolveLink({ termId: 't-fever', templateId: 'nope', category: 'medical' }).error, /templateId does not match/);
+});
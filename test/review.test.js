@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { claimMs, reviewOf, activeClaim, reviewable, nextForReview, claim, release, recordVerdict, resubmit } from '../lib/review.js';
+
+const pair = (sampleId, createdAt, extra = {}) => ({ sampleId, createdAt, annotator: 'ana', category: 'medical', ...extra });
+const expired = p => ({ ...p, review: { ...p.review, claimExpiresAt: new Date(Date.now() - 1000).toISOString() } });
+
+test('pairs start pending and claims last REVIEW_CLAIM_MINUTES', () => {
+  assert.deepEqual(reviewOf(pair('p1', '2026-01-01')), { status: 'pending', history: [] });
+  assert.equal(claimMs({}), 15 * 60 * 1000);
+  assert.equal(claimMs({ REVIEW_CLAIM_MINUTES: '0.5' }), 30 * 1000);
+
+  const held = claim(pair('p1', '2026-01-01'), 'rita', 60 * 1000);
+  assert.equal(activeClaim(held), 'rita');
+  assert.equal(Date.parse(held.review.claimExpiresAt) - Date.parse(held.review.claimedAt), 60 * 1000);
+  assert.equal(activeClaim(expired(held)), null);
+  assert.equal(activeClaim(release(held)), null);
+  assert.equal(release(held).review.status, 'pending');
+});
+
+test('reviewable: pending, live, not your own, not claimed by someone else', () => {
+  const p = pair('p1', '2026-01-01');
+  assert.equal(reviewable(p, 'rita'), true);
+  assert.equal(reviewable(p, 'ana'), false);
+  assert.equal(reviewable({ ...p, deleted: true }, 'rita'), false);
+  assert.equal(reviewable({ ...p, review: { status: 'approved' } }, 'rita'), false);
+  const held = claim(p, 'sam');
+  assert.equal(reviewable(held, 'rita'), false);
+  assert.equal(reviewable(held, 'sam'), true);
+  assert.equal(reviewable(expired(held), 'rita'), true);
+});
+
+test('nextForReview returns the held pair, then the oldest open one', () => {
+  const pairs = [
+    pair('p3', '2026-01-03'),
+    pair('p1', '2026-01-01', { annotator: 'rita' }),
+    pair('p2', '2026-01-02', { category: 'insurance' }),
+    pair('p4', '2026-01-04')
+  ];
+  assert.equal(nextForReview(pairs, 'rita').sampleId, 'p2');
+  assert.equal(nextForReview(pairs, 'rita', { category: 'MEDICAL' }).sampleId, 'p3');
+  pairs[3] = claim(pairs[3], 'rita');
+  assert.equal(nextForReview(pairs, 'rita').sampleId, 'p4');
+  assert.equal(nextForReview(pairs, 'sam').sampleId, 'p1');
+  assert.equal(nextForReview([], 'rita'), null);
+});
+
+test('recordVerdict validates the verdict and who gives it', () => {
+  const p = pair('p1', '2026-01-01');
+  assert.equal(recordVerdict(p, { status: 'maybe' }, 'rita').status, 400);
+  assert.match(recordVerdict(p, { status: 'rejected' }, 'rita').error, /needs at least one reason/);
+  assert.match(recordVerdict(p, { status: 'rejected', reasons: ['boring'] }, 'rita').error, /reasons must be a list of/);
+  assert.match(recordVerdict(p, { status: 'rejected', reasons: 'spelling' }, 'rita').error, /reasons must be a list of/);
+  assert.match(recordVerdict(p, { status: 'approved', note: 5 }, 'rita').error, /note must be a string/);
+  assert.deepEqual(recordVerdict(p, { status: 'approved' }, 'ana'), { status: 403, error: 'Reviewers cannot review their own pairs' });
+  assert.deepEqual(recordVerdict(claim(p, 'sam'), { status: 'approved' }, 'rita'), { status: 409, error: 'Pair is claimed by sam' });
+  assert.ok(recordVerdict(expired(claim(p, 'sam')), { status: 'approved' }, 'rita').pair);
+});
+
+test('verdicts and resubmissions move a pair through the workflow', () => {
+  let p = claim(pair('p1', '2026-01-01'), 'rita');
+  ({ pair: p } = recordVerdict(p, { status: 'needs-fix', reasons: ['spelling', 'spelling'], note: '  dyabèt  ' }, 'rita'));
+  assert.equal(p.review.status, 'needs-fix');
+  assert.deepEqual([p.review.reviewedBy, p.review.reasons, p.review.note, p.review.claimedBy], ['rita', ['spelling'], 'dyabèt', null]);
+
+  p = resubmit(p, 'ana');
+  assert.equal(p.review.status, 'pending');
+  assert.deepEqual(p.review.history.map(h => [h.action, h.status, h.previous]), [['verdict', 'needs-fix', undefined], ['resubmitted', 'pending', 'needs-fix']]);
+
+  ({ pair: p } = recordVerdict(p, { status: 'approved', note: ' ' }, 'sam'));
+  assert.deepEqual([p.review.status, p.review.reasons, p.review.note], ['approved', [], null]);
+  // Editing an approved pair sends it back; pending and rejected pairs stay as they are
+  assert.equal(resubmit(p, 'ana').review.status, 'pending');
+  const rejected = recordVerdict(pair('p2', '2026-01-01'), { status: 'rejected', reasons: ['wrong_language'] }, 'rita').pair;
+  assert.equal(resubmit(rejected, 'ana'), rejected);
+  const pending = pair('p3', '2026-01-01');
+  assert.equal(resubmit(pending, 'ana'), pending);
+});
+
+test('nextForReview skips the pairs a reviewer passed on', () => {
+  const pairs = [pair('p1', '2026-01-01'), pair('p2', '2026-01-02'), claim(pair('p3', '2026-01-03'), 'rita')];
+  assert.equal(nextForReview(pairs, 'rita', { exclude: ['p3'] }).sampleId, 'p1');
+  assert.equal(nextForReview(pairs, 'rita', { exclude: ['p3', 'p1'] }).sampleId, 'p2');
+  assert.equal(nextForReview(pairs, 'rita', { exclude: ['p1', 'p2', 'p3'] }), null);
+});
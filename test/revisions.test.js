@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { initialRevision, withHistory, currentRevision, applyChanges, stateAt, viewAt } from '../lib/revisions.js';
+
+function linked() {
+  const pair = {
+    sampleId: 'p1', createdAt: '2026-01-01T00:00:00.000Z', annotator: 'ana', term: 'Fever', category: 'medical',
+    en: { text: 'I have a fever.', audioId: 'a1' }, ht: { text: 'Mwen gen lafyèv.', audioId: 'a2' }
+  };
+  return { ...pair, revisions: [initialRevision(pair, 'ana')] };
+}
+
+// Revisions written at fixed times so asOf lookups are deterministic
+function edit(pair, updates, at, options = { by: 'rev' }) {
+  const result = applyChanges(pair, updates, options);
+  if (!result.revision) return result;
+  result.revision.at = at;
+  result.pair.updatedAt = at;
+  return result;
+}
+
+test('revision 1 records every tracked field as created', () => {
+  const pair = linked();
+  assert.deepEqual(pair.revisions, [{
+    rev: 1, at: '2026-01-01T00:00:00.000Z', by: 'ana', action: 'create',
+    changes: {
+      term: { from: null, to: 'Fever' },
+      category: { from: null, to: 'medical' },
+      'en.text': { from: null, to: 'I have a fever.' },
+      'ht.text': { from: null, to: 'Mwen gen lafyèv.' }
+    }
+  }]);
+  assert.equal(currentRevision(pair), 1);
+  assert.equal(currentRevision({}), 0);
+});
+
+test('pairs saved before history get a baseline revision', () => {
+  const { revisions, ...old } = linked();
+  assert.equal(withHistory(old).revisions[0].action, 'create');
+  assert.equal(withHistory(old).revisions[0].by, 'ana');
+  const edited = withHistory({ ...old, updatedAt: '2026-02-01T00:00:00.000Z', updatedBy: 'rev' });
+  assert.deepEqual([edited.revisions[0].action, edited.revisions[0].at, edited.revisions[0].by], ['baseline', '2026-02-01T00:00:00.000Z', 'rev']);
+  const pair = linked();
+  assert.equal(withHistory(pair), pair);
+});
+
+test('applyChanges appends only what changed and leaves the input alone', () => {
+  const pair = linked();
+  const { pair: next, revision } = applyChanges(pair, { 'ht.text': 'M gen lafyèv.', term: 'Fever' }, { by: 'rev' });
+  assert.deepEqual(revision.changes, { 'ht.text': { from: 'Mwen gen lafyèv.', to: 'M gen lafyèv.' } });
+  assert.deepEqual([revision.rev, revision.by, revision.action], [2, 'rev', 'edit']);
+  assert.equal(next.ht.text, 'M gen lafyèv.');
+  assert.equal(next.ht.audioId, 'a2');
+  assert.equal(next.updatedBy, 'rev');
+  assert.equal(next.updatedAt, revision.at);
+  assert.equal(pair.ht.text, 'Mwen gen lafyèv.');
+  assert.equal(pair.revisions.length, 1);
+
+  const same = applyChanges(next, { 'ht.text': 'M gen lafyèv.' }, { by: 'rev' });
+  assert.equal(same.revision, null);
+  assert.equal(same.pair, next);
+
+  const restored = applyChanges(next, { 'ht.text': 'Mwen gen lafyèv.' }, { by: 'admin', action: 'restore', restoredFrom: 1 });
+  assert.deepEqual([restored.revision.action, restored.revision.restoredFrom], ['restore', 1]);
+
+  assert.throws(() => applyChanges(pair, { annotator: 'eve' }, { by: 'rev' }), /Untracked field: annotator/);
+});
+
+test('stateAt and viewAt replay history up to a revision or a timestamp', () => {
+  let pair = linked();
+  ({ pair } = edit(pair, { 'ht.text': 'M gen lafyèv.' }, '2026-01-05T00:00:00.000Z'));
+  ({ pair } = edit(pair, { term: 'High fever', category: 'symptoms' }, '2026-01-10T00:00:00.000Z'));
+
+  assert.deepEqual(stateAt(pair, { rev: 2 }), {
+    rev: 2, at: '2026-01-05T00:00:00.000Z',
+    values: { term: 'Fever', category: 'medical', 'en.text': 'I have a fever.', 'ht.text': 'M gen lafyèv.' }
+  });
+  assert.equal(stateAt(pair, {}).rev, 3);
+  assert.equal(stateAt(pair, { asOf: '2026-01-07T12:00:00Z' }).rev, 2);
+  assert.equal(stateAt(pair, { asOf: '2026-01-10T00:00:00.000Z' }).values.term, 'High fever');
+  assert.equal(stateAt(pair, { asOf: '2025-12-31T00:00:00Z' }), null);
+
+  const view = viewAt(pair, { asOf: '2026-01-02T00:00:00Z' });
+  assert.deepEqual([view.term, view.category, view.ht.text, view.ht.audioId, view.revision, view.revisedAt], ['Fever', 'medical', 'Mwen gen lafyèv.', 'a2', 1, '2026-01-01T00:00:00.000Z']);
+  assert.equal('revisions' in view, false);
+  assert.equal(viewAt(pair, { asOf: '2025-01-01T00:00:00Z' }), null);
+  // The stored record is not touched by a view
+  assert.equal(pair.term, 'High fever');
+});
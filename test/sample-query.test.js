@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { foldText, encodeCursor, compareItems, parseSampleQuery, matchesSample, paginate, reviewStatus, MAX_LIMIT } from '../lib/sample-query.js';
+
+const audio = (id, createdAt, extra = {}) => ({ kind: 'audio', id, createdAt, lang: 'en-US', ...extra });
+const pair = (sampleId, createdAt, extra = {}) => ({
+  kind: 'pair', sampleId, createdAt, category: 'medical', annotator: 'Ana', term: 'Diabetes',
+  en: { text: 'I have diabetes.' }, ht: { text: 'Mwen gen dyabèt.' }, ...extra
+});
+
+const ITEMS = [
+  audio('a1', '2026-03-01T10:00:00.000Z', { transcript: 'hello doctor' }),
+  audio('a2', '2026-03-02T10:00:00.000Z', { lang: 'ht-HT' }),
+  pair('p1', '2026-03-02T10:00:00.000Z'),
+  pair('p2', '2026-03-03T09:00:00.000Z', { category: 'insurance', term: 'Deductible', annotator: 'bo', en: { text: 'What is my deductible?' }, ht: { text: 'Ki franchiz mwen?' }, review: { status: 'approved' } }),
+  pair('p3', '2026-03-04T23:30:00.000Z', { review: { status: 'needs-fix' } })
+];
+
+function query(qs) {
+  const result = parseSampleQuery(new URLSearchParams(qs));
+  assert.ok(result.query, result.error);
+  return result.query;
+}
+
+const select = qs => ITEMS.filter(item => matchesSample(item, query(qs))).map(i => i.id || i.sampleId).sort();
+
+test('parseSampleQuery applies defaults and rejects bad values', () => {
+  assert.deepEqual(query(''), {
+    kind: 'all', lang: null, category: null, annotator: null, term: null, status: null,
+    from: null, to: null, q: null, limit: 50, cursor: null
+  });
+  assert.equal(query('limit=100000').limit, MAX_LIMIT);
+  assert.equal(query('to=2026-03-03').to, '2026-03-03T23:59:59.999Z');
+  assert.equal(query('q=%20Dyab%C3%A8t%20').q, 'dyabet');
+  assert.equal(query('lang=HT-ht').lang, 'ht');
+
+  for (const [qs, error] of [
+    ['kind=video', /kind must be/],
+    ['lang=fr', /lang must be en or ht/],
+    ['from=yesterday', /from must be an ISO date/],
+    ['limit=0', /limit must be a positive integer/],
+    ['limit=abc', /limit must be a positive integer/],
+    ['cursor=not-a-cursor', /Invalid cursor/],
+    [`cursor=${Buffer.from('{"t":1}').toString('base64url')}`, /Invalid cursor/]
+  ]) assert.match(parseSampleQuery(new URLSearchParams(qs)).error, error, qs);
+});
+
+test('filters: kind, language, pair fields, status and dates', () => {
+  assert.deepEqual(select('kind=audio'), ['a1', 'a2']);
+  assert.deepEqual(select('kind=pair'), ['p1', 'p2', 'p3']);
+  assert.deepEqual(select('kind=audio&lang=ht'), ['a2']);
+  // Pair-only filters leave out audio
+  assert.deepEqual(select('category=MEDICAL'), ['p1', 'p3']);
+  assert.deepEqual(select('annotator=ana&term=diabetes'), ['p1', 'p3']);
+  assert.deepEqual(select('status=pending'), ['p1']);
+  assert.deepEqual(select('status=approved'), ['p2']);
+  assert.deepEqual(select('from=2026-03-02&to=2026-03-03'), ['a2', 'p1', 'p2']);
+  assert.deepEqual(select('from=2026-03-04T00:00:00Z'), ['p3']);
+  assert.equal(reviewStatus(ITEMS[0]), 'pending');
+});
+
+test('text search is case and accent insensitive over texts, terms and transcripts', () => {
+  assert.deepEqual(select('q=DYABET'), ['p1', 'p3']);
+  assert.deepEqual(select('q=franchiz'), ['p2']);
+  assert.deepEqual(select('q=deductible'), ['p2']);
+  assert.deepEqual(select('q=Doctor'), ['a1']);
+  assert.deepEqual(select('q=nothing'), []);
+  assert.equal(foldText('Dyabèt Ò'), 'dyabet o');
+});
+
+test('items are ordered newest first with the ID as tie-breaker', () => {
+  const sorted = [...ITEMS].sort(compareItems).map(i => i.id || i.sampleId);
+  assert.deepEqual(sorted, ['p3', 'p2', 'p1', 'a2', 'a1']);
+});
+
+test('cursors walk every item once, even as new items arrive', () => {
+  const seen = [];
+  const items = [...ITEMS];
+  let cursor = '';
+  for (let page = 0; page < 10; page++) {
+    const result = paginate(items, query(`limit=2${cursor ? `&cursor=${cursor}` : ''}`));
+    seen.push(...result.items.map(i => i.id || i.sampleId));
+    if (page === 0) {
+      assert.equal(result.total, 5);
+      // Newer than the first page: not repeated on later pages
+      items.push(pair('p9', '2026-03-05T00:00:00.000Z'));
+    }
+    if (!result.nextCursor) break;
+    cursor = result.nextCursor;
+  }
+  assert.deepEqual(seen, ['p3', 'p2', 'p1', 'a2', 'a1']);
+
+  const last = paginate(ITEMS, query(`cursor=${encodeCursor(ITEMS[0])}`));
+  assert.deepEqual(last, { total: 5, items: [], nextCursor: null });
+  assert.deepEqual(JSON.parse(Buffer.from(encodeCursor(ITEMS[2]), 'base64url').toString()), { t: '2026-03-02T10:00:00.000Z', id: 'p1' });
+});
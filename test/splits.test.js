@@ -0,0 +1,136 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_RATIOS, parseSplitOptions, newSplitRecord, splitConflict, assignSplits } from '../lib/splits.js';
+
+function pair(sampleId, annotator, { term = sampleId, category = 'medical' } = {}) {
+  return { sampleId, annotator, term, category };
+}
+
+// `annotators` annotators with `each` pairs apiece, alternating medical / insurance
+function corpus(annotators, each = 2) {
+  const pairs = [];
+  for (let a = 0; a < annotators; a++) {
+    for (let i = 0; i < each; i++) {
+      pairs.push(pair(`s-${String(a).padStart(3, '0')}-${i}`, `ann${a}`, { category: a % 2 ? 'insurance' : 'medical' }));
+    }
+  }
+  return pairs;
+}
+
+function record(groupBy = ['annotator'], seed = 'nightly') {
+  return newSplitRecord({ name: 'nightly', seed, ratios: DEFAULT_RATIOS, groupBy }, 'admin');
+}
+
+// key -> the set of splits its pairs landed in
+function splitsBy(pairs, splitOf, key) {
+  const seen = new Map();
+  for (const p of pairs) {
+    if (!seen.has(p[key])) seen.set(p[key], new Set());
+    seen.get(p[key]).add(splitOf.get(p.sampleId));
+  }
+  return seen;
+}
+
+test('parseSplitOptions reads split, ratios, groupBy and seed', () => {
+  assert.equal(parseSplitOptions(new URLSearchParams('format=json')), null);
+  assert.match(parseSplitOptions(new URLSearchParams('split=../x')).error, /split must be/);
+
+  const defaults = parseSplitOptions(new URLSearchParams('split=v1')).value;
+  assert.deepEqual(defaults, { name: 'v1', seed: 'v1', ratios: DEFAULT_RATIOS, groupBy: ['annotator'], explicit: [] });
+
+  const set = parseSplitOptions(new URLSearchParams('split=v1&ratios=70/20/10&groupBy=term,annotator&seed=abc')).value;
+  assert.deepEqual(set.ratios, { train: 0.7, dev: 0.2, test: 0.1 });
+  assert.deepEqual(set.groupBy, ['annotator', 'term']);
+  assert.equal(set.seed, 'abc');
+  assert.deepEqual(set.explicit, ['ratios', 'groupBy', 'seed']);
+
+  assert.match(parseSplitOptions(new URLSearchParams('split=v1&ratios=80,20')).error, /ratios must be/);
+  assert.match(parseSplitOptions(new URLSearchParams('split=v1&ratios=0,0,0')).error, /ratios must be/);
+  assert.match(parseSplitOptions(new URLSearchParams('split=v1&groupBy=term')).error, /groupBy must be/);
+});
+
+test('splitConflict only objects to options given explicitly that differ from the record', () => {
+  const recorded = record();
+  assert.equal(splitConflict(recorded, { explicit: [], seed: 'other', ratios: { train: 1, dev: 0, test: 0 }, groupBy: ['annotator'] }), null);
+  assert.equal(splitConflict(recorded, { explicit: ['seed'], seed: 'nightly', ratios: DEFAULT_RATIOS, groupBy: ['annotator'] }), null);
+  assert.match(splitConflict(recorded, { explicit: ['seed', 'groupBy'], seed: 'x', ratios: DEFAULT_RATIOS, groupBy: ['annotator', 'term'] }),
+    /different seed, groupBy/);
+});
+
+test('assignSplits is deterministic and never splits an annotator across splits', () => {
+  const pairs = corpus(30);
+  const first = assignSplits(pairs, record());
+  const second = assignSplits([...pairs].reverse(), record());
+  assert.deepEqual([...second.splitOf].sort(), [...first.splitOf].sort());
+  assert.equal(first.added, pairs.length);
+  assert.deepEqual(first.excluded, []);
+
+  for (const [annotator, splits] of splitsBy(pairs, first.splitOf, 'annotator')) {
+    assert.equal(splits.size, 1, `${annotator} is in ${[...splits]}`);
+  }
+});
+
+test('assignSplits fills each split close to its ratio within every category', () => {
+  const pairs = corpus(60, 1);
+  const { summary } = assignSplits(pairs, record());
+  assert.deepEqual(summary.counts, { train: 48, dev: 6, test: 6 });
+  for (const counts of Object.values(summary.categories)) {
+    assert.deepEqual(counts, { train: 24, dev: 3, test: 3 });
+  }
+  assert.equal(summary.recorded, 60);
+});
+
+test('assignSplits with groupBy term keeps terms and annotators each in one split', () => {
+  const terms = ['Fever', 'Cough', 'Rash', 'Premium', 'Deductible', 'Copay'];
+  const pairs = [];
+  for (let a = 0; a < 12; a++) {
+    pairs.push(pair(`s-${a}-a`, `ann${a}`, { term: terms[a % terms.length] }));
+    pairs.push(pair(`s-${a}-b`, `ann${a}`, { term: ` ${terms[(a + 1) % 6].toUpperCase()} ` }));
+  }
+  pairs.push(pair('s-solo', 'solo', { term: 'Allergy' }));
+  const { splitOf } = assignSplits(pairs, record(['annotator', 'term']));
+
+  const withFoldedTerms = pairs.map(p => ({ ...p, term: p.term.trim().toLowerCase() }));
+  for (const key of ['annotator', 'term']) {
+    for (const [value, splits] of splitsBy(withFoldedTerms, splitOf, key)) assert.equal(splits.size, 1, `${key} ${value} is in ${[...splits]}`);
+  }
+});
+
+test('a paged export puts a known annotator\'s new pair in the split already recorded for them', () => {
+  const pairs = corpus(20);
+  const recorded = record();
+  const { splitOf } = assignSplits(pairs, recorded);
+  const before = { ...recorded.assignments };
+
+  // Later: one new pair each from two known annotators, exported on their own
+  const known = [pair('z-new-1', 'ann3'), pair('z-new-2', 'ann8')];
+  const result = assignSplits([...pairs, ...known], recorded, { pairs: known });
+  assert.equal(result.added, 2);
+  assert.equal(result.splitOf.get('z-new-1'), splitOf.get('s-003-0'));
+  assert.equal(result.splitOf.get('z-new-2'), splitOf.get('s-008-0'));
+  for (const [sampleId, split] of Object.entries(before)) assert.equal(recorded.assignments[sampleId], split);
+
+  // The summary only counts the pairs being exported
+  assert.equal(Object.values(result.summary.counts).reduce((a, b) => a + b, 0), 2);
+  assert.equal(result.summary.recorded, pairs.length + 2);
+});
+
+test('a new pair whose annotator and term are already in different splits is excluded', () => {
+  const recorded = record(['annotator', 'term']);
+  recorded.assignments = { 'a-1': 'train', 'b-1': 'test' };
+  const pairs = [
+    pair('a-1', 'alice', { term: 'Fever' }),
+    pair('b-1', 'bob', { term: 'Cough' }),
+    pair('c-1', 'alice', { term: 'cough' }),
+    pair('d-1', 'carol', { term: 'Fever' })
+  ];
+  const result = assignSplits(pairs, recorded);
+  assert.deepEqual(result.excluded, ['c-1']);
+  assert.equal(result.splitOf.has('c-1'), false);
+  assert.equal('c-1' in recorded.assignments, false);
+  assert.equal(result.splitOf.get('d-1'), 'train');
+  assert.equal(result.summary.excluded.length, 1);
+
+  // Excluded pairs outside the exported page are not reported
+  assert.deepEqual(assignSplits(pairs, recorded, { pairs: pairs.slice(3) }).excluded, []);
+});
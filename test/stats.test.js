@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeStats } from '../lib/stats.js';
+
+const NOW = Date.parse('2026-03-10T12:00:00.000Z');
+
+const clip = (id, lang, duration_s, createdAt, extra = {}) => ({ id, lang, duration_s, createdAt, ...extra });
+const verdict = (by, status, at, reasons = []) => ({ at, by, action: 'verdict', status, reasons });
+
+function pair(sampleId, { annotator = 'ana', category = 'medical', term = 'Fever', createdAt = '2026-03-09T10:00:00.000Z', en, ht, history = [], deleted } = {}) {
+  const last = history.filter(h => h.action === 'verdict').pop();
+  return {
+    sampleId, annotator, category, term, createdAt, deleted,
+    en: { text: 'x', audioRef: en }, ht: { text: 'y', audioRef: ht },
+    review: { status: history.length ? history[history.length - 1].status : 'pending', reasons: last ? last.reasons : [], history }
+  };
+}
+
+const AUDIO = [
+  clip('e1', 'en-US', 3600, '2026-03-09T09:00:00.000Z'),
+  clip('h1', 'ht-HT', 1800, '2026-03-09T09:00:00.000Z'),
+  clip('e2', 'en', 10, '2026-03-10T09:00:00.000Z'),
+  clip('h2', 'ht', 20, '2026-03-10T09:00:00.000Z'),
+  clip('h3', 'ht', 5, '2026-01-01T00:00:00.000Z'),
+  clip('gone', 'en', 100, '2026-03-10T09:00:00.000Z', { deleted: true })
+];
+
+const PAIRS = [
+  pair('p1', { en: 'e1', ht: 'h1', history: [verdict('rita', 'needs-fix', '2026-03-09T11:00:00.000Z', ['spelling']), { at: '2026-03-09T12:00:00.000Z', by: 'ana', action: 'resubmitted', status: 'pending' }, verdict('sam', 'approved', '2026-03-10T08:00:00.000Z')] }),
+  pair('p2', { en: 'e2', ht: 'h2', term: 'fever ', history: [verdict('rita', 'rejected', '2026-03-10T10:00:00.000Z', ['audio_quality', 'other'])] }),
+  pair('p3', { annotator: 'bo', category: 'insurance', term: 'Copay', createdAt: '2026-03-10T10:00:00.000Z', en: 'gone', ht: 'h3' }),
+  pair('p4', { annotator: 'bo', en: 'e1', ht: 'h1', deleted: true, history: [verdict('rita', 'approved', '2026-03-10T08:00:00.000Z')] })
+];
+
+const COVERAGE = [
+  { id: 'medical', label: 'Medical', recorded: 2, target: 40, terms: [{ term: 'Fever', recorded: 2, target: 20 }, { term: 'Asthma', recorded: 0, target: 20 }] },
+  { id: 'insurance', label: 'Insurance', recorded: 1, target: 20, terms: [{ term: 'Copay', recorded: 1, target: 20 }] }
+];
+
+const stats = (options = {}) => computeStats({ pairs: PAIRS, audio: AUDIO, coverage: COVERAGE, days: 3, now: NOW, ...options });
+
+test('totals and audio hours leave deleted records out', () => {
+  const { totals, audio, generatedAt } = stats();
+  assert.equal(generatedAt, '2026-03-10T12:00:00.000Z');
+  assert.deepEqual(totals, {
+    pairs: 3, pending: 1, approved: 1, rejected: 1, 'needs-fix': 0,
+    audioClips: 5, audioHours: 1.51, target: 60, recorded: 3, progress: 0.05
+  });
+  assert.deepEqual(audio.en, { clips: 2, seconds: 3610, linkedClips: 2, linkedSeconds: 3610, approvedSeconds: 3600, hours: 1.003, linkedHours: 1.003, approvedHours: 1 });
+  // p3's English clip was deleted, its Creole clip still counts as linked
+  assert.deepEqual([audio.ht.clips, audio.ht.linkedClips, audio.ht.linkedSeconds, audio.ht.approvedSeconds], [3, 3, 1825, 1800]);
+});
+
+test('categories and terms merge coverage targets with review counts', () => {
+  const [medical, insurance] = stats().categories;
+  assert.deepEqual([medical.id, medical.label, medical.pairs, medical.approved, medical.rejected, medical.recorded, medical.target, medical.passRate], ['medical', 'Medical', 2, 1, 1, 2, 40, 0.5]);
+  // Terms are matched case- and space-insensitively; unrecorded ones still show
+  assert.deepEqual(medical.terms.map(t => [t.term, t.pairs, t.target]), [['Fever', 2, 20], ['Asthma', 0, 20]]);
+  assert.deepEqual([insurance.pairs, insurance.pending, insurance.passRate], [1, 1, null]);
+
+  const uncovered = computeStats({ pairs: [pair('x', { category: null })], audio: [], now: NOW }).categories;
+  assert.deepEqual(uncovered.map(c => [c.id, c.pairs, c.target]), [['uncategorized', 1, null]]);
+});
+
+test('annotators and reviewers', () => {
+  const { annotators, review } = stats();
+  assert.deepEqual(annotators.map(a => [a.annotator, a.pairs, a.approved, a.rejected, a.audioSeconds, a.activeDays, a.pairsPerActiveDay, a.passRate]), [
+    ['ana', 2, 1, 1, 5430, 1, 2, 0.5],
+    ['bo', 1, 0, 0, 5, 1, 1, null]
+  ]);
+  assert.equal(annotators[0].firstAt, '2026-03-09T10:00:00.000Z');
+
+  assert.equal(review.passRate, 0.5);
+  // p1 needed a fix before it was approved
+  assert.equal(review.firstPassRate, 0);
+  assert.deepEqual([review.reasons.audio_quality, review.reasons.other, review.reasons.spelling], [1, 1, 0]);
+  assert.deepEqual(review.reviewers, [
+    { reviewer: 'rita', verdicts: 2, approved: 0, rejected: 1, 'needs-fix': 1 },
+    { reviewer: 'sam', verdicts: 1, approved: 1, rejected: 0, 'needs-fix': 0 }
+  ]);
+});
+
+test('daily series covers the last `days` UTC days', () => {
+  assert.deepEqual(stats().daily, [
+    { date: '2026-03-08', pairs: 0, approved: 0, verdicts: 0, audioSeconds: 0 },
+    { date: '2026-03-09', pairs: 2, approved: 0, verdicts: 1, audioSeconds: 5400 },
+    { date: '2026-03-10', pairs: 1, approved: 1, verdicts: 2, audioSeconds: 30 }
+  ]);
+  assert.equal(stats({ days: 0 }).daily.length, 1);
+  assert.equal(stats({ days: 1000 }).daily.length, 365);
+});
+
+test('an empty collection has no rates', () => {
+  const empty = computeStats({ pairs: [], audio: [], now: NOW });
+  assert.deepEqual([empty.totals.pairs, empty.totals.progress, empty.review.passRate, empty.review.firstPassRate], [0, null, null, null]);
+  assert.equal(empty.daily.length, 30);
+  assert.deepEqual(empty.annotators, []);
+});
@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createStorage } from '../lib/storage.js';
+
+// Collects warnings instead of printing them
+function quietLogger() {
+  const warnings = [];
+  return { warnings, warn: (msg, meta) => warnings.push({ msg, meta }), info() {} };
+}
+
+function tempRoot(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'data');
+}
+
+const byId = (a, b) => (a.id || a.sampleId).localeCompare(b.id || b.sampleId);
+
+for (const backend of ['fs', 'log']) {
+  const open = (dataRoot, logger = quietLogger()) => createStorage({ dataRoot, backend, logger });
+
+  test(`${backend} backend: put, get, list and remove, and records survive a reopen`, t => {
+    const dataRoot = tempRoot(t);
+    const storage = open(dataRoot);
+    assert.equal(storage.backend, backend);
+
+    const clipEn = { id: 'clip-en', lang: 'en-US', bytes: 10 };
+    const clipHt = { id: 'clip-ht', lang: 'ht-HT', bytes: 12 };
+    const pair = { sampleId: 's-1', term: 'Fever', en: { audioRef: 'clip-en' }, ht: { audioRef: 'clip-ht' } };
+    assert.equal(storage.put('audio', clipEn), clipEn);
+    storage.put('audio', clipHt);
+    storage.put('pair', pair);
+    storage.put('pair', { ...pair, term: 'Fièvre' });
+
+    assert.deepEqual(storage.get('audio', 'clip-ht'), clipHt);
+    assert.equal(storage.get('pair', 's-1').term, 'Fièvre');
+    assert.equal(storage.get('pair', 'missing'), null);
+    assert.deepEqual(storage.list('audio').sort(byId), [clipEn, clipHt]);
+    assert.equal(storage.list('pair').length, 1);
+    assert.deepEqual(storage.list('tombstone'), []);
+
+    assert.equal(storage.remove('audio', 'clip-en'), true);
+    assert.equal(storage.remove('audio', 'clip-en'), false);
+    assert.equal(storage.get('audio', 'clip-en'), null);
+
+    const reopened = open(dataRoot);
+    assert.deepEqual(reopened.list('audio'), [clipHt]);
+    assert.equal(reopened.get('pair', 's-1').term, 'Fièvre');
+    assert.equal(reopened.blobPath('ht', '../../clip.webm'), path.join(dataRoot, 'audio', 'ht', 'clip.webm'));
+  });
+
+  test(`${backend} backend: unknown types throw and ids that are not plain names are refused`, t => {
+    const dataRoot = tempRoot(t);
+    const storage = open(dataRoot);
+    assert.throws(() => storage.get('blob', 'x'), /Unknown record type/);
+    assert.throws(() => storage.put('blob', { id: 'x' }), /Unknown record type/);
+    assert.throws(() => storage.list('blob'), /Unknown record type/);
+
+    for (const id of ['', '.', '..', '../../package', 'a/b', 'a\\b', 'a\0b', undefined, 42]) {
+      assert.throws(() => storage.put('split', { id }), /Invalid split id/, `put ${JSON.stringify(id)}`);
+      assert.equal(storage.get('split', id), null);
+      assert.equal(storage.remove('split', id), false);
+    }
+    assert.throws(() => storage.put('pair', { term: 'no id' }), /Invalid pair id/);
+    assert.deepEqual(fs.readdirSync(path.dirname(dataRoot)), [], 'nothing was written');
+    assert.deepEqual(storage.list('split'), []);
+  });
+
+  test(`${backend} backend: stored records are copies`, t => {
+    const storage = open(tempRoot(t));
+    const record = { id: 'nightly', assignments: { a: 'train' } };
+    storage.put('split', record);
+    record.assignments.b = 'test';
+    assert.deepEqual(storage.get('split', 'nightly').assignments, { a: 'train' });
+
+    storage.get('split', 'nightly').assignments.c = 'dev';
+    storage.list('split')[0].assignments.d = 'dev';
+    assert.deepEqual(storage.get('split', 'nightly').assignments, { a: 'train' });
+  });
+}
+
+test('log backend skips a torn last line and compacts superseded lines', t => {
+  const dataRoot = tempRoot(t);
+  const storage = createStorage({ dataRoot, backend: 'log', logger: quietLogger() });
+  for (let i = 0; i < 5; i++) storage.put('tombstone', { sampleId: 's-1', revision: i });
+  storage.put('tombstone', { sampleId: 's-2', revision: 0 });
+  storage.remove('tombstone', 's-2');
+  const log = path.join(dataRoot, 'store', 'records.log');
+  fs.appendFileSync(log, '{"op":"put","type":"tombstone","id":"s-');
+
+  const logger = quietLogger();
+  const reopened = createStorage({ dataRoot, backend: 'log', logger });
+  assert.equal(logger.warnings.length, 1);
+  assert.match(logger.warnings[0].msg, /corrupt storage log line/);
+  assert.equal(logger.warnings[0].meta.line, 8);
+  assert.deepEqual(reopened.list('tombstone'), [{ sampleId: 's-1', revision: 4 }]);
+
+  assert.deepEqual(reopened.compact(), { before: 7, after: 1 });
+  assert.equal(fs.readFileSync(log, 'utf8').trim().split('\n').length, 1);
+  assert.deepEqual(createStorage({ dataRoot, backend: 'log', logger: quietLogger() }).list('tombstone'), [{ sampleId: 's-1', revision: 4 }]);
+});
+
+test('createStorage rejects an unknown backend', () => {
+  assert.throws(() => createStorage({ dataRoot: os.tmpdir(), backend: 'sqlite' }), /Unknown STORAGE_BACKEND: sqlite/);
+});
@@ -0,0 +1,120 @@
+// Starts server.js in a child process against a temporary data directory, for route tests.
+// The child gets a clean environment: only PATH plus what the test passes in.
+
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import fs from 'node:fs';
+import net from 'node:net';
+import os from 'node:os';
+import path from 'node:path';
+
+const SERVER = path.join(path.dirname(new URL(import.meta.url).pathname), '..', '..', 'server.js');
+
+export const ADMIN = { username: 'admin', password: 'admin-password' };
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.on('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+// Resolves once the server logs that it is listening; stops it when the test ends
+export async function startServer(t, env = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'server-test-'));
+  const port = await freePort();
+  const child = spawn(process.execPath, [SERVER], {
+    env: {
+      PATH: process.env.PATH,
+      PORT: String(port),
+      DATA_DIR: dataDir,
+      AUTH_SECRET: 'route-test-secret',
+      ADMIN_USERNAME: ADMIN.username,
+      ADMIN_PASSWORD: ADMIN.password,
+      FFMPEG_PATH: path.join(dataDir, 'no-ffmpeg'),
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  t.after(() => {
+    child.kill();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  let output = '';
+  child.stderr.on('data', chunk => { output += chunk; });
+  await new Promise((resolve, reject) => {
+    child.stdout.on('data', chunk => {
+      output += chunk;
+      if (output.includes('Server listening')) resolve();
+    });
+    child.on('exit', code => reject(new Error(`server.js exited with ${code}:\n${output}`)));
+  });
+
+  const base = `http://127.0.0.1:${port}`;
+
+  // Returns { status, headers, body } with JSON bodies parsed
+  async function request(method, pathname, { token, json, body, headers = {} } = {}) {
+    const res = await fetch(base + pathname, {
+      method,
+      headers: {
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...(json !== undefined ? { 'Content-Type': 'application/json' } : {}),
+        ...headers
+      },
+      body: json !== undefined ? JSON.stringify(json) : body
+    });
+    const text = await res.text();
+    const isJson = /^application\/([\w.-]+\+)?json\s*(;|$)/.test(res.headers.get('content-type') || '');
+    return { status: res.status, headers: res.headers, body: isJson && text ? JSON.parse(text) : text };
+  }
+
+  async function login(username = ADMIN.username, password = ADMIN.password) {
+    const { status, body } = await request('POST', '/api/auth/login', { json: { username, password } });
+    if (status !== 200) throw new Error(`login as ${username} failed with ${status}: ${JSON.stringify(body)}`);
+    return body.token;
+  }
+
+  return { dataDir, request, login };
+}
+
+// Minimal PCM WAV: `seconds` of silence
+export function wav({ sr = 16000, seconds = 0.5 } = {}) {
+  const data = Buffer.alloc(Math.round(sr * seconds) * 2);
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + data.length, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(1, 22);
+  header.writeUInt32LE(sr, 24);
+  header.writeUInt32LE(sr * 2, 28);
+  header.writeUInt16LE(2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36);
+  header.writeUInt32LE(data.length, 40);
+  return Buffer.concat([header, data]);
+}
+
+export async function upload(server, token, lang) {
+  const { status, body } = await server.request('POST', `/api/asr/${lang}`, { token, body: wav(), headers: { 'Content-Type': 'audio/wav' } });
+  assert.equal(status, 200, JSON.stringify(body));
+  return body.id;
+}
+
+export async function linkPair(server, token) {
+  const enAudioId = await upload(server, token, 'en');
+  const htAudioId = await upload(server, token, 'ht');
+  const { status, body } = await server.request('POST', '/api/samples/link', {
+    token,
+    json: { term: 'Fever', category: 'medical', enText: 'I have a fever.', htText: 'Mwen gen lafyèv.', enAudioId, htAudioId, consent: true }
+  });
+  assert.equal(status, 200, JSON.stringify(body));
+  return { sampleId: body.sampleId, enAudioId, htAudioId };
+}
@@ -0,0 +1,37 @@
+// Reads ustar archives back in tests
+
+import assert from 'node:assert/strict';
+
+function field(header, offset, length) {
+  const raw = header.subarray(offset, offset + length);
+  const nul = raw.indexOf(0);
+  return raw.subarray(0, nul < 0 ? length : nul).toString('utf8');
+}
+
+// Entries of a ustar archive, checking every header checksum and the end-of-archive blocks
+export function readTar(buf) {
+  assert.equal(buf.length % 512, 0, 'archive is not a whole number of blocks');
+  const entries = [];
+  let offset = 0;
+  for (;;) {
+    const header = buf.subarray(offset, offset + 512);
+    if (header.every(b => b === 0)) break;
+    const blank = Buffer.from(header);
+    blank.fill(' ', 148, 156);
+    assert.equal(parseInt(field(header, 148, 8), 8), blank.reduce((sum, b) => sum + b, 0), 'bad header checksum');
+    assert.equal(field(header, 257, 6), 'ustar');
+    const prefix = field(header, 345, 155);
+    const name = field(header, 0, 100);
+    const size = parseInt(field(header, 124, 12), 8);
+    entries.push({
+      name: prefix ? `${prefix}/${name}` : name,
+      size,
+      mtime: parseInt(field(header, 136, 12), 8),
+      data: buf.subarray(offset + 512, offset + 512 + size)
+    });
+    offset += 512 + Math.ceil(size / 512) * 512;
+  }
+  assert.ok(buf.subarray(offset).every(b => b === 0));
+  assert.equal(buf.length - offset, 1024);
+  return entries;
+}
@@ -0,0 +1,125 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { execFileSync } from 'node:child_process';
+import { createHash } from 'node:crypto';
+import { Writable } from 'node:stream';
+import { createTarWriter, tarBuffer } from '../lib/tar.js';
+import { readTar } from './support/tar.js';
+
+const MTIME = Date.parse('2026-10-19T12:00:00Z');
+
+// A writable that takes `highWaterMark` bytes before pushing back and acknowledges each chunk a tick later
+function slowOutput(highWaterMark = 1024) {
+  const chunks = [];
+  const output = new Writable({
+    highWaterMark,
+    write(chunk, encoding, callback) {
+      chunks.push(chunk);
+      setImmediate(callback);
+    }
+  });
+  output.drains = 0;
+  output.on('drain', () => output.drains++);
+  return { output, body: () => Buffer.concat(chunks) };
+}
+
+// A whole archive of in-memory files
+async function archive(files, mtime = MTIME) {
+  const { output, body } = slowOutput(1 << 20);
+  const tar = createTarWriter(output);
+  for (const { name, data } of files) await tar.addBuffer(name, data, mtime);
+  await tar.finish();
+  await new Promise(resolve => output.end(resolve));
+  return body();
+}
+
+const LONG_NAME = `dataset-20261019/${'manifests/'.repeat(8)}a-file-name-that-alone-is-quite-long-${'x'.repeat(40)}.jsonl`;
+
+test('entries are padded with valid headers, long names in the prefix field', async () => {
+  const files = [
+    { name: 'root/README.md', data: '# Dataset\n' },
+    { name: 'root/empty.txt', data: '' },
+    { name: 'root/block.bin', data: Buffer.alloc(512, 7) },
+    { name: LONG_NAME, data: 'Kreyòl ayisyen\n' }
+  ];
+  assert.ok(Buffer.byteLength(LONG_NAME) > 100);
+  const entries = readTar(await archive(files));
+  assert.deepEqual(entries.map(e => e.name), files.map(f => f.name));
+  for (const [i, entry] of entries.entries()) {
+    assert.deepEqual(entry.data, Buffer.from(files[i].data));
+    assert.equal(entry.mtime, MTIME / 1000);
+  }
+});
+
+test('archives read back with the system tar', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tar-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'out.tar');
+  fs.writeFileSync(file, await archive([{ name: 'a/one.txt', data: 'one\n' }, { name: LONG_NAME, data: 'two\n' }]));
+  try {
+    execFileSync('tar', ['-xf', file, '-C', dir]);
+  } catch (error) {
+    if (error.code === 'ENOENT') return t.skip('tar is not installed');
+    throw error;
+  }
+  assert.equal(fs.readFileSync(path.join(dir, 'a/one.txt'), 'utf8'), 'one\n');
+  assert.equal(fs.readFileSync(path.join(dir, LONG_NAME), 'utf8'), 'two\n');
+});
+
+test('names that cannot fit in name + prefix are refused', async () => {
+  await assert.rejects(archive([{ name: 'x'.repeat(101), data: '' }]), /Path too long/);
+  await assert.rejects(archive([{ name: `${'d'.repeat(156)}/file`, data: '' }]), /Path too long/);
+});
+
+test('createTarWriter streams buffers and files, waits for drain and lists their SHA-256', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tar-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const audio = path.join(dir, 'clip.wav');
+  const audioData = Buffer.alloc(200 * 1024 + 3);
+  for (let i = 0; i < audioData.length; i++) audioData[i] = i % 251;
+  fs.writeFileSync(audio, audioData);
+
+  const { output, body } = slowOutput();
+  const tar = createTarWriter(output);
+  const readme = Buffer.from('# Dataset\n'.repeat(500));
+  await tar.addBuffer('root/README.md', readme, MTIME);
+  await tar.addFile('root/audio/en/clip.wav', audio);
+  await tar.addBuffer('root/SHA256SUMS', 'sums\n', MTIME);
+  await tar.finish();
+  await new Promise(resolve => output.end(resolve));
+
+  assert.ok(output.drains > 0, 'writer never waited for drain');
+  const entries = readTar(body());
+  assert.deepEqual(entries.map(e => e.name), ['root/README.md', 'root/audio/en/clip.wav', 'root/SHA256SUMS']);
+  assert.deepEqual(entries[1].data, audioData);
+  assert.deepEqual(tar.entries().map(e => e.name), entries.map(e => e.name));
+  for (const [i, entry] of tar.entries().entries()) {
+    assert.equal(entry.size, entries[i].size);
+    assert.equal(entry.sha256, createHash('sha256').update(entries[i].data).digest('hex'));
+  }
+});
+
+test('createTarWriter fails once the output is closed, also while waiting for drain', async () => {
+  const closed = slowOutput().output;
+  closed.destroy();
+  await assert.rejects(createTarWriter(closed).addBuffer('a.txt', 'a'), /Output closed/);
+
+  // Never acknowledges a write: the writer blocks on drain until the client goes away
+  const stalled = new Writable({ highWaterMark: 16, write() {} });
+  const pending = createTarWriter(stalled).addBuffer('a.txt', 'a');
+  setImmediate(() => stalled.destroy());
+  await assert.rejects(pending, /Output closed/);
+});
+
+test('tarBuffer writes the same bytes as the streaming writer', async () => {
+  const files = [
+    { name: 'root/README.md', data: '# Dataset\n' },
+    { name: 'root/empty.txt', data: '' },
+    { name: LONG_NAME, data: Buffer.from('Kreyòl ayisyen\n') }
+  ];
+  assert.deepEqual(tarBuffer(files, MTIME), await archive(files));
+  assert.throws(() => tarBuffer([{ name: 'x'.repeat(101), data: '' }]), /Path too long/);
+});
@@ -0,0 +1,157 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createStorage } from '../lib/storage.js';
+import { createTranscodeQueue, normalizedFileName, isNormalized } from '../lib/transcode.js';
+import { wav } from './support/server.js';
+
+// Records log calls; `next(msg)` resolves when that message is logged. Its timer also
+// keeps the process alive while the queue only has unref'd retry timers pending.
+function recordingLogger() {
+  const entries = [];
+  const waiters = [];
+  const log = level => (msg, meta) => {
+    entries.push({ level, msg, meta });
+    for (const w of waiters.filter(w => w.msg === msg)) {
+      waiters.splice(waiters.indexOf(w), 1);
+      w.resolve(meta);
+    }
+  };
+  const next = msg => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Timed out waiting for "${msg}"`)), 10000);
+    waiters.push({ msg, resolve: meta => { clearTimeout(timer); resolve(meta); } });
+  });
+  return { entries, next, info: log('info'), warn: log('warn'), error: log('error') };
+}
+
+// A stand-in ffmpeg: answers -version, runs `body` (with $dir set to the temp dir),
+// then copies a 1 s 16 kHz WAV to the output path
+function setup(t, body = '') {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'transcode-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(dir, 'out.wav'), wav({ seconds: 1 }));
+  const ffmpeg = path.join(dir, 'ffmpeg');
+  fs.writeFileSync(ffmpeg, [
+    '#!/bin/sh',
+    'if [ "$2" = "-version" ]; then echo "ffmpeg version fake"; exit 0; fi',
+    `dir="${dir}"`,
+    'for last; do :; done',
+    body,
+    'cp "$dir/out.wav" "$last"',
+    ''
+  ].join('\n'), { mode: 0o755 });
+
+  const logger = recordingLogger();
+  const storage = createStorage({ dataRoot: path.join(dir, 'data'), logger });
+  const meta = { id: 'clip-1', lang: 'en', audioFile: 'clip-1.webm', container: 'webm', codec: 'opus', duration_s: 1 };
+  storage.put('audio', meta);
+  fs.mkdirSync(path.dirname(storage.blobPath('en', meta.audioFile)), { recursive: true });
+  fs.writeFileSync(storage.blobPath('en', meta.audioFile), 'webm bytes');
+
+  const done = [];
+  const open = env => createTranscodeQueue({
+    storage, logger, onDone: id => done.push(id),
+    env: { FFMPEG_PATH: ffmpeg, TRANSCODE_RETRY_MS: '10', TRANSCODE_MAX_ATTEMPTS: '2', ...env }
+  });
+  return { dir, storage, logger, done, open };
+}
+
+test('isNormalized only accepts 16 kHz mono s16le WAV', () => {
+  const target = { container: 'wav', codec: 'pcm_s16le', sr: 16000, channels: 1 };
+  assert.equal(isNormalized(target), true);
+  assert.equal(isNormalized({ ...target, sr: 48000 }), false);
+  assert.equal(isNormalized({ ...target, channels: 2 }), false);
+  assert.equal(isNormalized({ ...target, container: 'webm' }), false);
+  assert.equal(normalizedFileName('abc'), 'abc.16k.wav');
+});
+
+test('a finished job records the normalized file and calls onDone', async t => {
+  const { storage, logger, done, open } = setup(t);
+  const queue = open();
+  const finished = logger.next('Transcode done');
+  queue.enqueue('clip-1');
+  assert.deepEqual(await finished, { id: 'clip-1', attempts: 1 });
+
+  const { normalized } = storage.get('audio', 'clip-1');
+  assert.deepEqual(
+    [normalized.status, normalized.file, normalized.sr, normalized.channels, normalized.duration_s, normalized.attempts, normalized.error],
+    ['done', 'clip-1.16k.wav', 16000, 1, 1, 1, null]
+  );
+  assert.equal(fs.readFileSync(storage.blobPath('en', 'clip-1.16k.wav')).length, normalized.bytes);
+  assert.equal(fs.existsSync(`${storage.blobPath('en', 'clip-1.16k.wav')}.tmp`), false);
+  assert.deepEqual(done, ['clip-1']);
+  assert.deepEqual([queue.status().available, queue.status().done, queue.status().running], [true, 1, null]);
+});
+
+test('clips that are already 16 kHz mono WAV are marked done without ffmpeg', async t => {
+  const { storage, logger, done, open } = setup(t, 'exit 1');
+  storage.put('audio', { ...storage.get('audio', 'clip-1'), container: 'wav', codec: 'pcm_s16le', sr: 16000, channels: 1 });
+  const finished = logger.next('Transcode done');
+  open().enqueue('clip-1');
+  await finished;
+  const { normalized } = storage.get('audio', 'clip-1');
+  assert.deepEqual([normalized.status, normalized.file], ['done', 'clip-1.webm']);
+  assert.deepEqual(done, ['clip-1']);
+});
+
+test('failures are retried, then marked failed until retried by hand', async t => {
+  const { dir, storage, logger, done, open } = setup(t, 'if [ ! -f "$dir/fixed" ]; then echo "bad input" >&2; exit 1; fi');
+  const queue = open();
+  const first = logger.next('Transcode failed');
+  queue.enqueue('clip-1');
+  assert.deepEqual([(await first).attempts, (await first).retry], [1, true]);
+  assert.deepEqual([storage.get('audio', 'clip-1').normalized.status, queue.status().retried], ['pending', 1]);
+
+  const last = await logger.next('Transcode failed');
+  assert.deepEqual([last.attempts, last.retry], [2, false]);
+  assert.match(last.error, /bad input/);
+  const { normalized } = storage.get('audio', 'clip-1');
+  assert.deepEqual([normalized.status, normalized.attempts], ['failed', 2]);
+  assert.equal(queue.status().failed, 1);
+  assert.deepEqual(done, []);
+
+  fs.writeFileSync(path.join(dir, 'fixed'), '');
+  const finished = logger.next('Transcode done');
+  queue.retry('clip-1');
+  assert.equal((await finished).attempts, 1);
+  assert.deepEqual(done, ['clip-1']);
+});
+
+test('a clip deleted while ffmpeg runs leaves no normalized file behind', async t => {
+  // ffmpeg waits (up to 5 s) for the test to delete the clip
+  const { dir, storage, logger, done, open } = setup(t,
+    'touch "$dir/started"; i=0; while [ ! -f "$dir/go" ] && [ $i -lt 100 ]; do sleep 0.05; i=$((i+1)); done');
+  const dropped = logger.next('Transcode dropped: audio deleted while converting');
+  open().enqueue('clip-1');
+  for (let i = 0; i < 200 && !fs.existsSync(path.join(dir, 'started')); i++) await new Promise(r => setTimeout(r, 25));
+
+  const meta = storage.get('audio', 'clip-1');
+  storage.put('audio', { ...meta, deleted: { at: new Date().toISOString(), mode: 'soft' } });
+  fs.writeFileSync(path.join(dir, 'go'), '');
+  assert.deepEqual(await dropped, { id: 'clip-1' });
+
+  const outPath = storage.blobPath('en', 'clip-1.16k.wav');
+  assert.equal(fs.existsSync(outPath), false);
+  assert.equal(fs.existsSync(`${outPath}.tmp`), false);
+  assert.equal(storage.get('audio', 'clip-1').normalized.status, 'pending');
+  assert.deepEqual(done, []);
+});
+
+test('without ffmpeg jobs stay pending and resume picks them up later', async t => {
+  const { dir, storage, logger, done, open } = setup(t);
+  const missing = logger.next('ffmpeg not available; uploads stay pending until it is installed');
+  const offline = open({ FFMPEG_PATH: path.join(dir, 'no-ffmpeg') });
+  storage.put('audio', { ...storage.get('audio', 'clip-1'), normalized: { status: 'pending' } });
+  offline.resume();
+  await missing;
+  await new Promise(resolve => setImmediate(resolve));
+  assert.deepEqual([offline.status().available, offline.status().queued], [false, 1]);
+  assert.equal(storage.get('audio', 'clip-1').normalized.status, 'pending');
+
+  const finished = logger.next('Transcode done');
+  open().resume();
+  await finished;
+  assert.deepEqual(done, ['clip-1']);
+});
@@ -0,0 +1,168 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import http from 'node:http';
+import { createStorage } from '../lib/storage.js';
+import { newCatalogRecord } from '../lib/catalog.js';
+import { buildPhraseTable, createTranslator, htOrigin } from '../lib/translate.js';
+
+const quiet = { warn() {}, info() {}, error() {} };
+
+function tempStorage(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'translate-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return createStorage({ dataRoot: dir, backend: 'log', logger: quiet });
+}
+
+function round(n) {
+  return Math.round(n * 1000) / 1000;
+}
+
+let pairs = 0;
+function approvedPair(en, ht, { term = 'Diabetes', category = 'medical', status = 'approved' } = {}) {
+  pairs++;
+  return {
+    sampleId: `s-${pairs}`, createdAt: new Date().toISOString(), term, category,
+    en: { text: en }, ht: { text: ht }, review: { status, history: [] }
+  };
+}
+
+// Catalog terms (one inactive) and templates, plus reviewed pairs
+function seed(storage) {
+  storage.put('term', newCatalogRecord('term', { category: 'medical', term: 'Diabetes', ht: 'Dyabèt' }));
+  storage.put('term', newCatalogRecord('term', { category: 'medical', term: 'Heart attack', ht: 'Kriz kadyak' }));
+  storage.put('term', newCatalogRecord('term', { category: 'medical', term: 'Asthma', ht: 'Azm', active: false }));
+  storage.put('template', newCatalogRecord('template', { category: 'medical', text: 'I have a question about {TERM}.', ht: 'Mwen gen yon kesyon sou {TERM}.' }));
+  storage.put('template', newCatalogRecord('template', { category: 'insurance', text: 'What is my {TERM}?', ht: 'Ki {TERM} mwen?' }));
+  for (const pair of [
+    approvedPair('My doctor mentioned Diabetes.', 'Doktè mwen te pale de dyabèt.'),
+    approvedPair('My doctor mentioned Diabetes.', 'Doktè m te pale de dyabèt.'),
+    approvedPair('My doctor mentioned Diabetes.', 'Doktè mwen te pale de dyabèt.'),
+    approvedPair('Is this an emergency?', 'Èske se yon ijans?', { term: 'Emergency' }),
+    approvedPair('Is this rejected?', 'Non.', { status: 'rejected' })
+  ]) storage.put('pair', pair);
+}
+
+test('buildPhraseTable collects approved sentences, active terms and frames', t => {
+  const storage = tempStorage(t);
+  seed(storage);
+  const table = buildPhraseTable(storage);
+  assert.deepEqual(table.sentences.get('my doctor mentioned diabetes.'), { value: 'Doktè mwen te pale de dyabèt.', count: 2 });
+  assert.equal(table.sentences.has('is this rejected?'), false);
+  assert.equal(table.phrases.get('heart attack').value, 'Kriz kadyak');
+  assert.equal(table.phrases.has('asthma'), false);
+  assert.deepEqual(table.frames.map(f => [f.en, f.ht, f.origin]), [
+    ['i have a question about {TERM}.', 'Mwen gen yon kesyon sou {TERM}.', 'catalog'],
+    ['what is my {TERM}?', 'Ki {TERM} mwen?', 'catalog'],
+    ['my doctor mentioned {TERM}.', 'Doktè mwen te pale de {TERM}.', 'pairs']
+  ]);
+  // Two agreeing approvals of the learned frame
+  assert.equal(table.frames[2].confidence, 0.78);
+});
+
+test('phrase-table suggestions: memory, then frames, then word-by-word', async t => {
+  const storage = tempStorage(t);
+  seed(storage);
+  const translator = createTranslator({ storage, logger: quiet, env: {} });
+  assert.deepEqual(translator.providers, ['phrase-table']);
+
+  const remembered = await translator.suggest({ text: '  my doctor   mentioned diabetes. ' });
+  // The learned frame gives the same text, which is only listed once
+  assert.deepEqual(remembered.suggestions.map(s => [s.text, s.method, s.confidence]), [['Doktè mwen te pale de dyabèt.', 'memory', 0.95]]);
+  assert.equal(remembered.suggestions[0].source, 'phrase-table');
+  assert.equal(remembered.suggestions[0].model, null);
+
+  const framed = await translator.suggest({ text: 'I have a question about Heart attack.', category: 'medical' });
+  assert.deepEqual(framed.suggestions.map(s => [s.text, s.method, s.confidence]), [['Mwen gen yon kesyon sou kriz kadyak.', 'frame', 0.85]]);
+
+  const learned = await translator.suggest({ text: 'My doctor mentioned Heart attack.' });
+  assert.deepEqual(learned.suggestions.map(s => [s.text, s.method]), [['Doktè mwen te pale de kriz kadyak.', 'frame']]);
+
+  // Category-specific frames only apply to their category
+  const otherCategory = await translator.suggest({ text: 'I have a question about Diabetes.', category: 'insurance' });
+  assert.deepEqual(otherCategory.suggestions.map(s => s.method), ['phrase']);
+
+  const words = await translator.suggest({ text: 'Diabetes or heart attack?' });
+  assert.deepEqual(words.suggestions.map(s => [s.text, s.method, s.confidence]), [['Dyabèt or kriz kadyak?', 'phrase', round(0.5 * 3 / 4)]]);
+
+  assert.deepEqual((await translator.suggest({ text: 'Nothing known here' })).suggestions, []);
+});
+
+test('the phrase table is rebuilt after invalidate()', async t => {
+  const storage = tempStorage(t);
+  seed(storage);
+  const translator = createTranslator({ storage, logger: quiet, env: { TRANSLATE_REFRESH_SECONDS: '3600' } });
+  assert.equal((await translator.suggest({ text: 'Thank you' })).suggestions.length, 0);
+  storage.put('pair', approvedPair('Thank you', 'Mèsi'));
+  assert.equal((await translator.suggest({ text: 'Thank you' })).suggestions.length, 0);
+  translator.invalidate();
+  assert.equal((await translator.suggest({ text: 'Thank you' })).suggestions[0].text, 'Mèsi');
+});
+
+// LibreTranslate-style server answering each request with the next of `responses`
+async function fakeModel(t, responses) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => (body += chunk));
+    req.on('end', () => {
+      requests.push(JSON.parse(body));
+      const [status, json] = responses.shift();
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(json));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  return { url: `http://127.0.0.1:${server.address().port}/translate`, requests };
+}
+
+test('local provider reads the common response shapes and clamps scores', async t => {
+  const model = await fakeModel(t, [
+    [200, { translatedText: ' Mwen malad. ', confidence: 1.7 }],
+    [200, { translations: [{ text: 'Bonjou' }] }],
+    [200, { translation: '' }],
+    [503, { error: 'loading' }]
+  ]);
+  const storage = tempStorage(t);
+  const translator = createTranslator({ storage, logger: quiet, env: { TRANSLATE_LOCAL_URL: model.url, TRANSLATE_LOCAL_MODEL: 'nllb-600m' } });
+  assert.deepEqual(translator.providers, ['phrase-table', 'local']);
+
+  const first = await translator.suggest({ text: 'I am sick.' });
+  assert.deepEqual(first.suggestions, [{ text: 'Mwen malad.', confidence: 1, method: 'model', source: 'local', model: 'nllb-600m' }]);
+  assert.deepEqual(model.requests[0], { q: 'I am sick.', text: 'I am sick.', source: 'en', target: 'ht', format: 'text' });
+
+  assert.deepEqual((await translator.suggest({ text: 'Hello' })).suggestions.map(s => [s.text, s.confidence]), [['Bonjou', null]]);
+  assert.deepEqual(await translator.suggest({ text: 'Nothing' }), { suggestions: [], errors: [] });
+  // A failing provider is reported without failing the others
+  assert.deepEqual(await translator.suggest({ text: 'Down' }), { suggestions: [], errors: [{ source: 'local', error: 'Translation server returned 503' }] });
+});
+
+test('suggestions from several providers are ranked, deduplicated and limited', async t => {
+  const storage = tempStorage(t);
+  seed(storage);
+  const model = await fakeModel(t, [[200, { translatedText: 'doktè mwen te pale de dyabèt.', score: 0.99 }]]);
+  const translator = createTranslator({ storage, logger: quiet, env: { TRANSLATE_PROVIDERS: 'local, phrase-table', TRANSLATE_LOCAL_URL: model.url } });
+  const { suggestions } = await translator.suggest({ text: 'My doctor mentioned Diabetes.', limit: 1 });
+  assert.deepEqual(suggestions.map(s => [s.source, s.confidence]), [['local', 0.99]]);
+
+  assert.throws(() => createTranslator({ storage, logger: quiet, env: { TRANSLATE_PROVIDERS: 'cloud' } }), /Unknown translation provider: cloud/);
+  assert.throws(() => createTranslator({ storage, logger: quiet, env: { TRANSLATE_PROVIDERS: 'local' } }), /requires TRANSLATE_LOCAL_URL/);
+});
+
+test('htOrigin tells accepted, edited and typed translations apart', () => {
+  const suggestion = { text: 'Mwen gen yon kesyon sou dyabèt.', source: 'phrase-table', model: null, method: 'frame', confidence: 0.85, extra: 'dropped' };
+  assert.deepEqual(htOrigin('mwen gen yon  kesyon sou dyabèt.', suggestion), {
+    origin: 'machine',
+    suggestion: { text: suggestion.text, source: 'phrase-table', model: null, method: 'frame', confidence: 0.85 }
+  });
+  assert.equal(htOrigin('Mwen gen yon kesyon sou tansyon.', suggestion).origin, 'machine-edited');
+  // Suggestions are compared the way the stored text is normalized: apostrophes, NFC, spaces
+  const typographic = { text: 'M\u2019ap pran medikaman\u00A0pou dyabe\u0300t.' };
+  assert.equal(htOrigin("M'ap pran medikaman pou dyabèt.", typographic).origin, 'machine');
+  assert.deepEqual(htOrigin('Mwen ekri sa.', null), { origin: 'human', suggestion: null });
+  assert.deepEqual(htOrigin('Mwen ekri sa.', { text: '  ' }), { origin: 'human', suggestion: null });
+  assert.deepEqual(htOrigin('Mwen ekri sa.', 'Mwen ekri sa.'), { origin: 'human', suggestion: null });
+});
@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildMemory, createTranslationMemory } from '../lib/translation-memory.js';
+
+let n = 0;
+function pair(en, ht, { status = 'approved', reviewedAt = '2026-10-01T00:00:00.000Z', category = 'medical', deleted = false } = {}) {
+  n++;
+  return {
+    sampleId: `s-${n}`, createdAt: '2026-09-01T00:00:00.000Z', term: 'Fever', category, deleted,
+    en: { text: en }, ht: { text: ht }, review: { status, reviewedAt, history: [] }
+  };
+}
+
+const PAIRS = [
+  pair('I have a fever.', 'Mwen gen lafyèv.'),
+  pair('I have a  fever.', 'Mwen gen lafyèv.', { reviewedAt: '2026-10-05T00:00:00.000Z' }),
+  pair('I have a fever.', 'M gen lafyèv.'),
+  pair('My child has a fever since yesterday.', 'Pitit mwen an gen lafyèv depi yè.'),
+  pair('What is my deductible?', 'Konbyen franchiz mwen ye?', { category: 'insurance' }),
+  pair('I have a cough.', 'Mwen gen tous.', { status: 'pending' }),
+  pair('I have a headache.', 'Tèt mwen fè m mal.', { deleted: true }),
+  pair('I have a rash.', '')
+];
+
+function memoryOf(pairs, env = {}) {
+  let lists = 0;
+  const storage = { list: type => (type === 'pair' ? (lists++, pairs) : []) };
+  const memory = createTranslationMemory({ storage, env });
+  return { memory, lists: () => lists };
+}
+
+test('buildMemory keeps one entry per approved translation and merges repeats', () => {
+  const { entries } = buildMemory(PAIRS);
+  assert.deepEqual(entries.map(e => [e.en, e.ht, e.count]), [
+    ['I have a fever.', 'Mwen gen lafyèv.', 2],
+    ['I have a fever.', 'M gen lafyèv.', 1],
+    ['My child has a fever since yesterday.', 'Pitit mwen an gen lafyèv depi yè.', 1],
+    ['What is my deductible?', 'Konbyen franchiz mwen ye?', 1]
+  ]);
+  assert.deepEqual(entries[0].sampleIds, ['s-1', 's-2']);
+  assert.equal(entries[0].lastApprovedAt, '2026-10-05T00:00:00.000Z');
+  assert.deepEqual(entries[2].htTokens, ['pitit', 'mwen', 'an', 'gen', 'lafyèv', 'depi', 'yè']);
+});
+
+test('exact matches come first, with both approved translations', () => {
+  const { memory } = memoryOf(PAIRS);
+  const matches = memory.search('i have a FEVER.');
+  assert.deepEqual(matches.map(m => [m.ht, m.match, m.score]), [
+    ['Mwen gen lafyèv.', 'exact', 1],
+    ['M gen lafyèv.', 'exact', 1]
+  ]);
+  assert.deepEqual(Object.keys(matches[0]).sort(), ['category', 'count', 'en', 'ht', 'lastApprovedAt', 'match', 'sampleIds', 'score', 'term']);
+});
+
+test('fuzzy matches score by word edit distance and never reach 1', () => {
+  const { memory } = memoryOf(PAIRS);
+  // One word of four changed
+  assert.deepEqual(memory.search('I have a cold.').map(m => [m.ht, m.match, m.score]), [
+    ['Mwen gen lafyèv.', 'fuzzy', 0.75],
+    ['M gen lafyèv.', 'fuzzy', 0.75]
+  ]);
+  // Same words, different punctuation
+  assert.deepEqual(memory.search('I have a fever!').map(m => m.score), [0.99, 0.99]);
+  assert.deepEqual(memory.search('My child has a fever since Monday', { minScore: 0.8 }).map(m => [m.score, m.match]), [[0.857, 'fuzzy']]);
+  assert.deepEqual(memory.search('Completely unrelated words'), []);
+  assert.deepEqual(memory.search('  ...  '), []);
+});
+
+test('search options: HT side, category, limit and minimum score', () => {
+  const { memory } = memoryOf(PAIRS);
+  assert.deepEqual(memory.search('mwen gen lafyèv', { lang: 'ht' }).map(m => [m.en, m.score]), [['I have a fever.', 0.99], ['I have a fever.', 0.667]]);
+  assert.deepEqual(memory.search('What is my fever?', { category: 'insurance' }).map(m => m.ht), ['Konbyen franchiz mwen ye?']);
+  assert.equal(memory.search('I have a cold.', { limit: 1 }).length, 1);
+  assert.deepEqual(memory.search('I have a cold.', { minScore: 0.8 }), []);
+  assert.deepEqual(memoryOf(PAIRS, { TM_MIN_SCORE: '0.8' }).memory.search('I have a cold.'), []);
+});
+
+test('the memory is built once and rebuilt after invalidate()', () => {
+  const pairs = [...PAIRS];
+  const { memory, lists } = memoryOf(pairs);
+  assert.equal(memory.size(), 4);
+  memory.search('I have a fever.');
+  assert.equal(lists(), 1);
+  pairs.push(pair('Thank you.', 'Mèsi.'));
+  assert.equal(memory.size(), 4);
+  memory.invalidate();
+  assert.equal(memory.size(), 5);
+  assert.equal(lists(), 2);
+});